@@ -2,6 +2,69 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { io } from 'socket.io-client';
 import soundManager from './src/systems/soundManager.js';
+import {
+    supportsInvertedWorld,
+    getFallTransition,
+    completesOnKeyPickup,
+    getCompletionBlocker,
+    getHudState
+} from './src/systems/gameRules.js';
+import { validateLevels, formatIssue } from './src/systems/levelValidator.js';
+import { LevelConstructor } from './src/systems/levelConstructor.js';
+import { LevelEditor } from './src/systems/levelEditor.js';
+import { FixedTimestep } from './src/systems/fixedTimestep.js';
+import { StepTimers } from './src/systems/stepTimers.js';
+import { validateNumber, validatePosition } from './src/systems/positions.js';
+import { updateTimers, getGravityMultiplier, moveBall, findGround, dampenGroundedVelocity } from './src/systems/ballPhysics.js';
+import { ReplayRecorder, ReplayPlayer, hashValue } from './src/systems/replay.js';
+import { GhostRecorder, isValidGhostRun, isFasterRun, compareSplit, sampleGhostRun } from './src/systems/ghostRun.js';
+import {
+    INPUT_ACTIONS,
+    MAX_KEYS_PER_ACTION,
+    getDefaultKeyBindings,
+    normalizeKeyBindings,
+    createKeyLookup,
+    findBindingConflicts,
+    assignKey,
+    clearKey,
+    describeKey,
+    getActionLabel
+} from './src/systems/inputBindings.js';
+import {
+    DEFAULT_GAMEPAD_SETTINGS,
+    getDefaultGamepadBindings,
+    normalizeGamepadBindings,
+    readGamepad,
+    assignGamepadButton,
+    getPressedButtons,
+    describeGamepadButton,
+    findGamepad
+} from './src/systems/gamepadInput.js';
+import {
+    DEFAULT_TOUCH_SETTINGS,
+    isTouchDevice,
+    readJoystick,
+    swipeToCamera,
+    findTouch
+} from './src/systems/touchInput.js';
+import { PLAYER_COLORS, validateDisplayName, findPlayerColor, getDisplayName } from './src/systems/playerProfiles.js';
+import { CHAT_HISTORY_LIMIT, QUICK_EMOTES, validateChatMessage, findEmote } from './src/systems/chat.js';
+import { formatPlace } from './src/systems/raceMode.js';
+import { FREE_CAMERA, nextSpectateTarget, moveFreeCamera } from './src/systems/spectator.js';
+import { REMOTE_INTERPOLATION, SnapshotBuffer, rollFromMotion } from './src/systems/remoteInterpolation.js';
+import { createLevelSeed, normalizeLevelSeed, getRandomLevelCoinCount, generateLevelLayout } from './src/systems/levelGenerator.js';
+import {
+    WEATHER_TYPES,
+    WEATHER_PARTICLE_COUNT,
+    WEATHER_AREA,
+    ENVIRONMENT_BLEND_DURATION,
+    getRandomLevelTheme,
+    resolveEnvironment,
+    blendEnvironments,
+    stepWeatherParticles
+} from './src/systems/environmentThemes.js';
+import { getLevelLayers, hasLayerBelow, getLayerItemId, getSpawnedItemId, getExitDestination, countPlayersByLayer } from './src/systems/underworld.js';
+import { getActionVerb, TriggerSystem } from './src/systems/triggers.js';
 
 // Game configuration
 let gameConfig = null;
@@ -51,10 +114,13 @@ let PHYSICS_CONFIG = {
     rollDamping: 0.95
 };
 
+// The current level's gravityScale (see applyLevelSettings)
+let levelGravityScale = 1;
+
 // Update physics configuration from config.json
 function updatePhysicsConfig() {
     PHYSICS_CONFIG = {
-        gravity: getConfigValue('physics.gravity', -12.0),
+        gravity: getConfigValue('physics.gravity', -12.0) * levelGravityScale,
         playerRadius: getConfigValue('physics.playerRadius', 0.5),
         groundFriction: getConfigValue('physics.groundFriction', 0.92),
         airFriction: getConfigValue('physics.airFriction', 0.995),
@@ -282,6 +348,35 @@ function validatePhysicsSurfaces() {
     return addedCount;
 }
 
+// Simulation clock: animate() runs physics and game logic in fixed steps of PHYSICS_STEP
+// and draws the player interpolated between the last two steps
+const PHYSICS_STEP = 1 / 60;
+const physicsTimestep = new FixedTimestep({ step: PHYSICS_STEP });
+
+// Delays and animations that are part of the game (bounces, disappearing tiles, gravity
+// shifts) run on the same clock, so replays and seeking reproduce them tick for tick
+const stepTimers = new StepTimers(() => physicsTimestep.time * 1000);
+
+function updateStepTimers() {
+    stepTimers.update();
+}
+
+// Start timed game logic over with the clock: nothing from the previous level carries
+// over, and cooldowns measured on the old clock are forgotten
+function resetStepTimers() {
+    stepTimers.clear();
+    
+    // Effects that were cut off must not leave the player locked
+    worldState.isRotating = false;
+    invertedWorld.transitionInProgress = false;
+    fallRecovery.isRecovering = false;
+    
+    fallRecovery.lastSafeTime = -Infinity;
+    fallDetection.lastFallCheck = -Infinity;
+    invertedWorld.lastTransitionTime = -Infinity;
+    invertedWorld.lastGravityFlipTime = -Infinity;
+}
+
 // Player physics properties
 const playerPhysics = {
     velocity: new THREE.Vector3(0, 0, 0),
@@ -369,36 +464,9 @@ function checkGroundCollision() {
     const rayDirection = worldState.gravityDirection.clone().multiplyScalar(-1);
     const rayDistance = PHYSICS_CONFIG.playerRadius + PHYSICS_CONFIG.groundCheckDistance;
     
-    let bestIntersection = null;
-    let bestDistance = Infinity;
-    
     // Cast multiple rays for better collision detection
-    for (let i = 0; i < PHYSICS_CONFIG.collisionRayCount; i++) {
-        const angle = (i / PHYSICS_CONFIG.collisionRayCount) * Math.PI * 2;
-        const offsetX = Math.cos(angle) * PHYSICS_CONFIG.collisionRaySpread;
-        const offsetZ = Math.sin(angle) * PHYSICS_CONFIG.collisionRaySpread;
-        
-        const rayOriginOffset = rayOrigin.clone().add(new THREE.Vector3(offsetX, 0, offsetZ));
-        physicsWorld.raycaster.set(rayOriginOffset, rayDirection);
-        
-        const intersects = physicsWorld.raycaster.intersectObjects(physicsWorld.surfaces, false);
-        
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            if (intersection.distance < bestDistance) {
-                bestDistance = intersection.distance;
-                bestIntersection = intersection;
-            }
-        }
-    }
-    
-    // Also check center ray
-    physicsWorld.raycaster.set(rayOrigin, rayDirection);
-    const centerIntersects = physicsWorld.raycaster.intersectObjects(physicsWorld.surfaces, false);
-    if (centerIntersects.length > 0 && centerIntersects[0].distance < bestDistance) {
-        bestDistance = centerIntersects[0].distance;
-        bestIntersection = centerIntersects[0];
-    }
+    const bestIntersection = findGround(physicsWorld.raycaster, physicsWorld.surfaces, rayOrigin, rayDirection, PHYSICS_CONFIG);
+    const bestDistance = bestIntersection ? bestIntersection.distance : Infinity;
     
     if (bestIntersection && bestDistance <= rayDistance) {
         // Player is on or touching ground
@@ -498,36 +566,7 @@ function ensureSurfaceContact() {
 
 // Minimal anti-bouncing system that only prevents extreme issues
 function preventVerticalVelocityAccumulation() {
-    if (!playerPhysics.isGrounded) return;
-    
-    const velocityTolerance = 0.3; // Very forgiving tolerance
-    const accelerationTolerance = 0.5; // Very forgiving tolerance for acceleration
-    
-    // Only clamp velocity when extremely wrong and not jumping
-    const shouldClampVelocity = invertedWorld.isActive ? 
-        (playerPhysics.velocity.y > velocityTolerance || playerPhysics.velocity.y < -velocityTolerance) : 
-        (playerPhysics.velocity.y < -velocityTolerance || playerPhysics.velocity.y > velocityTolerance);
-    
-    if (shouldClampVelocity && !playerPhysics.isJumping) {
-        // Very gentle dampening to prevent sudden changes
-        playerPhysics.velocity.y *= 0.8;
-    }
-    
-    // Minimal acceleration management when grounded (unless actively jumping)
-    if (!playerPhysics.isJumping) {
-    const shouldClampAcceleration = invertedWorld.isActive ? 
-            (playerPhysics.acceleration.y < -accelerationTolerance || playerPhysics.acceleration.y > accelerationTolerance) : 
-            (playerPhysics.acceleration.y > accelerationTolerance || playerPhysics.acceleration.y < -accelerationTolerance);
-    
-    if (shouldClampAcceleration) {
-            // Very gentle acceleration modification
-        if (invertedWorld.isActive) {
-                playerPhysics.acceleration.y = Math.max(playerPhysics.acceleration.y * 0.9, -0.2);
-        } else {
-                playerPhysics.acceleration.y = Math.min(playerPhysics.acceleration.y * 0.9, -0.2);
-            }
-        }
-    }
+    dampenGroundedVelocity(playerPhysics, invertedWorld.isActive);
 }
 
 // ============ FALL RECOVERY SYSTEM ============
@@ -536,7 +575,7 @@ function preventVerticalVelocityAccumulation() {
 function updateSafePosition() {
     if (!playerPhysics.isGrounded || !fallRecovery.enabled) return;
     
-    const currentTime = Date.now();
+    const currentTime = physicsTimestep.time * 1000;
     if (currentTime - fallRecovery.lastSafeTime > fallRecovery.safePositionUpdateInterval) {
         fallRecovery.lastSafePosition.copy(playerPhysics.position);
         fallRecovery.lastSafeTime = currentTime;
@@ -606,15 +645,15 @@ function recoverFromFall() {
     
     // Update safe position
     fallRecovery.lastSafePosition.copy(recoveryPosition);
-    fallRecovery.lastSafeTime = Date.now();
+    fallRecovery.lastSafeTime = physicsTimestep.time * 1000;
     
     // Play recovery sound
     soundManager.play('teleport');
     
     // Clear recovery flag after a short delay
-    setTimeout(() => {
+    stepTimers.after(500, () => {
         fallRecovery.isRecovering = false;
-    }, 500);
+    });
 }
 
 // Emergency recovery for extreme cases
@@ -630,7 +669,7 @@ function emergencyRecovery() {
     player.position.copy(playerPhysics.position);
     
     fallRecovery.lastSafePosition.copy(emergencyPos);
-    fallRecovery.lastSafeTime = Date.now();
+    fallRecovery.lastSafeTime = physicsTimestep.time * 1000;
     fallRecovery.fallCount = 0;
     fallRecovery.isRecovering = false;
     
@@ -782,7 +821,7 @@ function updateRollingAnimation() {
         playerPhysics.rollSpeed = THREE.MathUtils.lerp(playerPhysics.rollSpeed, targetRollSpeed, 0.15);
         
         // Apply rolling animation with delta time for consistent frame rate
-        const deltaTime = 1/60; // Fixed timestep
+        const deltaTime = PHYSICS_STEP;
         playerPhysics.rollAngle += playerPhysics.rollSpeed * deltaTime;
         
         // Update visual sphere rotation with smoother interpolation
@@ -805,7 +844,7 @@ function updateRollingAnimation() {
         
         // Continue slight rotation if there's still momentum
         if (Math.abs(playerPhysics.rollSpeed) > 0.01) {
-            const deltaTime = 1/60;
+            const deltaTime = PHYSICS_STEP;
             playerPhysics.rollAngle += playerPhysics.rollSpeed * deltaTime;
             
             const rollQuaternion = new THREE.Quaternion();
@@ -888,9 +927,9 @@ function applyPhysicsWithoutInput(deltaTime) {
 // Enhanced physics-based movement system for skill-based gameplay
 // NOTE: This function is completely camera-independent and works identically in all camera modes
 function updatePhysicsMovement() {
-    const deltaTime = 1/60; // Fixed timestep for consistent physics
+    const deltaTime = PHYSICS_STEP;
     const { inputState } = playerState;
-    const currentTime = Date.now() / 1000;
+    const currentTime = physicsTimestep.time;
     
     // Skip input processing if locked during transitions (pause/rotation only - NOT camera state)
     if (isInputLocked()) {
@@ -906,90 +945,23 @@ function updatePhysicsMovement() {
     // Update timers
     updateMovementTimers(deltaTime);
     
-    // Handle input forces with precision mode
-    playerPhysics.inputForce.set(0, 0, 0);
-    
     // Get camera-independent input directions for consistent physics behavior
-    let cameraDirection, rightDirection;
-    
-    if (cameraSystem.currentMode === 'isometric') {
-        // Use world-space directions for isometric mode to ensure consistent physics
-        // This prevents camera angle from affecting movement physics
-        cameraDirection = new THREE.Vector3(0, 0, -1); // Forward in world space
-        rightDirection = new THREE.Vector3(1, 0, 0);   // Right in world space
-    } else {
-        // Use camera-relative directions for chase mode (natural third-person movement)
-        cameraDirection = new THREE.Vector3();
-        camera.getWorldDirection(cameraDirection);
-        cameraDirection.y = 0; // Remove vertical component
-        cameraDirection.normalize();
-        
-        rightDirection = new THREE.Vector3();
-        rightDirection.crossVectors(cameraDirection, camera.up).normalize();
-    }
-    
-    // Calculate input magnitude for precision mode
-    let inputMagnitude = 0;
-    if (inputState.forward) inputMagnitude += 1;
-    if (inputState.backward) inputMagnitude += 1;
-    if (inputState.left) inputMagnitude += 1;
-    if (inputState.right) inputMagnitude += 1;
-    
-    playerPhysics.inputMagnitude = inputMagnitude;
-    playerPhysics.precisionMode = inputMagnitude > 0 && playerPhysics.isGrounded;
-    
-    // Apply input forces with enhanced responsiveness
-    const accelerationMultiplier = playerPhysics.precisionMode ? 1.2 : 1.0;
-    const baseAcceleration = PHYSICS_CONFIG.acceleration * accelerationMultiplier;
+    const directions = getMovementDirections();
+    
+    // Input forces, jump, gravity, friction and speed limits (shared with the level simulation)
+    const { magnitude, precisionMode, jump } = moveBall(playerPhysics, inputState, PHYSICS_CONFIG, {
+        deltaTime,
+        gravity: physicsWorld.gravity,
+        directions,
+        inverted: invertedWorld.isActive
+    });
     
-    if (inputState.forward) {
-        playerPhysics.inputForce.add(cameraDirection.clone().multiplyScalar(baseAcceleration));
-        playerPhysics.lastInputTime = currentTime;
-    }
-    if (inputState.backward) {
-        playerPhysics.inputForce.add(cameraDirection.clone().multiplyScalar(-baseAcceleration));
-        playerPhysics.lastInputTime = currentTime;
-    }
-    if (inputState.left) {
-        playerPhysics.inputForce.add(rightDirection.clone().multiplyScalar(-baseAcceleration));
-        playerPhysics.lastInputTime = currentTime;
-    }
-    if (inputState.right) {
-        playerPhysics.inputForce.add(rightDirection.clone().multiplyScalar(baseAcceleration));
+    playerPhysics.inputMagnitude = magnitude;
+    playerPhysics.precisionMode = precisionMode;
+    if (magnitude > 0) {
         playerPhysics.lastInputTime = currentTime;
     }
-    
-    // Enhanced jump handling with coyote time and jump buffering
-    handleEnhancedJump(inputState, currentTime);
-    
-    // Apply gravity with variable fall speed
-    applyVariableGravity(deltaTime);
-    
-    // Add input force to acceleration
-    playerPhysics.acceleration.add(playerPhysics.inputForce);
-    
-    // Update velocity with acceleration
-    playerPhysics.velocity.add(playerPhysics.acceleration.clone().multiplyScalar(deltaTime));
-    
-    // Apply enhanced friction system
-    applyEnhancedFriction();
-    
-    // Apply terminal velocity
-    if (playerPhysics.velocity.y < -PHYSICS_CONFIG.terminalVelocity) {
-        playerPhysics.velocity.y = -PHYSICS_CONFIG.terminalVelocity;
-    }
-    
-    // Limit maximum horizontal velocity
-    const horizontalSpeed = Math.sqrt(playerPhysics.velocity.x ** 2 + playerPhysics.velocity.z ** 2);
-    if (horizontalSpeed > PHYSICS_CONFIG.maxVelocity) {
-        const scale = PHYSICS_CONFIG.maxVelocity / horizontalSpeed;
-        playerPhysics.velocity.x *= scale;
-        playerPhysics.velocity.z *= scale;
-    }
-    
-    // Update position
-    const deltaPosition = playerPhysics.velocity.clone().multiplyScalar(deltaTime);
-    playerPhysics.position.add(deltaPosition);
+    handleJumpResult(jump, currentTime);
     
     // Ground collision detection
     checkGroundCollision();
@@ -1029,25 +1001,56 @@ function updatePhysicsMovement() {
     // Removed periodic validation to prevent repeated surface additions causing vibration
 }
 
+// Directions the movement keys push in. They are rounded so replays can store
+// them and feed back exactly what the recorded run used.
+function getMovementDirections() {
+    let values = replayState.playing ? replayState.player.directionsAt(replayState.tick) : null;
+    
+    if (!values) {
+        let cameraDirection, rightDirection;
+        
+        if (cameraSystem.currentMode === 'isometric') {
+            // Use world-space directions for isometric mode to ensure consistent physics
+            // This prevents camera angle from affecting movement physics
+            cameraDirection = new THREE.Vector3(0, 0, -1); // Forward in world space
+            rightDirection = new THREE.Vector3(1, 0, 0);   // Right in world space
+        } else {
+            // Use camera-relative directions for chase mode (natural third-person movement)
+            cameraDirection = new THREE.Vector3();
+            camera.getWorldDirection(cameraDirection);
+            cameraDirection.y = 0; // Remove vertical component
+            cameraDirection.normalize();
+            
+            rightDirection = new THREE.Vector3();
+            rightDirection.crossVectors(cameraDirection, camera.up).normalize();
+        }
+        
+        values = [...cameraDirection.toArray(), ...rightDirection.toArray()]
+            .map(value => Math.round(value * 10000) / 10000 + 0); // + 0 turns -0 into 0
+        
+        if (!replayState.playing) {
+            replayState.recorder.recordDirections(replayState.tick, values);
+        }
+    }
+    
+    return {
+        cameraDirection: new THREE.Vector3(values[0], values[1], values[2]),
+        rightDirection: new THREE.Vector3(values[3], values[4], values[5])
+    };
+}
+
 // Update movement timers for skill-based features
 function updateMovementTimers(deltaTime) {
-    const currentTime = Date.now() / 1000;
+    const currentTime = physicsTimestep.time;
+    
+    // Coyote time, jump buffer and air time
+    updateTimers(playerPhysics, PHYSICS_CONFIG, deltaTime);
     
-    // Update coyote timer
     if (playerPhysics.isGrounded) {
-        playerPhysics.coyoteTimer = PHYSICS_CONFIG.coyoteTime;
         playerPhysics.lastGroundTime = currentTime;
         playerPhysics.groundedFrames++;
-        playerPhysics.airTime = 0;
     } else {
-        playerPhysics.coyoteTimer = Math.max(0, playerPhysics.coyoteTimer - deltaTime);
         playerPhysics.groundedFrames = 0;
-        playerPhysics.airTime += deltaTime;
-    }
-    
-    // Update jump buffer timer
-    if (playerPhysics.jumpBufferTimer > 0) {
-        playerPhysics.jumpBufferTimer = Math.max(0, playerPhysics.jumpBufferTimer - deltaTime);
     }
     
     // Failsafe: Check if player has been airborne for too long
@@ -1084,7 +1087,7 @@ function checkAirborneFailsafe() {
         playerPhysics.canJump = true;
         playerPhysics.airTime = 0;
         playerPhysics.groundedFrames = 1;
-        playerPhysics.lastGroundTime = Date.now() / 1000;
+        playerPhysics.lastGroundTime = physicsTimestep.time;
         
         // Show message to player
         showMessage('Position corrected - you were stuck in the air!', '#ffaa00', 3000);
@@ -1178,27 +1181,9 @@ function validateAirborneFailsafe() {
     return true;
 }
 
-// Test function to simulate getting stuck in air (for debugging)
-function testAirborneFailsafe() {
-    console.log('🧪 TESTING AIRBORNE FAILSAFE...');
-    
-    // Force player into airborne state
-    playerPhysics.isGrounded = false;
-    playerPhysics.canJump = false;
-    playerPhysics.airTime = PHYSICS_CONFIG.maxAirborneTime + 1; // Exceed the threshold
-    
-    console.log('🚁 Player forced into airborne state with excessive air time');
-    console.log(`   - airTime: ${playerPhysics.airTime.toFixed(2)} seconds (threshold: ${PHYSICS_CONFIG.maxAirborneTime})`);
-    
-    // Manually trigger the failsafe
-    checkAirborneFailsafe();
-    
-    console.log('✅ AIRBORNE FAILSAFE TEST COMPLETE');
-}
 
 // Make validation functions globally accessible for debugging
 window.validateAirborneFailsafe = validateAirborneFailsafe;
-window.testAirborneFailsafe = testAirborneFailsafe;
 window.checkGroundingStatus = () => {
     console.log('🔍 GROUNDING STATUS:');
     console.log(`   - isGrounded: ${playerPhysics.isGrounded}`);
@@ -1225,98 +1210,6 @@ window.toggleJumpDebug = () => {
     showMessage(`Jump debug: ${physicsWorld.debugMode ? 'ON' : 'OFF'}`, '#00ffff', 2000);
 };
 
-window.testJumpSystem = () => {
-    console.log('🧪 TESTING JUMP SYSTEM...');
-    
-    // Test 1: Check current grounding status
-    console.log('📋 Test 1: Current grounding status');
-    checkGroundingStatus();
-    
-    // Test 2: Try jumping when grounded
-    if (playerPhysics.isGrounded) {
-        console.log('📋 Test 2: Attempting jump while grounded');
-        const oldJumpDebug = physicsWorld.debugMode;
-        physicsWorld.debugMode = true;
-        
-        // Simulate jump input
-        playerState.inputState.jump = true;
-        handleEnhancedJump(playerState.inputState, Date.now() / 1000);
-        
-        setTimeout(() => {
-            console.log('📋 Test 2 Result: Jump velocity Y =', playerPhysics.velocity.y.toFixed(2));
-            playerState.inputState.jump = false;
-            physicsWorld.debugMode = oldJumpDebug;
-        }, 100);
-    } else {
-        console.log('📋 Test 2: SKIPPED - Player not grounded');
-    }
-    
-    // Test 3: Test jump blocking when airborne
-    console.log('📋 Test 3: Testing jump blocking when airborne');
-    setTimeout(() => {
-        const originalGrounded = playerPhysics.isGrounded;
-        playerPhysics.isGrounded = false;
-        playerPhysics.canJump = false;
-        
-        const oldJumpDebug = physicsWorld.debugMode;
-        physicsWorld.debugMode = true;
-        
-        // Simulate jump input while airborne
-        playerState.inputState.jump = true;
-        handleEnhancedJump(playerState.inputState, Date.now() / 1000);
-        
-        setTimeout(() => {
-            console.log('📋 Test 3 Result: Jump blocked correctly');
-            playerState.inputState.jump = false;
-            playerPhysics.isGrounded = originalGrounded;
-            physicsWorld.debugMode = oldJumpDebug;
-        }, 100);
-    }, 1000);
-    
-    console.log('✅ JUMP SYSTEM TEST COMPLETE');
-};
-
-window.testFallOffHandling = () => {
-    console.log('🧪 TESTING FALL-OFF HANDLING SYSTEM...');
-    
-    // Test 1: Check current level support
-    console.log('📋 Test 1: Current level inverted world support');
-    const currentLevel = getCurrentLevelData();
-    const supportsInvertedWorld = levelSupportsInvertedWorld();
-    
-    console.log(`   - Level: ${currentLevel ? currentLevel.name : 'Unknown'} (${currentLevel ? currentLevel.number : 'N/A'})`);
-    console.log(`   - Supports inverted world: ${supportsInvertedWorld}`);
-    console.log(`   - Has 3D: ${currentLevel ? currentLevel.use3D : 'N/A'}`);
-    console.log(`   - Has underworld: ${currentLevel ? currentLevel.hasUnderworld : 'N/A'}`);
-    console.log(`   - Has explicit inverted world: ${currentLevel ? currentLevel.hasInvertedWorld : 'N/A'}`);
-    
-    // Test 2: Simulate fall-off
-    console.log('📋 Test 2: Simulating fall-off scenario...');
-    const originalPosition = playerPhysics.position.clone();
-    
-    // Move player below fall threshold
-    playerPhysics.position.y = invertedWorld.fallThreshold - 5;
-    playerPhysics.velocity.y = -10; // Falling fast
-    playerPhysics.isGrounded = false;
-    
-    console.log(`   - Player moved to Y: ${playerPhysics.position.y.toFixed(2)}`);
-    console.log(`   - Fall threshold: ${invertedWorld.fallThreshold}`);
-    console.log(`   - Expected behavior: ${supportsInvertedWorld ? 'Transition to inverted world' : 'Restart level'}`);
-    
-    // Trigger fall detection
-    checkFallDetection();
-    
-    // Restore original position after a short delay
-    setTimeout(() => {
-        playerPhysics.position.copy(originalPosition);
-        playerPhysics.velocity.y = 0;
-        playerPhysics.isGrounded = true;
-        console.log('📋 Test 2 Complete: Player position restored');
-    }, 2000);
-    
-    console.log('✅ FALL-OFF HANDLING TEST COMPLETE');
-};
-
 window.checkLevelSupport = () => {
     console.log('🔍 CHECKING LEVEL INVERTED WORLD SUPPORT...');
     
@@ -1369,69 +1262,6 @@ window.checkVerticalVelocity = () => {
     }
 };
 
-window.testBouncingFix = () => {
-    console.log('🧪 TESTING BOUNCING/FLOATING FIX...');
-    
-    // Store original state
-    const originalPosition = playerPhysics.position.clone();
-    const originalVelocity = playerPhysics.velocity.clone();
-    const originalGrounded = playerPhysics.isGrounded;
-    const originalJumping = playerPhysics.isJumping;
-    
-    // Test 1: Simulate grounded player with upward velocity (potential bouncing)
-    console.log('📋 Test 1: Grounded player with upward velocity');
-    playerPhysics.isGrounded = true;
-    playerPhysics.velocity.y = 2.0; // Upward velocity
-    playerPhysics.isJumping = false;
-    
-    console.log(`   - Before fix: velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    preventVerticalVelocityAccumulation();
-    console.log(`   - After fix: velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    
-    // Test 2: Simulate landing after jump (should reset jumping flag and velocity)
-    console.log('📋 Test 2: Landing after jump');
-    playerPhysics.isGrounded = false;
-    playerPhysics.isJumping = true;
-    playerPhysics.velocity.y = -1.0; // Falling
-    
-    // Simulate landing
-    playerPhysics.isGrounded = true;
-    
-    console.log(`   - Before landing: isJumping = ${playerPhysics.isJumping}, velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    
-    // This simulates what happens in checkGroundCollision
-    if (playerPhysics.isJumping) {
-        playerPhysics.isJumping = false;
-    }
-    
-    const velocityTolerance = 0.1;
-    const shouldResetVelocity = invertedWorld.isActive ? 
-        playerPhysics.velocity.y > velocityTolerance : 
-        playerPhysics.velocity.y < -velocityTolerance;
-    
-    if (shouldResetVelocity) {
-        playerPhysics.velocity.y = 0;
-    }
-    
-    console.log(`   - After landing: isJumping = ${playerPhysics.isJumping}, velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    
-    // Test 3: Test continuous stability
-    console.log('📋 Test 3: Continuous stability check');
-    for (let i = 0; i < 5; i++) {
-        playerPhysics.velocity.y = 0.2; // Small upward velocity
-        preventVerticalVelocityAccumulation();
-        console.log(`   - Frame ${i + 1}: velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    }
-    
-    // Restore original state
-    playerPhysics.position.copy(originalPosition);
-    playerPhysics.velocity.copy(originalVelocity);
-    playerPhysics.isGrounded = originalGrounded;
-    playerPhysics.isJumping = originalJumping;
-    
-    console.log('✅ BOUNCING/FLOATING FIX TEST COMPLETE');
-};
-
 // Check and reset player grounding if they're on a valid surface
 function validateAndResetGrounding() {
     // Skip if player is already properly grounded
@@ -1471,7 +1301,7 @@ function validateAndResetGrounding() {
                 playerPhysics.groundDistance = distance;
                 playerPhysics.airTime = 0;
                 playerPhysics.groundedFrames = 1;
-                playerPhysics.lastGroundTime = Date.now() / 1000;
+                playerPhysics.lastGroundTime = physicsTimestep.time;
                 
                 // Stop velocity in gravity direction
                 const gravityDirection = worldState.gravityDirection.normalize();
@@ -1806,7 +1636,7 @@ function isPlayerInInvertedWorld() {
 function transitionToInvertedWorld() {
     if (invertedWorld.transitionInProgress) return;
     
-    const now = Date.now();
+    const now = physicsTimestep.time * 1000;
     if (now - invertedWorld.lastTransitionTime < invertedWorld.transitionCooldown) {
         return;
     }
@@ -1869,16 +1699,16 @@ function transitionToInvertedWorld() {
     createGravityTransitionEffect();
     
     // End transition
-    setTimeout(() => {
+    stepTimers.after(1000, () => {
         invertedWorld.transitionInProgress = false;
-    }, 1000);
+    });
 }
 
 // Transition player back to normal world
 function transitionToNormalWorld() {
     if (invertedWorld.transitionInProgress) return;
     
-    const now = Date.now();
+    const now = physicsTimestep.time * 1000;
     if (now - invertedWorld.lastTransitionTime < invertedWorld.transitionCooldown) {
         return;
     }
@@ -1939,9 +1769,9 @@ function transitionToNormalWorld() {
     createGravityTransitionEffect();
     
     // End transition
-    setTimeout(() => {
+    stepTimers.after(1000, () => {
         invertedWorld.transitionInProgress = false;
-    }, 1000);
+    });
 }
 
 // Create visual effects for world transition
@@ -2136,81 +1966,7 @@ function validateInvertedWorldSystem() {
     return true;
 }
 
-// Test inverted world transitions
-function testInvertedWorldTransitions() {
-    console.log('🧪 TESTING INVERTED WORLD TRANSITIONS...');
-    
-    const originalPosition = playerPhysics.position.clone();
-    const originalWorld = invertedWorld.isActive;
-    
-    console.log(`🏁 Starting state: ${originalWorld ? 'Inverted' : 'Normal'} world`);
-    console.log(`🏁 Player position: [${originalPosition.x.toFixed(2)}, ${originalPosition.y.toFixed(2)}, ${originalPosition.z.toFixed(2)}]`);
-    
-    // Test transition to opposite world
-    if (originalWorld) {
-        console.log('🧪 Testing transition to Normal world...');
-        transitionToNormalWorld();
-    } else {
-        console.log('🧪 Testing transition to Inverted world...');
-        transitionToInvertedWorld();
-    }
-    
-    // Wait for transition to complete, then validate
-    setTimeout(() => {
-        const newPosition = playerPhysics.position.clone();
-        const newWorld = invertedWorld.isActive;
-        
-        console.log(`🏁 New state: ${newWorld ? 'Inverted' : 'Normal'} world`);
-        console.log(`🏁 Player position: [${newPosition.x.toFixed(2)}, ${newPosition.y.toFixed(2)}, ${newPosition.z.toFixed(2)}]`);
-        
-        if (newWorld !== originalWorld) {
-            console.log('✅ World transition successful!');
-        } else {
-            console.log('❌ World transition failed!');
-        }
-        
-        // Test transition back after cooldown
-        setTimeout(() => {
-            console.log('🧪 Testing transition back...');
-            if (newWorld) {
-                transitionToNormalWorld();
-            } else {
-                transitionToInvertedWorld();
-            }
-        }, invertedWorld.transitionCooldown + 100);
-        
-    }, 1100); // Wait for transition to complete
-    
-    console.log('✅ INVERTED WORLD TRANSITION TEST INITIATED');
-}
 
-// Test inverted world fall detection
-function testInvertedWorldFallDetection() {
-    console.log('🧪 TESTING INVERTED WORLD FALL DETECTION...');
-    
-    const originalPosition = playerPhysics.position.clone();
-    
-    // Force player to fall threshold
-    if (invertedWorld.isActive) {
-        // In inverted world, move above threshold
-        playerPhysics.position.y = invertedWorld.mirrorOffset + Math.abs(fallDetection.fallThreshold) + 1;
-        console.log('🧪 Moved player above inverted world threshold');
-    } else {
-        // In normal world, move below threshold
-        playerPhysics.position.y = fallDetection.fallThreshold - 1;
-        console.log('🧪 Moved player below normal world threshold');
-    }
-    
-    player.position.copy(playerPhysics.position);
-    
-    console.log(`🧪 Player positioned at Y: ${playerPhysics.position.y.toFixed(2)}`);
-    console.log(`🧪 Fall threshold: ${fallDetection.fallThreshold}`);
-    
-    // Manually trigger fall detection
-    checkFallDetection();
-    
-    console.log('✅ INVERTED WORLD FALL DETECTION TEST COMPLETE');
-}
 
 // Make inverted world functions globally accessible
 window.createInvertedWorldGeometry = createInvertedWorldGeometry;
@@ -2218,369 +1974,60 @@ window.transitionToInvertedWorld = transitionToInvertedWorld;
 window.transitionToNormalWorld = transitionToNormalWorld;
 window.toggleInvertedWorldVisibility = toggleInvertedWorldVisibility;
 window.validateInvertedWorldSystem = validateInvertedWorldSystem;
-window.testInvertedWorldTransitions = testInvertedWorldTransitions;
-window.testInvertedWorldFallDetection = testInvertedWorldFallDetection;
 
-// Comprehensive test function to verify all gameplay improvements
-function testGameplayImprovements() {
-    console.log('🧪 TESTING ALL GAMEPLAY IMPROVEMENTS...');
-    console.log('='.repeat(50));
-    
-    // Test 1: Smooth Rolling Physics
-    console.log('📋 Test 1: Smooth Rolling Physics');
-    const originalRollSpeed = playerPhysics.rollSpeed;
-    const originalRollAngle = playerPhysics.rollAngle;
-    
-    // Simulate movement to test rolling
-    playerPhysics.velocity.set(5, 0, 0); // Moving right
-    playerPhysics.isGrounded = true;
-    
-    // Test rolling animation
-    updateRollingAnimation();
-    
-    console.log(`   - Roll speed: ${playerPhysics.rollSpeed.toFixed(3)}`);
-    console.log(`   - Roll angle: ${playerPhysics.rollAngle.toFixed(3)}`);
-    console.log(`   - Rolling axis: [${playerPhysics.rollingAxis.x.toFixed(2)}, ${playerPhysics.rollingAxis.y.toFixed(2)}, ${playerPhysics.rollingAxis.z.toFixed(2)}]`);
+
+
+
+// Position stability enforcement system
+function enforcePositionStability() {
+    // Only enforce stability when grounded and not moving much
+    if (!playerPhysics.isGrounded) return;
     
-    if (playerPhysics.rollSpeed > 0) {
-        console.log('   ✅ Smooth rolling physics working correctly');
-    } else {
-        console.log('   ❌ Smooth rolling physics not working');
-    }
+    const horizontalSpeed = Math.sqrt(playerPhysics.velocity.x ** 2 + playerPhysics.velocity.z ** 2);
+    const verticalSpeed = Math.abs(playerPhysics.velocity.y);
     
-    // Reset for next test
-    playerPhysics.velocity.set(0, 0, 0);
-    playerPhysics.rollSpeed = originalRollSpeed;
-    playerPhysics.rollAngle = originalRollAngle;
-    
-    // Test 2: Spacebar-Only Jump
-    console.log('\n📋 Test 2: Spacebar-Only Jump');
-    const originalJumpState = playerPhysics.isJumping;
-    const originalGrounded = playerPhysics.isGrounded;
-    
-    // Set up for jump test
-    playerPhysics.isGrounded = true;
-    playerPhysics.canJump = true;
-    playerPhysics.groundDistance = 0.5;
-    playerPhysics.velocity.y = 0;
-    
-    // Test jump with spacebar
-    playerState.inputState.jump = true;
-    handleEnhancedJump(playerState.inputState, Date.now() / 1000);
-    
-    if (playerPhysics.isJumping && Math.abs(playerPhysics.velocity.y) > 0) {
-        console.log('   ✅ Spacebar jump working correctly');
-        console.log(`   - Jump velocity: ${playerPhysics.velocity.y.toFixed(2)}`);
+    // If player is mostly stationary, prevent any micro-movements
+    if (horizontalSpeed < 0.1 && verticalSpeed < 0.1) {
+        // Store the stable position
+        if (!playerPhysics.stablePosition) {
+            playerPhysics.stablePosition = playerPhysics.position.clone();
+        }
+        
+        // Check if position has changed significantly from stable position
+        const positionDrift = playerPhysics.position.distanceTo(playerPhysics.stablePosition);
+        
+        if (positionDrift > 0.02) { // Allow small movement tolerance
+            // Snap back to stable position
+            playerPhysics.position.copy(playerPhysics.stablePosition);
+            player.position.copy(playerPhysics.position);
+            
+            // Zero out any micro-velocities
+            if (Math.abs(playerPhysics.velocity.x) < 0.1) playerPhysics.velocity.x = 0;
+            if (Math.abs(playerPhysics.velocity.y) < 0.1) playerPhysics.velocity.y = 0;
+            if (Math.abs(playerPhysics.velocity.z) < 0.1) playerPhysics.velocity.z = 0;
+            
+            // Zero out any micro-accelerations
+            if (Math.abs(playerPhysics.acceleration.x) < 0.1) playerPhysics.acceleration.x = 0;
+            if (Math.abs(playerPhysics.acceleration.y) < 0.1) playerPhysics.acceleration.y = 0;
+            if (Math.abs(playerPhysics.acceleration.z) < 0.1) playerPhysics.acceleration.z = 0;
+        }
     } else {
-        console.log('   ❌ Spacebar jump not working');
+        // Clear stable position when moving
+        playerPhysics.stablePosition = null;
     }
+}
+
+// Emergency stability fix function
+function fixPhysicsStability() {
+    console.log('🔧 APPLYING EMERGENCY STABILITY FIX...');
     
-    // Reset jump state
-    playerState.inputState.jump = false;
-    playerPhysics.isJumping = originalJumpState;
-    playerPhysics.isGrounded = originalGrounded;
-    playerPhysics.velocity.y = 0;
-    
-    // Test 3: Anti-Bouncing System
-    console.log('\n📋 Test 3: Anti-Bouncing System');
-    const originalVelocityY = playerPhysics.velocity.y;
-    
-    // Set up for bouncing test
-    playerPhysics.isGrounded = true;
-    playerPhysics.isJumping = false;
-    playerPhysics.velocity.y = 0.5; // Simulate upward velocity when grounded
-    
-    console.log(`   - Before anti-bounce: velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    
-    // Apply anti-bouncing
-    preventVerticalVelocityAccumulation();
+    // Force player to be grounded if they're close to a surface
+    const rayOrigin = playerPhysics.position.clone();
+    const rayDirection = new THREE.Vector3(0, -1, 0);
+    const maxDistance = 2.0; // Check within 2 units below
     
-    console.log(`   - After anti-bounce: velocity.y = ${playerPhysics.velocity.y.toFixed(3)}`);
-    
-    if (Math.abs(playerPhysics.velocity.y) < 0.01) {
-        console.log('   ✅ Anti-bouncing system working correctly');
-    } else {
-        console.log('   ❌ Anti-bouncing system not working');
-    }
-    
-    // Reset velocity
-    playerPhysics.velocity.y = originalVelocityY;
-    
-    // Test 4: Fall Detection System
-    console.log('\n📋 Test 4: Fall Detection System');
-    const currentLevel = getCurrentLevelData();
-    const supportsInvertedWorld = levelSupportsInvertedWorld();
-    
-    console.log(`   - Current level: ${currentLevel ? currentLevel.name : 'Unknown'}`);
-    console.log(`   - Supports inverted world: ${supportsInvertedWorld}`);
-    console.log(`   - Fall threshold: ${invertedWorld.fallThreshold}`);
-    console.log(`   - Current world: ${invertedWorld.isActive ? 'Inverted' : 'Normal'}`);
-    
-    if (supportsInvertedWorld) {
-        console.log('   ✅ Level supports inverted world - falls will transition');
-    } else {
-        console.log('   ✅ Level does not support inverted world - falls will restart');
-    }
-    
-    // Test 5: Surface Contact System
-    console.log('\n📋 Test 5: Surface Contact System');
-    const originalPosition = playerPhysics.position.clone();
-    
-    // Set up for surface contact test
-    playerPhysics.isGrounded = true;
-    playerPhysics.position.y = 2.1; // Slightly above ground
-    
-    console.log(`   - Before surface contact: Y = ${playerPhysics.position.y.toFixed(3)}`);
-    
-    // Apply surface contact
-    ensureSurfaceContact();
-    
-    console.log(`   - After surface contact: Y = ${playerPhysics.position.y.toFixed(3)}`);
-    
-    if (Math.abs(playerPhysics.position.y - 2.1) < 0.05) {
-        console.log('   ✅ Surface contact system working correctly');
-    } else {
-        console.log('   ❌ Surface contact system not working optimally');
-    }
-    
-    // Reset position
-    playerPhysics.position.copy(originalPosition);
-    
-    // Test 6: Input System Verification
-    console.log('\n📋 Test 6: Input System Verification');
-    console.log(`   - Forward/Back: Arrow keys and WASD`);
-    console.log(`   - Left/Right: Arrow keys and WASD`);
-    console.log(`   - Jump: Spacebar ONLY`);
-    console.log(`   - Current input state:`, playerState.inputState);
-    console.log('   ✅ Input system configured for spacebar-only jumping');
-    
-    // Summary
-    console.log('\n' + '='.repeat(50));
-    console.log('🎮 GAMEPLAY IMPROVEMENTS SUMMARY:');
-    console.log('✅ Enhanced smooth rolling with momentum and surface response');
-    console.log('✅ Spacebar-only jumping with strict grounding requirements');
-    console.log('✅ Eliminated floating/bouncing when not jumping');
-    console.log('✅ Proper fall detection: restart levels OR transition to inverted world');
-    console.log('✅ Enhanced surface contact for stable grounding');
-    console.log('✅ Improved physics stability and responsiveness');
-    console.log('='.repeat(50));
-    
-    showMessage('🎮 All gameplay improvements tested successfully!', '#00ff00', 3000);
-}
-
-// Quick test function for rolling physics specifically
-function testRollingPhysics() {
-    console.log('🧪 TESTING ROLLING PHYSICS...');
-    
-    // Save original state
-    const originalVelocity = playerPhysics.velocity.clone();
-    const originalGrounded = playerPhysics.isGrounded;
-    
-    // Test rolling in different directions
-    const testDirections = [
-        { name: 'Forward', velocity: new THREE.Vector3(0, 0, 5) },
-        { name: 'Backward', velocity: new THREE.Vector3(0, 0, -5) },
-        { name: 'Right', velocity: new THREE.Vector3(5, 0, 0) },
-        { name: 'Left', velocity: new THREE.Vector3(-5, 0, 0) },
-        { name: 'Diagonal', velocity: new THREE.Vector3(3, 0, 3) }
-    ];
-    
-    playerPhysics.isGrounded = true;
-    
-    testDirections.forEach(test => {
-        console.log(`\n📋 Testing rolling: ${test.name}`);
-        playerPhysics.velocity.copy(test.velocity);
-        
-        updateRollingAnimation();
-        
-        console.log(`   - Velocity: [${test.velocity.x}, ${test.velocity.y}, ${test.velocity.z}]`);
-        console.log(`   - Roll speed: ${playerPhysics.rollSpeed.toFixed(3)}`);
-        console.log(`   - Roll axis: [${playerPhysics.rollingAxis.x.toFixed(2)}, ${playerPhysics.rollingAxis.y.toFixed(2)}, ${playerPhysics.rollingAxis.z.toFixed(2)}]`);
-        
-        if (playerPhysics.rollSpeed > 0) {
-            console.log(`   ✅ Rolling correctly for ${test.name}`);
-        } else {
-            console.log(`   ❌ Rolling not working for ${test.name}`);
-        }
-    });
-    
-    // Restore original state
-    playerPhysics.velocity.copy(originalVelocity);
-    playerPhysics.isGrounded = originalGrounded;
-    
-    console.log('\n✅ Rolling physics test complete');
-}
-
-// Physics stability test function
-function testPhysicsStability() {
-    console.log('🔍 TESTING PHYSICS STABILITY...');
-    console.log('='.repeat(50));
-    
-    // Test 1: Check surface count stability
-    console.log('📋 Test 1: Surface Count Stability');
-    const initialSurfaceCount = physicsWorld.surfaces.length;
-    console.log(`   - Initial surfaces: ${initialSurfaceCount}`);
-    
-    // Run validation a few times to check if surfaces keep getting added
-    for (let i = 0; i < 3; i++) {
-        const added = validatePhysicsSurfaces();
-        console.log(`   - Validation ${i + 1}: Added ${added} surfaces`);
-    }
-    
-    const finalSurfaceCount = physicsWorld.surfaces.length;
-    console.log(`   - Final surfaces: ${finalSurfaceCount}`);
-    
-    if (finalSurfaceCount === initialSurfaceCount) {
-        console.log('   ✅ Surface count is stable');
-    } else {
-        console.log('   ⚠️  Surface count changed - may cause vibration');
-    }
-    
-    // Test 2: Check player position stability when stationary
-    console.log('\n📋 Test 2: Player Position Stability');
-    const originalPosition = playerPhysics.position.clone();
-    const originalVelocity = playerPhysics.velocity.clone();
-    
-    // Set player to be stationary and grounded
-    playerPhysics.velocity.set(0, 0, 0);
-    playerPhysics.isGrounded = true;
-    playerPhysics.isJumping = false;
-    
-    const positionsBefore = [];
-    const positionsAfter = [];
-    
-    // Record positions before physics updates
-    for (let i = 0; i < 5; i++) {
-        positionsBefore.push(playerPhysics.position.y);
-        
-        // Apply physics systems
-        ensureSurfaceContact();
-        preventVerticalVelocityAccumulation();
-        
-        positionsAfter.push(playerPhysics.position.y);
-    }
-    
-    // Check if position is stable
-    const positionVariance = positionsAfter.reduce((acc, pos, i) => {
-        return acc + Math.abs(pos - positionsBefore[i]);
-    }, 0) / positionsAfter.length;
-    
-    console.log(`   - Average position variance: ${positionVariance.toFixed(6)}`);
-    
-    if (positionVariance < 0.001) {
-        console.log('   ✅ Position is stable when stationary');
-    } else {
-        console.log('   ⚠️  Position is unstable - may cause vibration');
-    }
-    
-    // Restore original state
-    playerPhysics.position.copy(originalPosition);
-    playerPhysics.velocity.copy(originalVelocity);
-    
-    // Test 3: Check velocity stability
-    console.log('\n📋 Test 3: Velocity Stability');
-    playerPhysics.velocity.set(0, 0.01, 0); // Small upward velocity
-    playerPhysics.isGrounded = true;
-    playerPhysics.isJumping = false;
-    
-    console.log(`   - Before anti-bounce: velocity.y = ${playerPhysics.velocity.y.toFixed(4)}`);
-    
-    preventVerticalVelocityAccumulation();
-    
-    console.log(`   - After anti-bounce: velocity.y = ${playerPhysics.velocity.y.toFixed(4)}`);
-    
-    if (Math.abs(playerPhysics.velocity.y) < 0.05) {
-        console.log('   ✅ Velocity is properly controlled');
-    } else {
-        console.log('   ⚠️  Velocity is not properly controlled');
-    }
-    
-    // Test 4: Check grounding detection stability
-    console.log('\n📋 Test 4: Grounding Detection Stability');
-    const groundingResults = [];
-    
-    for (let i = 0; i < 5; i++) {
-        checkGroundCollision();
-        groundingResults.push(playerPhysics.isGrounded);
-    }
-    
-    const groundingConsistent = groundingResults.every(result => result === groundingResults[0]);
-    
-    console.log(`   - Grounding results: [${groundingResults.join(', ')}]`);
-    
-    if (groundingConsistent) {
-        console.log('   ✅ Grounding detection is consistent');
-    } else {
-        console.log('   ⚠️  Grounding detection is inconsistent');
-    }
-    
-    // Restore original state
-    playerPhysics.position.copy(originalPosition);
-    playerPhysics.velocity.copy(originalVelocity);
-    
-    // Summary
-    console.log('\n' + '='.repeat(50));
-    console.log('🔧 PHYSICS STABILITY SUMMARY:');
-    console.log('✅ Reduced surface validation frequency');
-    console.log('✅ Gentler surface contact system');
-    console.log('✅ More forgiving anti-bouncing tolerances');
-    console.log('✅ Improved ground positioning to prevent sticking');
-    console.log('✅ Optimized physics calculations for stationary states');
-    console.log('='.repeat(50));
-    
-    showMessage('🔧 Physics stability test completed!', '#00ffff', 3000);
-}
-
-// Position stability enforcement system
-function enforcePositionStability() {
-    // Only enforce stability when grounded and not moving much
-    if (!playerPhysics.isGrounded) return;
-    
-    const horizontalSpeed = Math.sqrt(playerPhysics.velocity.x ** 2 + playerPhysics.velocity.z ** 2);
-    const verticalSpeed = Math.abs(playerPhysics.velocity.y);
-    
-    // If player is mostly stationary, prevent any micro-movements
-    if (horizontalSpeed < 0.1 && verticalSpeed < 0.1) {
-        // Store the stable position
-        if (!playerPhysics.stablePosition) {
-            playerPhysics.stablePosition = playerPhysics.position.clone();
-        }
-        
-        // Check if position has changed significantly from stable position
-        const positionDrift = playerPhysics.position.distanceTo(playerPhysics.stablePosition);
-        
-        if (positionDrift > 0.02) { // Allow small movement tolerance
-            // Snap back to stable position
-            playerPhysics.position.copy(playerPhysics.stablePosition);
-            player.position.copy(playerPhysics.position);
-            
-            // Zero out any micro-velocities
-            if (Math.abs(playerPhysics.velocity.x) < 0.1) playerPhysics.velocity.x = 0;
-            if (Math.abs(playerPhysics.velocity.y) < 0.1) playerPhysics.velocity.y = 0;
-            if (Math.abs(playerPhysics.velocity.z) < 0.1) playerPhysics.velocity.z = 0;
-            
-            // Zero out any micro-accelerations
-            if (Math.abs(playerPhysics.acceleration.x) < 0.1) playerPhysics.acceleration.x = 0;
-            if (Math.abs(playerPhysics.acceleration.y) < 0.1) playerPhysics.acceleration.y = 0;
-            if (Math.abs(playerPhysics.acceleration.z) < 0.1) playerPhysics.acceleration.z = 0;
-        }
-    } else {
-        // Clear stable position when moving
-        playerPhysics.stablePosition = null;
-    }
-}
-
-// Emergency stability fix function
-function fixPhysicsStability() {
-    console.log('🔧 APPLYING EMERGENCY STABILITY FIX...');
-    
-    // Force player to be grounded if they're close to a surface
-    const rayOrigin = playerPhysics.position.clone();
-    const rayDirection = new THREE.Vector3(0, -1, 0);
-    const maxDistance = 2.0; // Check within 2 units below
-    
-    physicsWorld.raycaster.set(rayOrigin, rayDirection);
-    const intersects = physicsWorld.raycaster.intersectObjects(physicsWorld.surfaces, false);
+    physicsWorld.raycaster.set(rayOrigin, rayDirection);
+    const intersects = physicsWorld.raycaster.intersectObjects(physicsWorld.surfaces, false);
     
     if (intersects.length > 0) {
         const intersection = intersects[0];
@@ -2605,123 +2052,25 @@ function fixPhysicsStability() {
     }
 }
 
-// Test for stability issues
-function testStabilityIssues() {
-    console.log('🔍 TESTING FOR STABILITY ISSUES...');
-    
-    // Test 1: Check for excessive velocity
-    const totalVelocity = Math.sqrt(
-        playerPhysics.velocity.x ** 2 + 
-        playerPhysics.velocity.y ** 2 + 
-        playerPhysics.velocity.z ** 2
-    );
-    
-    console.log(`📊 Total velocity: ${totalVelocity.toFixed(4)}`);
-    
-    if (totalVelocity > 0.1 && playerPhysics.isGrounded) {
-        console.log('⚠️  Excessive velocity detected for grounded player');
-    }
-    
-    // Test 2: Check for position oscillation
-    const positions = [];
-    for (let i = 0; i < 10; i++) {
-        positions.push(playerPhysics.position.y);
-        // Simulate a few physics updates
-        preventVerticalVelocityAccumulation();
-    }
-    
-    const maxY = Math.max(...positions);
-    const minY = Math.min(...positions);
-    const oscillation = maxY - minY;
-    
-    console.log(`📊 Position oscillation: ${oscillation.toFixed(6)}`);
-    
-    if (oscillation > 0.01) {
-        console.log('⚠️  Position oscillation detected');
-        fixPhysicsStability();
-    }
-    
-    // Test 3: Check grounding consistency
-    const groundingTests = [];
-    for (let i = 0; i < 5; i++) {
-        checkGroundCollision();
-        groundingTests.push(playerPhysics.isGrounded);
-    }
-    
-    const consistentGrounding = groundingTests.every(test => test === groundingTests[0]);
-    console.log(`📊 Grounding consistency: ${consistentGrounding ? 'PASS' : 'FAIL'}`);
-    
-    if (!consistentGrounding) {
-        console.log('⚠️  Grounding inconsistency detected');
-        fixPhysicsStability();
-    }
-}
 
-// Make test functions globally accessible
-window.testGameplayImprovements = testGameplayImprovements;
-window.testRollingPhysics = testRollingPhysics;
-window.testPhysicsStability = testPhysicsStability;
+// Make stability tools globally accessible
 window.fixPhysicsStability = fixPhysicsStability;
-window.testStabilityIssues = testStabilityIssues;
 
-// Enhanced jump handling - SPACEBAR-ONLY, GROUNDED-ONLY jumping for realistic physics
-// NOTE: This function is completely camera-independent and works identically in all camera modes
-function handleEnhancedJump(inputState, currentTime) {
-    // Jump buffering - register jump intent ONLY from spacebar input
-    if (inputState.jump && !playerPhysics.jumpRequested) {
-        playerPhysics.jumpBufferTimer = PHYSICS_CONFIG.jumpBufferTime;
-        playerPhysics.jumpRequested = true;
-    }
-    
-    // Clear jump request when spacebar is released
-    if (!inputState.jump) {
-        playerPhysics.jumpRequested = false;
-    }
-    
-    // Execute jump ONLY when grounded (strict grounding requirement)
-    const hasJumpBuffer = playerPhysics.jumpBufferTimer > 0;
-    const isProperlyGrounded = playerPhysics.isGrounded && 
-                               playerPhysics.canJump && 
-                               playerPhysics.groundDistance <= (PHYSICS_CONFIG.playerRadius + PHYSICS_CONFIG.surfaceSnapDistance);
-    
-    if (hasJumpBuffer && isProperlyGrounded && !playerPhysics.isJumping) {
-        // Stricter safety check: ensure ball isn't already moving upward at all
-        const isNotAlreadyJumping = Math.abs(playerPhysics.velocity.y) < 0.5;
-        
-        if (isNotAlreadyJumping) {
-            // Execute jump - force always applied in world Y direction
-            const jumpForce = PHYSICS_CONFIG.jumpForce * (invertedWorld.isActive ? -1 : 1);
-            playerPhysics.velocity.y = jumpForce;
-            playerPhysics.isJumping = true;
-            playerPhysics.jumpStartTime = currentTime;
-            playerPhysics.jumpBufferTimer = 0;
-            playerPhysics.coyoteTimer = 0;
-            playerPhysics.canJump = false;
-            playerPhysics.isGrounded = false;
-            
-            // Preserve some horizontal momentum (camera-independent calculation)
-            const horizontalSpeed = Math.sqrt(playerPhysics.velocity.x ** 2 + playerPhysics.velocity.z ** 2);
-            if (horizontalSpeed > 0.1) {
-                const momentumBonus = horizontalSpeed * PHYSICS_CONFIG.momentumPreservation;
-                const momentumDirection = invertedWorld.isActive ? -1 : 1;
-                playerPhysics.velocity.y += momentumBonus * 0.3 * momentumDirection;
-            }
-            
-            soundManager.play('jump');
-            
-            // Debug logging for jump validation
-            if (physicsWorld.debugMode) {
-                console.log(`🚀 SPACEBAR JUMP executed - Ground distance: ${playerPhysics.groundDistance.toFixed(3)}, Jump force: ${jumpForce.toFixed(2)}`);
-            }
-        } else {
-            // Clear jump buffer if conditions aren't met
-            playerPhysics.jumpBufferTimer = 0;
-            
-            if (physicsWorld.debugMode) {
-                console.log(`⚠️ SPACEBAR JUMP blocked - already moving vertically (${playerPhysics.velocity.y.toFixed(2)})`);
-            }
+// Sound, messages and debug output for what handleJump did this step
+function handleJumpResult(jump, currentTime) {
+    if (jump === 'jumped') {
+        playerPhysics.jumpStartTime = currentTime;
+        soundManager.play('jump');
+        
+        // Debug logging for jump validation
+        if (physicsWorld.debugMode) {
+            console.log(`🚀 SPACEBAR JUMP executed - Ground distance: ${playerPhysics.groundDistance.toFixed(3)}, Jump velocity: ${playerPhysics.velocity.y.toFixed(2)}`);
+        }
+    } else if (jump === 'blocked') {
+        if (physicsWorld.debugMode) {
+            console.log(`⚠️ SPACEBAR JUMP blocked - already moving vertically (${playerPhysics.velocity.y.toFixed(2)})`);
         }
-    } else if (hasJumpBuffer && !isProperlyGrounded) {
+    } else if (jump === 'notGrounded') {
         // Provide feedback when trying to jump while not grounded
         if (physicsWorld.debugMode) {
             console.log(`⚠️ SPACEBAR JUMP blocked - not properly grounded (isGrounded: ${playerPhysics.isGrounded}, canJump: ${playerPhysics.canJump}, groundDistance: ${playerPhysics.groundDistance.toFixed(3)})`);
@@ -2734,80 +2083,14 @@ function handleEnhancedJump(inputState, currentTime) {
             playerPhysics.lastJumpFailMessage = currentTime;
         }
     }
-    
-    // Additional safety: Reset jumping flag when grounded (redundant check for edge cases)
-    if (playerPhysics.isGrounded && playerPhysics.isJumping) {
-        playerPhysics.isJumping = false;
-        
-        // Extra safety: ensure vertical velocity is zeroed if somehow still present
-        const velocityTolerance = 0.05; // Tighter tolerance
-        const shouldClamp = invertedWorld.isActive ? 
-            playerPhysics.velocity.y > velocityTolerance : 
-            playerPhysics.velocity.y < -velocityTolerance;
-        
-        if (shouldClamp) {
-            playerPhysics.velocity.y = 0;
-        }
-        
-        if (physicsWorld.debugMode) {
-            console.log(`🛬 Jump landing detected - resetting jump state`);
-        }
-    }
 }
 
 // Apply variable gravity for better jump feel
 // NOTE: This function is completely camera-independent and works identically in all camera modes
 function applyVariableGravity(deltaTime) {
-    let gravityMultiplier = 1.0;
-    
-    // Fast fall when moving downward (camera-independent velocity check)
-    if (playerPhysics.velocity.y < 0) {
-        gravityMultiplier = PHYSICS_CONFIG.fallMultiplier;
-    }
-    // Lower gravity for short jumps (when jump button is released early)
-    else if (playerPhysics.velocity.y > 0 && !playerState.inputState.jump && playerPhysics.isJumping) {
-        gravityMultiplier = PHYSICS_CONFIG.lowJumpMultiplier;
-    }
-    
-    // Apply gravity with multiplier (always uses world space gravity direction)
-    const gravity = physicsWorld.gravity.clone().multiplyScalar(gravityMultiplier);
-    playerPhysics.acceleration.copy(gravity);
-}
-
-// Enhanced friction system for realistic rolling physics
-function applyEnhancedFriction() {
-    if (playerPhysics.isGrounded) {
-        // Ground friction with momentum preservation
-        const horizontalSpeed = Math.sqrt(playerPhysics.velocity.x ** 2 + playerPhysics.velocity.z ** 2);
-        
-        if (horizontalSpeed > PHYSICS_CONFIG.precisionThreshold) {
-            // Apply ground friction (slightly reduced for better rolling feel)
-            const adjustedGroundFriction = PHYSICS_CONFIG.groundFriction * 0.98;
-            playerPhysics.velocity.x *= adjustedGroundFriction;
-            playerPhysics.velocity.z *= adjustedGroundFriction;
-            
-            // Apply rolling friction (realistic ball rolling resistance)
-            const rollingResistance = PHYSICS_CONFIG.rollingFriction * horizontalSpeed;
-            const frictionForce = Math.min(rollingResistance, horizontalSpeed * 0.08);
-            const frictionDirection = new THREE.Vector3(playerPhysics.velocity.x, 0, playerPhysics.velocity.z).normalize();
-            playerPhysics.velocity.x -= frictionDirection.x * frictionForce;
-            playerPhysics.velocity.z -= frictionDirection.z * frictionForce;
-            
-            // Add slight surface adhesion to prevent floating
-            const adhesionForce = 0.5;
-            if (playerPhysics.velocity.y > -0.1 && playerPhysics.velocity.y < 0.1) {
-                playerPhysics.velocity.y -= adhesionForce;
-            }
-        } else {
-            // Gradual stop for precision (more realistic than instant stop)
-            playerPhysics.velocity.x *= 0.85;
-            playerPhysics.velocity.z *= 0.85;
-        }
-    } else {
-        // Air friction - very light to preserve momentum
-        playerPhysics.velocity.x *= PHYSICS_CONFIG.airFriction;
-        playerPhysics.velocity.z *= PHYSICS_CONFIG.airFriction;
-    }
+    // Always uses the world space gravity direction
+    const gravityMultiplier = getGravityMultiplier(playerPhysics, playerState.inputState.jump, PHYSICS_CONFIG);
+    playerPhysics.acceleration.copy(physicsWorld.gravity).multiplyScalar(gravityMultiplier);
 }
 
 // Update movement state for better tracking
@@ -2878,33 +2161,6 @@ function validatePhysicsConsistency() {
     }
 }
 
-// Debug function to test physics consistency across camera modes
-function testPhysicsConsistency() {
-    console.log('🧪 Testing physics consistency across camera modes...');
-    
-    const originalMode = cameraSystem.currentMode;
-    
-    // Test in chase mode
-    cameraSystem.currentMode = 'chase';
-    console.log('Testing in chase mode:');
-    const chaseValid = validatePhysicsConsistency();
-    
-    // Test in isometric mode
-    cameraSystem.currentMode = 'isometric';
-    console.log('Testing in isometric mode:');
-    const isometricValid = validatePhysicsConsistency();
-    
-    // Restore original mode
-    cameraSystem.currentMode = originalMode;
-    
-    if (chaseValid && isometricValid) {
-        console.log('✅ Physics consistency test passed - both camera modes work correctly');
-    } else {
-        console.warn('❌ Physics consistency test failed - camera mode interference detected');
-    }
-    
-    return chaseValid && isometricValid;
-}
 
 
 
@@ -2954,8 +2210,12 @@ function createKulaWorldTestLevel() {
 
 
 
+// Game server (Socket.io and the modular level API)
+const SERVER_URL = 'http://localhost:3001';
+const LEVEL_API_URL = `${SERVER_URL}/api/levels`;
+
 // Socket.io connection
-const socket = io('http://localhost:3001', {
+const socket = io(SERVER_URL, {
     autoConnect: false // Don't auto-connect, we'll connect manually
 });
 
@@ -3085,31 +2345,12 @@ function createCoin(gridX, gridZ) {
     return coin;
 }
 
-// Function to spawn coins randomly on the grid
-function spawnCoins(count = 15) {
+// Function to spawn coins on the tiles of a generated layout ([{ x, z }])
+function spawnCoins(positions) {
     // Clear existing coins
     clearAllCoins();
     
-    const occupiedPositions = new Set();
-    // Don't spawn coin at player starting position
-    occupiedPositions.add(`${playerState.gridX},${playerState.gridZ}`);
-    
-    for (let i = 0; i < count; i++) {
-        let gridX, gridZ;
-        let attempts = 0;
-        
-        // Find an unoccupied position
-        do {
-            gridX = Math.floor(Math.random() * gridSize);
-            gridZ = Math.floor(Math.random() * gridSize);
-            attempts++;
-        } while (occupiedPositions.has(`${gridX},${gridZ}`) && attempts < 100);
-        
-        if (attempts < 100) {
-            occupiedPositions.add(`${gridX},${gridZ}`);
-            createCoin(gridX, gridZ);
-        }
-    }
+    positions.forEach(position => createCoin(position.x, position.z));
     
     gameScore.totalCoins = coins.length;
     updateScoreDisplay();
@@ -3133,6 +2374,9 @@ function collectCoin(coin) {
                 itemType: 'coin',
                 itemId: coin.userData.id
             });
+            
+            // Keep the coin until the server confirms, so a rejected pickup can be rolled back
+            multiplayerState.pendingCollections[coin.userData.id] = { itemType: 'coin', object: coin };
         }
         
         // Remove from scene
@@ -3159,9 +2403,9 @@ function collectCoin(coin) {
         
         // Check for level completion in single player mode
         if (gameMode.isSinglePlayer && gameScore.coins >= gameScore.requiredCoins && gameScore.hasKey) {
-            setTimeout(() => {
+            stepTimers.after(1000, () => {
                 checkForAutoLevelCompletion();
-            }, 1000);
+            });
         }
     }
 }
@@ -3236,14 +2480,16 @@ function showAllCoinsCollectedMessage() {
 
 // Function to update score display
 function updateScoreDisplay(options = {}) {
+    const hud = getHudState(gameScore, {
+        isSinglePlayer: gameMode.isSinglePlayer,
+        levelName: useJsonLevels && jsonLevels[currentJsonLevelIndex] ? jsonLevels[currentJsonLevelIndex].name : null
+    });
+    
     // Update level name
     const levelNameElement = document.getElementById('level-name');
     if (levelNameElement) {
         const oldLevelName = levelNameElement.textContent;
-        let levelName = `Level ${gameScore.currentLevel}`;
-        if (useJsonLevels && jsonLevels[currentJsonLevelIndex]) {
-            levelName = jsonLevels[currentJsonLevelIndex].name;
-        }
+        const levelName = hud.levelName;
         
         if (oldLevelName !== levelName) {
             levelNameElement.textContent = levelName;
@@ -3257,7 +2503,7 @@ function updateScoreDisplay(options = {}) {
     const scoreElement = document.getElementById('score-count');
     if (scoreElement) {
         const oldScore = parseInt(scoreElement.textContent.replace(/,/g, '')) || 0;
-        const newScore = gameScore.totalScore;
+        const newScore = hud.score;
         
         if (newScore !== oldScore) {
             if (options.animateScore !== false && newScore > oldScore) {
@@ -3273,7 +2519,7 @@ function updateScoreDisplay(options = {}) {
     const livesElement = document.getElementById('lives-count');
     if (livesElement) {
         const oldLives = parseInt(livesElement.textContent) || 0;
-        const newLives = gameScore.lives;
+        const newLives = hud.lives;
         
         if (newLives !== oldLives) {
             livesElement.textContent = newLives;
@@ -3284,27 +2530,19 @@ function updateScoreDisplay(options = {}) {
         }
         
         // Add visual feedback for low lives
-        if (gameScore.lives <= 1) {
-            livesElement.style.color = '#ff0000';
-            livesElement.style.animation = 'glow 1s infinite';
-        } else if (gameScore.lives <= 2) {
-            livesElement.style.color = '#ff6600';
-            livesElement.style.animation = 'none';
-        } else {
-            livesElement.style.color = '#ff4444';
-            livesElement.style.animation = 'none';
-        }
+        livesElement.style.color = hud.livesColor;
+        livesElement.style.animation = hud.livesAnimation;
     }
     
     // Update coins with animation
     const coinsCountElement = document.getElementById('coins-count');
     const coinsTotalElement = document.getElementById('coins-total');
     
-    if (gameMode.isSinglePlayer && gameScore.requiredCoins > 0) {
+    if (hud.showsRequiredCoins) {
         // Single player mode: show "Coins: X / Y" format
         if (coinsCountElement) {
             const oldValue = parseInt(coinsCountElement.textContent) || 0;
-            const newValue = gameScore.coins;
+            const newValue = hud.coins;
             
             if (newValue !== oldValue) {
                 if (options.animateCoins !== false && newValue > oldValue) {
@@ -3317,13 +2555,13 @@ function updateScoreDisplay(options = {}) {
         }
         
         if (coinsTotalElement) {
-            coinsTotalElement.textContent = gameScore.requiredCoins;
+            coinsTotalElement.textContent = hud.coinsTotal;
         }
     } else {
         // Multiplayer mode: show traditional format
         if (coinsCountElement) {
             const oldValue = parseInt(coinsCountElement.textContent) || 0;
-            const newValue = gameScore.coins;
+            const newValue = hud.coins;
             
             if (newValue !== oldValue) {
                 if (options.animateCoins !== false && newValue > oldValue) {
@@ -3337,7 +2575,7 @@ function updateScoreDisplay(options = {}) {
         
         if (coinsTotalElement) {
             const oldTotal = parseInt(coinsTotalElement.textContent) || 0;
-            const newTotal = gameScore.totalCoins;
+            const newTotal = hud.coinsTotal;
             
             if (newTotal !== oldTotal) {
                 if (options.animateCoins !== false) {
@@ -3353,20 +2591,15 @@ function updateScoreDisplay(options = {}) {
     const keyStatusElement = document.getElementById('key-status');
     if (keyStatusElement) {
         const oldKeyStatus = keyStatusElement.textContent;
-        const newKeyStatus = gameScore.hasKey ? '✔' : '✗';
+        const newKeyStatus = hud.keyStatus;
         
         if (oldKeyStatus !== newKeyStatus) {
             keyStatusElement.textContent = newKeyStatus;
+            keyStatusElement.classList.toggle('has-key', hud.hasKey);
+            keyStatusElement.style.color = hud.keyColor;
             
-            if (gameScore.hasKey) {
-                keyStatusElement.classList.add('has-key');
-                keyStatusElement.style.color = '#00ff00';
-                if (options.animateKey !== false) {
-                    animateKeyCollection();
-                }
-            } else {
-                keyStatusElement.classList.remove('has-key');
-                keyStatusElement.style.color = '#ff4444';
+            if (hud.hasKey && options.animateKey !== false) {
+                animateKeyCollection();
             }
         }
     } else {
@@ -3376,7 +2609,7 @@ function updateScoreDisplay(options = {}) {
 
 // Function to animate coins (floating effect)
 function animateCoins() {
-    const time = Date.now() * 0.001;
+    const time = physicsTimestep.time;
     coins.forEach(coin => {
         if (coin.userData) {
             const floatHeight = getConfigValue('visual.coinFloatHeight', 0.1);
@@ -3395,6 +2628,11 @@ function checkCoinCollection() {
     for (let i = coins.length - 1; i >= 0; i--) {
         const coin = coins[i];
         
+        // Skip coins that were just restored after a rejected pickup
+        if (coin.userData.collectBlockedUntil && Date.now() < coin.userData.collectBlockedUntil) {
+            continue;
+        }
+        
         // Use both visual player position and physics position for collection
         const visualDistance = playerPos.distanceTo(coin.position);
         const physicsDistance = playerPhysics.position.distanceTo(coin.position);
@@ -3440,11 +2678,11 @@ const holes = [];
 
 // Underworld System
 const underworldState = {
-    isInUnderworld: false,
-    overworldPosition: null,
-    underworldObjects: [],
-    underworldExits: [],
-    currentLevel: null
+    layers: [],               // The level's layers from the surface down (getLevelLayers)
+    depth: 0,                 // Layer being played: 0 is the surface
+    layerItemIds: [],         // Coins and key built for that layer
+    collectedItems: new Set(), // Coins and keys collected on any layer of the level
+    underworldExits: []
 };
 
 // 3D Level System
@@ -3509,97 +2747,6 @@ function updateInvertedWorldConfig() {
     console.log(`   - Inverted gravity: ${invertedWorld.invertedGravity.y}`);
 }
 
-// Level constructor system
-class LevelConstructor {
-    constructor(name, gridSize = 20) {
-        this.name = name;
-        this.gridSize = gridSize;
-        this.platforms = [];
-        this.objects = [];
-        this.gravityPlanes = [];
-        this.safeSpawnPoints = [];
-        this.playerStart = { x: 0, y: 2, z: 0 };
-        this.bounds = {
-            minX: -50, maxX: 50,
-            minY: -30, maxY: 30,
-            minZ: -50, maxZ: 50
-        };
-    }
-
-    // Add a platform to the level
-    addPlatform(type, position, size, options = {}) {
-        const platform = {
-            type: type,
-            position: position,
-            size: size,
-            material: options.material || 'stone',
-            surfaces: options.surfaces || ['top'],
-            ...options
-        };
-        this.platforms.push(platform);
-        return this;
-    }
-
-    // Add an object to the level
-    addObject(type, position, options = {}) {
-        const object = {
-            type: type,
-            position: position,
-            ...options
-        };
-        this.objects.push(object);
-        return this;
-    }
-
-    // Add a gravity plane
-    addGravityPlane(position, normal, strength = 1.0, radius = 10) {
-        this.gravityPlanes.push({
-            position: position,
-            normal: normal,
-            strength: strength,
-            radius: radius
-        });
-        return this;
-    }
-
-    // Add a safe spawn point
-    addSafeSpawnPoint(position, name = '') {
-        this.safeSpawnPoints.push({
-            position: position,
-            name: name,
-            id: `spawn_${this.safeSpawnPoints.length}`
-        });
-        return this;
-    }
-
-    // Set player start position
-    setPlayerStart(position) {
-        this.playerStart = position;
-        return this;
-    }
-
-    // Set level bounds
-    setBounds(bounds) {
-        this.bounds = { ...this.bounds, ...bounds };
-        return this;
-    }
-
-    // Generate the level JSON
-    toJSON() {
-        return {
-            name: this.name,
-            gridSize: this.gridSize,
-            use3D: true,
-            playerStart: this.playerStart,
-            platforms: this.platforms,
-            objects: this.objects,
-            gravityPlanes: this.gravityPlanes,
-            safeSpawnPoints: this.safeSpawnPoints,
-            bounds: this.bounds
-        };
-    }
-}
-
 // Moving Obstacle System
 const movingObstacles = [];
 
@@ -3614,36 +2761,29 @@ let currentLevelIndex = 0; // Global level index for consistent tracking
 let useJsonLevels = false;
 let levelDataLoaded = false;
 
-// JSON Level Schema Documentation
-const levelSchema = {
-    // Level structure:
-    // {
-    //     "name": "Level Name",
-    //     "number": 1,
-    //     "gridSize": 10,
-    //     "playerStart": { "x": 5, "z": 5 },
-    //     "tiles": "auto", // "auto" for checkerboard or 2D array of tile types
-    //     "tileTypes": [
-    //         ["normal", "normal", "broken", "obstacle"],
-    //         ["normal", "goal", "normal", "normal"],
-    //         // ... more rows
-    //     ],
-    //     "objects": [
-    //         { "type": "coin", "x": 3, "z": 3 },
-    //         { "type": "key", "x": 7, "z": 7 },
-    //         { "type": "spikeTrap", "x": 4, "z": 6 },
-    //         { "type": "teleporter", "x": 2, "z": 2, "pairId": 1, "destination": { "x": 8, "z": 8 } },
-    //         { "type": "bouncingPlatform", "x": 5, "z": 3 }
-    //     ]
-    // }
-    // 
-    // Tile Types:
-    // - "normal": Standard walkable tile
-    // - "broken": Tile that breaks when stepped on, causing player to fall and respawn
-    // - "obstacle": Blocks movement completely
-    // - "goal": Triggers level completion when reached (requires key if present)
+// Random level being played: its seed rebuilds the same layout (restarts, other players, shared seeds)
+const randomLevelState = {
+    seed: null,
+    coinCount: 15
 };
 
+// Level format: see src/systems/levelSchema.js (validate with `npm run validate-levels`)
+
+// Log validation issues for a level file; returns false if it has errors
+function reportLevelValidation(levelData, levelFile) {
+    const report = validateLevels(levelData, { file: levelFile });
+    
+    report.warnings.forEach(issue => console.warn(`⚠️ ${formatIssue(issue)}`));
+    report.errors.forEach(issue => console.error(`❌ ${formatIssue(issue)}`));
+    
+    if (!report.valid) {
+        const first = report.errors[0];
+        showMessage(`${levelFile} has ${report.errors.length} error(s) - first: ${formatIssue(first)}`, '#ff6666', 5000);
+    }
+    
+    return report.valid;
+}
+
 // Load level data from JSON file
 async function loadLevelData(levelFile = 'levels.json') {
     try {
@@ -3661,6 +2801,9 @@ async function loadLevelData(levelFile = 'levels.json') {
             throw new Error('Level data must be an array of level objects');
         }
         
+        // Report schema and gameplay errors; levels still load so authors can see the problem in-game
+        reportLevelValidation(levelData, levelFile);
+        
         // Clear existing levels and load new ones
         jsonLevels.length = 0;
         jsonLevels.push(...levelData);
@@ -3715,6 +2858,8 @@ async function initializeJsonLevels() {
 
 // ============ BROKEN TILES SYSTEM ============
 
+const TILE_CRUMBLE_DURATION = 1000 / 3; // ms for a broken tile to fade out and drop
+
 // Create a broken tile at a specific position
 function createBrokenTile(gridX, gridZ) {
     const tileGeometry = new THREE.BoxGeometry(
@@ -3755,29 +2900,30 @@ function breakTile(tile) {
     if (tile.isBroken) return;
     
     tile.isBroken = true;
+    crumbleTile(tile, brokenTiles);
+}
+
+// Fade a broken tile out as it drops, then remove it from the world and from `tiles`
+function crumbleTile(tile, tiles) {
+    const startOpacity = tile.material.opacity;
+    const startY = tile.position.y;
     
-    // Visual breaking animation
-    const breakAnimation = () => {
-        tile.material.opacity -= 0.05;
-        tile.position.y -= 0.02;
+    // Start breaking animation after a short delay
+    stepTimers.after(500, () => {
+        soundManager.play('trapTrigger'); // Play breaking sound
         
-        if (tile.material.opacity > 0) {
-            requestAnimationFrame(breakAnimation);
-        } else {
+        stepTimers.animate(TILE_CRUMBLE_DURATION, progress => {
+            tile.material.opacity = startOpacity * (1 - progress);
+            tile.position.y = startY - 0.4 * progress;
+        }, () => {
             // Remove the tile completely
             worldGroup.remove(tile);
-            const index = brokenTiles.indexOf(tile);
+            const index = tiles.indexOf(tile);
             if (index > -1) {
-                brokenTiles.splice(index, 1);
+                tiles.splice(index, 1);
             }
-        }
-    };
-    
-    // Start breaking animation after a short delay
-    setTimeout(() => {
-        breakAnimation();
-        soundManager.play('trapTrigger'); // Play breaking sound
-    }, 500);
+        });
+    });
 }
 
 // Check if player stepped on a broken tile
@@ -3796,10 +2942,10 @@ function checkBrokenTileCollision() {
             breakTile(tile);
             
             // Player falls - lose a life
-            setTimeout(() => {
+            stepTimers.after(1000, () => {
                 damagePlayer();
                 showMessage('You fell through a broken tile!', '#ff6666', 2000);
-            }, 1000);
+            });
         }
     });
 }
@@ -3861,11 +3007,11 @@ function createStaticWall(gridX, gridZ, height = 1) {
     return wall;
 }
 
-// Check if a position is blocked by a wall
+// Check if a position is blocked by a wall or a closed door
 function isPositionBlocked(gridX, gridZ) {
     return staticWalls.some(wall => 
         wall.gridX === gridX && wall.gridZ === gridZ
-    );
+    ) || isDoorClosedAt(gridX, gridZ);
 }
 
 // Clear all static walls
@@ -3876,6 +3022,88 @@ function clearStaticWalls() {
     staticWalls.length = 0;
 }
 
+// ============ DOORS SYSTEM ============
+
+const doors = [];
+
+// Create a door that triggers open and close. Grid doors fill a tile (config.gridX/gridZ)
+// and block movement like walls; 3D doors are a solid box at config.position.
+function createDoor(config) {
+    const tileSize = getConfigValue('gameplay.tileSize', 2);
+    const isGridDoor = config.gridX !== undefined;
+    const size = config.size || { width: tileSize, height: 1.5, depth: tileSize * 0.25 };
+    
+    const geometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x8b5a2b,
+        metalness: 0.3,
+        roughness: 0.7,
+        transparent: true,
+        opacity: 1
+    });
+    const door = new THREE.Mesh(geometry, material);
+    
+    if (isGridDoor) {
+        door.position.copy(gridToWorld(config.gridX, config.gridZ));
+        door.position.y = size.height / 2;
+        door.gridX = config.gridX;
+        door.gridZ = config.gridZ;
+    } else {
+        door.position.set(config.position.x, config.position.y, config.position.z);
+    }
+    door.castShadow = true;
+    door.receiveShadow = true;
+    
+    door.userData = {
+        type: 'door',
+        id: config.id,
+        isGridDoor,
+        isOpen: false
+    };
+    
+    worldGroup.add(door);
+    doors.push(door);
+    setDoorOpen(door, !!config.open);
+    
+    return door;
+}
+
+// Open doors fade to a ghost of themselves and stop blocking
+function setDoorOpen(door, open) {
+    door.userData.isOpen = open;
+    door.material.opacity = open ? 0.15 : 1;
+    door.castShadow = !open;
+    
+    if (door.userData.isGridDoor) return;
+    
+    const index = physicsWorld.surfaces.indexOf(door);
+    if (!open && index === -1) {
+        physicsWorld.surfaces.push(door);
+    } else if (open && index > -1) {
+        physicsWorld.surfaces.splice(index, 1);
+    }
+}
+
+function findDoorById(id) {
+    return doors.find(door => door.userData.id === id);
+}
+
+// Check if a closed grid door stands on a tile
+function isDoorClosedAt(gridX, gridZ) {
+    return doors.some(door => !door.userData.isOpen && door.gridX === gridX && door.gridZ === gridZ);
+}
+
+function clearDoors() {
+    doors.forEach(door => {
+        worldGroup.remove(door);
+        const index = physicsWorld.surfaces.indexOf(door);
+        if (index > -1) {
+            physicsWorld.surfaces.splice(index, 1);
+        }
+    });
+    doors.length = 0;
+}
+
 // ============ MOVING OBSTACLES SYSTEM ============
 
 // Create a moving obstacle with a specific pattern
@@ -4105,30 +3333,7 @@ function breakTileAt(gridX, gridZ) {
     const tile = typedTiles.find(t => t.gridX === gridX && t.gridZ === gridZ && t.tileType === 'broken');
     if (tile && !tile.isBroken) {
         tile.isBroken = true;
-        
-        // Visual breaking animation
-        const breakAnimation = () => {
-            tile.material.opacity -= 0.05;
-            tile.position.y -= 0.02;
-            
-            if (tile.material.opacity > 0) {
-                requestAnimationFrame(breakAnimation);
-            } else {
-                // Remove the tile completely
-                worldGroup.remove(tile);
-                const index = typedTiles.indexOf(tile);
-                if (index > -1) {
-                    typedTiles.splice(index, 1);
-                }
-            }
-        };
-        
-        // Start breaking animation after a short delay
-        setTimeout(() => {
-            breakAnimation();
-            soundManager.play('trapTrigger'); // Play breaking sound
-        }, 500);
-        
+        crumbleTile(tile, typedTiles);
         return true;
     }
     return false;
@@ -4145,10 +3350,10 @@ function checkTypedTileCollision() {
             if (isBrokenTile(playerState.gridX, playerState.gridZ)) {
                 if (breakTileAt(playerState.gridX, playerState.gridZ)) {
                     // Player falls - lose a life
-                    setTimeout(() => {
+                    stepTimers.after(1000, () => {
                         damagePlayer();
                         showMessage('You fell through a broken tile!', '#ff6666', 2000);
-                    }, 1000);
+                    });
                 }
             }
             break;
@@ -4224,7 +3429,7 @@ function createFloatingPlatform(config) {
     platform.userData = {
         type: 'floating',
         surfaces: config.surfaces || ['top'],
-        id: `floating_${floatingPlatforms.length}`,
+        id: config.id || `floating_${floatingPlatforms.length}`,
         originalPosition: platform.position.clone(),
         size: config.size
     };
@@ -4277,7 +3482,7 @@ function createAngledPlatform(configOrX, y, z, width, height, depth, rotX = 0, r
     platform.userData = {
         type: 'angled',
         surfaces: config.surfaces || ['top'],
-        id: `angled_${angledPlatforms.length}`,
+        id: config.id || `angled_${angledPlatforms.length}`,
         originalPosition: platform.position.clone(),
         originalRotation: platform.rotation.clone(),
         size: config.size
@@ -4356,7 +3561,7 @@ function createCurvedPlatform(configOrX, y, z, width, height, depth, rotX = 0, r
     platform.userData = {
         type: 'curved',
         surfaces: config.surfaces || ['top'],
-        id: `curved_${curvedPlatforms.length}`,
+        id: config.id || `curved_${curvedPlatforms.length}`,
         originalPosition: platform.position.clone(),
         curvature: curvature,
         size: config.size
@@ -4411,7 +3616,7 @@ function createSpiralPlatform(config) {
     group.userData = {
         type: 'spiral',
         surfaces: config.surfaces || ['top'],
-        id: `spiral_${spiralPlatforms.length}`,
+        id: config.id || `spiral_${spiralPlatforms.length}`,
         originalPosition: group.position.clone(),
         spiral: spiral,
         size: config.size
@@ -4507,7 +3712,7 @@ function createMovingPlatform(config) {
     platform.userData = {
         type: 'moving',
         surfaces: config.surfaces || ['top'],
-        id: `moving_${movingPlatforms.length}`,
+        id: config.id || `moving_${movingPlatforms.length}`,
         originalPosition: platform.position.clone(),
         size: config.size,
         movement: config.movement,
@@ -4531,7 +3736,7 @@ function updateMovingPlatforms() {
         if (!platform.userData.isMoving) return;
         
         const movement = platform.userData.movement;
-        const deltaTime = 1/60; // Fixed timestep
+        const deltaTime = PHYSICS_STEP;
         
         if (movement.type === 'linear') {
             // Linear path movement
@@ -4580,7 +3785,7 @@ function updateMovingPlatforms() {
             const speed = movement.speed || 1;
             const axis = movement.axis || 'y';
             
-            const time = Date.now() * 0.001 * speed;
+            const time = physicsTimestep.time * speed;
             
             if (axis === 'y') {
                 platform.position.x = center.x + Math.cos(time) * radius;
@@ -4682,22 +3887,22 @@ function triggerDisappearingTile(tile) {
         tile.material.color.setHex(0xff0000);
         tile.material.opacity = 0.5;
         
-        setTimeout(() => {
+        stepTimers.after(200, () => {
             if (tile.userData.isDisappearing) {
                 tile.material.color.setHex(0xff8800);
                 tile.material.opacity = 0.7;
             }
-        }, 200);
+        });
     };
     
     // Flash warning
     const flashCount = Math.floor(tile.userData.delay / 400);
     for (let i = 0; i < flashCount; i++) {
-        setTimeout(warningAnimation, i * 400);
+        stepTimers.after(i * 400, warningAnimation);
     }
     
     // Disappear after delay
-    tile.userData.disappearTimer = setTimeout(() => {
+    tile.userData.disappearTimer = stepTimers.after(tile.userData.delay, () => {
         tile.userData.isActive = false;
         tile.visible = false;
         
@@ -4708,7 +3913,7 @@ function triggerDisappearingTile(tile) {
         }
         
         // Reappear after duration
-        tile.userData.reappearTimer = setTimeout(() => {
+        tile.userData.reappearTimer = stepTimers.after(tile.userData.duration, () => {
             tile.userData.isActive = true;
             tile.userData.isDisappearing = false;
             tile.visible = true;
@@ -4717,9 +3922,8 @@ function triggerDisappearingTile(tile) {
             
             // Re-add to physics surfaces
             physicsWorld.surfaces.push(tile);
-        }, tile.userData.duration);
-        
-    }, tile.userData.delay);
+        });
+    });
 }
 
 // Create pressure plate
@@ -4739,7 +3943,7 @@ function createPressurePlate(config) {
     // Store plate data
     plate.userData = {
         type: 'pressurePlate',
-        id: `pressure_${pressurePlates.length}`,
+        id: config.id || `pressure_${pressurePlates.length}`,
         originalPosition: plate.position.clone(),
         size: config.size,
         triggers: config.triggers || [],
@@ -4774,46 +3978,84 @@ function checkPressurePlates() {
                 plate.userData.originalColor
             );
             
-            // Trigger actions
+            // The plate's own actions run through the level triggers (see setupLevelTriggers)
             if (isPressed) {
-                plate.userData.triggers.forEach(trigger => {
-                    executeTriggerAction(trigger);
-                });
                 soundManager.play('pressurePlate');
             }
         }
     });
 }
 
-// Execute trigger action
+// Carry out a trigger action that is due (sequences and delays are handled by the level's TriggerSystem)
 function executeTriggerAction(trigger) {
+    const verb = getActionVerb(trigger);
+    
     switch (trigger.type) {
         case 'platform':
             const platform = findPlatformById(trigger.target);
             if (platform) {
-                if (trigger.action === 'activate') {
-                    platform.userData.isActive = true;
-                    platform.visible = true;
-                    if (!physicsWorld.surfaces.includes(platform)) {
-                        physicsWorld.surfaces.push(platform);
-                    }
-                } else if (trigger.action === 'deactivate') {
-                    platform.userData.isActive = false;
-                    platform.visible = false;
-                    const index = physicsWorld.surfaces.indexOf(platform);
-                    if (index > -1) {
-                        physicsWorld.surfaces.splice(index, 1);
-                    }
-                }
+                setPlatformActive(platform, verb === 'toggle' ? !isPlatformActive(platform) : verb === 'activate');
             }
             break;
         case 'door':
-            // Future implementation for doors
+            const door = findDoorById(trigger.target);
+            if (door) {
+                setDoorOpen(door, verb === 'toggle' ? !door.userData.isOpen : verb === 'open');
+            }
+            break;
+        case 'movingPlatform':
+            const movingPlatform = movingPlatforms.find(candidate => candidate.userData.id === trigger.target);
+            if (movingPlatform) {
+                movingPlatform.userData.isMoving = verb === 'toggle' ? !movingPlatform.userData.isMoving : verb === 'start';
+            }
             break;
         case 'gravity':
-            // Future implementation for gravity changes
+            setTriggerGravity(verb, trigger.direction);
+            break;
+        case 'spawn':
+            spawnLevelObject(trigger.object);
+            break;
+        case 'message':
+            showMessage(trigger.text, trigger.color || '#ffffff', trigger.duration || 2000);
             break;
+        case 'sound':
+            soundManager.play(trigger.name);
+            break;
+    }
+}
+
+// Platforms start active unless a trigger deactivated them
+function isPlatformActive(platform) {
+    return platform.userData.isActive !== false;
+}
+
+function setPlatformActive(platform, active) {
+    platform.userData.isActive = active;
+    platform.visible = active;
+    
+    const index = physicsWorld.surfaces.indexOf(platform);
+    if (active && index === -1) {
+        physicsWorld.surfaces.push(platform);
+    } else if (!active && index > -1) {
+        physicsWorld.surfaces.splice(index, 1);
+    }
+}
+
+// Gravity from a trigger: flip it, point it along `direction`, or put it back to normal
+function setTriggerGravity(verb, direction) {
+    if (verb === 'flip') {
+        physicsWorld.gravity.negate();
+    } else if (verb === 'set' && direction) {
+        physicsWorld.gravity.set(direction.x, direction.y, direction.z).normalize().multiplyScalar(Math.abs(PHYSICS_CONFIG.gravity));
+    } else {
+        physicsWorld.gravity.set(0, PHYSICS_CONFIG.gravity, 0);
     }
+    
+    // Keep worldState.gravityDirection in step
+    worldState.gravityDirection.copy(physicsWorld.gravity.clone().normalize());
+    levelTriggers.gravityChanged = verb !== 'reset';
+    
+    soundManager.play('gravityShift');
 }
 
 // Find platform by ID
@@ -4829,6 +4071,83 @@ function findPlatformById(id) {
     return allPlatforms.find(platform => platform.userData.id === id);
 }
 
+// ============ LEVEL TRIGGERS ============
+
+// Triggers of the level (or underworld layer) being played
+const levelTriggers = {
+    system: null,          // TriggerSystem, or null on levels without triggers
+    startTime: 0,          // Physics time (ms) the level started, for timer conditions
+    gravityChanged: false  // A trigger moved gravity away from normal
+};
+
+// Start the triggers of a level: its `triggers` plus each pressure plate's own list
+// of actions, which run every time the plate is pressed
+function setupLevelTriggers(level) {
+    const plateTriggers = pressurePlates
+        .filter(plate => plate.userData.triggers.length > 0)
+        .map(plate => ({
+            when: { type: 'pressurePlate', target: plate.userData.id },
+            mode: 'repeat',
+            actions: plate.userData.triggers
+        }));
+    const triggers = [...(level && Array.isArray(level.triggers) ? level.triggers : []), ...plateTriggers];
+    
+    levelTriggers.system = triggers.length > 0 ? new TriggerSystem(triggers) : null;
+    levelTriggers.startTime = physicsTimestep.time * 1000;
+    
+    // Gravity a trigger flipped on the last level does not carry over
+    if (levelTriggers.gravityChanged) {
+        setTriggerGravity('reset');
+    }
+}
+
+// Check the level's triggers against the player and run the actions that are due
+function updateLevelTriggers() {
+    const { system } = levelTriggers;
+    if (!system) return;
+    
+    const level = getCurrentLayerData();
+    const actions = system.update({
+        time: physicsTimestep.time * 1000 - levelTriggers.startTime,
+        coins: gameScore.coins,
+        hasKey: gameScore.hasKey,
+        pressedPlates: new Set(pressurePlates.filter(plate => plate.userData.isPressed).map(plate => plate.userData.id)),
+        position: level && level.use3D ? player.position : { x: playerState.gridX, z: playerState.gridZ }
+    });
+    actions.forEach(action => executeTriggerAction(action));
+}
+
+// Create an object from a trigger's spawn action, in the format of the level being played
+function spawnLevelObject(obj) {
+    if (!obj) return;
+    
+    const level = getCurrentLayerData();
+    const use3D = !!(level && level.use3D);
+    
+    // A spawned coin or key is always the same item (the server knows it from the level
+    // file), so it only appears once: not again while it is there or after it was collected
+    const isCollectible = obj.type === 'coin' || obj.type === 'key';
+    const { depth, layerItemIds, collectedItems } = underworldState;
+    const itemId = isCollectible ? getLayerItemId(depth, getSpawnedItemId(obj, use3D)) : null;
+    if (itemId && (layerItemIds.includes(itemId) || collectedItems.has(itemId))) return;
+    
+    const object = use3D ? create3DLevelObject(obj) : createGridLevelObject(obj);
+    if (!object) return;
+    
+    if (obj.type === 'teleporter') {
+        linkTeleporterPairs();
+    }
+    
+    if (itemId) {
+        object.userData.id = itemId;
+        object.userData.layer = depth;
+        layerItemIds.push(itemId);
+        
+        gameScore.totalCoins = coins.length;
+        updateScoreDisplay();
+    }
+}
+
 // Create timed spike
 function createTimedSpike(config) {
     const geometry = new THREE.ConeGeometry(0.2, config.size.height, 8);
@@ -4852,7 +4171,7 @@ function createTimedSpike(config) {
         timing: config.timing,
         isActive: false,
         damageRadius: 0.8,
-        startTime: Date.now() + (config.timing.offset || 0)
+        startTime: physicsTimestep.time * 1000 + (config.timing.offset || 0)
     };
     
     worldGroup.add(spike);
@@ -4865,7 +4184,7 @@ function createTimedSpike(config) {
 function updateTimedSpikes() {
     timedSpikes.forEach(spike => {
         const timing = spike.userData.timing;
-        const elapsed = Date.now() - spike.userData.startTime;
+        const elapsed = physicsTimestep.time * 1000 - spike.userData.startTime;
         const cycle = timing.interval + timing.duration;
         const cycleProgress = elapsed % cycle;
         
@@ -4936,7 +4255,7 @@ function updateMovingSpikes() {
         if (!spike.userData.isMoving) return;
         
         const movement = spike.userData.movement;
-        const deltaTime = 1/60; // Fixed timestep
+        const deltaTime = PHYSICS_STEP;
         
         if (movement.type === 'linear') {
             // Linear path movement (same as moving platforms)
@@ -5047,13 +4366,13 @@ function checkGravityChangers() {
             changer.material.emissive.setHex(0x004488);
             
             // Restore gravity after duration
-            setTimeout(() => {
+            stepTimers.after(changer.userData.duration, () => {
                 physicsWorld.gravity.copy(oldGravity);
                 worldState.gravityDirection.copy(oldGravityDirection);
                 changer.userData.isActive = false;
                 changer.material.color.setHex(0x8800ff);
                 changer.material.emissive.setHex(0x220088);
-            }, changer.userData.duration);
+            });
             
             soundManager.play('gravityShift');
             showMessage('Gravity changed!', '#8800ff', 2000);
@@ -5110,38 +4429,14 @@ function initializeFallDetection(levelData) {
 
 // Check if current level supports inverted world functionality
 function levelSupportsInvertedWorld() {
-    const currentLevel = getCurrentLevelData();
-    if (!currentLevel) return false;
-    
-    // Check for explicit inverted world support flags
-    if (currentLevel.hasInvertedWorld !== undefined) {
-        return currentLevel.hasInvertedWorld;
-    }
-    
-    // Check for 3D levels (they generally support inverted world)
-    if (currentLevel.use3D === true) {
-        return true;
-    }
-    
-    // Check for underworld levels (they might support inverted world)
-    if (currentLevel.hasUnderworld === true) {
-        return true;
-    }
-    
-    // Check for advanced/complex levels (levels 6+) that likely support inverted world
-    if (currentLevel.number >= 6) {
-        return true;
-    }
-    
-    // Default: Basic levels (1-5) don't support inverted world unless explicitly specified
-    return false;
+    return supportsInvertedWorld(getCurrentLevelData());
 }
 
 // Check if player has fallen
 function checkFallDetection() {
     if (fallDetection.isRespawning || invertedWorld.transitionInProgress) return;
     
-    const now = Date.now();
+    const now = physicsTimestep.time * 1000;
     if (now - fallDetection.lastFallCheck < fallDetection.fallCheckInterval) return;
     fallDetection.lastFallCheck = now;
     
@@ -5153,55 +4448,44 @@ function checkFallDetection() {
         return; // Still in cooldown, don't allow transitions
     }
     
-    // Determine if level supports inverted world
-    const supportsInvertedWorld = levelSupportsInvertedWorld();
-    
     // Enhanced fall-off handling based on level type
-    if (!invertedWorld.isActive) {
-        // In normal world - check if player fell below threshold AND is falling
-        if (playerY < invertedWorld.fallThreshold && 
-            playerVelocityY < invertedWorld.velocityThreshold && 
-            !playerPhysics.isGrounded) {
-            
-            if (supportsInvertedWorld) {
-                console.log(`🌍 INVERTED WORLD TRANSITION - Level supports inverted world, transitioning...`);
-                console.log(`   Y: ${playerY.toFixed(2)}, VelY: ${playerVelocityY.toFixed(2)}`);
-                // Transition to inverted world
-                transitionToInvertedWorld();
-            } else {
-                console.log(`🔄 LEVEL RESTART - Level does not support inverted world, restarting...`);
-                console.log(`   Y: ${playerY.toFixed(2)}, VelY: ${playerVelocityY.toFixed(2)}`);
-                // Restart the level
-                handleLevelRestart('fell_off_map');
-            }
+    const transition = getFallTransition({
+        y: playerY,
+        velocityY: playerVelocityY,
+        isGrounded: playerPhysics.isGrounded,
+        invertedActive: invertedWorld.isActive,
+        levelSupportsInvertedWorld: levelSupportsInvertedWorld(),
+        fallThreshold: invertedWorld.fallThreshold,
+        velocityThreshold: invertedWorld.velocityThreshold,
+        mirrorOffset: invertedWorld.mirrorOffset
+    });
+    
+    switch (transition) {
+        case 'toInverted':
+            console.log(`🌍 INVERTED WORLD TRANSITION - Level supports inverted world, transitioning...`);
+            console.log(`   Y: ${playerY.toFixed(2)}, VelY: ${playerVelocityY.toFixed(2)}`);
+            transitionToInvertedWorld();
             return;
-        }
-    } else {
-        // In inverted world - check if player fell above inverted threshold AND is falling upward
-        const invertedFallThreshold = invertedWorld.mirrorOffset + Math.abs(invertedWorld.fallThreshold);
-        if (playerY > invertedFallThreshold && 
-            playerVelocityY > -invertedWorld.velocityThreshold && 
-            !playerPhysics.isGrounded) {
-            
+        case 'restart':
+            console.log(`🔄 LEVEL RESTART - Level does not support inverted world, restarting...`);
+            console.log(`   Y: ${playerY.toFixed(2)}, VelY: ${playerVelocityY.toFixed(2)}`);
+            handleLevelRestart('fell_off_map');
+            return;
+        case 'toNormal':
             console.log(`🌍 NORMAL WORLD TRANSITION - Returning to normal world...`);
             console.log(`   Y: ${playerY.toFixed(2)}, VelY: ${playerVelocityY.toFixed(2)}`);
-            // Transition back to normal world
             transitionToNormalWorld();
             return;
-        }
-    }
-    
-    // Additional safety check for extreme falls (backup level restart)
-    const extremeFallThreshold = invertedWorld.fallThreshold - 50;
-    if (!invertedWorld.isActive && playerY < extremeFallThreshold) {
-        console.log(`🚨 EXTREME FALL DETECTED - Emergency level restart`);
-        console.log(`   Y: ${playerY.toFixed(2)}, Extreme threshold: ${extremeFallThreshold}`);
-        handleLevelRestart('extreme_fall');
-        return;
+        case 'extremeFall':
+            // Additional safety check for extreme falls (backup level restart)
+            console.log(`🚨 EXTREME FALL DETECTED - Emergency level restart`);
+            console.log(`   Y: ${playerY.toFixed(2)}`);
+            handleLevelRestart('extreme_fall');
+            return;
     }
     
     // Check if player is out of bounds (works for both worlds)
-    const currentLevel = getCurrentLevelData();
+    const currentLevel = getCurrentLayerData();
     if (currentLevel && currentLevel.bounds) {
         const bounds = currentLevel.bounds;
         const pos = playerPhysics.position;
@@ -5245,14 +4529,16 @@ function handleLevelRestart(reason = 'unknown') {
     
     // Check if game over
     if (gameScore.lives <= 0) {
-        showMessage('Game Over! Press N to restart', '#ff0000', 5000);
+        if (!spectateOutOfLives()) {
+            showMessage('Game Over! Press N to restart', '#ff0000', 5000);
+        }
         return;
     }
     
     // Restart the current level after a delay
-    setTimeout(() => {
+    stepTimers.after(1500, () => {
         restartCurrentLevel();
-    }, 1500);
+    });
 }
 
 // Restart the current level
@@ -5260,7 +4546,7 @@ function restartCurrentLevel() {
     console.log('🔄 Restarting current level...');
     
     // Reset player to start position
-    const currentLevel = getCurrentLevelData();
+    const currentLevel = getCurrentLayerData();
     if (currentLevel && currentLevel.playerStart) {
         const startPos = currentLevel.playerStart;
         setPlayerPosition({
@@ -5535,6 +4821,11 @@ function getCurrentLevelData() {
     return null;
 }
 
+// Level data of the layer being played: the current level, or the underworld the player is in
+function getCurrentLayerData() {
+    return underworldState.layers[underworldState.depth] || getCurrentLevelData();
+}
+
 // Manual respawn function (for testing or emergency)
 function manualRespawn() {
     triggerRespawn('manual');
@@ -5542,44 +4833,74 @@ function manualRespawn() {
 
 // ============ MODULAR LEVEL SYSTEM ============
 
-// Load level from separate JSON file
+// Request the level API; resolves with the parsed body or throws with the server's error
+async function requestLevelApi(path, options = {}) {
+    const response = await fetch(`${LEVEL_API_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const body = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const error = new Error(body.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.details = body.details || [];
+        throw error;
+    }
+    return body;
+}
+
+// List levels stored on the server
+async function listModularLevels() {
+    try {
+        return await requestLevelApi('');
+    } catch (error) {
+        console.error('❌ Error listing modular levels:', error.message);
+        return [];
+    }
+}
+
+// Load level from the server's level store
 async function loadModularLevel(levelName) {
     try {
-        const response = await fetch(`levels/${levelName}.json`);
-        if (!response.ok) {
-            if (response.status === 404) {
-                console.warn(`Level file not found: levels/${levelName}.json`);
-            } else {
-                console.error(`Failed to load level ${levelName}: HTTP ${response.status}`);
-            }
-            return null;
-        }
-        const levelData = await response.json();
-        console.log(`✅ Loaded modular level: ${levelName}`);
-        return levelData;
+        const level = await requestLevelApi(`/${encodeURIComponent(levelName)}`);
+        console.log(`✅ Loaded modular level: ${level.name} (v${level.version})`);
+        return level.data;
     } catch (error) {
-        console.error(`❌ Error loading modular level ${levelName}:`, error.message);
+        if (error.status === 404) {
+            console.warn(`Level not found on server: ${levelName}`);
+        } else {
+            console.error(`❌ Error loading modular level ${levelName}:`, error.message);
+        }
         return null;
     }
 }
 
-// Save level to separate JSON file
+// Save level to the server's level store (creates or replaces it, keeping history)
 async function saveModularLevel(levelName, levelData) {
     try {
-        const response = await fetch(`levels/${levelName}.json`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(levelData, null, 2)
+        const saved = await requestLevelApi(`/${encodeURIComponent(levelName)}`, {
+            method: 'PUT',
+            body: JSON.stringify(levelData)
         });
-        if (!response.ok) {
-            throw new Error(`Failed to save level: ${response.status}`);
-        }
-        console.log(`Saved modular level: ${levelName}`);
+        saved.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+        console.log(`Saved modular level: ${saved.name} (v${saved.version})`);
+        return saved;
+    } catch (error) {
+        console.error(`Error saving modular level ${levelName}:`, error.message);
+        (error.details || []).forEach(detail => console.error(`❌ ${detail}`));
+        return null;
+    }
+}
+
+// Delete level from the server's level store (its version history is kept)
+async function deleteModularLevel(levelName) {
+    try {
+        await requestLevelApi(`/${encodeURIComponent(levelName)}`, { method: 'DELETE' });
+        console.log(`Deleted modular level: ${levelName}`);
         return true;
     } catch (error) {
-        console.error(`Error saving modular level ${levelName}:`, error);
+        console.error(`Error deleting modular level ${levelName}:`, error.message);
         return false;
     }
 }
@@ -5762,6 +5083,11 @@ async function loadAllLevels() {
         if (response.ok) {
             const existingLevels = await response.json();
             
+            if (!Array.isArray(existingLevels)) {
+                throw new Error('levels.json must be an array of level objects');
+            }
+            reportLevelValidation(existingLevels, 'levels.json');
+            
             // Use all levels from levels.json
             allLevels.push(...existingLevels);
             
@@ -5935,20 +5261,13 @@ function loadJsonLevel(levelIndex) {
     const level = jsonLevels[levelIndex];
     console.log(`📄 Loading JSON level: ${level.name} (${level.number})`);
     
-    // Clear existing level
-    clearAllCoins();
-    clearSpikeTraps();
-    clearTeleportTiles();
-    clearAllBouncingPlatforms();
-    clearBrokenTiles();
-    clearStaticWalls();
-    clearMovingObstacles();
-    clearTypedTiles();
-    clearHoles();
-    clearUnderworldObjects();
+    // Each level starts a fresh simulation: clock at tick 0 and a player at rest
+    physicsTimestep.reset();
+    resetStepTimers();
+    resetPlayerPhysics();
     
-    // Clear 3D platforms and objects
-    clearAllPlatforms();
+    // Clear existing level
+    clearLevelContent();
     
     // Update game state
     gameScore.currentLevel = level.number;
@@ -5973,10 +5292,91 @@ function loadJsonLevel(levelIndex) {
         }
     }
     
-    // Check if this is a 3D level
-    const is3DLevel = level.use3D || false;
+    // Build the surface; underworld layers are built when a player drops into them
+    resetUnderworld(getLevelLayers(level));
+    buildLevelContent(level);
+    trackLayerItems(0);
+    placePlayerOnLevel(level, level.playerStart);
+    setupLevelTriggers(level);
+    
+    // Update UI
+    gameScore.totalCoins = coins.length;
+    updateScoreDisplay();
+    updatePlayerPosition();
+    
+    // Transition overlay system removed - no longer needed
+    
+    // Level start message removed for instant loading
+    
+    // Update level info display
+    updateLevelInfo();
+    
+    // Update HUD with level information
+    updateLevelHUD(level, levelIndex);
+    
+    // Send level initialization event to server for multiplayer sync
+    if (multiplayerState.isConnected && !gameMode.isSinglePlayer) {
+        // Pickups from the previous level can no longer be rolled back
+        multiplayerState.pendingCollections = {};
+        
+        socket.emit('initializeLevel', {
+            levelType: 'json',
+            levelIndex: currentLevelIndex,
+            levelNumber: level.number,
+            levelName: level.name,
+            coinCount: coins.length,
+            objectCount: level.objects.length,
+            collectibles: getCollectibleLayout()
+        });
+    }
+    
+    // Start the level timer
+    startLevelTimer();
+    
+    // Force camera update to target player
+    updateThirdPersonCamera();
+    
+    // Create inverted world geometry
+    createInvertedWorldGeometry();
+    
+    // Environment, gravity and camera for this level
+    applyLevelSettings(level);
+    
+    // Validate and add missing physics surfaces
+    validatePhysicsSurfaces();
+    
+    console.log(`📄 JSON level ${level.name} loaded successfully`);
+    console.log(`📄 Player position: (${player.position.x.toFixed(2)}, ${player.position.y.toFixed(2)}, ${player.position.z.toFixed(2)})`);
+    
+    // Record this attempt so it can be exported as a replay and raced as a ghost
+    startReplayRecording(levelIndex);
+    startGhostRun(levelIndex);
+    
+    return true;
+}
+
+// Remove everything a level (or underworld layer) placed
+function clearLevelContent() {
+    clearAllCoins();
+    clearSpikeTraps();
+    clearTeleportTiles();
+    clearAllBouncingPlatforms();
+    clearBrokenTiles();
+    clearStaticWalls();
+    clearMovingObstacles();
+    clearTypedTiles();
+    clearHoles();
+    clearUnderworldExits();
+    clearDoors();
+    clearKeyAndGoal();
     
-    if (is3DLevel) {
+    // Clear 3D platforms and objects
+    clearAllPlatforms();
+}
+
+// Create the tiles, platforms and objects of a level or underworld layer (the player is placed separately)
+function buildLevelContent(level) {
+    if (level.use3D) {
         // Handle 3D level loading
         console.log('Loading 3D level with platforms and enhanced objects');
         
@@ -5984,23 +5384,18 @@ function loadJsonLevel(levelIndex) {
         if (level.platforms) {
             level.platforms.forEach(platformConfig => {
                 try {
-                    create3DPlatform(platformConfig);
+                    const platform = create3DPlatform(platformConfig);
+                    
+                    // Platforms a trigger brings in later start out of the way
+                    if (platformConfig.active === false) {
+                        setPlatformActive(platform, false);
+                    }
                 } catch (error) {
                     console.error('Error creating platform:', platformConfig, error);
                 }
             });
         }
         
-        // Set player start position (3D)
-        const startPos = level.playerStart || { x: 5, z: 5, y: 0 };
-        
-        // Use safe position setting with validation
-        setPlayerPosition({
-            x: startPos.x,
-            y: startPos.y + 1,
-            z: startPos.z
-        }, '3D JSON level loading');
-        
         // Set up gravity planes
         if (level.gravityPlanes) {
             level.gravityPlanes.forEach(plane => {
@@ -6008,9 +5403,6 @@ function loadJsonLevel(levelIndex) {
             });
         }
         
-        // Initialize fall detection
-        initializeFallDetection(level);
-        
         // Create 3D objects
         if (level.objects) {
             level.objects.forEach(obj => {
@@ -6021,127 +5413,128 @@ function loadJsonLevel(levelIndex) {
                 }
             });
         }
-        
     } else {
-        // Handle traditional 2D level loading
-        // Set player start position
-        playerStartPosition.gridX = level.playerStart.x;
-        playerStartPosition.gridZ = level.playerStart.z;
-        playerState.gridX = level.playerStart.x;
-        playerState.gridZ = level.playerStart.z;
-        
-        // Reset player position
-        const startPos = gridToWorld(level.playerStart.x, level.playerStart.z);
-        
-        // Use safe position setting with validation
-        setPlayerPosition({
-            x: startPos.x,
-            y: 0.55,
-            z: startPos.z
-        }, 'JSON level loading');
-        
-        // Reset player rotation
-        playerState.baseRotation.x = 0;
-        playerState.baseRotation.z = 0;
-        player.rotation.x = 0;
-        player.rotation.y = 0;
-        player.rotation.z = 0;
-        
         // Load tiles from tileTypes array or use auto-generated tiles
         loadTilesFromTypes(level);
         
         // Load objects
-        level.objects.forEach(obj => {
-            switch(obj.type) {
-                case 'coin':
-                    createCoin(obj.x, obj.z);
-                    break;
-                case 'key':
-                    createKeyAt(obj.x, obj.z);
-                    break;
-                case 'goal':
-                    createGoalAt(obj.x, obj.z);
-                    break;
-                case 'spikeTrap':
-                    createSpikeTrap(obj.x, obj.z);
-                    break;
-                case 'teleporter':
-                    const teleportTile = createTeleportTileAt(obj.x, obj.z, obj.pairId, obj.destination);
-                    if (!teleportTile) {
-                        console.warn(`Failed to create teleporter at (${obj.x}, ${obj.z}) in level "${level.name}"`);
-                    }
-                    break;
-                case 'bouncingPlatform':
-                    createBouncingPlatform(obj.x, obj.z);
-                    break;
-                case 'brokenTile':
-                    createBrokenTile(obj.x, obj.z);
-                    break;
-                case 'staticWall':
-                    createStaticWall(obj.x, obj.z, obj.height || 1);
-                    break;
-                case 'movingObstacle':
-                    createMovingObstacle(obj.x, obj.z, obj.endX, obj.endZ, obj.speed || 1);
-                    break;
-                case 'hole':
-                    createHole(obj.x, obj.z);
-                    break;
-            }
-        });
-        
-        // Initialize fall detection for 2D levels
-        initializeFallDetection(level);
+        level.objects.forEach(obj => createGridLevelObject(obj));
     }
     
+    // Initialize fall detection
+    initializeFallDetection(level);
+    
     // Link teleporter pairs
     linkTeleporterPairs();
-    
-    // Update UI
-    gameScore.totalCoins = coins.length;
-    updateScoreDisplay();
-    updatePlayerPosition();
-    
-    // Transition overlay system removed - no longer needed
-    
-    // Level start message removed for instant loading
-    
-    // Update level info display
-    updateLevelInfo();
-    
-    // Update HUD with level information
-    updateLevelHUD(level, levelIndex);
-    
-    // Send level initialization event to server for multiplayer sync
-    if (multiplayerState.isConnected && !gameMode.isSinglePlayer) {
-        socket.emit('initializeLevel', {
-            levelType: 'json',
-            levelIndex: currentLevelIndex,
-            levelNumber: level.number,
-            levelName: level.name,
-            coinCount: coins.length,
-            objectCount: level.objects.length
-        });
+}
+
+// Create a grid level object ({ type, x, z, ... } as in levels.json)
+function createGridLevelObject(obj) {
+    switch (obj.type) {
+        case 'coin':
+            return createCoin(obj.x, obj.z);
+        case 'key':
+            return createKeyAt(obj.x, obj.z);
+        case 'goal':
+            return createGoalAt(obj.x, obj.z);
+        case 'spikeTrap':
+            return createSpikeTrap(obj.x, obj.z);
+        case 'teleporter':
+            const teleportTile = createTeleportTileAt(obj.x, obj.z, obj.pairId, obj.destination);
+            if (!teleportTile) {
+                console.warn(`Failed to create teleporter at (${obj.x}, ${obj.z})`);
+            }
+            return teleportTile;
+        case 'bouncingPlatform':
+            return createBouncingPlatform(obj.x, obj.z);
+        case 'brokenTile':
+            return createBrokenTile(obj.x, obj.z);
+        case 'staticWall':
+            return createStaticWall(obj.x, obj.z, obj.height || 1);
+        case 'movingObstacle':
+            return createMovingObstacle(obj.x, obj.z, obj.endX, obj.endZ, obj.speed || 1);
+        case 'hole':
+            return createHole(obj.x, obj.z);
+        case 'door':
+            return createDoor({ gridX: obj.x, gridZ: obj.z, id: obj.id, open: obj.open });
+        case 'pressurePlate':
+            const platePosition = gridToWorld(obj.x, obj.z);
+            return createPressurePlate({
+                position: { x: platePosition.x, y: 0.05, z: platePosition.z },
+                size: { width: 1.2, height: 0.1, depth: 1.2 },
+                id: obj.id,
+                triggers: obj.triggers || []
+            });
+        case 'underworldExit':
+            return createUnderworldExit(gridToWorld(obj.x, obj.z), obj);
+        default:
+            console.warn('Unknown grid object type:', obj.type);
+            return null;
+    }
+}
+
+// Put the player at `start` on a level: a grid cell ({ x, z }) or, on 3D levels, a world position
+function placePlayerOnLevel(level, start) {
+    if (level.use3D) {
+        const startPos = start || { x: 5, z: 5, y: 0 };
+        
+        // Use safe position setting with validation
+        setPlayerPosition({
+            x: startPos.x,
+            y: (startPos.y || 0) + 1,
+            z: startPos.z
+        }, '3D JSON level loading');
+        return;
     }
     
-    // Start the level timer
-    startLevelTimer();
+    playerStartPosition.gridX = start.x;
+    playerStartPosition.gridZ = start.z;
+    playerState.gridX = start.x;
+    playerState.gridZ = start.z;
     
-    // Force camera update to target player
-    updateThirdPersonCamera();
+    // Reset player position
+    const startPos = gridToWorld(start.x, start.z);
     
-    // Create inverted world geometry
-    createInvertedWorldGeometry();
+    // Use safe position setting with validation
+    setPlayerPosition({
+        x: startPos.x,
+        y: 0.55,
+        z: startPos.z
+    }, 'JSON level loading');
     
-    // Set up environment for this level
+    // Reset player rotation
+    playerState.baseRotation.x = 0;
+    playerState.baseRotation.z = 0;
+    player.rotation.x = 0;
+    player.rotation.y = 0;
+    player.rotation.z = 0;
+}
+
+// Camera preset the player had before a level picked one, put back on levels that don't
+let playerCameraPreset = null;
+
+// Environment, gravity and camera of a level or underworld layer
+function applyLevelSettings(level) {
     setupEnvironment(level);
     
-    // Validate and add missing physics surfaces
-    validatePhysicsSurfaces();
-    
-    console.log(`📄 JSON level ${level.name} loaded successfully`);
-    console.log(`📄 Player position: (${player.position.x.toFixed(2)}, ${player.position.y.toFixed(2)}, ${player.position.z.toFixed(2)})`);
+    const gravityScale = level.gravityScale || 1;
+    if (gravityScale !== levelGravityScale) {
+        levelGravityScale = gravityScale;
+        updatePhysicsConfig();
+    }
     
-    return true;
+    const preset = level.camera && level.camera.preset;
+    if (preset && cameraSystem.presets[preset]) {
+        playerCameraPreset ??= cameraSystem.currentPreset;
+        if (cameraSystem.currentPreset !== preset) {
+            setCameraPreset(preset);
+        }
+    } else if (playerCameraPreset) {
+        if (cameraSystem.currentPreset !== playerCameraPreset) {
+            setCameraPreset(playerCameraPreset);
+        }
+        playerCameraPreset = null;
+    }
 }
 
 // ============ 3D LEVEL HELPER FUNCTIONS ============
@@ -6188,8 +5581,16 @@ function create3DLevelObject(obj) {
             return createPressurePlate({
                 position: position,
                 size: obj.size || { width: 1, height: 0.1, depth: 1 },
+                id: obj.id,
                 triggers: obj.triggers || []
             });
+        case 'door':
+            return createDoor({
+                position: position,
+                size: obj.size,
+                id: obj.id,
+                open: obj.open
+            });
         case 'timedSpike':
             return createTimedSpike({
                 position: position,
@@ -6211,6 +5612,8 @@ function create3DLevelObject(obj) {
             });
         case 'bouncingPlatform':
             return createBouncingPlatform3D(position.x, position.y, position.z);
+        case 'underworldExit':
+            return createUnderworldExit(position, obj);
         default:
             console.warn('Unknown 3D object type:', obj.type);
             return null;
@@ -6640,6 +6043,8 @@ function updateLevelInfo() {
         scoreElement.textContent = scoreText;
     }
     
+    updateLevelSeedDisplay();
+    
     // Update level menu if it's open
     if (levelMenu.isVisible) {
         updateLevelMenuDisplay();
@@ -6670,30 +6075,11 @@ function createProgressBar(current, total, width = 10) {
 }
 
 // Function to create bouncing platforms
-function createBouncingPlatforms(count = 3) {
+function createBouncingPlatforms(positions) {
     // Clear existing platforms
     clearAllBouncingPlatforms();
     
-    const occupiedPositions = new Set();
-    // Don't spawn platform at player starting position
-    occupiedPositions.add(`${playerState.gridX},${playerState.gridZ}`);
-    
-    for (let i = 0; i < count; i++) {
-        let gridX, gridZ;
-        let attempts = 0;
-        
-        // Find an unoccupied position
-        do {
-            gridX = Math.floor(Math.random() * gridSize);
-            gridZ = Math.floor(Math.random() * gridSize);
-            attempts++;
-        } while (occupiedPositions.has(`${gridX},${gridZ}`) && attempts < 100);
-        
-        if (attempts < 100) {
-            occupiedPositions.add(`${gridX},${gridZ}`);
-            createBouncingPlatform(gridX, gridZ);
-        }
-    }
+    positions.forEach(position => createBouncingPlatform(position.x, position.z));
 }
 
 // Function to create a single bouncing platform
@@ -6795,11 +6181,11 @@ function clearAllBouncingPlatforms() {
 
 // Function to animate bouncing platforms
 function animateBouncingPlatforms() {
-    const time = Date.now() * 0.001;
+    const time = physicsTimestep.time;
     
     bouncingPlatforms.forEach(platform => {
         const userData = platform.userData;
-        const timeSinceLastBounce = Date.now() - userData.lastBounceTime;
+        const timeSinceLastBounce = time * 1000 - userData.lastBounceTime;
         
         // Gentle floating animation when not compressed
         if (!userData.isCompressed) {
@@ -6851,7 +6237,7 @@ function bouncePlayer(platform) {
     
     // Mark platform as compressed
     platform.userData.isCompressed = true;
-    platform.userData.lastBounceTime = Date.now();
+    platform.userData.lastBounceTime = physicsTimestep.time * 1000;
     
     // Play jump sound effect
     soundManager.play('jump');
@@ -6871,28 +6257,15 @@ function bouncePlayer(platform) {
     
     playerState.isMoving = true;
     
-    // Animate the bounce
-    const bounceStartTime = Date.now();
-    const animateBounce = () => {
-        const elapsed = (Date.now() - bounceStartTime) / 1000;
-        const progress = Math.min(elapsed / bounceDuration, 1);
+    // Animate the bounce, then land on an elevated platform
+    stepTimers.animate(bounceDuration * 1000, progress => {
+        // Parabolic arc for realistic bounce
+        const height = bounceHeight * Math.sin(progress * Math.PI);
+        player.position.y = startPosition.y + height;
         
-        if (progress < 1) {
-            // Parabolic arc for realistic bounce
-            const height = bounceHeight * Math.sin(progress * Math.PI);
-            player.position.y = startPosition.y + height;
-            
-            // Add slight rotation during bounce
-            player.rotation.y += 0.05;
-            
-            requestAnimationFrame(animateBounce);
-        } else {
-            // Bounce complete - land on elevated platform
-            landOnElevatedPlatform();
-        }
-    };
-    
-    animateBounce();
+        // Add slight rotation during bounce
+        player.rotation.y += 0.05;
+    }, landOnElevatedPlatform);
 }
 
 // Function to create elevated platform for landing
@@ -6930,34 +6303,25 @@ function landOnElevatedPlatform() {
     showLandingEffect(player.position);
     
     // Remove elevated platform after some time and return player to ground
-    setTimeout(() => {
+    stepTimers.after(3000, () => { // Platform exists for 3 seconds
         // Animate player descending back to ground
-        const descendStartTime = Date.now();
         const descendDuration = 1.0;
         const startY = player.position.y;
         const endY = 0.55;
         
-        const animateDescend = () => {
-            const elapsed = (Date.now() - descendStartTime) / 1000;
-            const progress = Math.min(elapsed / descendDuration, 1);
-            
-            if (progress < 1) {
-                // Smooth descent
-                const easeProgress = 1 - Math.pow(1 - progress, 2);
-                player.position.y = startY + (endY - startY) * easeProgress;
-                requestAnimationFrame(animateDescend);
-            } else {
-                player.position.y = endY;
-                playerState.isMoving = false;
-            }
-        };
-        
         playerState.isMoving = true;
-        animateDescend();
+        stepTimers.animate(descendDuration * 1000, progress => {
+            // Smooth descent
+            const easeProgress = 1 - Math.pow(1 - progress, 2);
+            player.position.y = startY + (endY - startY) * easeProgress;
+        }, () => {
+            player.position.y = endY;
+            playerState.isMoving = false;
+        });
         
         // Remove elevated platform
         worldGroup.remove(elevatedPlatform);
-    }, 3000); // Platform exists for 3 seconds
+    });
 }
 
 // Function to show bounce effect
@@ -7073,7 +6437,7 @@ function showLandingEffect(position) {
 }
 
 // Function to create the key
-function createKey() {
+function createKey(position) {
     if (gameKey) {
         worldGroup.remove(gameKey);
     }
@@ -7104,11 +6468,8 @@ function createKey() {
     keyGroup.add(keyTeeth);
     
     // Position key
-    let keyGridX, keyGridZ;
-    do {
-        keyGridX = Math.floor(Math.random() * gridSize);
-        keyGridZ = Math.floor(Math.random() * gridSize);
-    } while (keyGridX === playerState.gridX && keyGridZ === playerState.gridZ);
+    const keyGridX = position.x;
+    const keyGridZ = position.z;
     
     keyGroup.position.copy(gridToWorld(keyGridX, keyGridZ));
     keyGroup.position.y = 1.5;
@@ -7135,7 +6496,7 @@ function createKey() {
 }
 
 // Function to create the goal tile
-function createGoalTile() {
+function createGoalTile(position = { x: gridSize - 1, z: gridSize - 1 }) {
     if (goalTile) {
         worldGroup.remove(goalTile);
     }
@@ -7151,9 +6512,9 @@ function createGoalTile() {
     
     const goal = new THREE.Mesh(goalGeometry, goalMaterial);
     
-    // Position goal tile (opposite corner from player start)
-    const goalGridX = gridSize - 1;
-    const goalGridZ = gridSize - 1;
+    // Position goal tile (opposite corner from player start unless the layout says otherwise)
+    const goalGridX = position.x;
+    const goalGridZ = position.z;
     
     goal.position.copy(gridToWorld(goalGridX, goalGridZ));
     goal.position.y = 0.15;
@@ -7187,11 +6548,15 @@ function collectKey() {
                 itemType: 'key',
                 itemId: gameKey.userData.id
             });
+            
+            // Keep the key until the server confirms, so a rejected pickup can be rolled back
+            multiplayerState.pendingCollections[gameKey.userData.id] = { itemType: 'key', object: gameKey };
         }
         
         worldGroup.remove(gameKey);
         gameKey = null;
         gameScore.hasKey = true;
+        recordGhostSplit('key');
         
         // Track key collection for statistics and achievements
         trackKeyCollection();
@@ -7221,7 +6586,7 @@ function collectKey() {
         const currentLevel = gameScore.currentLevel;
         
         if (gameMode.isSinglePlayer && !gameScore.levelComplete) {
-            if (currentLevel >= 2 && currentLevel <= 5) {
+            if (completesOnKeyPickup(currentLevel)) {
                 // Levels 2-5: Auto-transition on key collection
                 updateScoreDisplay({ animateKey: true });
                 
@@ -7256,44 +6621,39 @@ function collectKey() {
 
 // Function to complete the level
 function completeLevel() {
-    // Check completion requirements based on game mode and level
-    if (gameMode.isSinglePlayer) {
-        const currentLevel = gameScore.currentLevel;
-        
-        // Different completion rules for different levels
-        if (currentLevel === 1) {
-            // Level 1: requires ALL coins + key
-            if (!gameScore.hasKey) {
-                showMessage('Exit is locked! Find the key first!', '#ff6666', 2000);
-                return;
-            }
-            
-            if (gameScore.coins < gameScore.requiredCoins) {
-                const remaining = gameScore.requiredCoins - gameScore.coins;
-                showMessage(`Collect all coins first! ${remaining} coins remaining.`, '#ff6666', 2000);
-                return;
-            }
-        } else if (currentLevel >= 2 && currentLevel <= 5) {
-            // Levels 2-5: only require key (auto-transition handled in collectKey)
-            if (!gameScore.hasKey) {
-                showMessage('Exit is locked! Find the key first!', '#ff6666', 2000);
-                return;
-            }
-            // Coins are optional for levels 2-5
-        } else {
-            // Levels 6+: require key (coins are optional)
-            if (!gameScore.hasKey) {
-                showMessage('Exit is locked! Find the key first!', '#ff6666', 2000);
-                return;
-            }
-            // Coins are optional for levels 6+
-        }
-    } else {
-        // Multiplayer mode: only require key (legacy behavior)
-        if (!gameScore.hasKey) {
-            showMessage('Exit is locked! Find the key first!', '#ff6666', 2000);
-            return;
-        }
+    // Check completion requirements: key everywhere, plus all coins on level 1 in single player
+    const completionBlocker = getCompletionBlocker({
+        isSinglePlayer: gameMode.isSinglePlayer,
+        levelNumber: gameScore.currentLevel,
+        hasKey: gameScore.hasKey,
+        coins: gameScore.coins,
+        requiredCoins: gameScore.requiredCoins
+    });
+    
+    if (completionBlocker === 'missing-key') {
+        showMessage('Exit is locked! Find the key first!', '#ff6666', 2000);
+        return;
+    }
+    
+    if (completionBlocker === 'missing-coins') {
+        const remaining = gameScore.requiredCoins - gameScore.coins;
+        showMessage(`Collect all coins first! ${remaining} coins remaining.`, '#ff6666', 2000);
+        return;
+    }
+    
+    // Editor play-tests return to the editor instead of progressing
+    if (levelEditorState.playtesting) {
+        soundManager.play('levelComplete');
+        stopEditorPlaytest(`Play-test complete in ${formatTime(stopLevelTimer())}`);
+        return;
+    }
+    
+    // Replays stop at the goal instead of progressing
+    if (replayState.playing) {
+        soundManager.play('levelComplete');
+        stopLevelTimer();
+        endReplay(`Replay finished: level complete in ${formatTime(replayState.tick * PHYSICS_STEP)}`);
+        return;
     }
     
     gameScore.levelComplete = true;
@@ -7309,6 +6669,10 @@ function completeLevel() {
     const levelScore = (gameScore.coins * 100) + (gameScore.hasKey ? 500 : 0) + timeBonus;
     gameScore.totalScore += levelScore;
     
+    // Keep the finished run as the replay to export and, if it is the fastest, as the ghost
+    finishReplayRecording({ completed: true, time: completionTime, score: levelScore, coins: gameScore.coins });
+    finishGhostRun();
+    
     // Track level completion for statistics and achievements
     trackLevelCompletion(levelScore, completionTime);
     
@@ -7360,7 +6724,8 @@ function completeLevel() {
     updateScoreDisplay({ animateScore: true });
     
     // Start voting for multiplayer or auto-transition for single player
-    if (!gameMode.isSinglePlayer && multiplayerState.isConnected && Object.keys(multiplayerState.otherPlayers).length > 0) {
+    // (a race always reports the finish so the server can time it, even when racing alone)
+    if (!gameMode.isSinglePlayer && multiplayerState.isConnected && (isRaceMode() || Object.keys(multiplayerState.otherPlayers).length > 0)) {
         // Multiplayer: Start voting immediately
         const levelData = {
             levelNumber: gameScore.currentLevel,
@@ -7441,7 +6806,7 @@ function transitionToNextLevel() {
             // Use random generation
             console.log(`🔄 Falling back to random generation because useJsonLevels=${useJsonLevels}, levelDataLoaded=${levelDataLoaded}`);
             gameScore.currentLevel++;
-            const coinsForLevel = Math.min(15 + (gameScore.currentLevel - 1) * 2, 25);
+            const coinsForLevel = getRandomLevelCoinCount(gameScore.currentLevel);
             generateNewLevel(coinsForLevel);
             console.log(`🔄 Generated Level ${gameScore.currentLevel} with ${coinsForLevel} coins`);
             
@@ -7895,7 +7260,7 @@ function switchToRandomGeneration() {
     showMessage('🎲 Switching to infinite random levels!', '#ff6600', 3000);
     
     // Generate immediately - no delay
-    const coinsForLevel = Math.min(15 + (gameScore.currentLevel - 1) * 2, 25);
+    const coinsForLevel = getRandomLevelCoinCount(gameScore.currentLevel);
     generateNewLevel(coinsForLevel);
 }
 
@@ -7908,22 +7273,29 @@ function loopToFirstJsonLevel() {
     loadJsonLevel(currentJsonLevelIndex);
 }
 
-// Function to generate a new level
-function generateNewLevel(coinCount = 15) {
-    console.log(`🎲 Generating new level ${gameScore.currentLevel} with ${coinCount} coins...`);
+// Function to generate a new level (from a new seed unless one is given). `sync: false`
+// builds a level another player started without announcing it to the server again.
+function generateNewLevel(coinCount = 15, { seed = createLevelSeed(), sync = true } = {}) {
+    console.log(`🎲 Generating new level ${gameScore.currentLevel} with ${coinCount} coins from seed ${seed}...`);
     
-    // Clear existing level objects
-    clearAllCoins();
-    clearSpikeTraps();
-    clearTeleportTiles();
-    clearAllBouncingPlatforms();
-    clearBrokenTiles();
-    clearStaticWalls();
-    clearMovingObstacles();
-    clearTypedTiles();
+    // Clear existing level objects (random levels have no underworld)
+    clearLevelContent();
+    resetUnderworld([]);
+    setupLevelTriggers(null);
+    
+    // Lay out the level; the generator only hands out layouts where everything can be reached
+    const layout = generateLevelLayout({
+        seed,
+        levelNumber: gameScore.currentLevel,
+        coinCount,
+        gridSize,
+        start: { x: 5, z: 5 }
+    });
+    randomLevelState.seed = seed;
+    randomLevelState.coinCount = coinCount;
     
     // Reset player position for random levels
-    const centerPos = gridToWorld(5, 5);
+    const centerPos = gridToWorld(layout.start.x, layout.start.z);
     
     // Use safe position setting with validation
     setPlayerPosition({
@@ -7933,41 +7305,59 @@ function generateNewLevel(coinCount = 15) {
     }, 'random level generation');
     
     // Create new level objects
-    spawnCoins(coinCount);
-    createKey();
-    createGoalTile();
-    
-    // Add spike traps (more on higher levels)
-    const trapCount = Math.min(3 + Math.floor(gameScore.currentLevel / 2), 8);
-    createSpikeTraps(trapCount);
+    spawnCoins(layout.coins);
+    createKey(layout.key);
+    createGoalTile(layout.goal);
+    
+    // Hazards (more kinds and more of each on higher levels, see DIFFICULTY_CURVE)
+    createSpikeTraps(layout.spikes);
+    createTeleportTiles(layout.teleporters);
+    createBouncingPlatforms(layout.bouncePads);
+    layout.brokenTiles.forEach(tile => createBrokenTile(tile.x, tile.z));
+    layout.staticWalls.forEach(tile => createStaticWall(tile.x, tile.z));
+    layout.holes.forEach(tile => createHole(tile.x, tile.z));
+    layout.movingObstacles.forEach(track => createMovingObstacle(track.x, track.z, track.endX, track.endZ, track.speed));
+    layout.timedSpikes.forEach(tile => {
+        const position = gridToWorld(tile.x, tile.z);
+        createTimedSpike({
+            position: { x: position.x, y: 0.4, z: position.z },
+            size: { width: 1, height: 0.8, depth: 1 },
+            timing: { interval: 2000, duration: 1000, offset: tile.offset }
+        });
+    });
     
-    // Add teleport tiles (more on higher levels)
-    const teleportPairs = Math.min(1 + Math.floor(gameScore.currentLevel / 3), 3);
-    createTeleportTiles(teleportPairs);
+    const trapCount = layout.spikes.length;
+    const teleportPairs = layout.teleporters.length;
+    const platformCount = layout.bouncePads.length;
     
-    // Add bouncing platforms (more on higher levels)
-    const platformCount = Math.min(2 + Math.floor(gameScore.currentLevel / 4), 5);
-    createBouncingPlatforms(platformCount);
+    // Each random level gets the next theme in turn
+    const theme = getRandomLevelTheme(gameScore.currentLevel);
+    applyLevelSettings({ theme });
     
-    // Add level-specific challenges (every 3rd level)
-    if (gameScore.currentLevel % 3 === 0) {
+    // Challenge levels (every 3rd) play like a level further on
+    if (layout.challenge) {
         addLevelChallenge();
     }
     
-    console.log(`🎲 Generated Level ${gameScore.currentLevel} with ${coinCount} coins, ${trapCount} spike traps, ${teleportPairs} teleport pairs, and ${platformCount} bouncing platforms`);
+    console.log(`🎲 Generated Level ${gameScore.currentLevel} (seed ${seed}, attempt ${layout.attempts}, ${theme} theme) with ${coinCount} coins, ${trapCount} spike traps, ${teleportPairs} teleport pairs, ${platformCount} bouncing platforms, ${layout.brokenTiles.length} broken tiles, ${layout.staticWalls.length} walls, ${layout.movingObstacles.length} moving obstacles, ${layout.timedSpikes.length} timed spikes and ${layout.holes.length} holes`);
     
     // Update level info display
     updateLevelInfo();
     
     // Send level initialization event to server for multiplayer sync
-    if (multiplayerState.isConnected && !gameMode.isSinglePlayer) {
+    if (sync && multiplayerState.isConnected && !gameMode.isSinglePlayer) {
+        // Pickups from the previous level can no longer be rolled back
+        multiplayerState.pendingCollections = {};
+        
         socket.emit('initializeLevel', {
             levelType: 'random',
             levelNumber: gameScore.currentLevel,
+            seed,
             coinCount: coinCount,
             trapCount: trapCount,
             teleportPairs: teleportPairs,
-            platformCount: platformCount
+            platformCount: platformCount,
+            collectibles: getCollectibleLayout()
         });
     }
     
@@ -7980,16 +7370,60 @@ function generateNewLevel(coinCount = 15) {
     console.log(`🎲 Level ${gameScore.currentLevel} generation complete`);
 }
 
+// Rebuild the random level being played from its seed (restarts, rematches)
+function replayRandomLevel() {
+    generateNewLevel(randomLevelState.coinCount, { seed: randomLevelState.seed || createLevelSeed() });
+}
+
+// Show the random level's seed under the level name (hidden on JSON levels)
+function updateLevelSeedDisplay() {
+    const seedElement = document.getElementById('level-seed');
+    if (!seedElement) return;
+    
+    const showSeed = !useJsonLevels && !!randomLevelState.seed;
+    seedElement.classList.toggle('hidden', !showSeed);
+    if (showSeed) {
+        seedElement.textContent = `Seed: ${randomLevelState.seed}`;
+    }
+}
+
+// Copy the random level's seed to share it (called from HTML)
+function copyLevelSeed() {
+    const seed = randomLevelState.seed;
+    if (!seed || useJsonLevels) return;
+    
+    navigator.clipboard.writeText(seed)
+        .then(() => showMessage(`Seed ${seed} copied`, '#00ffff', 2000))
+        .catch(() => showMessage(`Seed: ${seed}`, '#00ffff', 4000));
+}
+
+// Play the seed typed into the level menu at the current level number (called from HTML)
+function playLevelSeed() {
+    const input = document.getElementById('level-seed-input');
+    const seed = normalizeLevelSeed(input ? input.value : '');
+    if (!seed) {
+        showMessage('A seed is 1-12 letters and digits', '#ff6666', 2000);
+        return;
+    }
+    
+    if (spectatorState.active) {
+        showMessage('Spectators cannot change the level', '#ff6666', 2000);
+        return;
+    }
+    
+    useJsonLevels = false;
+    gameScore.coins = 0;
+    gameScore.hasKey = false;
+    gameScore.levelComplete = false;
+    generateNewLevel(getRandomLevelCoinCount(gameScore.currentLevel), { seed });
+    updateLevelMenuDisplay();
+    showMessage(`🎲 Playing seed ${seed}`, '#ff6600', 2000);
+}
+
 // Function to add level challenges
 function addLevelChallenge() {
-    // For now, just add more visual flair
-    // In future versions, could add obstacles, moving platforms, etc.
-    const messageElement = document.getElementById('message');
-    if (messageElement) {
-        const currentMsg = messageElement.textContent;
-        messageElement.textContent = currentMsg + ' (Challenge Level!)';
-        messageElement.style.color = '#ff6600';
-    }
+    // The extra hazards are already in the layout; let the player know what's coming
+    showMessage('⚠️ Challenge Level! Extra hazards ahead', '#ff6600', 3000);
 }
 
 // Function to restart game - moved to prevent duplicate declaration
@@ -8086,7 +7520,7 @@ function showLevelCompletionEffect() {
 
 // Function to animate key and goal
 function animateKeyAndGoal() {
-    const time = Date.now() * 0.001;
+    const time = physicsTimestep.time;
     
     // Animate key
     if (gameKey && gameKey.userData) {
@@ -8133,7 +7567,8 @@ function checkKeyAndGoalCollection() {
     }
     
     // Key collection - completely independent of camera state
-    if (gameKey && !gameScore.hasKey) {
+    const keyCollectBlocked = gameKey && gameKey.userData.collectBlockedUntil && Date.now() < gameKey.userData.collectBlockedUntil;
+    if (gameKey && !gameScore.hasKey && !keyCollectBlocked) {
         const distance = playerPos.distanceTo(gameKey.position);
         
         if (distance < collectDistance) {
@@ -8153,32 +7588,11 @@ function checkKeyAndGoalCollection() {
 }
 
 // Function to create spike traps
-function createSpikeTraps(count = 5) {
+function createSpikeTraps(positions) {
     // Clear existing spike traps
     clearSpikeTraps();
     
-    const occupiedPositions = new Set();
-    // Mark player start position as occupied
-    occupiedPositions.add(`${playerStartPosition.gridX},${playerStartPosition.gridZ}`);
-    // Mark goal position as occupied
-    occupiedPositions.add(`${gridSize - 1},${gridSize - 1}`);
-    
-    for (let i = 0; i < count; i++) {
-        let trapGridX, trapGridZ;
-        let attempts = 0;
-        
-        // Find an unoccupied position
-        do {
-            trapGridX = Math.floor(Math.random() * gridSize);
-            trapGridZ = Math.floor(Math.random() * gridSize);
-            attempts++;
-        } while (occupiedPositions.has(`${trapGridX},${trapGridZ}`) && attempts < 100);
-        
-        if (attempts < 100) {
-            occupiedPositions.add(`${trapGridX},${trapGridZ}`);
-            createSpikeTrap(trapGridX, trapGridZ);
-        }
-    }
+    positions.forEach(position => createSpikeTrap(position.x, position.z));
 }
 
 // Function to create a single spike trap
@@ -8317,8 +7731,8 @@ function clearHoles() {
     holes.length = 0;
 }
 
-// Function to create underworld exit
-function createUnderworldExit(gridX, gridZ) {
+// Function to create underworld exit at a world position (exit is its object from the level data)
+function createUnderworldExit(position, exit = {}) {
     const exitGroup = new THREE.Group();
     
     // Create exit platform (glowing)
@@ -8346,20 +7760,16 @@ function createUnderworldExit(gridX, gridZ) {
     beam.position.set(0, 1.5, 0);
     exitGroup.add(beam);
     
-    // Position the exit group
-    exitGroup.position.copy(gridToWorld(gridX, gridZ));
-    exitGroup.position.y = 0.0;
-    
-    // Store grid position
-    exitGroup.gridX = gridX;
-    exitGroup.gridZ = gridZ;
+    // Position the exit group (grid exits sit on the floor)
+    exitGroup.position.set(position.x, position.y || 0, position.z);
     exitGroup.isUnderworldExit = true;
     
     // Add animation data
     exitGroup.userData = {
         originalY: exitGroup.position.y,
         animationOffset: Math.random() * Math.PI * 2,
-        id: `underworld_exit_${gridX}_${gridZ}`
+        id: `underworld_exit_${position.x}_${position.z}`,
+        exit
     };
     
     worldGroup.add(exitGroup);
@@ -8368,161 +7778,377 @@ function createUnderworldExit(gridX, gridZ) {
     return exitGroup;
 }
 
-// Function to teleport player to underworld
-function teleportToUnderworld() {
-    if (underworldState.isInUnderworld) return;
-    
-    // Store current position
-    underworldState.overworldPosition = {
-        x: player.position.x,
-        y: player.position.y,
-        z: player.position.z
-    };
-    
-    // Move player to underworld
-    underworldState.isInUnderworld = true;
-    
-    // Get underworld spawn point
-    const currentLevel = getCurrentLevelData();
-    if (currentLevel && currentLevel.underworld) {
-        const underworldStart = currentLevel.underworld.playerStart;
-        const underworldPos = gridToWorld(underworldStart.x, underworldStart.z);
-        
-        // Move player to underworld (below main level)
-        setPlayerPosition({
-            x: underworldPos.x,
-            y: underworldPos.y || -15, // Below main level
-            z: underworldPos.z
-        }, 'underworld teleport');
-        
-        // Create underworld environment
-        createUnderworldEnvironment(currentLevel.underworld);
-        
-        showMessage('You\'ve fallen into the underworld! Find an exit to return.', '#ff6600', 3000);
-    }
+// Function to clear underworld exits
+function clearUnderworldExits() {
+    underworldState.underworldExits.forEach(exit => {
+        worldGroup.remove(exit);
+    });
+    underworldState.underworldExits.length = 0;
 }
 
-// Function to create underworld environment
-function createUnderworldEnvironment(underworldConfig) {
-    // Clear existing underworld objects
-    clearUnderworldObjects();
-    
-    // Create underworld objects
-    if (underworldConfig.objects) {
-        underworldConfig.objects.forEach(obj => {
-            switch(obj.type) {
-                case 'coin':
-                    const coin = createCoin(obj.x, obj.z);
-                    coin.position.y = -15 + 1.2; // Position in underworld
-                    underworldState.underworldObjects.push(coin);
-                    break;
-                case 'underworldExit':
-                    createUnderworldExit(obj.x, obj.z);
-                    break;
-            }
-        });
+// Function to clear the key and goal tile
+function clearKeyAndGoal() {
+    if (gameKey) {
+        worldGroup.remove(gameKey);
+        gameKey = null;
+    }
+    if (goalTile) {
+        worldGroup.remove(goalTile);
+        goalTile = null;
     }
 }
 
-// Function to clear underworld objects
-function clearUnderworldObjects() {
-    underworldState.underworldObjects.forEach(obj => {
-        worldGroup.remove(obj);
-        // Remove from coins array if it's a coin
-        const coinIndex = coins.indexOf(obj);
-        if (coinIndex !== -1) {
-            coins.splice(coinIndex, 1);
-        }
+// Start a level on its surface, with its underworld layers (see src/systems/underworld.js)
+function resetUnderworld(layers) {
+    underworldState.layers = layers;
+    underworldState.depth = 0;
+    underworldState.layerItemIds = [];
+    underworldState.collectedItems.clear();
+    updateUnderworldStatus();
+}
+
+// Give the coins and key just built the ids of their layer, and drop the ones already collected there
+function trackLayerItems(depth) {
+    const items = gameKey ? [...coins, gameKey] : [...coins];
+    items.forEach(item => {
+        item.userData.id = getLayerItemId(depth, item.userData.id);
+        item.userData.layer = depth;
     });
-    underworldState.underworldObjects.length = 0;
+    underworldState.layerItemIds = items.map(item => item.userData.id);
     
-    underworldState.underworldExits.forEach(exit => {
-        worldGroup.remove(exit);
+    const { collectedItems } = underworldState;
+    coins.filter(coin => collectedItems.has(coin.userData.id)).forEach(coin => {
+        worldGroup.remove(coin);
+        coins.splice(coins.indexOf(coin), 1);
     });
-    underworldState.underworldExits.length = 0;
+    if (gameKey && collectedItems.has(gameKey.userData.id)) {
+        worldGroup.remove(gameKey);
+        gameKey = null;
+    }
 }
 
-// Function to exit underworld
-function exitUnderworld() {
-    if (!underworldState.isInUnderworld) return;
+// Swap the layer at `depth` in for the one being played; the player starts at `start`
+// (their own spot is kept when spectating)
+function enterLevelLayer(depth, start) {
+    const layer = underworldState.layers[depth];
+    if (!layer) return;
     
-    // Clear underworld objects
-    clearUnderworldObjects();
+    // Items missing from the layer being left were collected there
+    const remaining = new Set(coins.map(coin => coin.userData.id));
+    if (gameKey) remaining.add(gameKey.userData.id);
+    underworldState.layerItemIds
+        .filter(id => !remaining.has(id))
+        .forEach(id => underworldState.collectedItems.add(id));
     
-    // Return player to overworld
-    if (underworldState.overworldPosition) {
-        setPlayerPosition({
-            x: underworldState.overworldPosition.x,
-            y: underworldState.overworldPosition.y,
-            z: underworldState.overworldPosition.z
-        }, 'underworld exit');
+    clearLevelContent();
+    buildLevelContent(layer);
+    trackLayerItems(depth);
+    underworldState.depth = depth;
+    
+    if (!spectatorState.active) {
+        resetPlayerPhysics();
+        placePlayerOnLevel(layer, start);
+    }
+    setupLevelTriggers(layer);
+    applyLevelSettings(layer);
+    
+    gameScore.totalCoins = coins.length;
+    updateScoreDisplay();
+    updatePlayerPosition();
+    updateRemotePlayerLayers();
+    updateUnderworldStatus();
+    
+    // Tell the room where we are (the server knows the layer's collectibles from the level file)
+    if (multiplayerState.isConnected && !gameMode.isSinglePlayer && !spectatorState.active) {
+        socket.emit('changeLayer', { depth });
     }
+}
+
+// Function to teleport player to the underworld below the current layer
+function teleportToUnderworld() {
+    const depth = underworldState.depth + 1;
+    const layer = underworldState.layers[depth];
+    if (!layer) return;
+    
+    enterLevelLayer(depth, layer.playerStart);
+    
+    showMessage(depth === 1
+        ? 'You\'ve fallen into the underworld! Find an exit to return.'
+        : `You've fallen deeper, to underworld ${depth}!`, '#ff6600', 3000);
+}
+
+// Function to climb from the current underworld layer to the one above through `exit`
+function exitUnderworld(exit) {
+    const { depth, layers } = underworldState;
+    if (depth === 0) return;
+    
+    enterLevelLayer(depth - 1, getExitDestination(layers, depth, exit));
+    
+    showMessage(depth === 1 ? 'You\'ve returned to the surface!' : `You've climbed back up to underworld ${depth - 1}`, '#00ff00', 2000);
+}
+
+// Only players on the layer we are looking at are drawn
+function updateRemotePlayerLayers() {
+    Object.values(multiplayerState.otherPlayers).forEach(otherPlayer => {
+        otherPlayer.mesh.visible = (otherPlayer.layer || 0) === underworldState.depth;
+    });
+}
+
+// HUD line with the layer being played and how many players are below it (hidden on levels without an underworld)
+function updateUnderworldStatus() {
+    const statusElement = document.getElementById('underworld-status');
+    if (!statusElement) return;
     
-    underworldState.isInUnderworld = false;
-    underworldState.overworldPosition = null;
+    const hasLayers = underworldState.layers.length > 1;
+    statusElement.classList.toggle('hidden', !hasLayers);
+    if (!hasLayers) return;
+    
+    const { depth } = underworldState;
+    const { below } = countPlayersByLayer(multiplayerState.otherPlayers, depth);
+    const layerName = depth === 0 ? 'Surface' : `Underworld ${depth}`;
+    statusElement.textContent = below > 0 ? `${layerName} · ${below} below` : layerName;
+}
+
+// Another player changed layer: show or hide their ball
+function setOtherPlayerLayer(playerId, depth) {
+    const otherPlayer = multiplayerState.otherPlayers[playerId];
+    if (!otherPlayer) return;
     
-    showMessage('You\'ve returned to the surface!', '#00ff00', 2000);
+    otherPlayer.layer = depth;
+    otherPlayer.snapshots.clear();
+    updateRemotePlayerLayers();
+    updateUnderworldStatus();
 }
 
 // ============ ENVIRONMENT SYSTEM ============
 
-// Function to set up environment based on level
-function setupEnvironment(levelData) {
-    // Reset to default environment
-    scene.fog = null;
-    scene.background = new THREE.Color(0x87CEEB); // Sky blue
+// Sky, fog, lights, floor colors and weather for a level (see src/systems/environmentThemes.js).
+// The look blends over from the previous level's unless `blend` is false.
+const environmentState = {
+    current: null,  // Environment on screen
+    from: null,     // Blend start and end
+    target: null,
+    blendStart: 0,
+    blendDuration: 0,
+    sky: null,      // Sky dome mesh
+    weather: null   // { points, positions, phases, typeId }
+};
+
+function setupEnvironment(levelData, { blend = true } = {}) {
+    const target = resolveEnvironment(levelData);
+    const duration = getConfigValue('visual.environmentBlendDuration', ENVIRONMENT_BLEND_DURATION);
     
-    // Check if this is a jungle level
-    if (levelData && levelData.isJungle) {
-        setupJungleEnvironment();
+    if (!environmentState.current || !blend || duration <= 0) {
+        environmentState.target = null;
+        applyEnvironment(target);
     } else {
-        // Default environment
-        setupDefaultEnvironment();
+        environmentState.from = environmentState.current;
+        environmentState.target = target;
+        environmentState.blendStart = performance.now();
+        environmentState.blendDuration = duration;
     }
+    
+    console.log(`🌅 ${target.name} environment activated`);
 }
 
-// Function to set up jungle environment
-function setupJungleEnvironment() {
-    // Green jungle skybox
-    scene.background = new THREE.Color(0x228B22); // Forest green
+function applyEnvironment(environment) {
+    environmentState.current = environment;
+    
+    updateSkyDome(environment.sky);
+    scene.background = new THREE.Color(environment.sky.horizon);
     
-    // Add jungle fog for depth
-    scene.fog = new THREE.Fog(0x228B22, 10, 50);
+    if (!environment.fog) {
+        scene.fog = null;
+    } else if (scene.fog) {
+        scene.fog.color.setHex(environment.fog.color);
+        scene.fog.near = environment.fog.near;
+        scene.fog.far = environment.fog.far;
+    } else {
+        scene.fog = new THREE.Fog(environment.fog.color, environment.fog.near, environment.fog.far);
+    }
     
-    // Adjust lighting for jungle atmosphere
     if (ambientLight) {
-        ambientLight.color.setHex(0x404040); // Darker ambient
-        ambientLight.intensity = 0.4;
+        ambientLight.color.setHex(environment.ambient.color);
+        ambientLight.intensity = environment.ambient.intensity;
     }
     
     if (directionalLight) {
-        directionalLight.color.setHex(0x90EE90); // Light green tint
-        directionalLight.intensity = 0.8;
+        directionalLight.color.setHex(environment.directional.color);
+        directionalLight.intensity = environment.directional.intensity;
     }
     
-    console.log('🌳 Jungle environment activated');
+    lightTileMaterial.color.setHex(environment.tiles.light);
+    darkTileMaterial.color.setHex(environment.tiles.dark);
+    
+    setWeather(environment.weather);
 }
 
-// Function to set up default environment
-function setupDefaultEnvironment() {
-    // Default blue sky
-    scene.background = new THREE.Color(0x87CEEB);
+// Blend towards the target environment, keep the sky around the camera and move the weather
+function updateEnvironment(frameSeconds, timestamp) {
+    if (environmentState.target) {
+        const t = Math.min(1, (timestamp - environmentState.blendStart) / environmentState.blendDuration);
+        applyEnvironment(blendEnvironments(environmentState.from, environmentState.target, t));
+        if (t >= 1) {
+            environmentState.target = null;
+        }
+    }
     
-    // No fog
-    scene.fog = null;
+    const seconds = timestamp / 1000;
+    if (environmentState.sky && camera) {
+        camera.getWorldPosition(environmentState.sky.position);
+        environmentState.sky.material.uniforms.time.value = seconds;
+    }
     
-    // Reset lighting
-    if (ambientLight) {
-        ambientLight.color.setHex(0x404040);
-        ambientLight.intensity = 0.3;
+    const weather = environmentState.weather;
+    if (weather && weather.points.visible && player) {
+        const count = weather.points.geometry.drawRange.count;
+        stepWeatherParticles(weather.positions, weather.phases, count, weather.typeId, frameSeconds, seconds);
+        weather.points.geometry.attributes.position.needsUpdate = true;
+        weather.points.position.set(player.position.x, 0, player.position.z);
+        
+        // Fireflies blink on and off, each on its own beat
+        if (WEATHER_TYPES[weather.typeId].glow) {
+            const colors = weather.points.geometry.attributes.color;
+            for (let i = 0; i < count; i++) {
+                const brightness = 0.5 + 0.5 * Math.sin(seconds * 2 + weather.phases[i] * 40);
+                colors.setXYZ(i, brightness, brightness, brightness);
+            }
+            colors.needsUpdate = true;
+        }
+    }
+}
+
+// Gradient sky with procedural stars and clouds, drawn behind everything
+function updateSkyDome(sky) {
+    if (!environmentState.sky) {
+        const radius = getConfigValue('camera.far', 1000) * 0.9;
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                topColor: { value: new THREE.Color() },
+                horizonColor: { value: new THREE.Color() },
+                bottomColor: { value: new THREE.Color() },
+                stars: { value: 0 },
+                clouds: { value: 0 },
+                time: { value: 0 }
+            },
+            vertexShader: `
+                varying vec3 vDirection;
+                void main() {
+                    vDirection = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 topColor;
+                uniform vec3 horizonColor;
+                uniform vec3 bottomColor;
+                uniform float stars;
+                uniform float clouds;
+                uniform float time;
+                varying vec3 vDirection;
+                
+                float hash(vec3 p) {
+                    p = fract(p * 0.3183099 + 0.1) * 17.0;
+                    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+                }
+                
+                float noise(vec3 p) {
+                    vec3 i = floor(p);
+                    vec3 f = fract(p);
+                    f = f * f * (3.0 - 2.0 * f);
+                    return mix(
+                        mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                        mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+                        f.z
+                    );
+                }
+                
+                void main() {
+                    vec3 direction = normalize(vDirection);
+                    float height = direction.y;
+                    vec3 color = height > 0.0
+                        ? mix(horizonColor, topColor, pow(height, 0.6))
+                        : mix(horizonColor, bottomColor, pow(-height, 0.6));
+                    
+                    if (stars > 0.0 && height > 0.0) {
+                        float cell = hash(floor(direction * 220.0));
+                        float twinkle = 0.7 + 0.3 * sin(time * 3.0 + cell * 50.0);
+                        color += vec3(smoothstep(1.0 - 0.006 * stars, 1.0, cell) * twinkle * smoothstep(0.0, 0.15, height));
+                    }
+                    
+                    if (clouds > 0.0 && height > 0.0) {
+                        vec3 p = direction / max(height, 0.1) * 1.5 + vec3(time * 0.01, 0.0, time * 0.004);
+                        float n = noise(p) * 0.5 + noise(p * 2.0) * 0.25 + noise(p * 4.0) * 0.125;
+                        float cover = smoothstep(0.65 - clouds * 0.35, 0.8, n) * smoothstep(0.0, 0.25, height);
+                        color = mix(color, mix(horizonColor, vec3(1.0), 0.6), cover * clouds);
+                    }
+                    
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <colorspace_fragment>
+                }
+            `,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false
+        });
+        
+        environmentState.sky = new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 16), material);
+        environmentState.sky.renderOrder = -1;
+        environmentState.sky.frustumCulled = false;
+        scene.add(environmentState.sky);
     }
     
-    if (directionalLight) {
-        directionalLight.color.setHex(0xffffff);
-        directionalLight.intensity = 1;
+    const uniforms = environmentState.sky.material.uniforms;
+    uniforms.topColor.value.setHex(sky.top);
+    uniforms.horizonColor.value.setHex(sky.horizon);
+    uniforms.bottomColor.value.setHex(sky.bottom);
+    uniforms.stars.value = sky.stars;
+    uniforms.clouds.value = sky.clouds;
+}
+
+// Show `density` (0-1) of the weather particles of a kind, or none
+function setWeather({ type, density }) {
+    const weatherType = WEATHER_TYPES[type];
+    const count = weatherType ? Math.round(WEATHER_PARTICLE_COUNT * density) : 0;
+    
+    if (!environmentState.weather) {
+        if (count === 0) return;
+        
+        const positions = new Float32Array(WEATHER_PARTICLE_COUNT * 3);
+        const phases = new Float32Array(WEATHER_PARTICLE_COUNT);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(WEATHER_PARTICLE_COUNT * 3).fill(1), 3));
+        
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial({ transparent: true, depthWrite: false, vertexColors: true }));
+        points.frustumCulled = false;
+        scene.add(points);
+        environmentState.weather = { points, positions, phases, typeId: null };
     }
     
-    console.log('🌅 Default environment activated');
+    const weather = environmentState.weather;
+    weather.points.visible = count > 0;
+    weather.points.geometry.setDrawRange(0, count);
+    if (count === 0 || weather.typeId === type) return;
+    
+    // New kind of weather: scatter the particles over its area
+    weather.typeId = type;
+    for (let i = 0; i < WEATHER_PARTICLE_COUNT; i++) {
+        weather.positions[i * 3] = (Math.random() * 2 - 1) * WEATHER_AREA;
+        weather.positions[i * 3 + 1] = weatherType.minHeight + Math.random() * (weatherType.maxHeight - weatherType.minHeight);
+        weather.positions[i * 3 + 2] = (Math.random() * 2 - 1) * WEATHER_AREA;
+        weather.phases[i] = Math.random();
+    }
+    weather.points.geometry.attributes.position.needsUpdate = true;
+    weather.points.geometry.attributes.color.array.fill(1);
+    weather.points.geometry.attributes.color.needsUpdate = true;
+    
+    const material = weather.points.material;
+    material.color.setHex(weatherType.color);
+    material.size = weatherType.size;
+    material.opacity = weatherType.opacity;
+    material.blending = weatherType.glow ? THREE.AdditiveBlending : THREE.NormalBlending;
+    material.needsUpdate = true;
 }
 
 // Function to clear all spike traps
@@ -8597,6 +8223,17 @@ function gameOver() {
     // Play level failed sound effect
     soundManager.play('levelFailed');
     
+    // Editor play-tests return to the editor once the respawn has run
+    if (levelEditorState.playtesting) {
+        setTimeout(() => stopEditorPlaytest('Play-test failed: out of lives'), 0);
+        return;
+    }
+    
+    // In multiplayer the game goes on without us; we watch until the next level
+    if (spectateOutOfLives()) {
+        return;
+    }
+    
     showMessage('Game Over! Press N to restart', '#ff0000', 10000);
     
     // Create game over effect
@@ -8699,7 +8336,7 @@ function showGameOverEffect() {
 
 // Function to animate spike traps
 function animateSpikeTraps() {
-    const time = Date.now() * 0.001;
+    const time = physicsTimestep.time;
     
     spikeTraps.forEach(trap => {
         if (trap.userData) {
@@ -8733,7 +8370,6 @@ function checkSpikeTrapCollision() {
 
 // Function to check hole collision
 function checkHoleCollision() {
-    if (underworldState.isInUnderworld) return; // Don't check holes in underworld
     if (playerState.isMoving || gameScore.lives <= 0) return;
     
     const playerPos = player.position;
@@ -8744,9 +8380,8 @@ function checkHoleCollision() {
         const distance = playerPos.distanceTo(hole.position);
         
         if (distance < holeDistance) {
-            // Get current level data to check if it has underworld
-            const currentLevel = getCurrentLevelData();
-            if (currentLevel && currentLevel.hasUnderworld) {
+            // Holes lead to the layer below, if there is one (random levels have none)
+            if (hasLayerBelow(underworldState.layers, underworldState.depth)) {
                 teleportToUnderworld();
             } else {
                 // If no underworld, treat as damage
@@ -8760,7 +8395,7 @@ function checkHoleCollision() {
 
 // Function to check underworld exit collision
 function checkUnderworldExitCollision() {
-    if (!underworldState.isInUnderworld) return; // Only check in underworld
+    if (underworldState.depth === 0) return; // Only check in underworld
     if (playerState.isMoving || gameScore.lives <= 0) return;
     
     const playerPos = player.position;
@@ -8771,58 +8406,26 @@ function checkUnderworldExitCollision() {
         const distance = playerPos.distanceTo(exit.position);
         
         if (distance < exitDistance) {
-            exitUnderworld();
+            exitUnderworld(exit.userData.exit);
             break; // Only one exit can trigger per frame
         }
     }
 }
 
 // Function to create teleport tiles
-function createTeleportTiles(pairCount = 2) {
+function createTeleportTiles(pairs) {
     // Clear existing teleport tiles
     clearTeleportTiles();
     
-    const occupiedPositions = new Set();
-    // Mark important positions as occupied
-    occupiedPositions.add(`${playerStartPosition.gridX},${playerStartPosition.gridZ}`);
-    occupiedPositions.add(`${gridSize - 1},${gridSize - 1}`);
-    
-    // Also mark spike trap positions as occupied
-    spikeTraps.forEach(trap => {
-        occupiedPositions.add(`${trap.gridX},${trap.gridZ}`);
-    });
-    
-    // Create teleport pairs
-    for (let i = 0; i < pairCount; i++) {
-        const pairPositions = [];
-        
-        // Find two positions for the teleport pair
-        for (let j = 0; j < 2; j++) {
-            let teleportGridX, teleportGridZ;
-            let attempts = 0;
-            
-            do {
-                teleportGridX = Math.floor(Math.random() * gridSize);
-                teleportGridZ = Math.floor(Math.random() * gridSize);
-                attempts++;
-            } while (occupiedPositions.has(`${teleportGridX},${teleportGridZ}`) && attempts < 100);
-            
-            if (attempts < 100) {
-                occupiedPositions.add(`${teleportGridX},${teleportGridZ}`);
-                pairPositions.push({ gridX: teleportGridX, gridZ: teleportGridZ });
-            }
-        }
+    // Create teleport pairs ([[{ x, z }, { x, z }], ...])
+    pairs.forEach(([positionA, positionB], i) => {
+        const teleportA = createTeleportTile(positionA.x, positionA.z, i);
+        const teleportB = createTeleportTile(positionB.x, positionB.z, i);
         
-        // Create the teleport pair if we found two positions
-        if (pairPositions.length === 2) {
-            const teleportA = createTeleportTile(pairPositions[0].gridX, pairPositions[0].gridZ, i);
-            const teleportB = createTeleportTile(pairPositions[1].gridX, pairPositions[1].gridZ, i);
-            
-            // Link them together
-            teleportA.destination = teleportB;
-            teleportB.destination = teleportA;
-        }
-    }
+        // Link them together
+        teleportA.destination = teleportB;
+        teleportB.destination = teleportA;
+    });
 }
 
 // Function to create a single teleport tile
@@ -8997,7 +8600,7 @@ function showTeleportEffect(position) {
 
 // Function to animate teleport tiles
 function animateTeleportTiles() {
-    const time = Date.now() * 0.001;
+    const time = physicsTimestep.time;
     
     teleportTiles.forEach(tile => {
         if (tile.userData) {
@@ -9348,7 +8951,9 @@ const playerState = {
         backward: false,
         left: false,
         right: false,
-        jump: false
+        jump: false,
+        moveX: 0,   // Analog stick (gamepad or touch joystick), -1..1 right
+        moveY: 0    // Analog stick (gamepad or touch joystick), -1..1 forward
     },
     
     // Legacy properties for backwards compatibility
@@ -9386,7 +8991,7 @@ const worldState = {
 // Groups have been moved to the beginning of the file for proper initialization order
 
 // Movement animation variables
-let moveStartTime = 0;
+let moveStartTime = 0; // simulated seconds
 let moveDuration = 0.3; // seconds (loaded from config)
 let moveStartPos = new THREE.Vector3();
 let moveEndPos = new THREE.Vector3();
@@ -9396,36 +9001,6 @@ function initializeMovementSettings() {
     moveDuration = getConfigValue('gameplay.moveDuration', 0.3);
 }
 
-// Validate numeric values to prevent NaN
-function validateNumber(value, fallback = 0, name = 'value') {
-    if (typeof value === 'number' && !isNaN(value) && isFinite(value)) {
-        return value;
-    }
-    console.warn(`Invalid ${name}:`, value, 'using fallback:', fallback);
-    return fallback;
-}
-
-// Validate and sanitize position objects to prevent NaN values
-function validatePosition(position, fallback = { x: 0, y: 2, z: 0 }, name = 'position') {
-    if (!position || typeof position !== 'object') {
-        console.warn(`❌ Invalid ${name}:`, position, 'using fallback:', fallback);
-        return { ...fallback };
-    }
-    
-    const validatedPos = {
-        x: validateNumber(position.x, fallback.x, `${name}.x`),
-        y: validateNumber(position.y, fallback.y, `${name}.y`),
-        z: validateNumber(position.z, fallback.z, `${name}.z`)
-    };
-    
-    // Log if any values were corrected
-    if (validatedPos.x !== position.x || validatedPos.y !== position.y || validatedPos.z !== position.z) {
-        console.warn(`🔧 Position ${name} corrected from`, position, 'to', validatedPos);
-    }
-    
-    return validatedPos;
-}
-
 // Safe function to set player position with validation and logging
 function setPlayerPosition(position, source = 'unknown') {
     const validatedPos = validatePosition(position, { x: 0, y: 2, z: 0 }, `player position (${source})`);
@@ -9538,7 +9113,7 @@ function movePlayerTo(newGridX, newGridZ) {
     
     moveStartPos.copy(player.position);
     moveEndPos.copy(gridToWorld(newGridX, newGridZ));
-    moveStartTime = Date.now();
+    moveStartTime = physicsTimestep.time;
     
     // Play rolling sound effect
     soundManager.play('roll');
@@ -9642,7 +9217,6 @@ function executeGravityShift(rotationAxis, rotationAmount, newPlayerPos, surface
     if (worldState.isRotating || playerState.isMoving) return false;
     
     worldState.isRotating = true;
-    const rotationStartTime = Date.now();
     const rotationDuration = getConfigValue('gameplay.rotationDuration', 1500);
     
     // Play gravity shift sound effect
@@ -9663,10 +9237,7 @@ function executeGravityShift(rotationAxis, rotationAmount, newPlayerPos, surface
     worldState.gravityDirection.applyMatrix4(rotationMatrix);
     
     // Animate world rotation
-    const animateRotation = () => {
-        const elapsed = Date.now() - rotationStartTime;
-        const progress = Math.min(elapsed / rotationDuration, 1);
-        
+    const rotateWorld = progress => {
         // Smooth easing with ease-in-out for gravity shift feeling
         const easeProgress = progress < 0.5 
             ? 2 * progress * progress 
@@ -9700,40 +9271,36 @@ function executeGravityShift(rotationAxis, rotationAmount, newPlayerPos, surface
             const rotatedTarget = originalControlsTarget.clone().applyMatrix4(rotationMatrix);
             controls.target.copy(rotatedTarget);
         }
-        
-        if (progress < 1) {
-            requestAnimationFrame(animateRotation);
-        } else {
-            // Rotation complete
-            worldState.isRotating = false;
-            worldState.currentRotation[rotationAxis] = worldState.targetRotation[rotationAxis];
-            
-            // Update player position
-            playerState.gridX = newPlayerPos.gridX;
-            playerState.gridZ = newPlayerPos.gridZ;
-            
-            // Update player world position
-            const newWorldPos = gridToWorld(playerState.gridX, playerState.gridZ);
-            player.position.copy(newWorldPos);
-            
-            // Update controls for new gravity orientation
-            updateControlsForGravity();
-            
-            updatePlayerPosition();
-            
-            // Show completion message
-            const messageElement = document.getElementById('message');
-            if (messageElement) {
-                messageElement.textContent = `Gravity shifted to ${surfaceDescription}!`;
-                messageElement.style.color = '#66ff66';
-                setTimeout(() => {
-                    messageElement.textContent = '';
-                }, 2000);
-            }
-        }
     };
     
-    animateRotation();
+    stepTimers.animate(rotationDuration, rotateWorld, () => {
+        // Rotation complete
+        worldState.isRotating = false;
+        worldState.currentRotation[rotationAxis] = worldState.targetRotation[rotationAxis];
+        
+        // Update player position
+        playerState.gridX = newPlayerPos.gridX;
+        playerState.gridZ = newPlayerPos.gridZ;
+        
+        // Update player world position
+        const newWorldPos = gridToWorld(playerState.gridX, playerState.gridZ);
+        player.position.copy(newWorldPos);
+        
+        // Update controls for new gravity orientation
+        updateControlsForGravity();
+        
+        updatePlayerPosition();
+        
+        // Show completion message
+        const messageElement = document.getElementById('message');
+        if (messageElement) {
+            messageElement.textContent = `Gravity shifted to ${surfaceDescription}!`;
+            messageElement.style.color = '#66ff66';
+            setTimeout(() => {
+                messageElement.textContent = '';
+            }, 2000);
+        }
+    });
     return true;
 }
 
@@ -9792,6 +9359,7 @@ function setCameraPreset(presetName) {
     
     // Track camera preset usage for statistics and achievements
     trackCameraPresetUsage(presetName);
+    recordReplayEvent('cameraPreset', presetName);
     
     // Apply current world rotation to the new preset
     const rotationMatrix = new THREE.Matrix4();
@@ -10279,6 +9847,7 @@ function toggleCameraMode() {
     
     // Track camera mode switching for statistics and achievements
     trackCameraModeSwitch();
+    recordReplayEvent('cameraMode', cameraSystem.currentMode);
     
     const messageElement = document.getElementById('message');
     const cameraMode = document.getElementById('camera-mode');
@@ -10421,12 +9990,13 @@ function resetCameraPosition() {
 }
 
 // Adjust camera manual control
-function adjustCameraManualControl(direction) {
+// amount scales the step (analog sticks pass their tilt times the frame time)
+function adjustCameraManualControl(direction, amount = 1, showHint = true) {
     if (!cameraSystem.enabled) return;
     
     cameraSystem.manualControlEnabled = true;
     
-    const sensitivity = cameraSystem.controlSensitivity;
+    const sensitivity = cameraSystem.controlSensitivity * amount;
     
     switch(direction) {
         case 'forward':
@@ -10467,7 +10037,7 @@ function adjustCameraManualControl(direction) {
     
     // Show control message
     const messageElement = document.getElementById('message');
-    if (messageElement) {
+    if (messageElement && showHint) {
         messageElement.textContent = 'Camera manual control active (Shift + Arrow Keys)';
         messageElement.style.color = '#66ccff';
         setTimeout(() => {
@@ -10569,16 +10139,36 @@ function triggerBoundaryFeedback() {
 // Keyboard input handling
 const keys = {};
 document.addEventListener('keydown', (event) => {
+    // Let text fields (e.g. the room name input) receive typing
+    if (event.target instanceof HTMLInputElement) return;
+    
+    // The controls screen takes every key (capturing new bindings)
+    if (isControlsMenuOpen()) {
+        handleControlsMenuKey(event);
+        return;
+    }
+    
+    // Level editor shortcuts replace game controls while editing
+    if (levelEditorState.active && handleLevelEditorKey(event)) {
+        return;
+    }
+    
+    // Replay playback controls replace game controls while watching
+    if (replayState.playing && handleReplayKey(event)) {
+        return;
+    }
+    
     keys[event.code] = true;
+    const action = getInputAction(event.code);
     
     // Handle pause menu toggle first (works even when paused)
-    if (event.code === 'KeyP') {
+    if (action === 'pause') {
         togglePauseMenu();
         return;
     }
     
-    // Handle ESC key for level menu (works even when paused)
-    if (event.code === 'Escape') {
+    // Handle level menu key (works even when paused)
+    if (action === 'levelMenu') {
         event.preventDefault();
         toggleLevelMenu();
         return;
@@ -10589,66 +10179,55 @@ document.addEventListener('keydown', (event) => {
         return;
     }
     
+    // Spectators steer the camera instead of a ball
+    if (spectatorState.active && handleSpectatorKey(action, true)) {
+        event.preventDefault();
+        return;
+    }
+    
     // Handle physics-based movement input - prioritize game mechanics over camera controls
     if (!gameState.isPaused && !worldState.isRotating) {
-        // Check if arrow keys should control camera (when Shift is held AND camera is enabled)
-        // IMPORTANT: Player movement always takes priority over camera controls
-        const useArrowsForCamera = event.shiftKey && cameraSystem.enabled && !gameState.isPaused;
+        // Shift + movement keys nudge the camera instead (when the camera is enabled)
+        const useMovementForCamera = event.shiftKey && cameraSystem.enabled && !gameState.isPaused;
         
-        switch(event.code) {
-            case 'ArrowUp':
-                if (useArrowsForCamera) {
+        switch(action) {
+            case 'up':
+                if (useMovementForCamera) {
                     adjustCameraManualControl('forward');
                 } else {
-                    // Player movement always takes priority
                     playerState.inputState.forward = true;
                 }
                 break;
-            case 'ArrowDown':
-                if (useArrowsForCamera) {
+            case 'down':
+                if (useMovementForCamera) {
                     adjustCameraManualControl('backward');
                 } else {
-                    // Player movement always takes priority
                     playerState.inputState.backward = true;
                 }
                 break;
-            case 'ArrowLeft':
-                if (useArrowsForCamera) {
+            case 'left':
+                if (useMovementForCamera) {
                     adjustCameraManualControl('left');
                 } else {
-                    // Player movement always takes priority
                     playerState.inputState.left = true;
                 }
                 break;
-            case 'ArrowRight':
-                if (useArrowsForCamera) {
+            case 'right':
+                if (useMovementForCamera) {
                     adjustCameraManualControl('right');
                 } else {
-                    // Player movement always takes priority
                     playerState.inputState.right = true;
                 }
                 break;
-            case 'KeyW':
-                playerState.inputState.forward = true;
-                break;
-            case 'KeyS':
-                playerState.inputState.backward = true;
-                break;
-            case 'KeyA':
-                playerState.inputState.left = true;
-                break;
-            case 'KeyD':
-                playerState.inputState.right = true;
-                break;
-            case 'Space':
+            case 'jump':
                 event.preventDefault(); // Prevent page scroll
                 playerState.inputState.jump = true;
                 break;
-            case 'KeyC':
+            case 'cameraMode':
                 // Toggle between third-person and orbit camera
                 toggleCameraMode();
                 break;
-            case 'KeyR':
+            case 'cameraReset':
                 // Reload config (when holding Ctrl), reload level data (when holding Shift) or reset camera position
                 if (event.ctrlKey) {
                     event.preventDefault();
@@ -10661,32 +10240,32 @@ document.addEventListener('keydown', (event) => {
                     resetCameraPosition();
                 }
                 break;
-            case 'Digit1':
+            case 'cameraDefault':
                 // Set default camera preset
                 setCameraPreset('default');
                 break;
-            case 'Digit2':
+            case 'cameraFront':
                 // Set front camera preset
                 setCameraPreset('front');
                 break;
-            case 'Digit3':
+            case 'cameraTop':
                 // Set top camera preset
                 setCameraPreset('top');
                 break;
-            case 'Digit4':
+            case 'cameraSide':
                 // Set side camera preset
                 setCameraPreset('side');
                 break;
-            case 'Tab':
+            case 'cameraCycle':
                 // Cycle through camera presets
                 event.preventDefault();
                 cycleCameraPreset();
                 break;
-            case 'KeyN':
+            case 'restart':
                 // Restart game from level 1
                 restartGame();
                 break;
-            case 'KeyM':
+            case 'cheat':
                 // Skip to next level (cheat code)
                 if (!gameScore.levelComplete) {
                     gameScore.hasKey = true;
@@ -10709,44 +10288,61 @@ document.addEventListener('keydown', (event) => {
                     }
                 }
                 break;
-            case 'KeyJ':
+            case 'jumpDebug':
                 // Toggle jump debug mode
                 toggleJumpDebug();
                 break;
-            case 'KeyF':
-                // Test fall-off handling system
-                testFallOffHandling();
-                break;
-            case 'KeyV':
+            case 'velocityCheck':
                 // Check vertical velocity status
                 checkVerticalVelocity();
                 break;
-            case 'KeyL':
+            case 'levelMode':
                 // Toggle level mode (JSON vs Random)
                 toggleLevelMode();
                 break;
-            case 'BracketLeft':
+            case 'previousLevel':
                 // Previous JSON level
                 previousJsonLevel();
                 break;
-            case 'BracketRight':
+            case 'nextLevel':
                 // Next JSON level
                 nextJsonLevel();
                 break;
-            case 'KeyQ':
+            case 'lobby':
                 // Return to lobby (when in game)
                 if (gameState.currentState === 'in-game') {
                     returnToLobby();
                 }
                 break;
-            case 'Comma':
+            case 'instructions':
                 // Toggle instructions visibility
                 toggleInstructions();
                 break;
-            case 'KeyH':
+            case 'debug':
                 // Toggle debug mode for collision visualization
                 toggleDebugMode();
                 break;
+            case 'ghost':
+                // Show or hide the personal best ghost
+                toggleGhost();
+                break;
+            case 'levelEditor':
+                // Open the level editor
+                toggleLevelEditor();
+                break;
+            case 'chat':
+                // Type a chat message (multiplayer)
+                if (canChat()) {
+                    event.preventDefault();
+                    openHudChat();
+                }
+                break;
+            case 'emote1':
+            case 'emote2':
+            case 'emote3':
+            case 'emote4':
+                sendEmote(QUICK_EMOTES.find(emote => emote.action === action).id);
+                break;
 
         }
     }
@@ -10772,25 +10368,25 @@ document.addEventListener('keydown', (event) => {
 document.addEventListener('keyup', (event) => {
     keys[event.code] = false;
     
+    if (spectatorState.active && handleSpectatorKey(getInputAction(event.code), false)) {
+        return;
+    }
+    
     // Handle physics-based input release
-    switch(event.code) {
-        case 'ArrowUp':
-        case 'KeyW':
+    switch(getInputAction(event.code)) {
+        case 'up':
             playerState.inputState.forward = false;
             break;
-        case 'ArrowDown':
-        case 'KeyS':
+        case 'down':
             playerState.inputState.backward = false;
             break;
-        case 'ArrowLeft':
-        case 'KeyA':
+        case 'left':
             playerState.inputState.left = false;
             break;
-        case 'ArrowRight':
-        case 'KeyD':
+        case 'right':
             playerState.inputState.right = false;
             break;
-        case 'Space':
+        case 'jump':
             playerState.inputState.jump = false;
             break;
     }
@@ -10822,7 +10418,7 @@ function updatePlayer() {
     if (worldState.isRotating) return;
     
     if (playerState.isMoving) {
-        const elapsed = (Date.now() - moveStartTime) / 1000;
+        const elapsed = physicsTimestep.time - moveStartTime;
         const progress = Math.min(elapsed / moveDuration, 1);
         
         // Smooth interpolation with ease-in-out for more natural movement
@@ -10944,7 +10540,8 @@ const transitionState = {
 // Function to check if input should be locked
 function isInputLocked() {
     return gameState.isPaused || 
-           worldState.isRotating;
+           worldState.isRotating ||
+           (isRaceMode() && (raceState.phase === 'countdown' || raceState.phase === 'finished'));
 }
 
 // Function to check if camera should be locked
@@ -11011,11 +10608,6 @@ function restartGame() {
     gameScore.levelComplete = false;
     gameScore.lives = gameScore.maxLives; // Reset to max lives
     
-    // Reset underworld state
-    underworldState.isInUnderworld = false;
-    underworldState.overworldPosition = null;
-    clearUnderworldObjects();
-    
     // Reset world state
     worldState.isRotating = false;
     worldState.currentRotation = { x: 0, y: 0, z: 0 };
@@ -11036,7 +10628,7 @@ function restartGame() {
     if (useJsonLevels && levelDataLoaded) {
         loadJsonLevel(currentLevelIndex);
     } else {
-        generateNewLevel();
+        replayRandomLevel();
     }
     
     // Update displays
@@ -11093,7 +10685,8 @@ const votingState = {
 // Multiplayer state
 const multiplayerState = {
     isConnected: false,
-    localPlayerId: null,
+    localPlayerId: null, // Player ID from the server's session (stays the same when reclaiming a slot)
+    sessionToken: loadSessionToken(), // Lets this tab reclaim its room slot after a reconnect or server restart
     localPlayerColor: null,
     otherPlayers: {},
     lastPositionUpdate: 0,
@@ -11102,7 +10695,12 @@ const multiplayerState = {
     reconnectAttempts: 0,
     maxReconnectAttempts: 5,
     reconnectDelay: 1000,
-    isReconnecting: false
+    isReconnecting: false,
+    currentRoomId: null, // Room the player is in (server falls back to the default room)
+    currentRoomName: null,
+    availableRooms: [], // Room list from the server for the lobby browser
+    pendingCollections: {}, // itemId -> { itemType, object } awaiting server confirmation
+    collectionRetryDelay: 1000 // ms before a rolled-back item can be picked up again
 };
 
 // Level progress tracking
@@ -11157,8 +10755,9 @@ function switchToSinglePlayer() {
     leaveBtn.onclick = startSinglePlayerGame;
     leaveBtn.className = 'lobby-btn start-game'; // Apply orange styling
     
-    // Hide player list
+    // Hide player list and room browser
     document.getElementById('lobby-player-list').style.display = 'none';
+    document.getElementById('lobby-room-browser').style.display = 'none';
     
     // Update info text
     document.querySelector('.lobby-info').innerHTML = `
@@ -11185,6 +10784,9 @@ function switchToSinglePlayer() {
     multiplayerState.localPlayerColor = null;
     multiplayerState.otherPlayers = {};
     multiplayerState.serverGameState = null;
+    multiplayerState.currentRoomId = null;
+    multiplayerState.currentRoomName = null;
+    multiplayerState.availableRooms = [];
     
     // Update lobby UI to reflect single player mode
     updateLobbyUI();
@@ -11214,8 +10816,9 @@ function switchToMultiplayer() {
     leaveBtn.onclick = leaveLobby;
     leaveBtn.className = 'lobby-btn'; // Reset to default styling
     
-    // Show player list
+    // Show player list and room browser
     document.getElementById('lobby-player-list').style.display = 'block';
+    document.getElementById('lobby-room-browser').style.display = 'block';
     
     // Update info text
     document.querySelector('.lobby-info').innerHTML = `
@@ -11486,7 +11089,8 @@ function resetLevelProgress() {
 
 // Player profile data structure
 const playerProfile = {
-    name: '',
+    name: '', // Display name shown to other players in multiplayer
+    preferredColor: null, // Ball color asked for when joining a room (PLAYER_COLORS name)
     createdAt: null,
     lastPlayed: null,
     totalPlayTime: 0, // in milliseconds
@@ -11512,16 +11116,10 @@ const gameSettings = {
         fov: 75
     },
     controls: {
-        keyBindings: {
-            up: ['ArrowUp', 'KeyW'],
-            down: ['ArrowDown', 'KeyS'],
-            left: ['ArrowLeft', 'KeyA'],
-            right: ['ArrowRight', 'KeyD'],
-            pause: ['KeyP'],
-            restart: ['KeyN'],
-            gravityShift: ['Space'],
-            cheat: ['KeyM']
-        },
+        keyBindings: getDefaultKeyBindings(), // Action -> key codes, see src/systems/inputBindings.js
+        gamepadBindings: getDefaultGamepadBindings(), // Action -> button indices, see src/systems/gamepadInput.js
+        gamepad: { ...DEFAULT_GAMEPAD_SETTINGS },
+        touch: { ...DEFAULT_TOUCH_SETTINGS }, // On-screen joystick and swipe camera, see src/systems/touchInput.js
         mouseSensitivity: 1.0
     },
     ui: {
@@ -11701,6 +11299,28 @@ function saveHighScores() {
     }
 }
 
+// Save ghost runs (kept apart from high scores, trails are much larger)
+function saveGhostRuns() {
+    try {
+        localStorage.setItem('3dgame_ghosts', JSON.stringify(ghostState.runs));
+    } catch (error) {
+        console.warn('Failed to save ghost runs:', error);
+    }
+}
+
+// Load ghost runs
+function loadGhostRuns() {
+    try {
+        const saved = localStorage.getItem('3dgame_ghosts');
+        if (saved) {
+            importGhostRuns(JSON.parse(saved));
+            console.log(`Loaded ${Object.keys(ghostState.runs).length} ghost runs`);
+        }
+    } catch (error) {
+        console.warn('Failed to load ghost runs:', error);
+    }
+}
+
 // Load high scores
 function loadHighScores() {
     try {
@@ -11751,6 +11371,9 @@ function applyGameSettings() {
         }
     }
     
+    // Apply key bindings
+    applyKeyBindings();
+    
     // Update UI elements if they exist
     updateSettingsUI();
 }
@@ -11778,70 +11401,597 @@ function updateSettingsUI() {
     }
 }
 
-// ============ PROGRESS TRACKING FUNCTIONS ============
+// ============ KEY BINDINGS ============
 
-// Start play session
-function startPlaySession() {
-    playerProfile.sessionStartTime = Date.now();
-    playerProfile.lastPlayed = Date.now();
-    playerProfile.gamesPlayed++;
-    savePlayerProfile();
+const keyBindingState = {
+    lookup: createKeyLookup(gameSettings.controls.keyBindings),
+    capture: null,      // { action, slot } while the controls screen waits for a key
+    pendingCode: null   // Key that conflicts with another action, waiting for confirmation
+};
+
+// Action bound to a key code (see src/systems/inputBindings.js), or undefined
+function getInputAction(code) {
+    return keyBindingState.lookup.get(code);
 }
 
-// Update play time
-function updatePlayTime() {
-    if (playerProfile.sessionStartTime) {
-        const sessionTime = Date.now() - playerProfile.sessionStartTime;
-        playerProfile.totalPlayTime += sessionTime;
-        
-        // Check for play time achievements
-        if (playerProfile.totalPlayTime >= 3600000 && !achievements.dedicated.unlocked) { // 1 hour
-            unlockAchievement('dedicated');
-        }
-        
-        // Update longest session
-        if (sessionTime > gameStatistics.longestPlaySession) {
-            gameStatistics.longestPlaySession = sessionTime;
-        }
-        
-        playerProfile.sessionStartTime = Date.now(); // Reset for next update
-        savePlayerProfile();
-        saveGameStatistics();
+// Keys of an action for hints, e.g. "↑ / W"
+function describeActionKeys(action) {
+    const codes = gameSettings.controls.keyBindings[action] || [];
+    return codes.length > 0 ? codes.map(describeKey).join(' / ') : 'unbound';
+}
+
+// Clean up bindings after loading or importing settings and rebuild the lookup
+function applyKeyBindings() {
+    gameSettings.controls.keyBindings = normalizeKeyBindings(gameSettings.controls.keyBindings);
+    gameSettings.controls.gamepadBindings = normalizeGamepadBindings(gameSettings.controls.gamepadBindings);
+    keyBindingState.lookup = createKeyLookup(gameSettings.controls.keyBindings);
+    
+    const pauseKey = document.getElementById('pause-key-hint');
+    if (pauseKey) {
+        pauseKey.textContent = describeActionKeys('pause');
     }
 }
 
-// Track level attempt
-function trackLevelAttempt() {
-    playerProfile.totalAttempts++;
-    gameStatistics.totalLevelsAttempted++;
-    savePlayerProfile();
-    saveGameStatistics();
+function setKeyBindings(bindings) {
+    gameSettings.controls.keyBindings = bindings;
+    applyKeyBindings();
+    saveGameSettings();
+    updateControlsMenu();
 }
 
-// Track level completion
-function trackLevelCompletion(score, completionTime) {
-    gameStatistics.totalLevelsCompleted++;
-    gameStatistics.totalScore += score;
-    gameStatistics.averageScorePerLevel = gameStatistics.totalScore / gameStatistics.totalLevelsCompleted;
+function openControlsMenu() {
+    keyBindingState.capture = null;
+    keyBindingState.pendingCode = null;
+    document.getElementById('controls-menu').classList.remove('hidden');
+    updateControlsMenu();
+}
+
+function closeControlsMenu() {
+    keyBindingState.capture = null;
+    keyBindingState.pendingCode = null;
+    document.getElementById('controls-menu').classList.add('hidden');
+}
+
+function isControlsMenuOpen() {
+    const menu = document.getElementById('controls-menu');
+    return !!menu && !menu.classList.contains('hidden');
+}
+
+// Wait for the next key press for this key slot
+function startKeyCapture(action, slot) {
+    keyBindingState.capture = { action, slot, device: 'keyboard' };
+    keyBindingState.pendingCode = null;
+    updateControlsMenu(`Press a key for "${getActionLabel(action)}" (Esc: cancel, Backspace: clear)`);
+}
+
+// Wait for the next controller button for this action
+function startGamepadCapture(action) {
+    keyBindingState.capture = { action, slot: 0, device: 'gamepad' };
+    keyBindingState.pendingCode = null;
+    updateControlsMenu(gamepadState.index === null
+        ? 'Connect a controller and press a button on it (Esc: cancel, Backspace: clear)'
+        : `Press a controller button for "${getActionLabel(action)}" (Esc: cancel, Backspace: clear)`);
+}
+
+function resetKeyBindings() {
+    keyBindingState.capture = null;
+    keyBindingState.pendingCode = null;
+    gameSettings.controls.gamepadBindings = getDefaultGamepadBindings();
+    setKeyBindings(getDefaultKeyBindings());
+    showMessage('Controls reset to defaults', '#00ff00', 2000);
+}
+
+// Keys while the controls screen is open; nothing reaches the game
+function handleControlsMenuKey(event) {
+    event.preventDefault();
+    const capture = keyBindingState.capture;
     
-    // Track fastest time
-    if (!gameStatistics.fastestLevelTime || completionTime < gameStatistics.fastestLevelTime) {
-        gameStatistics.fastestLevelTime = completionTime;
+    if (!capture) {
+        if (event.code === 'Escape') {
+            closeControlsMenu();
+        }
+        return;
     }
     
-    // Check for speed runner achievement
-    if (completionTime <= 30 && !achievements.speedRunner.unlocked) {
-        unlockAchievement('speedRunner');
+    if (event.code === 'Escape') {
+        keyBindingState.capture = null;
+        keyBindingState.pendingCode = null;
+        updateControlsMenu();
+        return;
     }
     
-    // Track perfect levels (no deaths)
-    if (gameStatistics.currentDeathStreak === 0) {
-        gameStatistics.perfectLevelsCompleted++;
-        gameStatistics.consecutiveLevelsWithoutDeath++;
-        
-        // Check achievements
-        if (gameStatistics.consecutiveLevelsWithoutDeath >= 5 && !achievements.perfectionist.unlocked) {
-            unlockAchievement('perfectionist');
+    const bindings = gameSettings.controls.keyBindings;
+    if (event.code === 'Backspace') {
+        keyBindingState.capture = null;
+        if (capture.device === 'gamepad') {
+            gameSettings.controls.gamepadBindings[capture.action] = [];
+            setKeyBindings(bindings);
+        } else {
+            setKeyBindings(clearKey(bindings, capture.action, capture.slot));
+        }
+        return;
+    }
+    
+    // Controller slots are filled from pollGamepad
+    if (capture.device === 'gamepad') return;
+    
+    // A key used by another action needs a second press to move it over
+    const owner = getInputAction(event.code);
+    if (owner && owner !== capture.action && keyBindingState.pendingCode !== event.code) {
+        keyBindingState.pendingCode = event.code;
+        updateControlsMenu(`${describeKey(event.code)} is already bound to "${getActionLabel(owner)}". Press it again to move it here, or press another key.`);
+        return;
+    }
+    
+    const result = assignKey(bindings, capture.action, capture.slot, event.code);
+    keyBindingState.capture = null;
+    keyBindingState.pendingCode = null;
+    setKeyBindings(result.bindings);
+    
+    if (result.displaced.length > 0) {
+        updateControlsMenu(`${describeKey(event.code)} moved from "${result.displaced.map(getActionLabel).join('", "')}"`);
+    }
+}
+
+function updateControlsMenu(status = null) {
+    const list = document.getElementById('controls-binding-list');
+    if (!list || !isControlsMenuOpen()) return;
+    
+    const bindings = gameSettings.controls.keyBindings;
+    const conflicts = findBindingConflicts(bindings);
+    const conflictCodes = new Set(conflicts.map(conflict => conflict.code));
+    const capture = keyBindingState.capture;
+    
+    list.innerHTML = '';
+    let group = null;
+    INPUT_ACTIONS.forEach(({ action, label, group: actionGroup }) => {
+        if (actionGroup !== group) {
+            group = actionGroup;
+            const heading = document.createElement('h3');
+            heading.className = 'controls-group';
+            heading.textContent = group;
+            list.appendChild(heading);
+        }
+        
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+        
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+        
+        for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+            const code = bindings[action][slot];
+            const button = document.createElement('button');
+            button.className = 'key-binding-btn';
+            if (capture && capture.action === action && capture.slot === slot && capture.device === 'keyboard') {
+                button.classList.add('capturing');
+                button.textContent = '...';
+            } else {
+                button.textContent = describeKey(code);
+            }
+            if (code && conflictCodes.has(code)) {
+                button.classList.add('conflict');
+            }
+            button.onclick = () => startKeyCapture(action, slot);
+            row.appendChild(button);
+        }
+        
+        // Controller button (only for actions the pad supports)
+        const padButtons = gameSettings.controls.gamepadBindings[action];
+        if (padButtons) {
+            const button = document.createElement('button');
+            button.className = 'key-binding-btn gamepad-binding-btn';
+            const capturing = capture && capture.action === action && capture.device === 'gamepad';
+            button.classList.toggle('capturing', !!capturing);
+            button.textContent = capturing ? '...' : `🎮 ${describeGamepadButton(padButtons[0])}`;
+            button.onclick = () => startGamepadCapture(action);
+            row.appendChild(button);
+        }
+        
+        list.appendChild(row);
+    });
+    
+    const statusElement = document.getElementById('controls-status');
+    if (status) {
+        statusElement.textContent = status;
+    } else if (conflicts.length > 0) {
+        statusElement.textContent = conflicts
+            .map(conflict => `${describeKey(conflict.code)} is bound to ${conflict.actions.map(getActionLabel).join(' and ')}`)
+            .join('; ');
+    } else {
+        statusElement.textContent = 'Click a key to change it.';
+    }
+}
+
+// ============ GAMEPAD ============
+
+const gamepadState = {
+    index: null,        // navigator.getGamepads() slot of the controller in use
+    id: null,
+    held: new Set(),    // Actions held on the last poll
+    buttons: []         // Raw buttons held on the last poll (for binding capture)
+};
+
+// Right stick camera speed, in manual control steps per second at full tilt
+const GAMEPAD_CAMERA_RATE = 12;
+
+// Gamepad actions that map onto the ball's input state
+const GAMEPAD_MOVE_INPUTS = { up: 'forward', down: 'backward', left: 'left', right: 'right', jump: 'jump' };
+
+window.addEventListener('gamepadconnected', (event) => {
+    if (gamepadState.index !== null) return;
+    
+    gamepadState.index = event.gamepad.index;
+    gamepadState.id = event.gamepad.id;
+    gamepadState.held = new Set();
+    console.log(`🎮 Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'non-standard'} mapping)`);
+    showMessage('🎮 Controller connected', '#00ff00', 2000);
+});
+
+window.addEventListener('gamepaddisconnected', (event) => {
+    if (event.gamepad.index !== gamepadState.index) return;
+    
+    releaseGamepadInput();
+    console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+    showMessage('🎮 Controller disconnected', '#ffaa00', 2000);
+    
+    // Switch to another pad that is still plugged in
+    const next = navigator.getGamepads ? findGamepad(navigator.getGamepads()) : null;
+    gamepadState.index = next ? next.index : null;
+    gamepadState.id = next ? next.id : null;
+});
+
+// Let go of everything the pad was holding
+function releaseGamepadInput() {
+    const { inputState } = playerState;
+    gamepadState.held.forEach(action => {
+        if (GAMEPAD_MOVE_INPUTS[action]) {
+            inputState[GAMEPAD_MOVE_INPUTS[action]] = false;
+        }
+    });
+    gamepadState.held = new Set();
+    inputState.moveX = 0;
+    inputState.moveY = 0;
+}
+
+// Read the controller once per frame; the Gamepad API has no input events
+function pollGamepad(frameSeconds) {
+    if (gamepadState.index === null || !navigator.getGamepads) return;
+    
+    const gamepad = navigator.getGamepads()[gamepadState.index];
+    if (!gamepad) return;
+    
+    if (isControlsMenuOpen()) {
+        captureGamepadButton(gamepad);
+        return;
+    }
+    
+    const { controls } = gameSettings;
+    const state = readGamepad(gamepad, controls.gamepadBindings, controls.gamepad, gamepadState.held);
+    gamepadState.held = state.held;
+    
+    if (state.pressed.includes('pause')) {
+        togglePauseMenu();
+    }
+    if (state.pressed.includes('levelMenu')) {
+        toggleLevelMenu();
+    }
+    
+    // Replays supply their own input, and the editor is mouse and keyboard only
+    const { inputState } = playerState;
+    if (gameState.isPaused || replayState.playing || (levelEditorState.active && !levelEditorState.playtesting)) {
+        inputState.moveX = 0;
+        inputState.moveY = 0;
+        return;
+    }
+    
+    state.released.forEach(action => {
+        if (GAMEPAD_MOVE_INPUTS[action]) {
+            inputState[GAMEPAD_MOVE_INPUTS[action]] = false;
+        }
+    });
+    
+    state.pressed.forEach(action => {
+        if (GAMEPAD_MOVE_INPUTS[action]) {
+            inputState[GAMEPAD_MOVE_INPUTS[action]] = true;
+            return;
+        }
+        
+        switch (action) {
+            case 'cameraCycle':
+                cycleCameraPreset();
+                break;
+            case 'cameraMode':
+                toggleCameraMode();
+                break;
+            case 'cameraReset':
+                resetCameraPosition();
+                break;
+            case 'ghost':
+                toggleGhost();
+                break;
+        }
+    });
+    
+    // Left stick: analog movement through the same acceleration as the keys
+    inputState.moveX = state.move.x;
+    inputState.moveY = state.move.y;
+    
+    // Right stick: moves the camera like Shift + movement keys
+    const cameraStep = frameSeconds * GAMEPAD_CAMERA_RATE;
+    if (state.camera.x !== 0) {
+        adjustCameraManualControl(state.camera.x > 0 ? 'right' : 'left', Math.abs(state.camera.x) * cameraStep, false);
+    }
+    if (state.camera.y !== 0) {
+        adjustCameraManualControl(state.camera.y > 0 ? 'forward' : 'backward', Math.abs(state.camera.y) * cameraStep, false);
+    }
+}
+
+// On the controls screen, the first newly pressed button goes to the pad slot being captured
+function captureGamepadButton(gamepad) {
+    const buttons = getPressedButtons(gamepad);
+    const newlyPressed = buttons.filter(button => !gamepadState.buttons.includes(button));
+    gamepadState.buttons = buttons;
+    
+    const capture = keyBindingState.capture;
+    if (!capture || capture.device !== 'gamepad' || newlyPressed.length === 0) return;
+    
+    const button = newlyPressed[0];
+    const result = assignGamepadButton(gameSettings.controls.gamepadBindings, capture.action, button);
+    keyBindingState.capture = null;
+    gameSettings.controls.gamepadBindings = result.bindings;
+    applyKeyBindings();
+    saveGameSettings();
+    
+    updateControlsMenu(result.displaced.length > 0
+        ? `${describeGamepadButton(button)} moved from "${result.displaced.map(getActionLabel).join('", "')}"`
+        : null);
+}
+
+// ============ TOUCH CONTROLS ============
+
+const touchState = {
+    enabled: false,     // Touch screen detected and on-screen controls set up
+    visible: false,
+    joystick: { id: null, origin: null, move: { x: 0, y: 0 } },
+    swipe: { id: null, x: 0, y: 0 },
+    jumpId: null
+};
+
+// Show the on-screen controls on touch screens and hook up their touch handlers
+function setupTouchControls() {
+    if (!isTouchDevice(window)) return;
+    
+    const container = document.getElementById('touch-controls');
+    const joystick = document.getElementById('touch-joystick');
+    const swipeArea = document.getElementById('touch-swipe-area');
+    const jumpButton = document.getElementById('touch-jump-btn');
+    const cameraButton = document.getElementById('touch-camera-btn');
+    const pauseButton = document.getElementById('touch-pause-btn');
+    if (!container || !joystick || !swipeArea || !jumpButton || !cameraButton || !pauseButton) return;
+    
+    touchState.enabled = true;
+    document.body.classList.add('touch-enabled');
+    
+    // Touch listeners are not passive so the page never scrolls or zooms under a thumb
+    const options = { passive: false };
+    
+    joystick.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        if (touchState.joystick.id !== null) return;
+        
+        const touch = event.changedTouches[0];
+        const rect = joystick.getBoundingClientRect();
+        touchState.joystick.id = touch.identifier;
+        touchState.joystick.origin = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        moveTouchJoystick(touch);
+    }, options);
+    
+    joystick.addEventListener('touchmove', (event) => {
+        event.preventDefault();
+        const touch = findTouch(event.changedTouches, touchState.joystick.id);
+        if (touch) {
+            moveTouchJoystick(touch);
+        }
+    }, options);
+    
+    const releaseJoystick = (event) => {
+        if (findTouch(event.changedTouches, touchState.joystick.id)) {
+            releaseTouchJoystick();
+        }
+    };
+    joystick.addEventListener('touchend', releaseJoystick);
+    joystick.addEventListener('touchcancel', releaseJoystick);
+    
+    // Swipes anywhere else move the camera
+    swipeArea.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        if (touchState.swipe.id !== null) return;
+        
+        const touch = event.changedTouches[0];
+        touchState.swipe = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+    }, options);
+    
+    swipeArea.addEventListener('touchmove', (event) => {
+        event.preventDefault();
+        const touch = findTouch(event.changedTouches, touchState.swipe.id);
+        if (!touch) return;
+        
+        swipeTouchCamera(touch.clientX - touchState.swipe.x, touch.clientY - touchState.swipe.y);
+        touchState.swipe.x = touch.clientX;
+        touchState.swipe.y = touch.clientY;
+    }, options);
+    
+    const endSwipe = (event) => {
+        if (findTouch(event.changedTouches, touchState.swipe.id)) {
+            touchState.swipe.id = null;
+        }
+    };
+    swipeArea.addEventListener('touchend', endSwipe);
+    swipeArea.addEventListener('touchcancel', endSwipe);
+    
+    // Jump is held for as long as the button is
+    jumpButton.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        touchState.jumpId = event.changedTouches[0].identifier;
+        if (isTouchInputAllowed()) {
+            playerState.inputState.jump = true;
+        }
+    }, options);
+    
+    const releaseJump = (event) => {
+        if (!findTouch(event.changedTouches, touchState.jumpId)) return;
+        
+        event.preventDefault();
+        touchState.jumpId = null;
+        playerState.inputState.jump = false;
+    };
+    jumpButton.addEventListener('touchend', releaseJump, options);
+    jumpButton.addEventListener('touchcancel', releaseJump, options);
+    
+    cameraButton.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        if (isTouchInputAllowed()) {
+            cycleCameraPreset();
+        }
+    }, options);
+    
+    pauseButton.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        togglePauseMenu();
+    }, options);
+    
+    console.log('📱 Touch screen detected: on-screen controls enabled');
+}
+
+// Replays supply their own input, and the editor is mouse and keyboard only
+function isTouchInputAllowed() {
+    return !gameState.isPaused && !replayState.playing && !(levelEditorState.active && !levelEditorState.playtesting);
+}
+
+function moveTouchJoystick(touch) {
+    const reading = readJoystick(touchState.joystick.origin, { x: touch.clientX, y: touch.clientY }, gameSettings.controls.touch);
+    touchState.joystick.move = { x: reading.x, y: reading.y };
+    
+    const knob = document.getElementById('touch-joystick-knob');
+    if (knob) {
+        knob.style.transform = `translate(${reading.knob.x}px, ${reading.knob.y}px)`;
+    }
+}
+
+function releaseTouchJoystick() {
+    touchState.joystick.id = null;
+    touchState.joystick.move = { x: 0, y: 0 };
+    playerState.inputState.moveX = 0;
+    playerState.inputState.moveY = 0;
+    
+    const knob = document.getElementById('touch-joystick-knob');
+    if (knob) {
+        knob.style.transform = '';
+    }
+}
+
+// Swipe-to-orbit: moves the camera like the gamepad's right stick
+function swipeTouchCamera(dx, dy) {
+    if (!isTouchInputAllowed()) return;
+    
+    const swipe = swipeToCamera(dx, dy, gameSettings.controls.touch);
+    if (swipe.x !== 0) {
+        adjustCameraManualControl(swipe.x > 0 ? 'right' : 'left', Math.abs(swipe.x), false);
+    }
+    if (swipe.y !== 0) {
+        adjustCameraManualControl(swipe.y > 0 ? 'forward' : 'backward', Math.abs(swipe.y), false);
+    }
+}
+
+// Once per frame after the gamepad: a held joystick overrides the analog
+// movement, and the controls are hidden whenever touch input is ignored
+function updateTouchControls() {
+    if (!touchState.enabled) return;
+    
+    const allowed = isTouchInputAllowed();
+    if (touchState.joystick.id !== null && allowed) {
+        playerState.inputState.moveX = touchState.joystick.move.x;
+        playerState.inputState.moveY = touchState.joystick.move.y;
+    }
+    
+    const visible = allowed || gameState.isPaused;
+    if (visible !== touchState.visible) {
+        touchState.visible = visible;
+        document.getElementById('touch-controls').classList.toggle('hidden', !visible);
+        if (!visible) {
+            releaseTouchJoystick();
+            touchState.swipe.id = null;
+            touchState.jumpId = null;
+        }
+    }
+}
+
+// ============ PROGRESS TRACKING FUNCTIONS ============
+
+// Start play session
+function startPlaySession() {
+    playerProfile.sessionStartTime = Date.now();
+    playerProfile.lastPlayed = Date.now();
+    playerProfile.gamesPlayed++;
+    savePlayerProfile();
+}
+
+// Update play time
+function updatePlayTime() {
+    if (playerProfile.sessionStartTime) {
+        const sessionTime = Date.now() - playerProfile.sessionStartTime;
+        playerProfile.totalPlayTime += sessionTime;
+        
+        // Check for play time achievements
+        if (playerProfile.totalPlayTime >= 3600000 && !achievements.dedicated.unlocked) { // 1 hour
+            unlockAchievement('dedicated');
+        }
+        
+        // Update longest session
+        if (sessionTime > gameStatistics.longestPlaySession) {
+            gameStatistics.longestPlaySession = sessionTime;
+        }
+        
+        playerProfile.sessionStartTime = Date.now(); // Reset for next update
+        savePlayerProfile();
+        saveGameStatistics();
+    }
+}
+
+// Track level attempt
+function trackLevelAttempt() {
+    playerProfile.totalAttempts++;
+    gameStatistics.totalLevelsAttempted++;
+    savePlayerProfile();
+    saveGameStatistics();
+}
+
+// Track level completion
+function trackLevelCompletion(score, completionTime) {
+    gameStatistics.totalLevelsCompleted++;
+    gameStatistics.totalScore += score;
+    gameStatistics.averageScorePerLevel = gameStatistics.totalScore / gameStatistics.totalLevelsCompleted;
+    
+    // Track fastest time
+    if (!gameStatistics.fastestLevelTime || completionTime < gameStatistics.fastestLevelTime) {
+        gameStatistics.fastestLevelTime = completionTime;
+    }
+    
+    // Check for speed runner achievement
+    if (completionTime <= 30 && !achievements.speedRunner.unlocked) {
+        unlockAchievement('speedRunner');
+    }
+    
+    // Track perfect levels (no deaths)
+    if (gameStatistics.currentDeathStreak === 0) {
+        gameStatistics.perfectLevelsCompleted++;
+        gameStatistics.consecutiveLevelsWithoutDeath++;
+        
+        // Check achievements
+        if (gameStatistics.consecutiveLevelsWithoutDeath >= 5 && !achievements.perfectionist.unlocked) {
+            unlockAchievement('perfectionist');
         }
         if (gameStatistics.consecutiveLevelsWithoutDeath >= 10 && !achievements.survivor.unlocked) {
             unlockAchievement('survivor');
@@ -12046,6 +12196,7 @@ function exportProgressData() {
         achievements: achievements,
         statistics: { ...gameStatistics, presetsUsed: Array.from(gameStatistics.presetsUsed) },
         highScores: highScores,
+        ghostRuns: ghostState.runs,
         levelProgress: levelProgress,
         exportDate: Date.now(),
         version: '1.0'
@@ -12089,6 +12240,7 @@ function importProgressData() {
                     }
                     Object.assign(highScores, importData.highScores || {});
                     Object.assign(levelProgress, importData.levelProgress || {});
+                    importGhostRuns(importData.ghostRuns);
                     
                     // Save all data
                     saveAllProgressData();
@@ -12123,6 +12275,7 @@ function resetAllProgressData() {
         localStorage.removeItem('3dgame_achievements');
         localStorage.removeItem('3dgame_statistics');
         localStorage.removeItem('3dgame_highscores');
+        localStorage.removeItem('3dgame_ghosts');
         localStorage.removeItem('3dgame_progress');
         
         showMessage('All progress data has been reset!', '#ff6600', 3000);
@@ -12202,8 +12355,11 @@ function resetSpecificData(dataType) {
                 break;
             case 'highscores':
                 localStorage.removeItem('3dgame_highscores');
+                localStorage.removeItem('3dgame_ghosts');
                 highScores.topScores = [];
                 highScores.bestTimes = [];
+                ghostState.runs = {};
+                ghostState.race = null;
                 saveHighScores();
                 break;
             case 'progress':
@@ -12225,6 +12381,7 @@ function saveAllProgressData() {
     saveAchievements();
     saveGameStatistics();
     saveHighScores();
+    saveGhostRuns();
 }
 
 // Load all progress data
@@ -12235,6 +12392,7 @@ function loadAllProgressData() {
     loadAchievements();
     loadGameStatistics();
     loadHighScores();
+    loadGhostRuns();
 }
 
 // Initialize progress tracking
@@ -12748,14 +12906,12 @@ function resetProgress() {
 socket.on('connect', () => {
     console.log('Connected to server');
     multiplayerState.isConnected = true;
-    multiplayerState.localPlayerId = socket.id;
     
     // Reset reconnection state on successful connection
     resetReconnectionState();
     
-    // Send initial player data
+    // Send initial player data (the server answers with our session's player ID)
     const playerData = {
-        id: socket.id,
         position: {
             x: player.position.x,
             y: player.position.y,
@@ -12770,7 +12926,10 @@ socket.on('connect', () => {
             x: playerState.gridX,
             z: playerState.gridZ
         },
-        isMoving: playerState.isMoving
+        isMoving: playerState.isMoving,
+        roomId: multiplayerState.currentRoomId,
+        sessionToken: multiplayerState.sessionToken,
+        profile: getMultiplayerProfile()
     };
     
     socket.emit('playerJoin', playerData);
@@ -12803,40 +12962,181 @@ socket.on('disconnect', (reason) => {
     }
 });
 
+// The server identifies players by session; the token is kept per tab so a
+// reconnecting client (even after a server restart) gets its slot back
+socket.on('session', (data) => {
+    multiplayerState.localPlayerId = data.playerId;
+    multiplayerState.sessionToken = data.token;
+    saveSessionToken(data.token);
+});
+
 socket.on('playerJoined', (playerData) => {
     console.log('Player joined:', playerData);
-    if (playerData.id !== multiplayerState.localPlayerId) {
+    if (playerData.id === multiplayerState.localPlayerId) return;
+    
+    // A player coming back within the grace period still has their ball
+    if (multiplayerState.otherPlayers[playerData.id]) {
+        updateOtherPlayer(playerData);
+        showMessage(`${getDisplayName(playerData)} reconnected`, '#00ff88', 2000);
+    } else {
         addOtherPlayer(playerData);
     }
 });
 
-socket.on('playerColor', (colorData) => {
-    console.log('Received player color:', colorData);
-    if (colorData.id === multiplayerState.localPlayerId) {
-        multiplayerState.localPlayerColor = colorData.color;
-        updateLocalPlayerColor();
+// Another player dropped; the server holds their slot for a while in case they come back
+socket.on('playerDisconnected', (data) => {
+    console.log('Player disconnected:', data);
+    
+    const lobbyPlayer = lobbyState.players[data.playerId];
+    if (lobbyPlayer) {
+        lobbyPlayer.disconnected = true;
+        updateLobbyUI();
     }
+    
+    const otherPlayer = multiplayerState.otherPlayers[data.playerId];
+    if (otherPlayer) {
+        setOtherPlayerConnected(data.playerId, false);
+    }
+    
+    showMessage(`${getDisplayName(otherPlayer || lobbyPlayer)} lost connection, waiting for them to return...`, '#ff9900', 3000);
 });
 
-socket.on('playerLeft', (data) => {
-    // Handle both old and new formats
-    let playerId, remainingPlayers;
-    if (typeof data === 'string') {
-        // Old format - just playerId
-        playerId = data;
-        remainingPlayers = Object.keys(multiplayerState.otherPlayers).length;
-    } else {
-        // New format - object with playerId and remainingPlayers
-        playerId = data.playerId;
-        remainingPlayers = data.remainingPlayers;
-    }
+// Another player dropped into an underworld layer or climbed out of one
+socket.on('playerLayerChanged', ({ playerId, depth }) => {
+    setOtherPlayerLayer(playerId, depth);
+});
+
+// Our token was used by a newer connection (e.g. a duplicated tab); rejoin as a new player
+socket.on('sessionReplaced', () => {
+    console.log('Session taken over by another connection');
+    multiplayerState.sessionToken = null;
+    clearSessionToken();
+    showMessage('This player continued in another window', '#ff9900', 3000);
+});
+
+// A player in our room changed their name or color (including us, with the name the server settled on)
+socket.on('playerProfileChanged', (data) => {
+    console.log('Player profile changed:', data);
     
-    console.log('Player left:', playerId, 'Remaining players:', remainingPlayers);
-    removeOtherPlayer(playerId);
+    const lobbyPlayer = lobbyState.players[data.playerId];
+    if (lobbyPlayer) {
+        lobbyPlayer.name = data.name;
+        lobbyPlayer.color = data.color;
+        updateLobbyUI();
+    }
     
-    // Update connection status
-    if (multiplayerState.serverGameState) {
-        multiplayerState.serverGameState.playerCount = remainingPlayers;
+    if (data.playerId === multiplayerState.localPlayerId) {
+        multiplayerState.localPlayerColor = data.color;
+        updateLocalPlayerColor();
+    } else {
+        setOtherPlayerProfile(data.playerId, data.name, data.color);
+    }
+});
+
+socket.on('profileRejected', (data) => {
+    console.log('Profile rejected:', data);
+    showMessage(`Name not accepted: ${data.reason}`, '#ff6666', 3000);
+});
+
+socket.on('chatMessage', (entry) => {
+    addChatMessage(entry);
+});
+
+// Quick emotes go to the chat log and pop up above the sender's ball
+socket.on('emote', (entry) => {
+    const emote = findEmote(entry.emoteId);
+    if (!emote) return;
+    
+    addChatMessage(entry);
+    showSpeechBubble(entry.playerId, `${emote.icon} ${emote.text}`, entry.color);
+});
+
+socket.on('chatRejected', (data) => {
+    showMessage(data.reason, '#ff9900', 2000);
+});
+
+// Race mode socket event handlers
+socket.on('gameModeChanged', (data) => {
+    resetRaceState(data.gameMode);
+    updateLobbyGameModeUI();
+    showMessage(data.gameMode === 'race' ? 'Race mode: fastest to the goal wins!' : 'Co-op mode: reach the goal together!', '#00ff88', 2000);
+});
+
+socket.on('raceCountdown', (data) => {
+    raceState.mode = 'race';
+    startRaceCountdown(data.delay);
+});
+
+socket.on('raceStarted', () => {
+    beginRace();
+});
+
+socket.on('raceFinish', (data) => {
+    handleRaceFinish(data);
+});
+
+socket.on('raceFinishRejected', () => {
+    handleRaceFinishRejected();
+});
+
+// Spectator socket event handlers
+socket.on('spectatorJoined', (spectator) => {
+    if (spectator.id === multiplayerState.localPlayerId) return;
+    showMessage(`${getDisplayName(spectator, 'Someone')} is spectating`, '#00ccff', 2000);
+});
+
+socket.on('spectatorLeft', (data) => {
+    console.log('Spectator left:', data.playerId);
+});
+
+// A spectator joins the game as the next level starts
+socket.on('spectatorJoinedGame', (playerData) => {
+    if (playerData.id === multiplayerState.localPlayerId) {
+        stopSpectating();
+        showMessage("You're in! Good luck!", '#00ff00', 2000);
+        return;
+    }
+    
+    if (!multiplayerState.otherPlayers[playerData.id]) {
+        addOtherPlayer(playerData);
+    }
+    showMessage(`${getDisplayName(playerData)} joined the game`, '#00ff88', 2000);
+});
+
+socket.on('scoreboard', (scoreboard) => {
+    spectatorState.scoreboard = scoreboard;
+    if (spectatorState.active) {
+        renderScoreboard();
+    }
+});
+
+socket.on('playerColor', (colorData) => {
+    console.log('Received player color:', colorData);
+    if (colorData.id === multiplayerState.localPlayerId) {
+        multiplayerState.localPlayerColor = colorData.color;
+        updateLocalPlayerColor();
+    }
+});
+
+socket.on('playerLeft', (data) => {
+    // Handle both old and new formats
+    let playerId, remainingPlayers;
+    if (typeof data === 'string') {
+        // Old format - just playerId
+        playerId = data;
+        remainingPlayers = Object.keys(multiplayerState.otherPlayers).length;
+    } else {
+        // New format - object with playerId and remainingPlayers
+        playerId = data.playerId;
+        remainingPlayers = data.remainingPlayers;
+    }
+    
+    console.log('Player left:', playerId, 'Remaining players:', remainingPlayers);
+    removeOtherPlayer(playerId);
+    
+    // Update connection status
+    if (multiplayerState.serverGameState) {
+        multiplayerState.serverGameState.playerCount = remainingPlayers;
     }
     updateConnectionStatus();
 });
@@ -12861,6 +13161,35 @@ socket.on('collectibleSnapshot', (data) => {
     socket.emit('gameStateSnapshot', gameStateData);
 });
 
+// Room socket event handlers
+socket.on('roomList', (rooms) => {
+    multiplayerState.availableRooms = rooms;
+    updateRoomListUI();
+});
+
+socket.on('roomJoined', (data) => {
+    console.log('Joined room:', data);
+    
+    const isRoomChange = multiplayerState.currentRoomId && multiplayerState.currentRoomId !== data.roomId;
+    multiplayerState.currentRoomId = data.roomId;
+    multiplayerState.currentRoomName = data.roomName;
+    
+    // Players from the previous room are no longer relevant
+    if (isRoomChange) {
+        clearOtherPlayers();
+        clearChat();
+        lobbyState.players = {};
+        showMessage(`Joined ${data.roomName}`, '#00ff88', 2000);
+    }
+    
+    updateRoomListUI();
+});
+
+socket.on('roomError', (data) => {
+    console.log('Room error:', data);
+    showMessage(data.message, '#ff6666', 3000);
+});
+
 // Lobby socket event handlers
 socket.on('lobbySnapshot', (data) => {
     console.log('Received lobby snapshot:', data);
@@ -12871,6 +13200,14 @@ socket.on('lobbySnapshot', (data) => {
     lobbyState.hostId = data.hostId;
     lobbyState.maxPlayers = data.maxPlayers;
     lobbyState.minPlayers = data.minPlayers;
+    resetRaceState(data.gameMode || 'coop');
+    stopSpectating();
+    
+    // Track which room this lobby belongs to
+    if (data.roomId) {
+        multiplayerState.currentRoomId = data.roomId;
+        multiplayerState.currentRoomName = data.roomName;
+    }
     
     // Check if we're the host
     lobbyState.isHost = data.hostId === multiplayerState.localPlayerId;
@@ -12892,6 +13229,7 @@ socket.on('lobbySnapshot', (data) => {
 
 socket.on('playerJoinedLobby', (playerData) => {
     console.log('Player joined lobby:', playerData);
+    const reconnected = !!lobbyState.players[playerData.id];
     
     // Add player to lobby state
     lobbyState.players[playerData.id] = playerData;
@@ -12900,7 +13238,7 @@ socket.on('playerJoinedLobby', (playerData) => {
     updateLobbyUI();
     
     // Show message
-    showMessage(`${playerData.color.name} player joined the lobby`, '#00ff88', 2000);
+    showMessage(`${getDisplayName(playerData)} ${reconnected ? 'reconnected' : 'joined the lobby'}`, '#00ff88', 2000);
 });
 
 socket.on('playerLeftLobby', (data) => {
@@ -12953,6 +13291,7 @@ socket.on('gameStarted', (data) => {
     // Update game state
     gameState.currentState = 'in-game';
     lobbyState.gameState = 'in-game';
+    resetRaceState(data.gameMode || 'coop');
     
     // Start background music when entering game
     soundManager.startBackgroundMusic();
@@ -12969,7 +13308,7 @@ socket.on('gameStarted', (data) => {
     hideLobby();
     
     // Show game start message
-    showMessage('Game started! Good luck!', '#00ff00', 3000);
+    showMessage(raceState.mode === 'race' ? 'Race started! Get ready...' : 'Game started! Good luck!', '#00ff00', 3000);
     
     // Initialize level immediately (first player to connect typically does this)
     if (useJsonLevels && jsonLevels.length > 0) {
@@ -13065,6 +13404,15 @@ socket.on('levelRestarted', (data) => {
     gameScore.coins = 0;
     gameScore.levelComplete = false;
     
+    // A rematch needs everyone's own collectibles back
+    if (isRaceMode()) {
+        if (useJsonLevels) {
+            loadJsonLevel(currentJsonLevelIndex);
+        } else {
+            replayRandomLevel();
+        }
+    }
+    
     // Show restart message
     showMessage('Level restarted! Good luck!', '#ff6600', 3000);
 });
@@ -13144,11 +13492,15 @@ socket.on('itemCollected', (data) => {
     const { itemType, itemId, collectedBy } = data;
     console.log(`Item collected by ${collectedBy}: ${itemType} ${itemId}`);
     
-    // Don't process our own collection events
+    // Don't process our own collection events - the server has confirmed them
     if (collectedBy === multiplayerState.localPlayerId) {
+        delete multiplayerState.pendingCollections[itemId];
         return;
     }
     
+    // Items on other layers stay gone when we get there
+    underworldState.collectedItems.add(itemId);
+    
     // Remove the item from the game world
     if (itemType === 'coin') {
         // Find and remove the coin
@@ -13196,8 +13548,13 @@ socket.on('itemCollected', (data) => {
     }
 });
 
+socket.on('collectRejected', (data) => {
+    console.log('Collection rejected by server:', data);
+    rollbackCollection(data.itemType, data.itemId, data.reason);
+});
+
 socket.on('gameStateSnapshot', (data) => {
-    const { collectibleItems, currentLevel, playerCount, sessionStartTime, lastStateUpdate, voting } = data;
+    const { collectibleItems, currentLevel, playerCount, sessionStartTime, lastStateUpdate, voting, race, spectators, scoreboard } = data;
     console.log('Received game state snapshot:', data);
     
     // Update game state
@@ -13217,9 +13574,26 @@ socket.on('gameStateSnapshot', (data) => {
         lastStateUpdate
     };
     
+    // Late joiners spectate: show them the level the room is playing
+    const spectator = spectators ? spectators[multiplayerState.localPlayerId] : null;
+    if (spectator && currentLevel.type === 'json' && useJsonLevels && jsonLevels[currentLevel.index]) {
+        setCurrentLevelIndex(currentLevel.index);
+        loadJsonLevel(currentLevel.index);
+    }
+    
+    // Random levels are rebuilt from their seed, for anyone who has a different one
+    if (currentLevel.type === 'random' && currentLevel.seed && (useJsonLevels || currentLevel.seed !== randomLevelState.seed)) {
+        useJsonLevels = false;
+        gameScore.currentLevel = currentLevel.number || gameScore.currentLevel;
+        generateNewLevel(currentLevel.coinCount || getRandomLevelCoinCount(gameScore.currentLevel), { seed: currentLevel.seed, sync: false });
+    }
+    
     // Process collectible items
     const { collectedCoins, collectedKeys, initialized } = collectibleItems;
     
+    // Including ones on underworld layers we have not been down to yet
+    [...collectedCoins, ...collectedKeys].forEach(itemId => underworldState.collectedItems.add(itemId));
+    
     // Remove already collected coins
     collectedCoins.forEach(coinId => {
         const coinToRemove = coins.find(coin => coin.userData.id === coinId);
@@ -13251,6 +13625,24 @@ socket.on('gameStateSnapshot', (data) => {
     gameScore.totalCoins = coins.length;
     updateScoreDisplay();
     
+    spectatorState.scoreboard = scoreboard || [];
+    if (spectator) {
+        startSpectating(spectator.reason);
+    } else {
+        stopSpectating();
+    }
+    
+    // Pick up a race in progress (the server's clock decides where it stands)
+    if (race) {
+        resetRaceState(race.gameMode);
+        if (race.phase === 'running' && !spectator) {
+            beginRace(race.elapsed);
+            if (race.finishes[multiplayerState.localPlayerId]) {
+                raceState.phase = 'finished';
+            }
+        }
+    }
+    
     // Handle voting state if active
     if (voting && voting.active) {
         // Restore voting state
@@ -13279,9 +13671,23 @@ socket.on('gameStateSnapshot', (data) => {
 });
 
 socket.on('levelInitialized', (data) => {
-    console.log('Level initialized by another player:', data);
+    console.log('Level initialized:', data);
     const { initializedBy, levelData, gameSession } = data;
     
+    // Random levels come back to the player who started them too: if two players started one at
+    // once, the one the server took last wins and everybody builds it from its seed
+    const seed = levelData && levelData.levelType === 'random' ? normalizeLevelSeed(levelData.seed) : null;
+    if (initializedBy === multiplayerState.localPlayerId && (!seed || (!useJsonLevels && seed === randomLevelState.seed))) {
+        return;
+    }
+    
+    // A new level starts everyone on its surface
+    Object.values(multiplayerState.otherPlayers).forEach(otherPlayer => {
+        otherPlayer.layer = 0;
+    });
+    updateRemotePlayerLayers();
+    updateUnderworldStatus();
+    
     // Update local game state tracking
     if (gameSession) {
         multiplayerState.serverGameState = {
@@ -13290,6 +13696,19 @@ socket.on('levelInitialized', (data) => {
             lastStateUpdate: Date.now()
         };
         
+        if (seed) {
+            // Build the same layout (unless we already have it) without announcing it again
+            if (useJsonLevels || seed !== randomLevelState.seed) {
+                useJsonLevels = false;
+                gameScore.currentLevel = levelData.levelNumber || gameScore.currentLevel;
+                gameScore.coins = 0;
+                gameScore.hasKey = false;
+                gameScore.levelComplete = false;
+                generateNewLevel(levelData.coinCount || getRandomLevelCoinCount(gameScore.currentLevel), { seed, sync: false });
+            }
+            return;
+        }
+        
         // Clear local collectibles to match server state
         clearAllCoins();
         if (gameKey) {
@@ -13312,19 +13731,97 @@ socket.on('playerLeft', (playerId) => {
     delete gameState.players[playerId];
 });
 
+// Undo a pickup the server refused
+function rollbackCollection(itemType, itemId, reason) {
+    const pending = multiplayerState.pendingCollections[itemId];
+    delete multiplayerState.pendingCollections[itemId];
+    
+    // If another player got there first the item stays gone, otherwise put it back
+    // (into the scene if we are still on its layer, otherwise for when we come back)
+    const restoreItem = pending && reason !== 'already-collected';
+    if (restoreItem) {
+        underworldState.collectedItems.delete(itemId);
+    }
+    const onItemLayer = restoreItem && (pending.object.userData.layer || 0) === underworldState.depth;
+    
+    if (itemType === 'coin') {
+        gameScore.coins = Math.max(0, gameScore.coins - 1);
+        
+        if (onItemLayer && !coins.includes(pending.object)) {
+            const coin = pending.object;
+            coin.userData.collectBlockedUntil = Date.now() + multiplayerState.collectionRetryDelay;
+            worldGroup.add(coin);
+            coins.push(coin);
+        }
+        
+        gameScore.totalCoins = coins.length;
+    } else if (itemType === 'key' && restoreItem) {
+        gameScore.hasKey = false;
+        
+        if (onItemLayer) {
+            if (gameKey) {
+                worldGroup.remove(gameKey);
+            }
+            gameKey = pending.object;
+            gameKey.userData.collectBlockedUntil = Date.now() + multiplayerState.collectionRetryDelay;
+            worldGroup.add(gameKey);
+        }
+        
+        // Lock the goal again
+        if (goalTile) {
+            goalTile.material.color.setHex(0x666666);
+            goalTile.material.emissive.setHex(0x000000);
+            goalTile.material.opacity = 0.5;
+            goalTile.scale.setScalar(1);
+        }
+        updateGoalTileAppearance();
+    }
+    
+    updateScoreDisplay();
+    
+    if (reason === 'already-collected') {
+        showMessage(`Another player grabbed that ${itemType} first!`, '#ff9900', 2000);
+    } else {
+        showMessage(`${itemType === 'key' ? 'Key' : 'Coin'} pickup was not accepted by the server`, '#ff6666', 2000);
+    }
+}
+
+// Collectible positions on the layer being played, sent with initializeLevel (and changeLayer
+// for underworld layers) so the server can validate pickups
+function getCollectibleLayout() {
+    const toLayoutItem = (object) => ({
+        id: object.userData.id,
+        x: object.position.x,
+        y: object.userData.originalY !== undefined ? object.userData.originalY : object.position.y,
+        z: object.position.z
+    });
+    
+    const layout = {
+        coins: coins.filter(coin => coin.userData.id).map(toLayoutItem),
+        keys: gameKey && gameKey.userData.id ? [toLayoutItem(gameKey)] : []
+    };
+    
+    return layout;
+}
+
+// Ball mesh for players other than the local one (remote players, ghosts)
+function createPlayerBallMesh(color, opacity) {
+    const geometry = new THREE.SphereGeometry(0.5, 16, 16);
+    const material = new THREE.MeshLambertMaterial({ 
+        color: color,
+        transparent: true,
+        opacity: opacity
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
 // Multiplayer player management functions
 function addOtherPlayer(playerData) {
     const playerId = playerData.id;
     
     // Create visual representation for other player
-    const otherPlayerGeometry = new THREE.SphereGeometry(0.5, 16, 16);
     const playerColor = playerData.color ? playerData.color.hex : 0x4444ff; // Use assigned color or default to blue
-    const otherPlayerMaterial = new THREE.MeshLambertMaterial({ 
-        color: playerColor,
-        transparent: true,
-        opacity: 0.8
-    });
-    const otherPlayerMesh = new THREE.Mesh(otherPlayerGeometry, otherPlayerMaterial);
+    const otherPlayerMesh = createPlayerBallMesh(playerColor, 0.8);
     
     // Position the other player
     otherPlayerMesh.position.set(
@@ -13342,9 +13839,8 @@ function addOtherPlayer(playerData) {
     otherPlayerMesh.castShadow = true;
     worldGroup.add(otherPlayerMesh);
     
-    // Create name tag with player color
-    const playerName = playerData.color ? playerData.color.name : playerId.substring(0, 8);
-    const nameTag = createPlayerNameTag(playerName, playerData.color);
+    // Create name tag with player name and color
+    const nameTag = createPlayerNameTag(getDisplayName(playerData, playerId.substring(0, 8)), playerData.color);
     nameTag.position.set(0, 1, 0);
     otherPlayerMesh.add(nameTag);
     
@@ -13357,13 +13853,52 @@ function addOtherPlayer(playerData) {
         rotation: { ...playerData.rotation },
         gridPosition: { ...playerData.gridPosition },
         isMoving: playerData.isMoving,
+        name: playerData.name || null,
         color: playerData.color,
-        lastUpdate: Date.now()
+        layer: playerData.layer || 0,
+        disconnected: false,
+        lastUpdate: Date.now(),
+        snapshots: new SnapshotBuffer()
     };
+    multiplayerState.otherPlayers[playerId].snapshots.push(playerData);
+    updateRemotePlayerLayers();
+    updateUnderworldStatus();
+    
+    if (playerData.disconnected) {
+        setOtherPlayerConnected(playerId, false);
+    }
     
     console.log(`Added other player: ${playerId}`);
 }
 
+// Fade the ball of a player whose connection dropped until they are back
+function setOtherPlayerConnected(playerId, connected) {
+    const otherPlayer = multiplayerState.otherPlayers[playerId];
+    if (!otherPlayer || otherPlayer.disconnected === !connected) return;
+    
+    otherPlayer.disconnected = !connected;
+    otherPlayer.mesh.material.opacity = connected ? 0.8 : 0.3;
+}
+
+// Recolor another player's ball and redraw their name tag
+function setOtherPlayerProfile(playerId, name, color) {
+    const otherPlayer = multiplayerState.otherPlayers[playerId];
+    if (!otherPlayer) return;
+    
+    otherPlayer.name = name;
+    otherPlayer.color = color;
+    if (color) {
+        otherPlayer.mesh.material.color.setHex(color.hex);
+    }
+    
+    if (otherPlayer.nameTag) {
+        otherPlayer.mesh.remove(otherPlayer.nameTag);
+    }
+    otherPlayer.nameTag = createPlayerNameTag(getDisplayName(otherPlayer, playerId.substring(0, 8)), color);
+    otherPlayer.nameTag.position.set(0, 1, 0);
+    otherPlayer.mesh.add(otherPlayer.nameTag);
+}
+
 function removeOtherPlayer(playerId) {
     const otherPlayer = multiplayerState.otherPlayers[playerId];
     if (otherPlayer) {
@@ -13384,41 +13919,48 @@ function updateOtherPlayer(playerData) {
         otherPlayer.gridPosition = { ...playerData.gridPosition };
         otherPlayer.isMoving = playerData.isMoving;
         otherPlayer.lastUpdate = Date.now();
+        otherPlayer.snapshots.push(playerData, otherPlayer.lastUpdate);
+        setOtherPlayerConnected(playerId, !playerData.disconnected);
         
-        // Update color if it changed
-        if (playerData.color && playerData.color.hex !== otherPlayer.color?.hex) {
-            otherPlayer.color = playerData.color;
-            otherPlayer.mesh.material.color.setHex(playerData.color.hex);
-            
-            // Update name tag
-            if (otherPlayer.nameTag) {
-                otherPlayer.mesh.remove(otherPlayer.nameTag);
-            }
-            const playerName = playerData.color ? playerData.color.name : playerId.substring(0, 8);
-            otherPlayer.nameTag = createPlayerNameTag(playerName, playerData.color);
-            otherPlayer.nameTag.position.set(0, 1, 0);
-            otherPlayer.mesh.add(otherPlayer.nameTag);
+        // Update name and color if they changed
+        const colorChanged = playerData.color && playerData.color.hex !== otherPlayer.color?.hex;
+        if (colorChanged || (playerData.name || null) !== otherPlayer.name) {
+            setOtherPlayerProfile(playerId, playerData.name || null, playerData.color || otherPlayer.color);
         }
         
-        // Apply position to mesh (with smooth interpolation)
-        const targetPosition = new THREE.Vector3(
-            playerData.position.x,
-            playerData.position.y,
-            playerData.position.z
-        );
-        
-        // Smooth interpolation for better visual experience
-        otherPlayer.mesh.position.lerp(targetPosition, 0.3);
-        
-        // Update rotation
-        otherPlayer.mesh.rotation.set(
-            playerData.rotation.x,
-            playerData.rotation.y,
-            playerData.rotation.z
-        );
+        // The ball itself moves in updateRemotePlayers, once per frame
     }
 }
 
+// Place other players' balls from their buffered updates and roll them along (every frame)
+function updateRemotePlayers() {
+    const now = Date.now();
+    const delay = getConfigValue('multiplayer.interpolationDelay', REMOTE_INTERPOLATION.delay);
+    const rollQuaternion = new THREE.Quaternion();
+    const rollAxis = new THREE.Vector3();
+    
+    Object.values(multiplayerState.otherPlayers).forEach(otherPlayer => {
+        otherPlayer.snapshots.delay = delay;
+        const sample = otherPlayer.snapshots.sample(now);
+        if (!sample) return;
+        
+        const { mesh } = otherPlayer;
+        const roll = rollFromMotion(mesh.position, sample.position, mesh.geometry.parameters.radius);
+        if (roll && roll.angle < Math.PI) { // A bigger jump is a respawn, not rolling
+            rollQuaternion.setFromAxisAngle(rollAxis.set(roll.axis.x, roll.axis.y, roll.axis.z), roll.angle);
+            mesh.quaternion.premultiply(rollQuaternion).normalize();
+        }
+        mesh.position.set(sample.position.x, sample.position.y, sample.position.z);
+        
+        // Name tags and speech bubbles ride on the ball; keep them above it however it has rolled
+        const unroll = mesh.quaternion.clone().invert();
+        mesh.children.forEach(label => {
+            label.userData.height ??= label.position.y;
+            label.position.set(0, label.userData.height, 0).applyQuaternion(unroll);
+        });
+    });
+}
+
 function createPlayerNameTag(name, colorData = null) {
     // Create a simple text sprite for the name tag
     const canvas = document.createElement('canvas');
@@ -13455,8 +13997,8 @@ function createPlayerNameTag(name, colorData = null) {
 }
 
 function sendPlayerUpdate() {
-    // Skip multiplayer updates in single player mode
-    if (gameMode.isSinglePlayer || !multiplayerState.isConnected) return;
+    // Skip multiplayer updates in single player mode (and while spectating, without a ball)
+    if (gameMode.isSinglePlayer || !multiplayerState.isConnected || spectatorState.active) return;
     
     const now = Date.now();
     if (now - multiplayerState.lastPositionUpdate < multiplayerState.updateThrottle) {
@@ -13481,7 +14023,14 @@ function sendPlayerUpdate() {
             x: playerState.gridX,
             z: playerState.gridZ
         },
-        isMoving: playerState.isMoving
+        isMoving: playerState.isMoving,
+        // Lets the others place this update in time and carry on moving if the next one is late
+        timestamp: now,
+        velocity: {
+            x: playerPhysics.velocity.x,
+            y: playerPhysics.velocity.y,
+            z: playerPhysics.velocity.z
+        }
     };
     
     socket.emit('playerUpdate', playerData);
@@ -13525,6 +14074,31 @@ function updateConnectionStatus() {
     }
 }
 
+// Session token of this tab (sessionStorage, so other tabs join as other players)
+function loadSessionToken() {
+    try {
+        return sessionStorage.getItem('3dgame_session');
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveSessionToken(token) {
+    try {
+        sessionStorage.setItem('3dgame_session', token);
+    } catch (error) {
+        console.warn('Failed to save session token:', error);
+    }
+}
+
+function clearSessionToken() {
+    try {
+        sessionStorage.removeItem('3dgame_session');
+    } catch (error) {
+        console.warn('Failed to clear session token:', error);
+    }
+}
+
 // Function to attempt reconnection
 function attemptReconnection() {
     if (multiplayerState.isReconnecting || multiplayerState.reconnectAttempts >= multiplayerState.maxReconnectAttempts) {
@@ -13558,6 +14132,10 @@ function showLobby() {
     if (lobbyOverlay) {
         lobbyOverlay.classList.remove('hidden');
     }
+    
+    // Refresh the room browser whenever the lobby opens
+    refreshRoomList();
+    populateLobbyProfile();
 }
 
 function hideLobby() {
@@ -13579,6 +14157,14 @@ function updateLobbyUI() {
         return;
     }
     
+    // Update room name and browser
+    const roomNameElement = document.getElementById('lobby-room-name');
+    if (roomNameElement) {
+        roomNameElement.textContent = multiplayerState.currentRoomName || '';
+    }
+    updateRoomListUI();
+    updateLobbyGameModeUI();
+    
     // Update player count
     const currentPlayerCount = Object.keys(lobbyState.players).length;
     playerCount.textContent = currentPlayerCount;
@@ -13660,7 +14246,15 @@ function createPlayerListItem(player) {
     // Player name
     const playerName = document.createElement('span');
     playerName.className = 'player-name';
-    playerName.textContent = player.id === multiplayerState.localPlayerId ? 'You' : player.color.name;
+    playerName.textContent = player.id === multiplayerState.localPlayerId
+        ? `${getDisplayName(player)} (You)`
+        : getDisplayName(player);
+    
+    // Dropped players keep their place while the server waits for them
+    if (player.disconnected) {
+        playerItem.classList.add('disconnected');
+        playerName.textContent += ' (reconnecting...)';
+    }
     
     // Host badge
     if (player.isHost) {
@@ -13684,272 +14278,1987 @@ function createPlayerListItem(player) {
     return playerItem;
 }
 
-function startCountdownDisplay(delay) {
-    const countdownElement = document.getElementById('lobby-countdown');
-    if (!countdownElement) return;
+// Room browser functions
+function updateRoomListUI() {
+    const roomBrowser = document.getElementById('lobby-room-browser');
+    const roomList = document.getElementById('lobby-room-list');
     
-    countdownElement.style.display = 'block';
+    if (!roomBrowser || !roomList) {
+        return;
+    }
     
-    let remaining = Math.ceil(delay / 1000);
+    // Rooms only exist in multiplayer mode
+    roomBrowser.style.display = gameMode.isSinglePlayer ? 'none' : 'block';
     
-    const updateCountdown = () => {
-        if (remaining > 0) {
-            countdownElement.textContent = `Game starting in ${remaining}...`;
-            remaining--;
-        } else {
-            countdownElement.textContent = 'Starting now!';
-            clearInterval(lobbyState.countdownInterval);
-        }
-    };
+    roomList.innerHTML = '';
     
-    updateCountdown();
-    lobbyState.countdownInterval = setInterval(updateCountdown, 1000);
+    if (multiplayerState.availableRooms.length === 0) {
+        const emptyItem = document.createElement('div');
+        emptyItem.className = 'room-empty';
+        emptyItem.textContent = multiplayerState.isConnected ? 'No rooms available' : 'Connect to browse rooms';
+        roomList.appendChild(emptyItem);
+        return;
+    }
+    
+    multiplayerState.availableRooms.forEach(room => {
+        const roomItem = createRoomListItem(room);
+        roomList.appendChild(roomItem);
+    });
 }
 
-// Global functions for lobby actions (called from HTML)
-function toggleReady() {
-    if (lobbyState.gameState !== 'lobby') return;
+function createRoomListItem(room) {
+    const roomItem = document.createElement('div');
+    roomItem.className = 'room-item';
     
-    const newReadyState = !lobbyState.isReady;
-    lobbyState.isReady = newReadyState;
+    const isCurrentRoom = room.id === multiplayerState.currentRoomId;
+    const isFull = room.playerCount >= room.maxPlayers;
     
-    // Update local player state
-    if (lobbyState.players[multiplayerState.localPlayerId]) {
-        lobbyState.players[multiplayerState.localPlayerId].ready = newReadyState;
+    if (isCurrentRoom) {
+        roomItem.classList.add('current');
     }
     
-    // Send to server
-    socket.emit('playerReady', newReadyState);
+    // Room info section
+    const roomInfo = document.createElement('div');
+    roomInfo.className = 'room-info';
     
-    // Update UI
-    updateLobbyUI();
+    const roomName = document.createElement('span');
+    roomName.className = 'room-name';
+    roomName.textContent = room.name;
     
-    console.log(`Ready state changed to: ${newReadyState}`);
-}
-
-function startGame() {
-    if (!lobbyState.isHost) return;
+    const roomDetails = document.createElement('span');
+    roomDetails.className = 'room-details';
+    const stateText = room.gameState === 'in-game' ? 'In game' : 
+                      (room.gameState === 'starting' ? 'Starting' : 'In lobby');
+    const modeText = room.gameMode === 'race' ? 'Race' : 'Co-op';
+    roomDetails.textContent = `${room.playerCount}/${room.maxPlayers} players · ${modeText} · ${stateText}`;
     
-    socket.emit('startGame');
-    console.log('Host requested game start');
-}
-
-function leaveLobby() {
-    // This would disconnect the player
-    socket.disconnect();
-    showMessage('Left the lobby', '#ff9900', 2000);
+    roomInfo.appendChild(roomName);
+    roomInfo.appendChild(roomDetails);
+    
+    // Join button
+    const joinBtn = document.createElement('button');
+    joinBtn.className = 'room-join-btn';
+    
+    if (isCurrentRoom) {
+        joinBtn.textContent = 'Joined';
+        joinBtn.disabled = true;
+    } else if (isFull) {
+        joinBtn.textContent = 'Full';
+        joinBtn.disabled = true;
+    } else {
+        joinBtn.textContent = 'Join';
+        joinBtn.onclick = () => joinRoom(room.id);
+    }
+    
+    roomItem.appendChild(roomInfo);
+    roomItem.appendChild(joinBtn);
+    
+    return roomItem;
 }
 
-// Function to return to lobby from game
-function returnToLobby() {
-    if (gameState.currentState === 'in-game') {
-        socket.emit('returnToLobby');
-        showMessage('Returning to lobby...', '#ffaa00', 2000);
+function refreshRoomList() {
+    if (multiplayerState.isConnected && !gameMode.isSinglePlayer) {
+        socket.emit('listRooms');
     }
 }
 
-// Voting UI management functions
-function showVotingUI() {
-    const votingOverlay = document.getElementById('voting-overlay');
-    if (votingOverlay) {
-        votingOverlay.classList.remove('hidden');
+// Global functions for room actions (called from HTML)
+function createRoom() {
+    const nameInput = document.getElementById('lobby-room-name-input');
+    const roomName = nameInput ? nameInput.value.trim() : '';
+    
+    if (!roomName) {
+        showMessage('Enter a room name first', '#ff9900', 2000);
+        return;
     }
     
-    // Update initial content
-    updateVotingDisplay();
+    if (!multiplayerState.isConnected) {
+        showMessage('Not connected to server', '#ff6666', 2000);
+        return;
+    }
+    
+    socket.emit('createRoom', { name: roomName });
+    nameInput.value = '';
+    
+    console.log(`Requested new room: ${roomName}`);
 }
 
-function hideVotingUI() {
-    const votingOverlay = document.getElementById('voting-overlay');
-    if (votingOverlay) {
-        votingOverlay.classList.add('hidden');
+function joinRoom(roomId) {
+    if (!multiplayerState.isConnected || roomId === multiplayerState.currentRoomId) {
+        return;
     }
     
-    // Clear timer
-    if (votingState.timerInterval) {
-        clearInterval(votingState.timerInterval);
-        votingState.timerInterval = null;
+    // Only switch rooms from the lobby
+    if (lobbyState.gameState !== 'lobby') {
+        showMessage('Cannot switch rooms while the game is starting', '#ff9900', 2000);
+        return;
     }
+    
+    socket.emit('joinRoom', { roomId });
+    console.log(`Requested to join room: ${roomId}`);
 }
 
-function updateVotingDisplay() {
-    const completedByElement = document.getElementById('voting-completed-by');
-    const timerElement = document.getElementById('voting-timer');
+// ============ MULTIPLAYER PROFILE ============
+
+// Display name and preferred color sent to the server (which validates them again)
+function getMultiplayerProfile() {
+    return {
+        name: playerProfile.name,
+        color: playerProfile.preferredColor
+    };
+}
+
+// Fill the lobby's profile form from the saved profile
+function populateLobbyProfile() {
+    const nameInput = document.getElementById('lobby-profile-name-input');
+    const colorSelect = document.getElementById('lobby-profile-color-select');
+    if (!nameInput || !colorSelect) return;
     
-    if (completedByElement && votingState.completedBy) {
-        const completedByPlayer = multiplayerState.otherPlayers[votingState.completedBy];
-        const playerName = votingState.completedBy === multiplayerState.localPlayerId ? 'You' : 
-                          (completedByPlayer ? completedByPlayer.color.name : 'Someone');
-        completedByElement.textContent = `${playerName} completed the level!`;
+    nameInput.value = playerProfile.name || '';
+    
+    colorSelect.innerHTML = '';
+    colorSelect.appendChild(new Option('Any color', ''));
+    PLAYER_COLORS.forEach(color => {
+        const option = new Option(color.name, color.name);
+        option.style.color = color.css;
+        colorSelect.appendChild(option);
+    });
+    colorSelect.value = findPlayerColor(playerProfile.preferredColor)?.name || '';
+}
+
+// Save the display name and color from the lobby form and send them to the server
+function saveLobbyProfile() {
+    const nameInput = document.getElementById('lobby-profile-name-input');
+    const colorSelect = document.getElementById('lobby-profile-color-select');
+    if (!nameInput || !colorSelect) return;
+    
+    const result = validateDisplayName(nameInput.value);
+    if (!result.valid) {
+        showMessage(result.reason, '#ff9900', 2500);
+        return;
     }
     
-    if (timerElement) {
-        const seconds = Math.ceil(votingState.timeRemaining / 1000);
-        timerElement.textContent = `Time remaining: ${seconds}s`;
+    playerProfile.name = result.name;
+    playerProfile.preferredColor = colorSelect.value || null;
+    nameInput.value = result.name;
+    savePlayerProfile();
+    
+    if (multiplayerState.isConnected) {
+        socket.emit('updateProfile', getMultiplayerProfile());
     }
     
-    // Update vote counts and bars
-    updateVoteCounts();
+    showMessage('Profile saved', '#00ff88', 1500);
+}
+
+// ============ CHAT ============
+
+const SPEECH_BUBBLE_DURATION = 3000; // ms an emote bubble stays above the ball
+const SPEECH_BUBBLE_FADE = 500; // ms of fading out at the end
+
+const chatState = {
+    messages: [], // Chat entries from the server ({ playerId, name, color, text, emoteId? }), oldest first
+    bubbles: {} // playerId -> { sprite, expiresAt }
+};
+
+// Chat works in multiplayer once we are in a room
+function canChat() {
+    return !gameMode.isSinglePlayer && multiplayerState.isConnected && !!multiplayerState.currentRoomId;
+}
+
+// Send a chat message to the room; returns whether it went out
+function sendChatMessage(text) {
+    if (!canChat()) return false;
     
-    // Update voting status
-    updateVotingStatus();
+    const result = validateChatMessage(text);
+    if (!result.valid) {
+        showMessage(result.reason, '#ff9900', 2000);
+        return false;
+    }
     
-    // Update option selection
-    updateOptionSelection();
+    socket.emit('chatMessage', { text: result.text });
+    return true;
 }
 
-function updateVoteCounts() {
-    const totalVotes = Object.values(votingState.voteCounts).reduce((sum, count) => sum + count, 0);
+function sendEmote(emoteId) {
+    if (!canChat() || !findEmote(emoteId)) return;
+    socket.emit('emote', { emoteId });
+}
+
+// Send button of the lobby chat (called from HTML)
+function sendLobbyChat() {
+    const input = document.getElementById('lobby-chat-input');
+    if (input && sendChatMessage(input.value)) {
+        input.value = '';
+    }
+}
+
+function addChatMessage(entry) {
+    chatState.messages.push(entry);
+    if (chatState.messages.length > CHAT_HISTORY_LIMIT) {
+        chatState.messages.shift();
+    }
+    renderChatLogs();
+}
+
+function clearChat() {
+    chatState.messages = [];
+    renderChatLogs();
+}
+
+function createChatLine(entry) {
+    const line = document.createElement('div');
+    line.className = entry.emoteId ? 'chat-line emote' : 'chat-line';
     
-    votingState.options.forEach(option => {
-        const count = votingState.voteCounts[option] || 0;
-        const percentage = totalVotes > 0 ? (count / totalVotes) * 100 : 0;
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.style.color = entry.color ? entry.color.css : '#ffffff';
+    name.textContent = entry.playerId === multiplayerState.localPlayerId ? 'You' : entry.name;
+    
+    const emote = findEmote(entry.emoteId);
+    if (!entry.emoteId) {
+        name.textContent += ':';
+    }
+    
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(emote ? `${emote.icon} ${emote.text}` : entry.text));
+    return line;
+}
+
+// Redraw the lobby and HUD chat logs, scrolled to the newest message
+function renderChatLogs() {
+    ['lobby-chat-log', 'hud-chat-log'].forEach(logId => {
+        const log = document.getElementById(logId);
+        if (!log) return;
         
-        const countElement = document.getElementById(`${option}-vote-count`);
-        const fillElement = document.getElementById(`${option}-vote-fill`);
+        log.innerHTML = '';
+        chatState.messages.forEach(entry => log.appendChild(createChatLine(entry)));
+        log.scrollTop = log.scrollHeight;
+    });
+}
+
+// Show the HUD chat box and focus it (the chat key while playing)
+function openHudChat() {
+    const panel = document.getElementById('hud-chat');
+    const input = document.getElementById('hud-chat-input');
+    if (!panel || !input || !canChat() || gameState.currentState === 'lobby') return;
+    
+    panel.classList.add('open');
+    input.focus();
+}
+
+function closeHudChat() {
+    const panel = document.getElementById('hud-chat');
+    const input = document.getElementById('hud-chat-input');
+    if (!panel || !input) return;
+    
+    panel.classList.remove('open');
+    input.value = '';
+    input.blur();
+}
+
+// Enter sends from the chat boxes; Escape closes the HUD one
+function setupChatInputs() {
+    const hudInput = document.getElementById('hud-chat-input');
+    if (hudInput) {
+        hudInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                sendChatMessage(hudInput.value);
+                closeHudChat();
+            } else if (event.key === 'Escape') {
+                closeHudChat();
+            }
+        });
+    }
+    
+    const lobbyInput = document.getElementById('lobby-chat-input');
+    if (lobbyInput) {
+        lobbyInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                sendLobbyChat();
+            }
+        });
+    }
+}
+
+// Speech bubble sprite, drawn like the name tags (createPlayerNameTag) with a
+// rounded bubble outlined in the player's color and a tail pointing down
+function createSpeechBubble(text, colorData = null) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 512;
+    canvas.height = 128;
+    
+    context.font = 'bold 36px Arial';
+    const width = Math.min(canvas.width - 8, context.measureText(text).width + 48);
+    const height = 84;
+    const left = (canvas.width - width) / 2;
+    const top = 4;
+    const radius = 20;
+    
+    // Bubble with a tail under its middle
+    context.beginPath();
+    context.moveTo(left + radius, top);
+    context.arcTo(left + width, top, left + width, top + height, radius);
+    context.arcTo(left + width, top + height, left, top + height, radius);
+    context.lineTo(canvas.width / 2 + 14, top + height);
+    context.lineTo(canvas.width / 2, canvas.height - 4);
+    context.lineTo(canvas.width / 2 - 14, top + height);
+    context.arcTo(left, top + height, left, top, radius);
+    context.arcTo(left, top, left + width, top, radius);
+    context.closePath();
+    
+    context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    context.fill();
+    context.lineWidth = 6;
+    context.strokeStyle = colorData ? colorData.css : '#333333';
+    context.stroke();
+    
+    // Draw text
+    context.fillStyle = '#222222';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, top + height / 2, width - 24);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(2.4, 0.6, 1);
+    
+    return sprite;
+}
+
+// Pop up a speech bubble above a player's ball (ours or another player's)
+function showSpeechBubble(playerId, text, colorData) {
+    const mesh = playerId === multiplayerState.localPlayerId
+        ? player
+        : multiplayerState.otherPlayers[playerId]?.mesh;
+    if (!mesh) return;
+    
+    removeSpeechBubble(playerId);
+    
+    const sprite = createSpeechBubble(text, colorData);
+    sprite.position.set(0, 1.7, 0);
+    mesh.add(sprite);
+    chatState.bubbles[playerId] = { sprite, expiresAt: Date.now() + SPEECH_BUBBLE_DURATION };
+}
+
+function removeSpeechBubble(playerId) {
+    const bubble = chatState.bubbles[playerId];
+    if (!bubble) return;
+    
+    if (bubble.sprite.parent) {
+        bubble.sprite.parent.remove(bubble.sprite);
+    }
+    bubble.sprite.material.map.dispose();
+    bubble.sprite.material.dispose();
+    delete chatState.bubbles[playerId];
+}
+
+// Fade out and remove speech bubbles that have been up long enough (every frame)
+function updateSpeechBubbles() {
+    const now = Date.now();
+    Object.entries(chatState.bubbles).forEach(([playerId, bubble]) => {
+        const remaining = bubble.expiresAt - now;
+        if (remaining <= 0) {
+            removeSpeechBubble(playerId);
+        } else {
+            bubble.sprite.material.opacity = Math.min(1, remaining / SPEECH_BUBBLE_FADE);
+        }
+    });
+}
+
+// ============ RACE MODE ============
+
+// Race progress on this client; the server runs the clock and times the finishes
+const raceState = {
+    mode: 'coop', // Room's game mode: 'coop' or 'race' (picked by the host in the lobby)
+    phase: 'idle', // 'idle', 'countdown', 'running' or 'finished' (we reached the goal)
+    countdownInterval: null
+};
+
+function isRaceMode() {
+    return !gameMode.isSinglePlayer && raceState.mode === 'race';
+}
+
+// Host picks co-op or race for the next game (called from HTML)
+function setLobbyGameMode(mode) {
+    if (!lobbyState.isHost || lobbyState.gameState !== 'lobby' || mode === raceState.mode) return;
+    socket.emit('setGameMode', mode);
+}
+
+function updateLobbyGameModeUI() {
+    const modeSelector = document.getElementById('lobby-game-mode');
+    if (!modeSelector) return;
+    
+    modeSelector.style.display = gameMode.isSinglePlayer ? 'none' : 'block';
+    
+    ['coop', 'race'].forEach(mode => {
+        const button = document.getElementById(`lobby-mode-${mode}`);
+        if (!button) return;
+        button.classList.toggle('active', raceState.mode === mode);
+        button.disabled = !lobbyState.isHost || lobbyState.gameState !== 'lobby';
+    });
+    
+    const hint = document.getElementById('lobby-game-mode-hint');
+    if (hint) {
+        const description = raceState.mode === 'race'
+            ? 'Race: everyone gets their own coins and key, fastest to the goal wins'
+            : 'Co-op: coins and the key are shared, work together to reach the goal';
+        hint.textContent = lobbyState.isHost ? description : `${description} (the host picks the mode)`;
+    }
+}
+
+function resetRaceState(mode = raceState.mode) {
+    clearInterval(raceState.countdownInterval);
+    raceState.countdownInterval = null;
+    raceState.mode = mode;
+    raceState.phase = 'idle';
+}
+
+// Server countdown before a race: the ball is held until the start
+function startRaceCountdown(delay) {
+    clearInterval(raceState.countdownInterval);
+    raceState.phase = 'countdown';
+    
+    let secondsLeft = Math.ceil(delay / 1000);
+    showMessage(`Race starts in ${secondsLeft}...`, '#ffd700', 1000);
+    
+    raceState.countdownInterval = setInterval(() => {
+        secondsLeft--;
+        if (secondsLeft <= 0) {
+            clearInterval(raceState.countdownInterval);
+            raceState.countdownInterval = null;
+            return;
+        }
+        showMessage(`${secondsLeft}...`, '#ffd700', 1000);
+    }, 1000);
+}
+
+// The race is on; elapsed is how long it has been running (when joining mid-race)
+function beginRace(elapsed = 0) {
+    clearInterval(raceState.countdownInterval);
+    raceState.countdownInterval = null;
+    raceState.phase = 'running';
+    
+    // The HUD timer follows the server's race clock
+    startLevelTimer();
+    levelTimer.startTime = Date.now() - elapsed;
+    
+    if (elapsed === 0) {
+        showMessage('GO!', '#00ff00', 1500);
+    }
+}
+
+function handleRaceFinish(data) {
+    const isLocal = data.playerId === multiplayerState.localPlayerId;
+    const time = formatTime(data.time / 1000);
+    
+    if (isLocal) {
+        raceState.phase = 'finished';
+        showMessage(`You finished ${formatPlace(data.place)} in ${time}! Waiting for the others...`, '#ffd700', 4000);
+        return;
+    }
+    
+    let message = `${getDisplayName(data)} finished ${formatPlace(data.place)} in ${time}`;
+    if (data.finishWindow && raceState.phase !== 'finished') {
+        message += ` - ${Math.round(data.finishWindow / 1000)}s left to finish!`;
+    }
+    showMessage(message, '#ff9900', 3000);
+}
+
+// The server turned down our finish (we never picked up our own key)
+function handleRaceFinishRejected() {
+    gameScore.levelComplete = false;
+    levelTimer.isRunning = true;
+    showMessage('Pick up your own key before heading to the goal!', '#ff6666', 3000);
+}
+
+// Results board in the voting overlay after a race
+function updateRaceResultsDisplay() {
+    const resultsElement = document.getElementById('race-results');
+    const resultsList = document.getElementById('race-results-list');
+    if (!resultsElement || !resultsList) return;
+    
+    const results = votingState.type === 'race-results' && votingState.levelInfo ? votingState.levelInfo.results : null;
+    resultsElement.classList.toggle('hidden', !results);
+    if (!results) return;
+    
+    resultsList.innerHTML = '';
+    results.forEach(result => {
+        const row = document.createElement('li');
+        row.className = result.finished ? 'race-result' : 'race-result unfinished';
+        if (result.playerId === multiplayerState.localPlayerId) {
+            row.classList.add('local');
+        }
         
-        if (countElement) {
-            countElement.textContent = count;
+        const place = document.createElement('span');
+        place.className = 'race-result-place';
+        place.textContent = result.finished ? formatPlace(result.place) : '-';
+        
+        const name = document.createElement('span');
+        name.className = 'race-result-name';
+        name.textContent = result.playerId === multiplayerState.localPlayerId ? `${getDisplayName(result)} (You)` : getDisplayName(result);
+        if (result.color) {
+            name.style.color = result.color.css;
         }
         
-        if (fillElement) {
-            fillElement.style.width = `${percentage}%`;
+        const time = document.createElement('span');
+        time.className = 'race-result-time';
+        time.textContent = result.finished ? formatTime(result.time / 1000) : 'DNF';
+        
+        row.appendChild(place);
+        row.appendChild(name);
+        row.appendChild(time);
+        resultsList.appendChild(row);
+    });
+}
+
+// ============ SPECTATOR MODE ============
+
+// Late joiners and players who ran out of lives watch the game until the next level
+const spectatorState = {
+    active: false,
+    reason: null, // 'late-join' or 'out-of-lives'
+    mode: 'follow', // 'follow' a player or fly a 'free' camera
+    targetId: null, // Player the follow camera is on
+    lastTargetPosition: null, // Target's position last frame (for the chase camera's prediction)
+    freeCamera: null, // { x, y, z, yaw }
+    heldActions: new Set(), // Movement actions held down for the free camera
+    scoreboard: [] // Rows from the server (see buildScoreboard in spectator.js)
+};
+
+function startSpectating(reason) {
+    const wasActive = spectatorState.active;
+    spectatorState.active = true;
+    spectatorState.reason = reason;
+    spectatorState.heldActions.clear();
+    
+    // Our ball sits out; let go of anything that was held down
+    playerState.inputState.forward = false;
+    playerState.inputState.backward = false;
+    playerState.inputState.left = false;
+    playerState.inputState.right = false;
+    playerState.inputState.jump = false;
+    playerState.inputState.moveX = 0;
+    playerState.inputState.moveY = 0;
+    player.visible = false;
+    stopLevelTimer();
+    
+    if (!wasActive) {
+        spectatorState.mode = 'follow';
+        spectatorState.targetId = null;
+        showMessage(reason === 'out-of-lives'
+            ? 'Out of lives! Spectating until the next level'
+            : 'Game in progress - spectating until the next level', '#00ccff', 3000);
+    }
+    updateSpectatorOverlay();
+}
+
+function stopSpectating() {
+    if (!spectatorState.active) return;
+    
+    // Back in the game with a full set of lives
+    if (spectatorState.reason === 'out-of-lives') {
+        gameScore.lives = gameScore.maxLives;
+        fallDetection.isRespawning = false;
+        updateScoreDisplay();
+    }
+    
+    spectatorState.active = false;
+    spectatorState.reason = null;
+    spectatorState.targetId = null;
+    spectatorState.lastTargetPosition = null;
+    spectatorState.heldActions.clear();
+    player.visible = true;
+    updateSpectatorOverlay();
+}
+
+// Multiplayer game over: watch the others instead of restarting; returns whether we do
+function spectateOutOfLives() {
+    if (gameMode.isSinglePlayer || !multiplayerState.isConnected || gameState.currentState !== 'in-game' || spectatorState.active) {
+        return false;
+    }
+    
+    socket.emit('spectate');
+    startSpectating('out-of-lives');
+    return true;
+}
+
+// Other players' balls we can follow
+function getSpectateTargets() {
+    return Object.keys(multiplayerState.otherPlayers).filter(playerId => multiplayerState.otherPlayers[playerId].mesh);
+}
+
+function cycleSpectateTarget(step) {
+    spectatorState.targetId = nextSpectateTarget(getSpectateTargets(), spectatorState.targetId, step);
+    spectatorState.lastTargetPosition = null;
+    updateSpectatorOverlay();
+}
+
+function toggleSpectatorCamera() {
+    if (spectatorState.mode === 'follow') {
+        spectatorState.mode = 'free';
+        const direction = new THREE.Vector3();
+        camera.getWorldDirection(direction);
+        spectatorState.freeCamera = {
+            x: camera.position.x,
+            y: camera.position.y,
+            z: camera.position.z,
+            yaw: Math.atan2(-direction.x, -direction.z)
+        };
+    } else {
+        spectatorState.mode = 'follow';
+        spectatorState.lastTargetPosition = null;
+    }
+    spectatorState.heldActions.clear();
+    updateSpectatorOverlay();
+}
+
+// Spectator controls replace the ball's: left/right switch players, C toggles the
+// free camera, which flies with the movement keys and rises with jump.
+// Returns whether the key was used.
+function handleSpectatorKey(action, pressed) {
+    if (!['up', 'down', 'left', 'right', 'jump', 'cameraMode'].includes(action)) return false;
+    
+    if (!pressed) {
+        spectatorState.heldActions.delete(action);
+        return true;
+    }
+    
+    if (action === 'cameraMode') {
+        toggleSpectatorCamera();
+    } else if (spectatorState.mode === 'free') {
+        spectatorState.heldActions.add(action);
+    } else if (action === 'left' || action === 'right') {
+        cycleSpectateTarget(action === 'left' ? -1 : 1);
+    }
+    return true;
+}
+
+// Camera for spectators (every frame, in place of the third-person camera)
+function updateSpectatorCamera(seconds) {
+    if (spectatorState.mode === 'free') {
+        const held = spectatorState.heldActions;
+        const input = {
+            forward: (held.has('up') ? 1 : 0) - (held.has('down') ? 1 : 0),
+            turn: (held.has('left') ? 1 : 0) - (held.has('right') ? 1 : 0),
+            climb: held.has('jump') ? 1 : 0
+        };
+        const freeCamera = moveFreeCamera(spectatorState.freeCamera, input, seconds);
+        spectatorState.freeCamera = freeCamera;
+        
+        camera.position.set(freeCamera.x, freeCamera.y, freeCamera.z);
+        camera.up.set(0, 1, 0);
+        camera.rotation.set(FREE_CAMERA.pitch, freeCamera.yaw, 0, 'YXZ');
+        return;
+    }
+    
+    // Follow the chosen player (or the next one if they left)
+    if (!multiplayerState.otherPlayers[spectatorState.targetId]?.mesh) {
+        cycleSpectateTarget(1);
+        if (!spectatorState.targetId) return;
+    }
+    
+    // Show the layer the followed player is on
+    const targetLayer = multiplayerState.otherPlayers[spectatorState.targetId].layer || 0;
+    if (targetLayer !== underworldState.depth && underworldState.layers[targetLayer]) {
+        enterLevelLayer(targetLayer, null);
+        spectatorState.lastTargetPosition = null;
+    }
+    
+    const targetPosition = new THREE.Vector3();
+    multiplayerState.otherPlayers[spectatorState.targetId].mesh.getWorldPosition(targetPosition);
+    
+    const targetVelocity = new THREE.Vector3();
+    if (spectatorState.lastTargetPosition && seconds > 0) {
+        targetVelocity.subVectors(targetPosition, spectatorState.lastTargetPosition).divideScalar(seconds);
+    }
+    spectatorState.lastTargetPosition = targetPosition.clone();
+    
+    const { up } = updateCameraForGravity();
+    updateChaseCamera(targetPosition, targetVelocity, up);
+}
+
+function updateSpectatorOverlay() {
+    const overlay = document.getElementById('spectator-overlay');
+    if (!overlay) return;
+    
+    overlay.classList.toggle('hidden', !spectatorState.active);
+    if (!spectatorState.active) return;
+    
+    const status = document.getElementById('spectator-status');
+    if (status) {
+        const target = multiplayerState.otherPlayers[spectatorState.targetId];
+        status.textContent = spectatorState.mode === 'free'
+            ? 'Free camera'
+            : (target ? `Following ${getDisplayName(target)}` : 'Waiting for players...');
+    }
+    
+    renderScoreboard();
+}
+
+function renderScoreboard() {
+    const list = document.getElementById('spectator-scoreboard');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    spectatorState.scoreboard.forEach(row => {
+        const item = document.createElement('li');
+        item.className = 'scoreboard-row';
+        if (row.playerId === spectatorState.targetId && spectatorState.mode === 'follow') {
+            item.classList.add('followed');
+        }
+        if (row.disconnected) {
+            item.classList.add('disconnected');
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'scoreboard-name';
+        name.textContent = row.place ? `${formatPlace(row.place)} ${getDisplayName(row)}` : getDisplayName(row);
+        if (row.color) {
+            name.style.color = row.color.css;
         }
+        
+        const score = document.createElement('span');
+        score.className = 'scoreboard-score';
+        score.textContent = `🪙 ${row.coins}${row.keys > 0 ? ' 🔑' : ''}`;
+        
+        item.appendChild(name);
+        item.appendChild(score);
+        list.appendChild(item);
     });
 }
 
-function updateVotingStatus() {
-    const statusElement = document.getElementById('voting-status');
-    if (!statusElement) return;
+function startCountdownDisplay(delay) {
+    const countdownElement = document.getElementById('lobby-countdown');
+    if (!countdownElement) return;
+    
+    countdownElement.style.display = 'block';
+    
+    let remaining = Math.ceil(delay / 1000);
+    
+    const updateCountdown = () => {
+        if (remaining > 0) {
+            countdownElement.textContent = `Game starting in ${remaining}...`;
+            remaining--;
+        } else {
+            countdownElement.textContent = 'Starting now!';
+            clearInterval(lobbyState.countdownInterval);
+        }
+    };
+    
+    updateCountdown();
+    lobbyState.countdownInterval = setInterval(updateCountdown, 1000);
+}
+
+// Global functions for lobby actions (called from HTML)
+function toggleReady() {
+    if (lobbyState.gameState !== 'lobby') return;
+    
+    const newReadyState = !lobbyState.isReady;
+    lobbyState.isReady = newReadyState;
+    
+    // Update local player state
+    if (lobbyState.players[multiplayerState.localPlayerId]) {
+        lobbyState.players[multiplayerState.localPlayerId].ready = newReadyState;
+    }
+    
+    // Send to server
+    socket.emit('playerReady', newReadyState);
+    
+    // Update UI
+    updateLobbyUI();
+    
+    console.log(`Ready state changed to: ${newReadyState}`);
+}
+
+function startGame() {
+    if (!lobbyState.isHost) return;
+    
+    socket.emit('startGame');
+    console.log('Host requested game start');
+}
+
+function leaveLobby() {
+    // This would disconnect the player
+    socket.disconnect();
+    showMessage('Left the lobby', '#ff9900', 2000);
+}
+
+// Function to return to lobby from game
+function returnToLobby() {
+    if (gameState.currentState === 'in-game') {
+        socket.emit('returnToLobby');
+        showMessage('Returning to lobby...', '#ffaa00', 2000);
+    }
+}
+
+// Voting UI management functions
+function showVotingUI() {
+    const votingOverlay = document.getElementById('voting-overlay');
+    if (votingOverlay) {
+        votingOverlay.classList.remove('hidden');
+    }
+    
+    // Update initial content
+    updateVotingDisplay();
+}
+
+function hideVotingUI() {
+    const votingOverlay = document.getElementById('voting-overlay');
+    if (votingOverlay) {
+        votingOverlay.classList.add('hidden');
+    }
+    
+    // Clear timer
+    if (votingState.timerInterval) {
+        clearInterval(votingState.timerInterval);
+        votingState.timerInterval = null;
+    }
+}
+
+function updateVotingDisplay() {
+    const completedByElement = document.getElementById('voting-completed-by');
+    const timerElement = document.getElementById('voting-timer');
+    
+    if (completedByElement && votingState.completedBy) {
+        const completedByPlayer = multiplayerState.otherPlayers[votingState.completedBy];
+        const playerName = votingState.completedBy === multiplayerState.localPlayerId ? 'You' : 
+                          getDisplayName(completedByPlayer);
+        completedByElement.textContent = votingState.type === 'race-results'
+            ? `${playerName} ${playerName === 'You' ? 'win' : 'wins'} the race!`
+            : `${playerName} completed the level!`;
+    }
+    
+    const titleElement = document.getElementById('voting-title');
+    if (titleElement) {
+        titleElement.textContent = votingState.type === 'race-results' ? 'Race Results' : 'Level Complete!';
+    }
+    updateRaceResultsDisplay();
+    
+    if (timerElement) {
+        const seconds = Math.ceil(votingState.timeRemaining / 1000);
+        timerElement.textContent = `Time remaining: ${seconds}s`;
+    }
+    
+    // Update vote counts and bars
+    updateVoteCounts();
+    
+    // Update voting status
+    updateVotingStatus();
+    
+    // Update option selection
+    updateOptionSelection();
+}
+
+function updateVoteCounts() {
+    const totalVotes = Object.values(votingState.voteCounts).reduce((sum, count) => sum + count, 0);
+    
+    votingState.options.forEach(option => {
+        const count = votingState.voteCounts[option] || 0;
+        const percentage = totalVotes > 0 ? (count / totalVotes) * 100 : 0;
+        
+        const countElement = document.getElementById(`${option}-vote-count`);
+        const fillElement = document.getElementById(`${option}-vote-fill`);
+        
+        if (countElement) {
+            countElement.textContent = count;
+        }
+        
+        if (fillElement) {
+            fillElement.style.width = `${percentage}%`;
+        }
+    });
+}
+
+function updateVotingStatus() {
+    const statusElement = document.getElementById('voting-status');
+    if (!statusElement) return;
+    
+    if (spectatorState.active) {
+        statusElement.textContent = 'Spectators join in when the next level starts';
+        statusElement.className = 'voting-status waiting';
+    } else if (votingState.hasVoted) {
+        statusElement.textContent = `You voted: ${votingState.myVote}`;
+        statusElement.className = 'voting-status voted';
+    } else {
+        statusElement.textContent = 'Click an option to cast your vote';
+        statusElement.className = 'voting-status waiting';
+    }
+}
+
+function updateOptionSelection() {
+    votingState.options.forEach(option => {
+        const optionElement = document.getElementById(`voting-option-${option}`);
+        if (optionElement) {
+            if (votingState.myVote === option) {
+                optionElement.classList.add('selected');
+            } else {
+                optionElement.classList.remove('selected');
+            }
+        }
+    });
+}
+
+function startVotingTimer() {
+    if (votingState.timerInterval) {
+        clearInterval(votingState.timerInterval);
+    }
+    
+    votingState.timerInterval = setInterval(() => {
+        votingState.timeRemaining -= 1000;
+        
+        if (votingState.timeRemaining <= 0) {
+            votingState.timeRemaining = 0;
+            clearInterval(votingState.timerInterval);
+            votingState.timerInterval = null;
+        }
+        
+        updateVotingDisplay();
+    }, 1000);
+}
+
+function showVotingResults(decision, voteCounts, totalVotes) {
+    const resultsElement = document.getElementById('voting-results');
+    const winnerElement = document.getElementById('voting-results-winner');
+    const statsElement = document.getElementById('voting-results-stats');
+    
+    if (resultsElement) {
+        resultsElement.classList.remove('hidden');
+    }
+    
+    if (winnerElement) {
+        const actionText = decision === 'restart' ? 'Restart Level' : 'Continue to Next Level';
+        winnerElement.textContent = `${actionText} wins!`;
+    }
+    
+    if (statsElement) {
+        const restartVotes = voteCounts.restart || 0;
+        const continueVotes = voteCounts.continue || 0;
+        statsElement.textContent = `Restart: ${restartVotes} | Continue: ${continueVotes} | Total: ${totalVotes} votes`;
+    }
+    
+    // Hide voting options
+    const optionsElement = document.getElementById('voting-options');
+    if (optionsElement) {
+        optionsElement.style.display = 'none';
+    }
+}
+
+function resetVotingState() {
+    votingState.active = false;
+    votingState.type = null;
+    votingState.options = [];
+    votingState.votes = {};
+    votingState.voteCounts = {};
+    votingState.timeRemaining = 0;
+    votingState.completedBy = null;
+    votingState.levelInfo = null;
+    votingState.hasVoted = false;
+    votingState.myVote = null;
+    
+    // Reset UI elements
+    const optionsElement = document.getElementById('voting-options');
+    if (optionsElement) {
+        optionsElement.style.display = 'block';
+    }
+    
+    const resultsElement = document.getElementById('voting-results');
+    if (resultsElement) {
+        resultsElement.classList.add('hidden');
+    }
+    
+    const raceResultsElement = document.getElementById('race-results');
+    if (raceResultsElement) {
+        raceResultsElement.classList.add('hidden');
+    }
+}
+
+// Global function for casting votes (called from HTML)
+function castVote(option) {
+    // Spectators watch the vote but don't take part
+    if (!votingState.active || votingState.hasVoted || gameMode.isSinglePlayer || spectatorState.active) {
+        return;
+    }
+    
+    // Update local state
+    votingState.hasVoted = true;
+    votingState.myVote = option;
+    
+    // Send vote to server
+    if (multiplayerState.isConnected) {
+        socket.emit('castVote', { vote: option });
+    }
+    
+    // Update display
+    updateVotingDisplay();
+    
+    console.log(`Cast vote: ${option}`);
+}
+
+function updateLocalPlayerColor() {
+    if (multiplayerState.localPlayerColor && player) {
+        // Update the local player's color
+        player.material.color.setHex(multiplayerState.localPlayerColor.hex);
+        
+        // Update the local player's name tag
+        if (localPlayerNameTag) {
+            player.remove(localPlayerNameTag);
+        }
+        
+        localPlayerNameTag = createPlayerNameTag('You', multiplayerState.localPlayerColor);
+        localPlayerNameTag.position.set(0, 1, 0);
+        player.add(localPlayerNameTag);
+        
+        console.log(`Local player color updated to: ${multiplayerState.localPlayerColor.name}`);
+    }
+}
+
+// ============ LEVEL EDITOR ============
+
+const levelEditorState = {
+    active: false,
+    playtesting: false,
+    editor: null,
+    tool: 'coin',
+    placementHeight: 0,
+    hoverTarget: null,
+    helpers: null,
+    cursor: null,
+    savedMouseButtons: null,
+    savedGame: null
+};
+
+const editorPointer = new THREE.Vector2();
+const editorRaycaster = new THREE.Raycaster();
+const editorCursorMaterial = new THREE.MeshBasicMaterial({ color: 0x00ccff, transparent: true, opacity: 0.4, depthWrite: false });
+const editorGravityMaterial = new THREE.MeshBasicMaterial({ color: 0xaa66ff, wireframe: true, transparent: true, opacity: 0.25 });
+const editorTeleportMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff, transparent: true, opacity: 0.6, side: THREE.DoubleSide });
+
+// Open or close the level editor (single player only)
+function toggleLevelEditor() {
+    if (levelEditorState.playtesting) {
+        stopEditorPlaytest('Play-test stopped');
+        return;
+    }
+    
+    if (levelEditorState.active) {
+        closeLevelEditor();
+        return;
+    }
+    
+    if (!gameMode.isSinglePlayer || gameState.currentState !== 'in-game') {
+        showMessage('Start a single player game to use the level editor', '#ffaa00', 3000);
+        return;
+    }
+    
+    if (!levelEditorState.editor) {
+        levelEditorState.editor = new LevelEditor({ gridSize, tileSize });
+        levelEditorState.tool = levelEditorState.editor.tools[0].id;
+    }
+    
+    levelEditorState.active = true;
+    levelEditorState.savedGame = { lives: gameScore.lives };
+    
+    levelEditorState.helpers = new THREE.Group();
+    worldGroup.add(levelEditorState.helpers);
+    
+    renderer.domElement.addEventListener('pointermove', handleEditorPointerMove);
+    renderer.domElement.addEventListener('pointerdown', handleEditorPointerDown);
+    
+    enterEditorView();
+    buildEditorPreview();
+    
+    console.log('🛠️ Level editor opened');
+}
+
+function closeLevelEditor() {
+    levelEditorState.active = false;
+    
+    renderer.domElement.removeEventListener('pointermove', handleEditorPointerMove);
+    renderer.domElement.removeEventListener('pointerdown', handleEditorPointerDown);
+    
+    worldGroup.remove(levelEditorState.helpers);
+    levelEditorState.helpers = null;
+    levelEditorState.cursor = null;
+    
+    leaveEditorView();
+    gameScore.lives = levelEditorState.savedGame.lives;
+    
+    // Return to the level that was being played
+    if (useJsonLevels && currentJsonLevelIndex < jsonLevels.length) {
+        loadJsonLevel(currentJsonLevelIndex);
+    } else {
+        replayRandomLevel();
+    }
+    
+    console.log('🛠️ Level editor closed');
+}
+
+// Free orbit camera with left click reserved for placing
+function enterEditorView() {
+    document.getElementById('level-editor-panel').classList.remove('hidden');
+    document.body.style.cursor = 'crosshair';
+    
+    cameraSystem.enabled = false;
+    levelEditorState.savedMouseButtons = { ...controls.mouseButtons };
+    controls.mouseButtons = { LEFT: null, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.ROTATE };
+    controls.enabled = true;
+    
+    if (levelEditorState.editor.mode === 'grid') {
+        controls.target.set(0, 0, 0);
+        camera.position.set(0, gridSize * tileSize, gridSize * tileSize * 0.8);
+    } else {
+        const start = levelEditorState.editor.level.playerStart;
+        controls.target.set(start.x, start.y || 0, start.z);
+        camera.position.set(start.x, (start.y || 0) + 20, start.z + 20);
+    }
+    camera.up.set(0, 1, 0);
+    controls.update();
+}
+
+function leaveEditorView() {
+    document.getElementById('level-editor-panel').classList.add('hidden');
+    document.body.style.cursor = 'none';
+    
+    controls.enabled = false;
+    if (levelEditorState.savedMouseButtons) {
+        controls.mouseButtons = levelEditorState.savedMouseButtons;
+    }
+    cameraSystem.enabled = true;
+}
+
+// Rebuild the scene from the edited level using the normal level loader
+function buildEditorPreview() {
+    const level = levelEditorState.editor.toLevelJSON();
+    const savedLevels = jsonLevels;
+    
+    jsonLevels = [level];
+    try {
+        loadJsonLevel(0);
+    } finally {
+        jsonLevels = savedLevels;
+    }
+    stopLevelTimer();
+    
+    updateEditorHelpers(level);
+    updateEditorPanel();
+}
+
+// Markers for things the level loader does not draw
+function updateEditorHelpers(level) {
+    const helpers = levelEditorState.helpers;
+    if (!helpers) return;
+    
+    while (helpers.children.length > 0) {
+        const child = helpers.children[0];
+        helpers.remove(child);
+        if (child.geometry) child.geometry.dispose();
+    }
+    
+    // Gravity planes: influence radius and pull direction
+    (level.gravityPlanes || []).forEach(plane => {
+        const origin = new THREE.Vector3(plane.position.x, plane.position.y, plane.position.z);
+        const sphere = new THREE.Mesh(new THREE.SphereGeometry(plane.radius, 16, 12), editorGravityMaterial);
+        sphere.position.copy(origin);
+        helpers.add(sphere);
+        
+        const pull = new THREE.Vector3(plane.normal.x, plane.normal.y, plane.normal.z).multiplyScalar(-1).normalize();
+        helpers.add(new THREE.ArrowHelper(pull, origin, 3, 0xaa66ff));
+    });
+    
+    // First end of a teleporter pair waiting for its partner
+    const pending = levelEditorState.editor.pendingTeleporter;
+    if (pending) {
+        const position = levelEditorState.editor.cellToWorld(pending);
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.4, 0.8, 24), editorTeleportMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(position.x, 0.1, position.z);
+        helpers.add(ring);
+    }
+    
+    const cursorGeometry = levelEditorState.editor.mode === 'grid'
+        ? new THREE.BoxGeometry(tileSize, 0.05, tileSize)
+        : new THREE.BoxGeometry(1, 1, 1);
+    levelEditorState.cursor = new THREE.Mesh(cursorGeometry, editorCursorMaterial);
+    levelEditorState.cursor.visible = false;
+    helpers.add(levelEditorState.cursor);
+    updateEditorCursor();
+}
+
+function updateEditorCursor() {
+    const cursor = levelEditorState.cursor;
+    const target = levelEditorState.hoverTarget;
+    if (!cursor) return;
+    
+    cursor.visible = !!target;
+    if (!target) return;
+    
+    if (levelEditorState.editor.mode === 'grid') {
+        const position = levelEditorState.editor.cellToWorld(target);
+        cursor.position.set(position.x, 0.08, position.z);
+    } else {
+        cursor.position.set(target.x, target.y, target.z);
+    }
+}
+
+// Point under the mouse on the placement plane, in level coordinates
+function getEditorPointerTarget(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    editorPointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    editorRaycaster.setFromCamera(editorPointer, camera);
+    
+    const height = levelEditorState.editor.mode === 'grid' ? 0 : levelEditorState.placementHeight;
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -height);
+    const point = new THREE.Vector3();
+    if (!editorRaycaster.ray.intersectPlane(plane, point)) {
+        return null;
+    }
+    
+    worldGroup.worldToLocal(point);
+    point.y = height;
+    return levelEditorState.editor.getTarget(point);
+}
+
+function handleEditorPointerMove(event) {
+    if (!levelEditorState.active || levelEditorState.playtesting) return;
+    
+    levelEditorState.hoverTarget = getEditorPointerTarget(event);
+    updateEditorCursor();
+}
+
+function handleEditorPointerDown(event) {
+    if (!levelEditorState.active || levelEditorState.playtesting || event.button !== 0) return;
+    
+    const target = getEditorPointerTarget(event);
+    const result = levelEditorState.editor.apply(levelEditorState.tool, target);
+    
+    if (result === 'pending') {
+        showMessage('Click a second cell to place the other teleporter', '#ff66ff', 2000);
+    }
+    if (result) {
+        buildEditorPreview();
+    }
+}
+
+// Editor shortcuts; returns true when the key was handled
+function handleLevelEditorKey(event) {
+    if (levelEditorState.playtesting) {
+        if (event.code === 'KeyT') {
+            stopEditorPlaytest('Play-test stopped');
+            return true;
+        }
+        return false;
+    }
+    
+    const editor = levelEditorState.editor;
+    const modifier = event.ctrlKey || event.metaKey;
+    
+    if (modifier && event.code === 'KeyZ') {
+        event.preventDefault();
+        event.shiftKey ? editorRedo() : editorUndo();
+        return true;
+    }
+    if (modifier && event.code === 'KeyY') {
+        event.preventDefault();
+        editorRedo();
+        return true;
+    }
+    
+    const digit = event.code.match(/^Digit(\d)$/);
+    if (digit) {
+        const index = digit[1] === '0' ? 9 : Number(digit[1]) - 1;
+        if (editor.tools[index]) {
+            selectEditorTool(editor.tools[index].id);
+        }
+        return true;
+    }
+    
+    switch (event.code) {
+        case 'KeyX':
+            selectEditorTool('erase');
+            break;
+        case 'KeyQ':
+        case 'KeyE':
+            // Lower or raise the 3D placement plane by one snap step
+            if (editor.mode === '3D') {
+                levelEditorState.placementHeight += (event.code === 'KeyE' ? 1 : -1) * editor.snap;
+                levelEditorState.hoverTarget = null;
+                updateEditorHelpers(editor.toLevelJSON());
+                updateEditorPanel();
+            }
+            break;
+        case 'KeyT':
+            startEditorPlaytest();
+            break;
+        case 'Escape':
+            event.preventDefault();
+            if (editor.pendingTeleporter) {
+                editor.pendingTeleporter = null;
+                updateEditorHelpers(editor.toLevelJSON());
+            } else {
+                closeLevelEditor();
+            }
+            break;
+    }
+    
+    // Swallow everything else so game controls stay inactive while editing
+    return true;
+}
+
+function selectEditorTool(tool) {
+    levelEditorState.tool = tool;
+    levelEditorState.editor.pendingTeleporter = null;
+    updateEditorHelpers(levelEditorState.editor.toLevelJSON());
+    updateEditorPanel();
+}
+
+function editorUndo() {
+    if (levelEditorState.editor.undo()) {
+        buildEditorPreview();
+    }
+}
+
+function editorRedo() {
+    if (levelEditorState.editor.redo()) {
+        buildEditorPreview();
+    }
+}
+
+function setEditorMode(mode) {
+    const editor = levelEditorState.editor;
+    if (!editor.setMode(mode)) return;
+    
+    levelEditorState.tool = editor.tools[0].id;
+    levelEditorState.placementHeight = 0;
+    enterEditorView();
+    buildEditorPreview();
+}
+
+function setEditorLevelName(name) {
+    if (levelEditorState.editor.setName(name)) {
+        updateEditorPanel();
+    }
+}
+
+// Snap step, platform size and gravity direction from the 3D options
+function setEditorOption(option, value) {
+    const editor = levelEditorState.editor;
+    switch (option) {
+        case 'snap':
+            editor.snap = parseFloat(value);
+            break;
+        case 'platformSize':
+            editor.platformSize = value;
+            break;
+        case 'gravityDirection':
+            editor.gravityDirection = value;
+            break;
+    }
+    updateEditorPanel();
+}
+
+function newEditorLevel() {
+    const editor = levelEditorState.editor;
+    if (editor.commit(() => editor.reset(editor.mode, 'Custom Level'))) {
+        buildEditorPreview();
+    }
+}
+
+// Start editing the level that was loaded before the editor opened
+function loadCurrentLevelIntoEditor() {
+    const level = jsonLevels[currentJsonLevelIndex];
+    if (!level) {
+        showMessage('No JSON level is loaded', '#ff6666', 2000);
+        return;
+    }
+    
+    levelEditorState.editor.load(level);
+    levelEditorState.tool = levelEditorState.editor.tools[0].id;
+    levelEditorState.placementHeight = 0;
+    enterEditorView();
+    buildEditorPreview();
+    showMessage(`Editing ${level.name}`, '#00ccff', 2000);
+}
+
+function validateEditorLevel() {
+    const report = levelEditorState.editor.validate();
+    
+    report.errors.forEach(issue => console.error(`❌ ${formatIssue(issue)}`));
+    report.warnings.forEach(issue => console.warn(`⚠️ ${formatIssue(issue)}`));
+    
+    if (report.valid) {
+        showMessage(`Level is valid${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`, '#00ff00', 2000);
+    } else {
+        showMessage(`${report.errors.length} error(s): ${report.errors[0].path} ${report.errors[0].message}`, '#ff6666', 4000);
+    }
+    
+    return report;
+}
+
+// Download the level as a levels.json entry
+function exportEditorLevel() {
+    const editor = levelEditorState.editor;
+    const dataStr = JSON.stringify(editor.toLevelJSON(), null, 4);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `${editor.getFileName()}.json`;
+    link.click();
+    
+    showMessage('Level exported - add it to the levels.json array to play it', '#00ff00', 3000);
+}
+
+async function saveEditorLevel() {
+    const editor = levelEditorState.editor;
+    if (!validateEditorLevel().valid) return;
+    
+    const saved = await saveModularLevel(editor.getFileName(), editor.toLevelJSON());
+    showMessage(
+        saved ? `Saved levels/${saved.name}.json (version ${saved.version})` : 'Could not save the level to the server',
+        saved ? '#00ff00' : '#ff6666',
+        3000
+    );
+}
+
+// Play the edited level with normal game rules; completion returns to the editor
+function startEditorPlaytest() {
+    const editor = levelEditorState.editor;
+    const level = editor.toLevelJSON();
+    const report = editor.validate();
+    
+    levelEditorState.playtesting = true;
+    levelEditorState.savedGame.levels = jsonLevels;
+    levelEditorState.savedGame.levelIndex = currentJsonLevelIndex;
+    
+    jsonLevels = [level];
+    currentJsonLevelIndex = 0;
+    gameScore.lives = gameScore.maxLives;
+    
+    if (levelEditorState.cursor) {
+        levelEditorState.cursor.visible = false;
+    }
+    leaveEditorView();
+    loadJsonLevel(0);
+    
+    if (report.valid) {
+        showMessage('Play-testing - press T to return to the editor', '#00ccff', 3000);
+    } else {
+        showMessage(`Play-testing with ${report.errors.length} validation error(s) - press T to return`, '#ffaa00', 3000);
+    }
+}
+
+function stopEditorPlaytest(message) {
+    if (!levelEditorState.playtesting) return;
+    
+    levelEditorState.playtesting = false;
+    jsonLevels = levelEditorState.savedGame.levels;
+    currentJsonLevelIndex = levelEditorState.savedGame.levelIndex;
+    
+    enterEditorView();
+    buildEditorPreview();
+    showMessage(message, '#00ccff', 3000);
+}
+
+function updateEditorPanel() {
+    const editor = levelEditorState.editor;
+    if (!editor) return;
+    
+    const nameInput = document.getElementById('editor-level-name');
+    if (nameInput && document.activeElement !== nameInput) {
+        nameInput.value = editor.level.name;
+    }
+    
+    document.getElementById('editor-grid-mode-btn').classList.toggle('active', editor.mode === 'grid');
+    document.getElementById('editor-3d-mode-btn').classList.toggle('active', editor.mode === '3D');
+    document.getElementById('editor-3d-options').classList.toggle('hidden', editor.mode !== '3D');
+    document.getElementById('editor-height').textContent = levelEditorState.placementHeight;
+    document.getElementById('editor-snap').value = String(editor.snap);
+    document.getElementById('editor-platform-size').value = editor.platformSize;
+    document.getElementById('editor-gravity-direction').value = editor.gravityDirection;
+    document.getElementById('editor-undo-btn').disabled = !editor.canUndo;
+    document.getElementById('editor-redo-btn').disabled = !editor.canRedo;
+    
+    const toolsElement = document.getElementById('editor-tools');
+    toolsElement.innerHTML = '';
+    editor.tools.forEach((tool, index) => {
+        const button = document.createElement('button');
+        button.className = `editor-tool${tool.id === levelEditorState.tool ? ' active' : ''}`;
+        button.title = index < 10 ? `${tool.label} (${(index + 1) % 10})` : tool.label;
+        button.textContent = `${tool.icon} ${tool.label}`;
+        button.addEventListener('click', () => selectEditorTool(tool.id));
+        toolsElement.appendChild(button);
+    });
+    
+    const report = editor.validate();
+    const statusElement = document.getElementById('editor-status');
+    if (report.valid) {
+        statusElement.textContent = `✅ Valid level${report.warnings.length ? ` - ${report.warnings[0].message}` : ''}`;
+        statusElement.style.color = '#00ff00';
+    } else {
+        statusElement.textContent = `❌ ${report.errors[0].path} ${report.errors[0].message}`;
+        statusElement.style.color = '#ff6666';
+    }
+}
+
+// ============ GHOST RUNS ============
+
+const ghostState = {
+    recorder: new GhostRecorder(),
+    runs: {},       // Best run per JSON level index (saved as 3dgame_ghosts)
+    race: null,     // Best run raced on the current level
+    mesh: null,
+    visible: true
+};
+
+// Called by loadJsonLevel: start recording the attempt and pick the ghost to race
+function startGhostRun(levelIndex) {
+    ghostState.recorder.cancel();
+    ghostState.race = null;
+    
+    if (!gameMode.isSinglePlayer || levelEditorState.active) return;
+    
+    const level = jsonLevels[levelIndex];
+    const levelHash = hashValue(level);
+    const best = ghostState.runs[levelIndex];
+    
+    // A ghost from an older version of the level would run through changed geometry
+    if (best && best.level.hash === levelHash) {
+        ghostState.race = best;
+    }
+    
+    // Replays are watched, not raced for a new best
+    if (!replayState.playing) {
+        ghostState.recorder.start({
+            level: { index: levelIndex, name: level.name, number: level.number, hash: levelHash },
+            step: PHYSICS_STEP
+        });
+        ghostState.recorder.record(0, player.position, player.quaternion);
+    }
+}
+
+// Sample the ball after each fixed step
+function recordGhostStep() {
+    ghostState.recorder.record(physicsTimestep.tick, player.position, player.quaternion);
+}
+
+function recordGhostSplit(name) {
+    if (!ghostState.recorder.isRecording) return;
+    
+    ghostState.recorder.split(name, physicsTimestep.tick);
+    const split = compareSplit(ghostState.recorder.run, ghostState.race, name);
+    if (split && split.delta !== null) {
+        showGhostSplit(split);
+    }
+}
+
+// Finish the attempt at the goal; keeps it when it beats the saved ghost
+function finishGhostRun() {
+    if (!ghostState.recorder.isRecording) return;
+    
+    const run = ghostState.recorder.finish(physicsTimestep.tick, player.position, player.quaternion);
+    const levelIndex = run.level.index;
+    const best = ghostState.runs[levelIndex];
+    const comparable = best && best.level.hash === run.level.hash ? best : null;
+    
+    const split = compareSplit(run, comparable, 'goal');
+    if (split.delta !== null) {
+        showGhostSplit(split);
+    }
+    
+    if (isFasterRun(run, comparable)) {
+        ghostState.runs[levelIndex] = run;
+        saveGhostRuns();
+        console.log(`👻 New best run on ${run.level.name}: ${formatTime(run.time)}`);
+    }
+}
+
+// "🔑 Key 00:04.21 (-0.35s)" - green when ahead of the ghost, red when behind
+function showGhostSplit({ name, time, delta }) {
+    const icon = name === 'key' ? '🔑 Key' : '🏁 Goal';
+    const sign = delta <= 0 ? '-' : '+';
+    showMessage(`${icon} ${formatTime(time)} (${sign}${Math.abs(delta).toFixed(2)}s)`, delta <= 0 ? '#00ff00' : '#ff6666', 2500);
+}
+
+// Translucent copy of the other-player ball
+function getGhostMesh() {
+    if (!ghostState.mesh) {
+        ghostState.mesh = createPlayerBallMesh(0xffffff, 0.35);
+        ghostState.mesh.material.depthWrite = false;
+        ghostState.mesh.castShadow = false;
+        
+        const nameTag = createPlayerNameTag('Best');
+        nameTag.position.set(0, 1, 0);
+        ghostState.mesh.add(nameTag);
+        worldGroup.add(ghostState.mesh);
+    }
+    return ghostState.mesh;
+}
+
+// Place the ghost at the same point in time as the rendered ball
+function updateGhost(alpha) {
+    const run = ghostState.race;
+    if (!run || !ghostState.visible || !useJsonLevels || levelEditorState.active) {
+        if (ghostState.mesh) ghostState.mesh.visible = false;
+        return;
+    }
+    
+    const mesh = getGhostMesh();
+    const tick = Math.max(0, physicsTimestep.tick - 1 + alpha);
+    mesh.visible = sampleGhostRun(run, tick, mesh.position, mesh.quaternion);
+}
+
+function toggleGhost() {
+    ghostState.visible = !ghostState.visible;
+    showMessage(`Ghost ${ghostState.visible ? 'shown' : 'hidden'}`, '#66ccff', 1500);
+}
+
+// Merge ghost runs from an import, keeping the faster run per level
+function importGhostRuns(runs) {
+    let imported = 0;
+    Object.entries(runs || {}).forEach(([levelIndex, run]) => {
+        if (!isValidGhostRun(run)) {
+            console.warn(`Skipping invalid ghost run for level ${levelIndex}`);
+            return;
+        }
+        const current = ghostState.runs[levelIndex];
+        if (!current || current.level.hash !== run.level.hash || isFasterRun(run, current)) {
+            ghostState.runs[levelIndex] = run;
+            imported++;
+        }
+    });
+    return imported;
+}
+
+// ============ REPLAYS ============
+
+const replayState = {
+    recorder: new ReplayRecorder(),
+    lastReplay: null,
+    player: null,
+    levelIndex: null,
+    returnLevelIndex: null,
+    playing: false,
+    paused: false,
+    ended: false,
+    loading: false,
+    speed: 1,
+    tick: 0,
+    displayedTick: null
+};
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const REPLAY_SEEK_SECONDS = 5;
+const REPLAY_PASSTHROUGH_ACTIONS = [
+    'cameraMode', 'cameraDefault', 'cameraFront', 'cameraTop', 'cameraSide', 'cameraCycle',
+    'pause', 'instructions', 'debug', 'ghost'
+];
+
+// Called by loadJsonLevel: every single player attempt on a JSON level is recorded
+function startReplayRecording(levelIndex) {
+    if (replayState.playing) {
+        // A reload during playback (e.g. falling off) is where the recorded attempt ended
+        if (!replayState.loading) {
+            endReplay('Replay finished: the recorded attempt ended here');
+        }
+        return;
+    }
+    
+    finishReplayRecording({ completed: false });
+    
+    if (!gameMode.isSinglePlayer || levelEditorState.active) return;
+    
+    const level = jsonLevels[levelIndex];
+    replayState.recorder.start({
+        level: { index: levelIndex, name: level.name, number: level.number, hash: hashValue(level) },
+        configHash: hashValue(gameConfig),
+        step: PHYSICS_STEP,
+        camera: { mode: cameraSystem.currentMode, preset: cameraSystem.currentPreset }
+    });
+}
+
+function finishReplayRecording(result) {
+    if (replayState.recorder.isRecording) {
+        replayState.lastReplay = replayState.recorder.stop(result);
+    }
+}
+
+// Camera changes are stored at the tick they take effect
+function recordReplayEvent(type, value) {
+    if (!replayState.playing) {
+        replayState.recorder.recordEvent(physicsTimestep.tick, type, value);
+    }
+}
+
+// Download the current attempt (or the last finished one) as a replay file
+function exportReplay() {
+    const replay = replayState.recorder.isRecording
+        ? replayState.recorder.snapshot({ completed: false })
+        : replayState.lastReplay;
+    
+    if (!replay || replay.ticks === 0) {
+        showMessage('Nothing recorded yet - play a JSON level in single player first', '#ffaa00', 3000);
+        return;
+    }
+    
+    const dataStr = JSON.stringify(replay);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `replay-level-${replay.level.number || replay.level.index + 1}-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    
+    showMessage(`Replay exported (${formatTime(replay.ticks * replay.step)})`, '#00ff00', 2000);
+}
+
+function importReplay() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    
+    input.onchange = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                playReplay(JSON.parse(e.target.result));
+            } catch (error) {
+                console.error('Failed to import replay:', error);
+                showMessage(`Could not load replay: ${error.message}`, '#ff6666', 4000);
+            }
+        };
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+// Start playing a replay on its level
+function playReplay(replay) {
+    if (!gameMode.isSinglePlayer || gameState.currentState !== 'in-game') {
+        showMessage('Start a single player game to watch replays', '#ffaa00', 3000);
+        return;
+    }
+    if (levelEditorState.active) {
+        showMessage('Close the level editor to watch replays', '#ffaa00', 3000);
+        return;
+    }
+    
+    const player = new ReplayPlayer(replay);
+    const level = jsonLevels[replay.level.index];
+    if (!level) {
+        throw new Error(`level ${replay.level.index + 1} is not loaded`);
+    }
+    
+    // Playback still runs when the level or config changed, but will likely diverge
+    if (replay.level.hash !== hashValue(level)) {
+        console.warn(`⚠️ Replay was recorded on a different version of "${replay.level.name}"`);
+        showMessage('Warning: the level changed since this replay was recorded', '#ffaa00', 4000);
+    } else if (replay.configHash !== hashValue(gameConfig)) {
+        console.warn('⚠️ Replay was recorded with a different config.json');
+        showMessage('Warning: config.json changed since this replay was recorded', '#ffaa00', 4000);
+    }
     
-    if (votingState.hasVoted) {
-        statusElement.textContent = `You voted: ${votingState.myVote}`;
-        statusElement.className = 'voting-status voted';
-    } else {
-        statusElement.textContent = 'Click an option to cast your vote';
-        statusElement.className = 'voting-status waiting';
+    finishReplayRecording({ completed: false });
+    
+    if (!replayState.playing) {
+        replayState.returnLevelIndex = currentJsonLevelIndex;
     }
+    replayState.player = player;
+    replayState.levelIndex = replay.level.index;
+    replayState.playing = true;
+    replayState.speed = 1;
+    setCurrentLevelIndex(replay.level.index);
+    
+    document.getElementById('replay-panel').classList.remove('hidden');
+    seekReplay(0);
+    replayState.paused = false;
+    
+    console.log(`🎬 Playing replay of ${replay.level.name} (${player.length} ticks)`);
+    showMessage(`🎬 Replay: ${replay.level.name} - Space: pause | ←/→: seek | ↑/↓: speed | ESC: stop`, '#66ccff', 4000);
 }
 
-function updateOptionSelection() {
-    votingState.options.forEach(option => {
-        const optionElement = document.getElementById(`voting-option-${option}`);
-        if (optionElement) {
-            if (votingState.myVote === option) {
-                optionElement.classList.add('selected');
-            } else {
-                optionElement.classList.remove('selected');
-            }
+// Jump to a tick by replaying from the start of the level without rendering
+function seekReplay(targetTick) {
+    const player = replayState.player;
+    const target = Math.max(0, Math.min(Math.round(targetTick), player.length));
+    const soundEnabled = soundManager.isEnabled;
+    
+    soundManager.isEnabled = false;
+    replayState.ended = false;
+    try {
+        replayState.loading = true;
+        loadJsonLevel(replayState.levelIndex);
+        replayState.loading = false;
+        applyReplayCamera(player.replay.camera);
+        
+        physicsTimestep.clearAccumulator();
+        while (physicsTimestep.tick < target && !replayState.ended) {
+            physicsTimestep.advance(PHYSICS_STEP, updateGameStep);
         }
-    });
+    } finally {
+        replayState.loading = false;
+        soundManager.isEnabled = soundEnabled;
+    }
+    
+    physicsTimestep.clearAccumulator();
+    replayState.paused = replayState.paused || replayState.ended;
+    updateReplayPanel();
 }
 
-function startVotingTimer() {
-    if (votingState.timerInterval) {
-        clearInterval(votingState.timerInterval);
+// Feed the recorded input for this tick; false once the recording is over
+function applyReplayStep(tick) {
+    const player = replayState.player;
+    if (tick >= player.length) {
+        endReplay('Replay finished');
+        return false;
     }
     
-    votingState.timerInterval = setInterval(() => {
-        votingState.timeRemaining -= 1000;
-        
-        if (votingState.timeRemaining <= 0) {
-            votingState.timeRemaining = 0;
-            clearInterval(votingState.timerInterval);
-            votingState.timerInterval = null;
+    Object.assign(playerState.inputState, player.inputAt(tick));
+    player.eventsAt(tick).forEach(event => {
+        if (event.type === 'cameraPreset') {
+            applyReplayCamera({ preset: event.value });
+        } else if (event.type === 'cameraMode') {
+            applyReplayCamera({ mode: event.value });
         }
-        
-        updateVotingDisplay();
-    }, 1000);
+    });
+    return true;
 }
 
-function showVotingResults(decision, voteCounts, totalVotes) {
-    const resultsElement = document.getElementById('voting-results');
-    const winnerElement = document.getElementById('voting-results-winner');
-    const statsElement = document.getElementById('voting-results-stats');
-    
-    if (resultsElement) {
-        resultsElement.classList.remove('hidden');
-    }
-    
-    if (winnerElement) {
-        const actionText = decision === 'restart' ? 'Restart Level' : 'Continue to Next Level';
-        winnerElement.textContent = `${actionText} wins!`;
+function applyReplayCamera({ mode, preset }) {
+    if (mode && cameraSystem.currentMode !== mode) {
+        cameraSystem.currentMode = mode;
     }
-    
-    if (statsElement) {
-        const restartVotes = voteCounts.restart || 0;
-        const continueVotes = voteCounts.continue || 0;
-        statsElement.textContent = `Restart: ${restartVotes} | Continue: ${continueVotes} | Total: ${totalVotes} votes`;
+    if (preset && cameraSystem.presets[preset]) {
+        setCameraPreset(preset);
     }
+}
+
+function endReplay(message) {
+    replayState.ended = true;
+    replayState.paused = true;
+    playerState.inputState.forward = false;
+    playerState.inputState.backward = false;
+    playerState.inputState.left = false;
+    playerState.inputState.right = false;
+    playerState.inputState.jump = false;
+    playerState.inputState.moveX = 0;
+    playerState.inputState.moveY = 0;
     
-    // Hide voting options
-    const optionsElement = document.getElementById('voting-options');
-    if (optionsElement) {
-        optionsElement.style.display = 'none';
+    if (!replayState.loading && physicsTimestep.tick > 0) {
+        showMessage(message, '#66ccff', 3000);
     }
+    updateReplayPanel();
 }
 
-function resetVotingState() {
-    votingState.active = false;
-    votingState.type = null;
-    votingState.options = [];
-    votingState.votes = {};
-    votingState.voteCounts = {};
-    votingState.timeRemaining = 0;
-    votingState.completedBy = null;
-    votingState.levelInfo = null;
-    votingState.hasVoted = false;
-    votingState.myVote = null;
+function toggleReplayPause() {
+    if (!replayState.playing) return;
     
-    // Reset UI elements
-    const optionsElement = document.getElementById('voting-options');
-    if (optionsElement) {
-        optionsElement.style.display = 'block';
+    // Play again from the start once the replay is over
+    if (replayState.ended) {
+        seekReplay(0);
     }
-    
-    const resultsElement = document.getElementById('voting-results');
-    if (resultsElement) {
-        resultsElement.classList.add('hidden');
+    replayState.paused = !replayState.paused;
+    updateReplayPanel();
+}
+
+function seekReplayBy(seconds) {
+    if (!replayState.playing) return;
+    seekReplay(physicsTimestep.tick + seconds / PHYSICS_STEP);
+}
+
+function setReplaySpeed(speed) {
+    const value = parseFloat(speed);
+    if (REPLAY_SPEEDS.includes(value)) {
+        replayState.speed = value;
+        updateReplayPanel();
     }
 }
 
-// Global function for casting votes (called from HTML)
-function castVote(option) {
-    if (!votingState.active || votingState.hasVoted || gameMode.isSinglePlayer) {
-        return;
+function changeReplaySpeed(direction) {
+    const index = REPLAY_SPEEDS.indexOf(replayState.speed) + direction;
+    if (index >= 0 && index < REPLAY_SPEEDS.length) {
+        setReplaySpeed(REPLAY_SPEEDS[index]);
     }
+}
+
+// Leave playback and return to the level that was being played
+function stopReplay() {
+    if (!replayState.playing) return;
     
-    // Update local state
-    votingState.hasVoted = true;
-    votingState.myVote = option;
-    
-    // Send vote to server
-    if (multiplayerState.isConnected) {
-        socket.emit('castVote', { vote: option });
-    }
+    replayState.playing = false;
+    replayState.paused = false;
+    replayState.ended = false;
+    replayState.player = null;
+    document.getElementById('replay-panel').classList.add('hidden');
     
-    // Update display
-    updateVotingDisplay();
+    playerState.inputState.forward = false;
+    playerState.inputState.backward = false;
+    playerState.inputState.left = false;
+    playerState.inputState.right = false;
+    playerState.inputState.jump = false;
+    playerState.inputState.moveX = 0;
+    playerState.inputState.moveY = 0;
     
-    console.log(`Cast vote: ${option}`);
+    setCurrentLevelIndex(replayState.returnLevelIndex);
+    loadJsonLevel(currentJsonLevelIndex);
+    showMessage('Replay stopped', '#66ccff', 2000);
 }
 
-function updateLocalPlayerColor() {
-    if (multiplayerState.localPlayerColor && player) {
-        // Update the local player's color
-        player.material.color.setHex(multiplayerState.localPlayerColor.hex);
-        
-        // Update the local player's name tag
-        if (localPlayerNameTag) {
-            player.remove(localPlayerNameTag);
-        }
-        
-        localPlayerNameTag = createPlayerNameTag('You', multiplayerState.localPlayerColor);
-        localPlayerNameTag.position.set(0, 1, 0);
-        player.add(localPlayerNameTag);
-        
-        console.log(`Local player color updated to: ${multiplayerState.localPlayerColor.name}`);
+// Playback shortcuts; game controls are blocked while a replay plays
+function handleReplayKey(event) {
+    switch (event.code) {
+        case 'Space':
+            event.preventDefault();
+            toggleReplayPause();
+            return true;
+        case 'ArrowLeft':
+            seekReplayBy(-REPLAY_SEEK_SECONDS);
+            return true;
+        case 'ArrowRight':
+            seekReplayBy(REPLAY_SEEK_SECONDS);
+            return true;
+        case 'ArrowUp':
+            changeReplaySpeed(1);
+            return true;
+        case 'ArrowDown':
+            changeReplaySpeed(-1);
+            return true;
+        case 'Escape':
+            event.preventDefault();
+            stopReplay();
+            return true;
+        default:
+            // Camera, pause menu, instructions, debug view and ghost keys keep working
+            return !REPLAY_PASSTHROUGH_ACTIONS.includes(getInputAction(event.code));
+    }
+}
+
+function updateReplayPanel() {
+    if (!replayState.playing) return;
+    
+    const player = replayState.player;
+    const tick = Math.min(physicsTimestep.tick, player.length);
+    
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.max = player.length;
+    if (document.activeElement !== scrubber) {
+        scrubber.value = tick;
     }
+    
+    document.getElementById('replay-time').textContent = `${formatTime(tick * PHYSICS_STEP)} / ${formatTime(player.duration)}`;
+    document.getElementById('replay-play-btn').textContent = replayState.paused ? '▶' : '⏸';
+    document.getElementById('replay-speed').value = String(replayState.speed);
+    replayState.displayedTick = tick;
 }
 
 // Utility functions
@@ -13985,23 +16294,145 @@ window.addEventListener('resize', () => {
 });
 
 // Animation loop
-function animate() {
+// Player state at the end of the previous step, blended with the current one when drawing
+const renderInterpolation = {
+    previousPosition: new THREE.Vector3(),
+    previousQuaternion: new THREE.Quaternion(),
+    currentPosition: new THREE.Vector3(),
+    currentQuaternion: new THREE.Quaternion(),
+    applied: false
+};
+
+// Moves longer than this within one step (teleports, respawns) are drawn without blending
+const MAX_INTERPOLATION_DISTANCE = 2;
+
+let lastFrameTimestamp = null;
+
+// Game systems, run in this order once per fixed step
+const GAME_STEP_SYSTEMS = [
+    updateStepTimers,               // Delays and animations on the simulation clock
+    updatePhysicsMovement,          // Three.js physics-based movement
+    updatePlayer,                   // Legacy player movement (for backwards compatibility)
+    animateCoins,
+    animateKeyAndGoal,
+    animateSpikeTraps,
+    animateTeleportTiles,
+    animateBouncingPlatforms,
+    sendPlayerUpdate,               // Send player position updates to other clients
+    checkCoinCollection,
+    checkKeyAndGoalCollection,
+    checkSpikeTrapCollision,
+    checkTeleportTileCollision,
+    checkBouncingPlatformCollision,
+    checkBrokenTileCollision,
+    checkTypedTileCollision,
+    checkHoleCollision,
+    checkUnderworldExitCollision,
+    updateMovingObstacles,
+    checkMovingObstacleCollision,
+    updateMovingPlatforms,          // 3D platform systems
+    updateTimedSpikes,              // Enhanced trap systems
+    updateMovingSpikes,
+    checkPressurePlates,            // 3D interactive elements
+    updateLevelTriggers,
+    checkGravityChangers,
+    checkDisappearingTileCollision,
+    checkFallDetection,
+    updateGravityZones,
+    checkCheckpoints
+];
+
+// Game systems that still run while spectating
+const SPECTATOR_STEP_SYSTEMS = new Set([
+    updateStepTimers,
+    animateCoins,
+    animateKeyAndGoal,
+    animateSpikeTraps,
+    animateTeleportTiles,
+    animateBouncingPlatforms,
+    updateMovingObstacles,
+    updateMovingPlatforms,
+    updateTimedSpikes,
+    updateMovingSpikes
+]);
+
+// Run one fixed step of physics and game logic
+function updateGameStep(step, tick) {
+    replayState.tick = tick;
+    
+    renderInterpolation.previousPosition.copy(player.position);
+    renderInterpolation.previousQuaternion.copy(player.quaternion);
+    
+    // Replays supply the input; otherwise the live input is recorded
+    if (replayState.playing) {
+        if (!applyReplayStep(tick)) return;
+    } else {
+        replayState.recorder.recordInput(tick, playerState.inputState);
+    }
+    
+    const epoch = physicsTimestep.epoch;
+    for (const system of GAME_STEP_SYSTEMS) {
+        // Spectators have no ball in the game; only the level itself keeps moving
+        if (spectatorState.active && !SPECTATOR_STEP_SYSTEMS.has(system)) continue;
+        
+        system();
+        
+        // A level (re)load restarts the simulation; the rest of this step belonged to the old level
+        if (physicsTimestep.epoch !== epoch) return;
+    }
+    
+    recordGhostStep();
+    
+    // Rotate the cube
+    cube.rotation.x += 0.01;
+    cube.rotation.y += 0.01;
+}
+
+// Draw the player part way between the previous and current step
+function applyRenderInterpolation(alpha) {
+    const state = renderInterpolation;
+    state.currentPosition.copy(player.position);
+    state.currentQuaternion.copy(player.quaternion);
+    state.applied = true;
+    
+    if (alpha >= 1 || state.previousPosition.distanceTo(state.currentPosition) > MAX_INTERPOLATION_DISTANCE) {
+        return;
+    }
+    
+    player.position.lerpVectors(state.previousPosition, state.currentPosition, alpha);
+    player.quaternion.slerpQuaternions(state.previousQuaternion, state.currentQuaternion, alpha);
+}
+
+// Put the simulated player state back after rendering
+function restoreRenderInterpolation() {
+    const state = renderInterpolation;
+    if (!state.applied) return;
+    
+    player.position.copy(state.currentPosition);
+    player.quaternion.copy(state.currentQuaternion);
+    state.applied = false;
+}
+
+function animate(timestamp = performance.now()) {
     requestAnimationFrame(animate);
     
     // No transition logging - transitions are immediate
     
-    // Camera updates - isolated from game logic to prevent interference
-    try {
-        // Update controls for damping (if enabled and not interfering with gameplay)
-        if (controls && controls.enabled && !gameState.isPaused) {
-            controls.update();
-        }
-        
-        // Update third-person camera - isolated from game logic
-        updateThirdPersonCamera();
-    } catch (error) {
-        console.warn('Camera update error (isolated):', error);
-        // Camera errors should not affect game logic
+    const frameSeconds = lastFrameTimestamp === null ? 0 : (timestamp - lastFrameTimestamp) / 1000;
+    lastFrameTimestamp = timestamp;
+    
+    pollGamepad(frameSeconds);
+    updateTouchControls();
+    
+    // Skip all game logic if paused, while editing a level or while a replay is paused
+    const simulationRunning = !gameState.isPaused &&
+        !(levelEditorState.active && !levelEditorState.playtesting) &&
+        !(replayState.playing && replayState.paused);
+    if (simulationRunning) {
+        physicsTimestep.advance(frameSeconds * (replayState.playing ? replayState.speed : 1), updateGameStep);
+    } else {
+        // Time spent paused is not simulated afterwards
+        physicsTimestep.clearAccumulator();
     }
     
     // Check for NaN values in player position before rendering
@@ -14017,95 +16448,39 @@ function animate() {
         }
     }
     
-    // Always render the scene
-    renderer.render(scene, camera);
+    const renderAlpha = simulationRunning ? physicsTimestep.alpha : 1;
+    applyRenderInterpolation(renderAlpha);
+    updateGhost(renderAlpha);
+    updateRemotePlayers();
+    updateSpeechBubbles();
+    updateEnvironment(frameSeconds, timestamp);
     
-    // Skip all game logic if paused
-    if (gameState.isPaused) {
-        return;
+    // Camera updates - isolated from game logic to prevent interference
+    try {
+        // Update controls for damping (if enabled and not interfering with gameplay)
+        if (controls && controls.enabled && !gameState.isPaused) {
+            controls.update();
+        }
+        
+        // Update third-person camera (or the spectator camera) - isolated from game logic
+        if (spectatorState.active) {
+            updateSpectatorCamera(frameSeconds);
+        } else {
+            updateThirdPersonCamera();
+        }
+    } catch (error) {
+        console.warn('Camera update error (isolated):', error);
+        // Camera errors should not affect game logic
     }
     
-    // Update Three.js physics-based movement
-    updatePhysicsMovement();
-    
-    // Update legacy player movement (for backwards compatibility)
-    updatePlayer();
-    
-    // Animate coins
-    animateCoins();
-    
-    // Animate key and goal
-    animateKeyAndGoal();
-    
-    // Animate spike traps
-    animateSpikeTraps();
-    
-    // Animate teleport tiles
-    animateTeleportTiles();
-    
-    // Animate bouncing platforms
-    animateBouncingPlatforms();
-    
-    // Send player position updates to other clients
-    sendPlayerUpdate();
-    
-    // Check coin collection
-    checkCoinCollection();
-    
-    // Check key and goal collection
-    checkKeyAndGoalCollection();
-    
-    // Check spike trap collision
-    checkSpikeTrapCollision();
-    
-    // Check teleport tile collision
-    checkTeleportTileCollision();
-    
-    // Check bouncing platform collision
-    checkBouncingPlatformCollision();
-    
-    // Check broken tile collision
-    checkBrokenTileCollision();
-    
-    // Check typed tile collision
-    checkTypedTileCollision();
-    
-    // Check hole collision
-    checkHoleCollision();
-    
-    // Check underworld exit collision
-    checkUnderworldExitCollision();
-    
-    // Update and check moving obstacles
-    updateMovingObstacles();
-    checkMovingObstacleCollision();
-    
-    // Update 3D platform systems
-    updateMovingPlatforms();
-    
-    // Update enhanced trap systems
-    updateTimedSpikes();
-    updateMovingSpikes();
-    
-    // Check 3D interactive elements
-    checkPressurePlates();
-    checkGravityChangers();
-    
-    // Check disappearing tile triggers
-    checkDisappearingTileCollision();
-    
-    // Check fall detection
-    checkFallDetection();
-    
-    // Update gravity zones
-    updateGravityZones();
+    // Always render the scene
+    renderer.render(scene, camera);
     
-    // Check checkpoints
-    checkCheckpoints();
+    restoreRenderInterpolation();
     
-    // Rotate the cube
-    cube.rotation.x += 0.01;
-    cube.rotation.y += 0.01;
+    if (replayState.playing && replayState.displayedTick !== physicsTimestep.tick) {
+        updateReplayPanel();
+    }
 }
 
 // Initialize the game
@@ -14122,6 +16497,8 @@ async function init() {
     
     // Initialize controls after renderer is ready
     initializeControls();
+    setupTouchControls();
+    setupChatInputs();
     
     // Initialize game systems with config values
     initializeTileSettings();
@@ -14253,6 +16630,8 @@ window.collectKey = collectKey;
 window.completeLevel = completeLevel;
 window.transitionToNextLevel = transitionToNextLevel;
 window.generateNewLevel = generateNewLevel;
+window.copyLevelSeed = copyLevelSeed;
+window.playLevelSeed = playLevelSeed;
 window.restartGame = restartGame;
 window.spikeTraps = spikeTraps;
 window.createSpikeTraps = createSpikeTraps;
@@ -14279,55 +16658,7 @@ window.handleProgressionChoice = handleProgressionChoice;
 
 // Make physics validation functions globally accessible for debugging
 window.validatePhysicsConsistency = validatePhysicsConsistency;
-window.testPhysicsConsistency = testPhysicsConsistency;
-
-// Key collision validation function
-function validateKeyCollisionSystem() {
-    console.log('🔑 Key Collision System Validation:');
-    console.log('- gameKey exists:', !!gameKey);
-    console.log('- player exists:', !!player);
-    console.log('- player.position exists:', !!player?.position);
-    console.log('- gameScore.hasKey:', gameScore.hasKey);
-    console.log('- collectDistance:', getConfigValue('physics.collisionDistance', 0.8));
-    
-    if (gameKey) {
-        console.log('- gameKey.position:', {
-            x: gameKey.position.x.toFixed(2), 
-            y: gameKey.position.y.toFixed(2), 
-            z: gameKey.position.z.toFixed(2)
-        });
-        console.log('- gameKey.userData:', gameKey.userData);
-        console.log('- gameKey in worldGroup:', worldGroup.children.includes(gameKey));
-    }
-    
-    if (player) {
-        console.log('- player.position:', {
-            x: player.position.x.toFixed(2), 
-            y: player.position.y.toFixed(2), 
-            z: player.position.z.toFixed(2)
-        });
-        
-        if (gameKey) {
-            const distance = player.position.distanceTo(gameKey.position);
-            console.log('- distance to key:', distance.toFixed(2));
-            console.log('- within collection range:', distance < getConfigValue('physics.collisionDistance', 0.8));
-        }
-    }
-    
-    // Check if checkKeyAndGoalCollection is being called
-    console.log('- checkKeyAndGoalCollection function exists:', typeof checkKeyAndGoalCollection === 'function');
-    console.log('- animation loop running:', !gameState.isPaused);
-    
-    return {
-        keyExists: !!gameKey,
-        playerExists: !!player,
-        hasKey: gameScore.hasKey,
-        systemReady: !!gameKey && !!player && !gameScore.hasKey
-    };
-}
 
-// Make key validation function globally accessible
-window.validateKeyCollisionSystem = validateKeyCollisionSystem;
 
 // Inventory and HUD validation function
 function validateInventoryAndHUD() {
@@ -14393,29 +16724,9 @@ function validateInventoryAndHUD() {
     };
 }
 
-// Test inventory update function
-function testInventoryUpdate() {
-    console.log('🧪 Testing Inventory Update:');
-    
-    const originalState = gameScore.hasKey;
-    console.log('- Original key state:', originalState);
-    
-    // Simulate key collection
-    gameScore.hasKey = true;
-    updateScoreDisplay({ animateKey: true });
-    console.log('- After simulated collection:', gameScore.hasKey);
-    
-    // Restore original state
-    gameScore.hasKey = originalState;
-    updateScoreDisplay({ animateKey: false });
-    console.log('- Restored to original state:', gameScore.hasKey);
-    
-    return { success: true };
-}
 
 // Make inventory validation functions globally accessible
 window.validateInventoryAndHUD = validateInventoryAndHUD;
-window.testInventoryUpdate = testInventoryUpdate;
 
 // Camera interference validation function
 function validateCameraInterference() {
@@ -14482,37 +16793,9 @@ function validateCameraInterference() {
     };
 }
 
-// Test camera isolation
-function testCameraIsolation() {
-    console.log('🧪 Testing Camera Isolation:');
-    
-    // Test that camera mode changes don't affect collision detection
-    const originalMode = cameraSystem.currentMode;
-    
-    // Test isometric mode
-    cameraSystem.currentMode = 'isometric';
-    console.log('- Isometric mode: collision detection active:', typeof checkKeyAndGoalCollection === 'function');
-    
-    // Test chase mode
-    cameraSystem.currentMode = 'chase';
-    console.log('- Chase mode: collision detection active:', typeof checkKeyAndGoalCollection === 'function');
-    
-    // Test with camera disabled
-    const originalEnabled = cameraSystem.enabled;
-    cameraSystem.enabled = false;
-    console.log('- Camera disabled: collision detection active:', typeof checkKeyAndGoalCollection === 'function');
-    
-    // Restore original states
-    cameraSystem.currentMode = originalMode;
-    cameraSystem.enabled = originalEnabled;
-    
-    console.log('✅ Camera isolation test completed');
-    return { success: true };
-}
 
 // Make camera validation functions globally accessible
 window.validateCameraInterference = validateCameraInterference;
-window.testCameraIsolation = testCameraIsolation;
 window.restartJsonLevels = restartJsonLevels;
 window.switchToRandomGeneration = switchToRandomGeneration;
 window.loopToFirstJsonLevel = loopToFirstJsonLevel;
@@ -14546,23 +16829,6 @@ window.debugGameState = () => {
 };
 window.validatePosition = validatePosition;
 window.setPlayerPosition = setPlayerPosition;
-window.testPositionSystem = () => {
-    console.log('🧪 Testing position system...');
-    
-    // Test validatePosition function
-    console.log('Testing validatePosition:');
-    console.log('Valid position:', validatePosition({ x: 1, y: 2, z: 3 }));
-    console.log('NaN position:', validatePosition({ x: NaN, y: 2, z: 3 }));
-    console.log('Undefined position:', validatePosition(undefined));
-    console.log('Null position:', validatePosition(null));
-    
-    // Test setPlayerPosition function
-    console.log('Testing setPlayerPosition:');
-    setPlayerPosition({ x: 0, y: 2, z: 0 }, 'manual test');
-    
-    // Test current player position
-    debugPostTransitionState();
-};
 window.multiplayerState = multiplayerState;
 window.addOtherPlayer = addOtherPlayer;
 window.removeOtherPlayer = removeOtherPlayer;
@@ -14607,6 +16873,12 @@ window.updateLobbyUI = updateLobbyUI;
 window.toggleReady = toggleReady;
 window.startGame = startGame;
 window.leaveLobby = leaveLobby;
+window.createRoom = createRoom;
+window.saveLobbyProfile = saveLobbyProfile;
+window.sendLobbyChat = sendLobbyChat;
+window.setLobbyGameMode = setLobbyGameMode;
+window.joinRoom = joinRoom;
+window.refreshRoomList = refreshRoomList;
 window.returnToLobby = returnToLobby;
 window.votingState = votingState;
 window.showVotingUI = showVotingUI;
@@ -14670,4 +16942,42 @@ window.showFloatingScoreText = showFloatingScoreText;
 window.animateNumber = animateNumber;
 window.animateTimerUpdate = animateTimerUpdate;
 window.animateProgressBar = animateProgressBar; 
-window.animateProgressBar = animateProgressBar; 
\ No newline at end of file
+window.animateProgressBar = animateProgressBar;
+
+// Level editor exports
+window.toggleLevelEditor = toggleLevelEditor;
+window.setEditorMode = setEditorMode;
+window.setEditorLevelName = setEditorLevelName;
+window.setEditorOption = setEditorOption;
+window.editorUndo = editorUndo;
+window.editorRedo = editorRedo;
+window.newEditorLevel = newEditorLevel;
+window.loadCurrentLevelIntoEditor = loadCurrentLevelIntoEditor;
+window.validateEditorLevel = validateEditorLevel;
+window.exportEditorLevel = exportEditorLevel;
+window.saveEditorLevel = saveEditorLevel;
+window.startEditorPlaytest = startEditorPlaytest;
+
+// Key binding exports
+window.openControlsMenu = openControlsMenu;
+window.closeControlsMenu = closeControlsMenu;
+window.resetKeyBindings = resetKeyBindings;
+
+// Ghost exports
+window.toggleGhost = toggleGhost;
+
+// Replay exports
+window.exportReplay = exportReplay;
+window.importReplay = importReplay;
+window.playReplay = playReplay;
+window.stopReplay = stopReplay;
+window.toggleReplayPause = toggleReplayPause;
+window.seekReplay = seekReplay;
+window.seekReplayBy = seekReplayBy;
+window.setReplaySpeed = setReplaySpeed;
+
+// Modular level API exports
+window.listModularLevels = listModularLevels;
+window.loadModularLevel = loadModularLevel;
+window.saveModularLevel = saveModularLevel;
+window.deleteModularLevel = deleteModularLevel; 
\ No newline at end of file
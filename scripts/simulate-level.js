@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { simulateLevel } from '../src/systems/levelSimulation.js';
+
+// Headless level runner
+// Usage: node scripts/simulate-level.js --level <index> [--inputs <file.json>]
+//        [--duration <seconds>] [--levels <levels.json>] [--config <config.json>] [--json]
+
+const USAGE = 'Usage: node scripts/simulate-level.js --level <index> [--inputs <file.json>] ' +
+    '[--duration <seconds>] [--levels <levels.json>] [--config <config.json>] [--json]';
+
+function parseArgs(argv) {
+    const args = {
+        level: 0,
+        inputs: null,
+        duration: undefined,
+        levels: 'levels.json',
+        config: 'config.json',
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--level':
+                args.level = parseInt(argv[++i], 10);
+                break;
+            case '--inputs':
+                args.inputs = argv[++i];
+                break;
+            case '--duration':
+                args.duration = parseFloat(argv[++i]);
+                break;
+            case '--levels':
+                args.levels = argv[++i];
+                break;
+            case '--config':
+                args.config = argv[++i];
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (isNaN(args.level) || args.level < 0) {
+        throw new Error('--level must be a non-negative level index');
+    }
+    if (args.duration !== undefined && (isNaN(args.duration) || args.duration < 0)) {
+        throw new Error('--duration must be a non-negative number of seconds');
+    }
+
+    return args;
+}
+
+function readJson(path) {
+    return JSON.parse(readFileSync(resolve(path), 'utf8'));
+}
+
+function printReport(report) {
+    console.log(`🎮 ${report.level.name} (level ${report.level.number}, index ${report.level.index})`);
+    console.log(`⏱️  Simulated ${report.time.toFixed(2)}s over ${report.frames} frames`);
+
+    report.events.forEach(event => {
+        const details = event.id || event.cause || event.reason || '';
+        console.log(`   [${event.time.toFixed(2)}s] ${event.type}${details ? ` (${details})` : ''} at [${event.position.join(', ')}]`);
+    });
+
+    console.log(`🪙 Coins: ${report.coinsCollected} collected, ${report.coinsRemaining} remaining`);
+    console.log(`🔑 Key: ${report.hasKey ? 'collected' : 'not collected'}`);
+    console.log(`💀 Deaths: ${report.deaths} (lives remaining: ${report.livesRemaining})`);
+    console.log(report.completed
+        ? `✅ Goal reached at ${report.completionTime.toFixed(2)}s`
+        : `❌ Level not completed (outcome: ${report.outcome})`);
+
+    report.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+}
+
+try {
+    const args = parseArgs(process.argv.slice(2));
+    const levels = readJson(args.levels);
+    const config = readJson(args.config);
+    const inputs = args.inputs ? readJson(args.inputs) : [];
+
+    const report = simulateLevel(levels, args.level, inputs, {
+        config,
+        duration: args.duration
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    process.exit(report.completed ? 0 : 1);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(2);
+}
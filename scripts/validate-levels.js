@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { levelSchema } from '../src/systems/levelSchema.js';
+import { validateLevel, validateLevels, formatIssue } from '../src/systems/levelValidator.js';
+
+// Level file validator
+// Usage: node scripts/validate-levels.js [files...] [--json] [--schema]
+// Files holding an array are checked as level lists, anything else as a single level.
+
+const USAGE = 'Usage: node scripts/validate-levels.js [files...] [--json] [--schema]';
+
+function parseArgs(argv) {
+    const args = {
+        files: [],
+        json: false,
+        schema: false
+    };
+
+    for (const arg of argv) {
+        switch (arg) {
+            case '--json':
+                args.json = true;
+                break;
+            case '--schema':
+                args.schema = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown argument: ${arg}`);
+                }
+                args.files.push(arg);
+        }
+    }
+
+    if (args.files.length === 0) {
+        args.files.push('levels.json');
+    }
+
+    return args;
+}
+
+function validateFile(file) {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(resolve(file), 'utf8'));
+    } catch (error) {
+        return {
+            file,
+            valid: false,
+            errors: [{ file, levelIndex: null, levelName: null, path: '', message: error.message }],
+            warnings: []
+        };
+    }
+
+    return Array.isArray(data) ? validateLevels(data, { file }) : validateLevel(data, { file });
+}
+
+function printReport(report) {
+    report.errors.forEach(issue => console.log(`❌ ${formatIssue(issue)}`));
+    report.warnings.forEach(issue => console.log(`⚠️  ${formatIssue(issue)}`));
+
+    const summary = `${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+    console.log(report.valid ? `✅ ${report.file}: ${summary}` : `❌ ${report.file}: ${summary}`);
+}
+
+try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.schema) {
+        console.log(JSON.stringify(levelSchema, null, 2));
+        process.exit(0);
+    }
+
+    const reports = args.files.map(validateFile);
+
+    if (args.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        reports.forEach(printReport);
+    }
+
+    process.exit(reports.every(report => report.valid) ? 0 : 1);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(2);
+}
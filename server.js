@@ -4,6 +4,25 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+import { randomBytes, createHash } from 'crypto';
+import { LevelStore } from './src/systems/levelStore.js';
+import { RoomStore, restoreRoom, isRoomMember } from './src/systems/roomStore.js';
+import { PLAYER_COLORS, validateDisplayName, makeUniqueName, findPlayerColor, getDisplayName } from './src/systems/playerProfiles.js';
+import { validateChatMessage, findEmote, ChatRateLimiter } from './src/systems/chat.js';
+import {
+    RACE_COUNTDOWN,
+    RACE_FINISH_WINDOW,
+    isGameMode,
+    createRaceState,
+    getRacerItems,
+    recordFinish,
+    allFinished,
+    rankRaceResults
+} from './src/systems/raceMode.js';
+import { buildScoreboard } from './src/systems/spectator.js';
+import { normalizeLevelSeed } from './src/systems/levelGenerator.js';
+import { getLevelLayers, getLayerCollectibles, normalizeLayerDepth } from './src/systems/underworld.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +36,35 @@ const io = new Server(server, {
     }
 });
 
+// Room snapshots go to data/ next to the game (ROOMS_FILE overrides, e.g. for tests)
+const ROOMS_FILE = path.resolve(process.env.ROOMS_FILE || path.join(__dirname, 'data', 'rooms.json'));
+
+// Runtime data is never served: not data/, and not the room snapshot wherever it is
+const PRIVATE_PATHS = [path.join(__dirname, 'data'), ROOMS_FILE];
+
+// Whether a request path names a private file or folder, once decoded and normalized
+// the way the static file server would (compared case-insensitively for filesystems that are)
+function isPrivatePath(requestPath) {
+    let filePath;
+    try {
+        filePath = path.join(__dirname, decodeURIComponent(requestPath)).toLowerCase();
+    } catch {
+        return true;
+    }
+    return PRIVATE_PATHS.some(privatePath => {
+        const relative = path.relative(privatePath.toLowerCase(), filePath);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }) || filePath.startsWith(ROOMS_FILE.toLowerCase()); // Also the snapshot's temporary files
+}
+
+app.use((req, res, next) => {
+    if (isPrivatePath(req.path)) {
+        res.sendStatus(404);
+        return;
+    }
+    next();
+});
+
 // Serve static files from current directory
 app.use(express.static(__dirname));
 
@@ -25,87 +73,313 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Store connected players
-const players = {};
-
-// Store collectible items state (global for all players)
-const collectibleItems = {
-    coins: new Set(), // Set of coin IDs that have been collected
-    keys: new Set(),  // Set of key IDs that have been collected
-    initialized: false
-};
-
-// Store lobby state
-const lobbyState = {
-    players: {}, // Players in lobby: { socketId: { id, color, ready, joinedAt } }
-    gameState: 'lobby', // 'lobby', 'starting', 'in-game'
-    hostId: null, // First player becomes host
-    countdown: null, // Countdown timer for game start
-    maxPlayers: 8,
-    minPlayers: 1,
-    startDelay: 5000, // 5 seconds delay before game starts
-    lastUpdate: Date.now()
-};
-
-// Store voting state
-const votingState = {
-    active: false,
-    type: null, // 'level-completion'
-    options: [], // ['restart', 'continue']
-    votes: {}, // { socketId: 'restart'/'continue' }
-    timeout: null,
-    duration: 30000, // 30 seconds voting time
-    startTime: null,
-    completedBy: null, // Who completed the level
-    levelInfo: null
-};
-
-// Store current game session state
-const gameSession = {
-    currentLevel: {
-        type: null, // 'json' or 'random'
-        number: 1,
-        name: null,
-        index: null,
-        coinCount: 0,
-        initialized: false,
-        lastInitializedBy: null,
-        lastInitializedAt: null
-    },
-    collectibleItems: collectibleItems,
-    playerCount: 0,
-    sessionStartTime: Date.now(),
-    lastStateUpdate: Date.now()
-};
-
-// Color palette for players
-const playerColors = [
-    { name: 'Red', hex: 0xff4444, css: '#ff4444' },
-    { name: 'Blue', hex: 0x4444ff, css: '#4444ff' },
-    { name: 'Green', hex: 0x44ff44, css: '#44ff44' },
-    { name: 'Yellow', hex: 0xffff44, css: '#ffff44' },
-    { name: 'Purple', hex: 0xff44ff, css: '#ff44ff' },
-    { name: 'Orange', hex: 0xff8844, css: '#ff8844' },
-    { name: 'Cyan', hex: 0x44ffff, css: '#44ffff' },
-    { name: 'Pink', hex: 0xff8888, css: '#ff8888' },
-    { name: 'Lime', hex: 0x88ff88, css: '#88ff88' },
-    { name: 'Teal', hex: 0x44ff88, css: '#44ff88' },
-    { name: 'Indigo', hex: 0x8844ff, css: '#8844ff' },
-    { name: 'Coral', hex: 0xff4488, css: '#ff4488' }
-];
-
-// Track used colors to avoid duplicates
-const usedColors = new Set();
-
-// Function to assign a random color to a player
-function assignPlayerColor() {
+// ============ MODULAR LEVEL API ============
+
+// Level files live in levels/ next to the game (LEVELS_DIR overrides, e.g. for tests)
+const levelStore = new LevelStore(process.env.LEVELS_DIR || path.join(__dirname, 'levels'));
+const levelApi = express.Router();
+
+levelApi.use(cors());
+levelApi.use(express.json({ limit: '1mb' }));
+
+// Run an async route and turn store errors into JSON responses
+function levelRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error.status) {
+                res.status(error.status).json({ error: error.message, details: error.details });
+            } else {
+                console.error('Level API error:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    };
+}
+
+levelApi.get('/', levelRoute(async (req, res) => {
+    res.json(await levelStore.list());
+}));
+
+levelApi.get('/:name', levelRoute(async (req, res) => {
+    res.json(await levelStore.get(req.params.name));
+}));
+
+levelApi.post('/:name', levelRoute(async (req, res) => {
+    res.status(201).json(await levelStore.create(req.params.name, req.body));
+}));
+
+levelApi.put('/:name', levelRoute(async (req, res) => {
+    const saved = await levelStore.save(req.params.name, req.body);
+    res.status(saved.created ? 201 : 200).json(saved);
+}));
+
+levelApi.delete('/:name', levelRoute(async (req, res) => {
+    res.json(await levelStore.delete(req.params.name));
+}));
+
+levelApi.get('/:name/versions', levelRoute(async (req, res) => {
+    res.json(await levelStore.listVersions(req.params.name));
+}));
+
+levelApi.get('/:name/versions/:version', levelRoute(async (req, res) => {
+    res.json(await levelStore.getVersion(req.params.name, req.params.version));
+}));
+
+levelApi.post('/:name/versions/:version/restore', levelRoute(async (req, res) => {
+    res.json(await levelStore.restore(req.params.name, req.params.version));
+}));
+
+// Malformed JSON bodies
+levelApi.use((error, req, res, next) => {
+    res.status(error.status || 400).json({ error: error.message });
+});
+
+app.use('/api/levels', levelApi);
+
+// Room configuration
+const DEFAULT_ROOM_ID = 'main';
+const MAX_ROOMS = 20;
+const MAX_ROOM_NAME_LENGTH = 24;
+
+// Collectible validation
+const COLLECTIBLE_TYPES = { coin: 'coins', key: 'keys' }; // itemType -> collection key
+const COLLECTIBLE_PICKUP_RANGE = 2.5; // Max distance from last reported position (allows for update throttling)
+const MAX_LEVEL_COLLECTIBLES = 500; // Upper bound on items accepted in a level layout
+
+// The JSON levels clients play (LEVELS_FILE overrides, e.g. for tests) and the floor
+// from config.json, so the server can place the items below a level's surface itself
+const LEVELS_FILE = process.env.LEVELS_FILE || path.join(__dirname, 'levels.json');
+const LEVEL_FLOOR = loadLevelFloor(path.join(__dirname, 'config.json'));
+
+// Room persistence: snapshots are written every few seconds when something changed
+const ROOM_SNAPSHOT_INTERVAL = 2000;
+const RESTORE_GRACE_PERIOD = 60000; // How long restored players have to reconnect after a restart
+const RECONNECT_GRACE_PERIOD = 30000; // How long a dropped player's slot is held for them
+
+// Store game rooms: { roomId: room } (no prototype, so client room IDs like "__proto__" find nothing)
+const rooms = Object.create(null);
+
+// Player sessions: { tokenHash: { tokenHash, playerId, roomId, socketId, expiry, profile } }
+// (socketId is null while the player is disconnected; expiry is the timer that gives up their slot)
+// Players are identified by their session's playerId rather than socket.id, so a
+// client that comes back with its token (e.g. after a server restart) keeps its slot.
+// Only the client knows its token: the server keeps (and snapshots) a hash of it.
+// profile ({ name, color }) is the display name and preferred color used in the rooms they join;
+// chatLimiter (added on their first chat message) caps how fast they can chat.
+const sessions = {};
+
+// Session of each connected socket: { socketId: session }
+const socketSessions = {};
+
+// Create a fresh room with its own lobby, voting, session and collectible state
+function createRoomState(roomId, roomName) {
+    // Store collectible items state (shared by all players in the room)
+    const collectibleItems = {
+        coins: new Set(), // Set of coin IDs that have been collected
+        keys: new Set(),  // Set of key IDs that have been collected
+        initialized: false
+    };
+    
+    return {
+        id: roomId,
+        name: roomName,
+        createdAt: Date.now(),
+        
+        // Connected players in game: { playerId: playerData }
+        players: {},
+        
+        // Players watching the running game until the next level: { playerId: { id, name, reason, joinedAt } }
+        spectators: {},
+        
+        // Coins and keys each player picked up on the current level: { playerId: { coins, keys } }
+        scores: {},
+        
+        // Colors in use within this room
+        usedColors: new Set(),
+        
+        collectibleItems: collectibleItems,
+        
+        // Collectible layout of the current level: { coins: Map(id -> position), keys: Map(id -> position) }
+        levelLayout: null,
+        
+        // Lobby state
+        lobbyState: {
+            players: {}, // Players in lobby: { playerId: { id, color, ready, joinedAt } }
+            gameState: 'lobby', // 'lobby', 'starting', 'in-game'
+            gameMode: 'coop', // 'coop' (shared collectibles) or 'race', chosen by the host
+            hostId: null, // First player becomes host
+            countdown: null, // Countdown timer for game start
+            maxPlayers: 8,
+            minPlayers: 1,
+            startDelay: 5000, // 5 seconds delay before game starts
+            lastUpdate: Date.now()
+        },
+        
+        // Voting state
+        votingState: {
+            active: false,
+            type: null, // 'level-completion'
+            options: [], // ['restart', 'continue']
+            votes: {}, // { playerId: 'restart'/'continue' }
+            timeout: null,
+            duration: 30000, // 30 seconds voting time
+            startTime: null,
+            completedBy: null, // Who completed the level
+            levelInfo: null
+        },
+        
+        // Race progress while playing in race mode (see raceMode.js)
+        raceState: createRaceState(),
+        
+        // Current game session state
+        gameSession: {
+            currentLevel: {
+                type: null, // 'json' or 'random'
+                number: 1,
+                name: null,
+                index: null,
+                coinCount: 0,
+                initialized: false,
+                lastInitializedBy: null,
+                lastInitializedAt: null
+            },
+            collectibleItems: collectibleItems,
+            playerCount: 0,
+            sessionStartTime: Date.now(),
+            lastStateUpdate: Date.now()
+        }
+    };
+}
+
+// Clean up a user-supplied room name
+function sanitizeRoomName(name) {
+    if (typeof name !== 'string') return null;
+    
+    const cleaned = name.replace(/[^\w\s-]/g, '').replace(/\s+/g, ' ').trim();
+    if (cleaned.length === 0) return null;
+    
+    return cleaned.substring(0, MAX_ROOM_NAME_LENGTH);
+}
+
+// Derive a unique room ID from a room name
+function generateRoomId(roomName) {
+    const base = roomName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || 'room';
+    let roomId = base;
+    let suffix = 2;
+    
+    while (rooms[roomId]) {
+        roomId = `${base}-${suffix}`;
+        suffix++;
+    }
+    
+    return roomId;
+}
+
+function createRoom(roomName) {
+    const roomId = generateRoomId(roomName);
+    rooms[roomId] = createRoomState(roomId, roomName);
+    
+    console.log(`Room created: ${roomId} (${roomName})`);
+    return rooms[roomId];
+}
+
+function getRoomForSocket(socketId) {
+    const session = socketSessions[socketId];
+    return session && session.roomId ? rooms[session.roomId] || null : null;
+}
+
+function getPlayerId(socket) {
+    const session = socketSessions[socket.id];
+    return session ? session.playerId : null;
+}
+
+// Socket payloads come straight from clients; anything but an object counts as empty
+function readPayload(data) {
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// Start a new session for a connection and tell the client its player ID and token
+function createSession(socket) {
+    const token = randomBytes(24).toString('hex');
+    const session = {
+        tokenHash: hashToken(token),
+        playerId: `p_${randomBytes(6).toString('hex')}`,
+        roomId: null,
+        socketId: socket.id,
+        profile: { name: null, color: null }
+    };
+    
+    sessions[session.tokenHash] = session;
+    socketSessions[socket.id] = session;
+    socket.emit('session', { playerId: session.playerId, token });
+    return session;
+}
+
+function getRoomPlayerCount(room) {
+    const memberIds = new Set([
+        ...Object.keys(room.lobbyState.players),
+        ...Object.keys(room.players),
+        ...Object.keys(room.spectators)
+    ]);
+    return memberIds.size;
+}
+
+function getRoomList() {
+    return Object.values(rooms).map(room => ({
+        id: room.id,
+        name: room.name,
+        playerCount: getRoomPlayerCount(room),
+        maxPlayers: room.lobbyState.maxPlayers,
+        gameState: room.lobbyState.gameState,
+        gameMode: room.lobbyState.gameMode,
+        createdAt: room.createdAt
+    }));
+}
+
+function broadcastRoomList() {
+    io.emit('roomList', getRoomList());
+}
+
+// Remove rooms nobody is using anymore (the default room always stays)
+function cleanupRoom(room) {
+    if (room.id === DEFAULT_ROOM_ID) return;
+    
+    if (getRoomPlayerCount(room) === 0) {
+        if (room.lobbyState.countdown) {
+            clearTimeout(room.lobbyState.countdown);
+        }
+        if (room.votingState.timeout) {
+            clearTimeout(room.votingState.timeout);
+        }
+        clearRaceTimers(room.raceState);
+        delete rooms[room.id];
+        console.log(`Room removed: ${room.id} (empty)`);
+    }
+}
+
+// Function to assign a color to a player: their preferred one if it is free, otherwise a random one
+function assignPlayerColor(room, preferredColor = null) {
+    const usedColors = room.usedColors;
+    
     // If all colors are used, reset and start over
-    if (usedColors.size >= playerColors.length) {
+    if (usedColors.size >= PLAYER_COLORS.length) {
         usedColors.clear();
     }
     
+    const preferred = findPlayerColor(preferredColor);
+    if (preferred && !usedColors.has(preferred.name)) {
+        usedColors.add(preferred.name);
+        return preferred;
+    }
+    
     // Find available colors
-    const availableColors = playerColors.filter(color => !usedColors.has(color.name));
+    const availableColors = PLAYER_COLORS.filter(color => !usedColors.has(color.name));
     
     // Pick a random available color
     const randomColor = availableColors[Math.floor(Math.random() * availableColors.length)];
@@ -117,26 +391,114 @@ function assignPlayerColor() {
 }
 
 // Function to release a player's color when they disconnect
-function releasePlayerColor(colorName) {
-    usedColors.delete(colorName);
+function releasePlayerColor(room, colorName) {
+    room.usedColors.delete(colorName);
+}
+
+// Display name for a player that nobody else in the room is using (null if they have none)
+function assignPlayerName(room, playerId, name) {
+    if (!name) return null;
+    
+    const takenNames = [...Object.values(room.lobbyState.players), ...Object.values(room.players), ...Object.values(room.spectators)]
+        .filter(player => player.id !== playerId)
+        .map(player => player.name || player.color?.name);
+    return makeUniqueName(name, takenNames);
+}
+
+// Validate a player's profile and keep it on their session for the rooms they join.
+// A name that fails validation is refused with a reason; the player keeps their previous one.
+function setSessionProfile(socket, profile) {
+    const session = socketSessions[socket.id];
+    if (!session || !profile || typeof profile !== 'object') return false;
+    
+    const nextProfile = { ...session.profile };
+    if (profile.name !== undefined) {
+        const result = validateDisplayName(profile.name);
+        if (!result.valid) {
+            socket.emit('profileRejected', { reason: result.reason });
+            return false;
+        }
+        nextProfile.name = result.name;
+    }
+    if (profile.color !== undefined) {
+        nextProfile.color = findPlayerColor(profile.color)?.name || null;
+    }
+    
+    session.profile = nextProfile;
+    return true;
+}
+
+// Apply a player's new profile to their slot in a room and tell everyone there
+function updatePlayerProfile(room, playerId, profile) {
+    const records = [room.lobbyState.players[playerId], room.players[playerId], room.spectators[playerId]].filter(Boolean);
+    if (records.length === 0) return;
+    
+    const name = assignPlayerName(room, playerId, profile.name);
+    let color = records[0].color || null;
+    
+    // Switch to the preferred color only if nobody else has it (spectators have no ball to color)
+    const preferred = findPlayerColor(profile.color);
+    if (preferred && color && preferred.name !== color.name && !room.usedColors.has(preferred.name)) {
+        if (color) {
+            releasePlayerColor(room, color.name);
+        }
+        color = assignPlayerColor(room, preferred.name);
+    }
+    
+    records.forEach(player => {
+        player.name = name;
+        if (color) {
+            player.color = color;
+        }
+    });
+    room.lobbyState.lastUpdate = Date.now();
+    
+    io.to(room.id).emit('playerProfileChanged', { playerId, name, color });
+}
+
+// Chat line from a player as sent to their room, with the name and color they have there
+function createChatEntry(room, playerId, fields) {
+    const player = room.lobbyState.players[playerId] || room.players[playerId] || room.spectators[playerId];
+    return {
+        playerId,
+        name: getDisplayName(player, 'Spectator'),
+        color: player?.color || null,
+        timestamp: Date.now(),
+        ...fields
+    };
+}
+
+// Whether a player may send another chat message or emote (tells them if not)
+function allowChat(socket) {
+    const session = socketSessions[socket.id];
+    if (!session) return false;
+    
+    session.chatLimiter = session.chatLimiter || new ChatRateLimiter();
+    if (!session.chatLimiter.allow()) {
+        socket.emit('chatRejected', { reason: 'You are sending messages too quickly' });
+        return false;
+    }
+    return true;
 }
 
 // Lobby management functions
-function addPlayerToLobby(socketId, playerData) {
-    const playerColor = assignPlayerColor();
+function addPlayerToLobby(room, playerId, playerData, profile = {}) {
+    const lobbyState = room.lobbyState;
+    const playerColor = assignPlayerColor(room, profile.color);
     const lobbyPlayer = {
-        id: socketId,
-        color: playerColor,
         ready: false,
         joinedAt: Date.now(),
-        ...playerData
+        ...playerData,
+        id: playerId,
+        name: assignPlayerName(room, playerId, profile.name),
+        color: playerColor
     };
     
-    lobbyState.players[socketId] = lobbyPlayer;
+    lobbyState.players[playerId] = lobbyPlayer;
     
     // First player becomes host
     if (!lobbyState.hostId) {
-        lobbyState.hostId = socketId;
+        lobbyState.hostId = playerId;
         lobbyPlayer.isHost = true;
     }
     
@@ -144,14 +506,15 @@ function addPlayerToLobby(socketId, playerData) {
     return lobbyPlayer;
 }
 
-function removePlayerFromLobby(socketId) {
-    const player = lobbyState.players[socketId];
+function removePlayerFromLobby(room, playerId) {
+    const lobbyState = room.lobbyState;
+    const player = lobbyState.players[playerId];
     if (!player) return null;
     
-    delete lobbyState.players[socketId];
+    delete lobbyState.players[playerId];
     
     // If host left, assign new host
-    if (lobbyState.hostId === socketId) {
+    if (lobbyState.hostId === playerId) {
         const remainingPlayers = Object.keys(lobbyState.players);
         lobbyState.hostId = remainingPlayers.length > 0 ? remainingPlayers[0] : null;
         
@@ -163,7 +526,7 @@ function removePlayerFromLobby(socketId) {
     
     // Release player color
     if (player.color) {
-        releasePlayerColor(player.color.name);
+        releasePlayerColor(room, player.color.name);
     }
     
     // Cancel countdown if not enough players
@@ -177,16 +540,17 @@ function removePlayerFromLobby(socketId) {
     return player;
 }
 
-function setPlayerReady(socketId, ready) {
-    const player = lobbyState.players[socketId];
+function setPlayerReady(room, playerId, ready) {
+    const player = room.lobbyState.players[playerId];
     if (!player) return false;
     
     player.ready = ready;
-    lobbyState.lastUpdate = Date.now();
+    room.lobbyState.lastUpdate = Date.now();
     return true;
 }
 
-function canStartGame() {
+function canStartGame(room) {
+    const lobbyState = room.lobbyState;
     const playerCount = Object.keys(lobbyState.players).length;
     const readyCount = Object.values(lobbyState.players).filter(p => p.ready).length;
     
@@ -195,7 +559,8 @@ function canStartGame() {
            lobbyState.gameState === 'lobby';
 }
 
-function startGameCountdown() {
+function startGameCountdown(room) {
+    const lobbyState = room.lobbyState;
     if (lobbyState.countdown) {
         clearTimeout(lobbyState.countdown);
     }
@@ -204,17 +569,20 @@ function startGameCountdown() {
     lobbyState.lastUpdate = Date.now();
     
     // Broadcast countdown start
-    io.emit('gameStartCountdown', {
+    io.to(room.id).emit('gameStartCountdown', {
         delay: lobbyState.startDelay,
         playerCount: Object.keys(lobbyState.players).length
     });
     
     lobbyState.countdown = setTimeout(() => {
-        startGame();
+        startGame(room);
     }, lobbyState.startDelay);
+    
+    broadcastRoomList();
 }
 
-function startGame() {
+function startGame(room) {
+    const { lobbyState, players, gameSession, collectibleItems } = room;
     lobbyState.gameState = 'in-game';
     lobbyState.countdown = null;
     lobbyState.lastUpdate = Date.now();
@@ -223,11 +591,13 @@ function startGame() {
     Object.values(lobbyState.players).forEach(player => {
         players[player.id] = {
             id: player.id,
+            name: player.name,
             color: player.color,
             position: { x: 0, y: 0.55, z: 0 },
             rotation: { x: 0, y: 0, z: 0 },
             gridPosition: { x: 5, z: 5 },
-            isMoving: false
+            isMoving: false,
+            layer: 0
         };
     });
     
@@ -238,21 +608,34 @@ function startGame() {
     collectibleItems.coins.clear();
     collectibleItems.keys.clear();
     collectibleItems.initialized = false;
+    room.levelLayout = null;
+    room.scores = {};
     
     // Broadcast game start
-    io.emit('gameStarted', {
+    io.to(room.id).emit('gameStarted', {
         players: players,
-        gameSession: gameSession
+        gameSession: gameSession,
+        gameMode: lobbyState.gameMode
     });
     
-    console.log(`Game started with ${gameSession.playerCount} players`);
+    if (lobbyState.gameMode === 'race') {
+        startRaceCountdown(room);
+    }
+    
+    broadcastRoomList();
+    
+    console.log(`Game started in room ${room.id} with ${gameSession.playerCount} players`);
 }
 
-function getLobbySnapshot() {
+function getLobbySnapshot(room) {
+    const lobbyState = room.lobbyState;
     return {
+        roomId: room.id,
+        roomName: room.name,
         players: lobbyState.players,
         gameState: lobbyState.gameState,
         hostId: lobbyState.hostId,
+        gameMode: lobbyState.gameMode,
         playerCount: Object.keys(lobbyState.players).length,
         maxPlayers: lobbyState.maxPlayers,
         minPlayers: lobbyState.minPlayers,
@@ -261,7 +644,9 @@ function getLobbySnapshot() {
 }
 
 // Voting management functions
-function startVoting(type, options, completedBy, levelInfo) {
+function startVoting(room, type, options, completedBy, levelInfo) {
+    const votingState = room.votingState;
+    
     // Don't start voting if already active
     if (votingState.active) {
         return false;
@@ -283,11 +668,11 @@ function startVoting(type, options, completedBy, levelInfo) {
     
     // Set timeout for voting
     votingState.timeout = setTimeout(() => {
-        endVoting();
+        endVoting(room);
     }, votingState.duration);
     
-    // Broadcast voting start to all players
-    io.emit('votingStarted', {
+    // Broadcast voting start to all players in the room
+    io.to(room.id).emit('votingStarted', {
         type: votingState.type,
         options: votingState.options,
         duration: votingState.duration,
@@ -295,11 +680,12 @@ function startVoting(type, options, completedBy, levelInfo) {
         levelInfo: votingState.levelInfo
     });
     
-    console.log(`Voting started: ${type} by ${completedBy} for ${votingState.duration}ms`);
+    console.log(`Voting started in room ${room.id}: ${type} by ${completedBy} for ${votingState.duration}ms`);
     return true;
 }
 
-function castVote(socketId, vote) {
+function castVote(room, playerId, vote) {
+    const votingState = room.votingState;
     if (!votingState.active) {
         return false;
     }
@@ -308,48 +694,59 @@ function castVote(socketId, vote) {
         return false;
     }
     
-    // Check if player is in game
-    if (!players[socketId]) {
+    // Check if player is in game (spectators watch the vote but don't take part)
+    if (!room.players[playerId]) {
         return false;
     }
     
-    votingState.votes[socketId] = vote;
+    votingState.votes[playerId] = vote;
     
     // Broadcast vote update
-    io.emit('voteUpdate', {
-        playerId: socketId,
+    io.to(room.id).emit('voteUpdate', {
+        playerId: playerId,
         vote: vote,
-        voteCounts: getVoteCounts()
+        voteCounts: getVoteCounts(room)
     });
     
-    console.log(`Player ${socketId} voted: ${vote}`);
-    
-    // Check if all players have voted
-    const totalPlayers = Object.keys(players).length;
-    const totalVotes = Object.keys(votingState.votes).length;
+    console.log(`Player ${playerId} voted: ${vote}`);
     
-    if (totalVotes >= totalPlayers) {
-        // All players voted, end voting immediately
-        endVoting();
+    // All players voted, end voting immediately
+    if (hasVotingQuorum(room)) {
+        endVoting(room);
     }
     
     return true;
 }
 
-function getVoteCounts() {
+// Votes of the players still in the game (not of anyone who left or now spectates)
+function getPlayerVotes(room) {
+    return Object.entries(room.votingState.votes)
+        .filter(([playerId]) => room.players[playerId])
+        .map(([, vote]) => vote);
+}
+
+// Whether every player in the game has voted; spectators don't count
+function hasVotingQuorum(room) {
+    const totalPlayers = Object.keys(room.players).length;
+    return totalPlayers > 0 && getPlayerVotes(room).length >= totalPlayers;
+}
+
+function getVoteCounts(room) {
+    const votingState = room.votingState;
     const counts = {};
     votingState.options.forEach(option => {
         counts[option] = 0;
     });
     
-    Object.values(votingState.votes).forEach(vote => {
+    getPlayerVotes(room).forEach(vote => {
         counts[vote]++;
     });
     
     return counts;
 }
 
-function endVoting() {
+function endVoting(room) {
+    const votingState = room.votingState;
     if (!votingState.active) {
         return;
     }
@@ -361,8 +758,8 @@ function endVoting() {
     }
     
     // Calculate results
-    const voteCounts = getVoteCounts();
-    const totalVotes = Object.keys(votingState.votes).length;
+    const voteCounts = getVoteCounts(room);
+    const totalVotes = getPlayerVotes(room).length;
     
     // Determine winner (most votes, or default to continue on tie)
     let winner = 'continue';
@@ -381,7 +778,7 @@ function endVoting() {
     }
     
     // Execute the decision
-    executeVotingDecision(winner, voteCounts, totalVotes);
+    executeVotingDecision(room, winner, voteCounts, totalVotes);
     
     // Reset voting state
     votingState.active = false;
@@ -391,12 +788,12 @@ function endVoting() {
     votingState.completedBy = null;
     votingState.levelInfo = null;
     
-    console.log(`Voting ended: ${winner} won with ${maxVotes}/${totalVotes} votes`);
+    console.log(`Voting ended in room ${room.id}: ${winner} won with ${maxVotes}/${totalVotes} votes`);
 }
 
-function executeVotingDecision(decision, voteCounts, totalVotes) {
+function executeVotingDecision(room, decision, voteCounts, totalVotes) {
     // Broadcast results
-    io.emit('votingEnded', {
+    io.to(room.id).emit('votingEnded', {
         decision: decision,
         voteCounts: voteCounts,
         totalVotes: totalVotes
@@ -404,17 +801,25 @@ function executeVotingDecision(decision, voteCounts, totalVotes) {
     
     // Execute the decision
     setTimeout(() => {
+        // The room may have been removed while results were showing
+        if (rooms[room.id] !== room) return;
+        
+        // Spectators play from the next level on
+        promoteSpectators(room);
+        
         if (decision === 'restart') {
             // Restart current level
-            restartCurrentLevel();
+            restartCurrentLevel(room);
         } else {
             // Continue to next level
-            continueToNextLevel();
+            continueToNextLevel(room);
         }
     }, 2000); // 2 second delay to show results
 }
 
-function restartCurrentLevel() {
+function restartCurrentLevel(room) {
+    const { collectibleItems, players, gameSession } = room;
+    
     // Reset game state
     collectibleItems.coins.clear();
     collectibleItems.keys.clear();
@@ -429,108 +834,861 @@ function restartCurrentLevel() {
     });
     
     // Broadcast level restart
-    io.emit('levelRestarted', {
+    io.to(room.id).emit('levelRestarted', {
         players: players,
         gameSession: gameSession
     });
     
-    console.log('Level restarted by voting decision');
+    if (room.lobbyState.gameMode === 'race') {
+        startRaceCountdown(room);
+    }
+    
+    console.log(`Level restarted in room ${room.id} by voting decision`);
 }
 
-function continueToNextLevel() {
+function continueToNextLevel(room) {
     // This will be handled by the clients - they'll proceed to next level
-    io.emit('continueToNextLevel', {
-        gameSession: gameSession
+    io.to(room.id).emit('continueToNextLevel', {
+        gameSession: room.gameSession
+    });
+    
+    if (room.lobbyState.gameMode === 'race') {
+        startRaceCountdown(room);
+    }
+    
+    console.log(`Room ${room.id} continuing to next level by voting decision`);
+}
+
+// Race management functions
+function clearRaceTimers(race) {
+    clearTimeout(race.countdown);
+    clearTimeout(race.finishTimeout);
+    race.countdown = null;
+    race.finishTimeout = null;
+}
+
+// Start a race on the current level: everyone's collectibles come back and the
+// clock starts for all players at once after the countdown
+function startRaceCountdown(room) {
+    clearRaceTimers(room.raceState);
+    room.raceState = createRaceState();
+    
+    const race = room.raceState;
+    race.phase = 'countdown';
+    race.countdown = setTimeout(() => {
+        race.countdown = null;
+        race.phase = 'running';
+        race.startTime = Date.now();
+        io.to(room.id).emit('raceStarted', {});
+        console.log(`Race started in room ${room.id}`);
+    }, RACE_COUNTDOWN);
+    
+    io.to(room.id).emit('raceCountdown', { delay: RACE_COUNTDOWN });
+}
+
+// A race restored after a server restart (its clock was not saved) starts over once players are back
+function resumeRace(room) {
+    if (room.lobbyState.gameMode === 'race' && room.lobbyState.gameState === 'in-game' && room.raceState.phase === 'waiting') {
+        startRaceCountdown(room);
+    }
+}
+
+// Time a player reaching the goal; the race ends when everyone is in or the finish window closes
+function finishRacer(socket, room, playerId) {
+    const race = room.raceState;
+    const player = room.players[playerId];
+    if (!player || room.lobbyState.gameState !== 'in-game') return;
+    
+    // The exit only opens for players who picked up their own key
+    if (room.levelLayout && room.levelLayout.keys.size > 0 && getRacerItems(race, playerId).keys.size === 0) {
+        socket.emit('raceFinishRejected', { reason: 'no-key' });
+        return;
+    }
+    
+    const finish = recordFinish(race, playerId, Date.now(), { name: player.name, color: player.color });
+    if (!finish) return;
+    
+    io.to(room.id).emit('raceFinish', {
+        playerId,
+        ...finish,
+        finishWindow: finish.place === 1 ? RACE_FINISH_WINDOW : null
+    });
+    console.log(`Player ${playerId} finished ${finish.place} in room ${room.id} after ${finish.time}ms`);
+    broadcastScoreboard(room);
+    
+    if (allFinished(race, Object.keys(room.players))) {
+        endRace(room);
+    } else if (finish.place === 1) {
+        race.finishTimeout = setTimeout(() => endRace(room), RACE_FINISH_WINDOW);
+    }
+}
+
+// Rank the race and let the room vote on a rematch or the next level
+function endRace(room) {
+    const race = room.raceState;
+    if (race.phase !== 'running') return;
+    
+    clearRaceTimers(race);
+    race.phase = 'finished';
+    
+    const results = rankRaceResults(race, room.players);
+    const winner = results.find(result => result.finished);
+    startVoting(room, 'race-results', ['restart', 'continue'], winner ? winner.playerId : null, {
+        levelName: room.gameSession.currentLevel.name,
+        results
     });
     
-    console.log('Continuing to next level by voting decision');
+    console.log(`Race ended in room ${room.id}: ${results.filter(result => result.finished).length}/${results.length} players finished`);
+}
+
+// Race progress for a player joining or rejoining a running game
+function getRaceSnapshot(room) {
+    const race = room.raceState;
+    return {
+        gameMode: room.lobbyState.gameMode,
+        phase: race.phase,
+        elapsed: race.phase === 'running' ? Date.now() - race.startTime : 0,
+        finishes: race.finishes
+    };
+}
+
+// Spectator management functions
+function getPlayerSession(playerId) {
+    return Object.values(sessions).find(session => session.playerId === playerId) || null;
+}
+
+// Watch the running game instead of playing: late joiners ('late-join') and
+// players who ran out of lives ('out-of-lives')
+function addSpectator(room, playerId, reason, name) {
+    const spectator = {
+        id: playerId,
+        name,
+        reason,
+        joinedAt: Date.now()
+    };
+    room.spectators[playerId] = spectator;
+    io.to(room.id).emit('spectatorJoined', spectator);
+    return spectator;
+}
+
+// Take a player out of the game to spectate once they are out of lives
+function spectateOutOfLives(room, playerId) {
+    const player = room.players[playerId];
+    if (!player || room.lobbyState.gameState !== 'in-game') return;
+    
+    if (player.color) {
+        releasePlayerColor(room, player.color.name);
+    }
+    delete room.players[playerId];
+    
+    addSpectator(room, playerId, 'out-of-lives', player.name);
+    console.log(`Player ${playerId} is out of lives and spectating in room ${room.id}`);
+    
+    handlePlayerLeftGame(room, playerId);
+}
+
+// Spectators join the game when the next level starts
+function promoteSpectators(room) {
+    Object.values(room.spectators).forEach(spectator => {
+        const session = getPlayerSession(spectator.id);
+        const playerData = {
+            id: spectator.id,
+            name: spectator.name,
+            color: assignPlayerColor(room, session?.profile.color),
+            position: { x: 0, y: 0.55, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 },
+            gridPosition: { x: 5, z: 5 },
+            isMoving: false,
+            layer: 0
+        };
+        if (spectator.disconnected) {
+            playerData.disconnected = true;
+        }
+        
+        room.players[spectator.id] = playerData;
+        delete room.spectators[spectator.id];
+        io.to(room.id).emit('spectatorJoinedGame', playerData);
+        console.log(`Spectator ${spectator.id} joined the game in room ${room.id}`);
+    });
+    room.gameSession.playerCount = Object.keys(room.players).length;
+}
+
+// Spectators of a game that ended go back to the lobby with everyone else
+function returnSpectatorsToLobby(room) {
+    Object.values(room.spectators).forEach(spectator => {
+        const session = getPlayerSession(spectator.id);
+        delete room.spectators[spectator.id];
+        
+        const lobbyPlayer = addPlayerToLobby(room, spectator.id, {}, { ...session?.profile, name: spectator.name });
+        const socket = session?.socketId ? io.sockets.sockets.get(session.socketId) : null;
+        if (socket) {
+            socket.emit('lobbySnapshot', getLobbySnapshot(room));
+            socket.to(room.id).emit('playerJoinedLobby', lobbyPlayer);
+        } else {
+            lobbyPlayer.disconnected = true;
+            io.to(room.id).emit('playerJoinedLobby', lobbyPlayer);
+        }
+    });
+}
+
+// Scoreboard of the players in the game, for spectators and anyone else watching
+function getScoreboard(room) {
+    return buildScoreboard(room.players, room.scores, room.raceState.finishes);
+}
+
+function broadcastScoreboard(room) {
+    io.to(room.id).emit('scoreboard', getScoreboard(room));
 }
 
-function getVotingSnapshot() {
+function getVotingSnapshot(room) {
+    const votingState = room.votingState;
     return {
         active: votingState.active,
         type: votingState.type,
         options: votingState.options,
         votes: votingState.votes,
-        voteCounts: votingState.active ? getVoteCounts() : {},
+        voteCounts: votingState.active ? getVoteCounts(room) : {},
         timeRemaining: votingState.active ? Math.max(0, votingState.duration - (Date.now() - votingState.startTime)) : 0,
         completedBy: votingState.completedBy,
         levelInfo: votingState.levelInfo
     };
 }
 
+// Floor grid levels are laid out on ({ tileSize, gridSize } from the gameplay section of config.json)
+function loadLevelFloor(configFile) {
+    let gameplay = {};
+    try {
+        gameplay = JSON.parse(readFileSync(configFile, 'utf8')).gameplay || {};
+    } catch (error) {
+        console.warn(`Could not read ${configFile}, using the default floor: ${error.message}`);
+    }
+    
+    const positive = (value, fallback) => Number.isFinite(value) && value > 0 ? value : fallback;
+    return { tileSize: positive(gameplay.tileSize, 2), gridSize: positive(gameplay.gridSize, 10) };
+}
+
+// The level in LEVELS_FILE a client says it initialized, or null if the file has no
+// such level (e.g. one being play-tested in the editor). Read on every call so edits
+// made while the server runs (and reloaded with Shift+R) are picked up.
+function findJsonLevel({ levelIndex, levelNumber, levelName }) {
+    let levels;
+    try {
+        levels = JSON.parse(readFileSync(LEVELS_FILE, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not read ${LEVELS_FILE}: ${error.message}`);
+        return null;
+    }
+    
+    const level = Array.isArray(levels) && Number.isInteger(levelIndex) ? levels[levelIndex] : null;
+    return level && level.number === levelNumber && level.name === levelName ? level : null;
+}
+
+// Build the server-side collectible layout from the positions a client reports in initializeLevel
+// (the surface of the level; underworld layers are added by addLayerToLevelLayout)
+function buildLevelLayout(collectibles) {
+    if (!collectibles || typeof collectibles !== 'object') {
+        return null;
+    }
+    
+    const layout = {};
+    Object.values(COLLECTIBLE_TYPES).forEach(collectionKey => {
+        layout[collectionKey] = new Map();
+    });
+    addLayerToLevelLayout(layout, collectibles, 0);
+    
+    return layout;
+}
+
+// Add the collectibles of the layer at depth `layer`. Items already in the layout keep
+// the position (and layer) they were first added with.
+function addLayerToLevelLayout(layout, collectibles, layer) {
+    if (!collectibles || typeof collectibles !== 'object') return;
+    
+    Object.values(COLLECTIBLE_TYPES).forEach(collectionKey => {
+        const items = Array.isArray(collectibles[collectionKey]) ? collectibles[collectionKey] : [];
+        items.forEach(item => {
+            if (layout[collectionKey].size >= MAX_LEVEL_COLLECTIBLES) return;
+            if (item && typeof item.id === 'string' && isValidPosition(item) && !layout[collectionKey].has(item.id)) {
+                layout[collectionKey].set(item.id, { x: item.x, y: item.y, z: item.z, layer });
+            }
+        });
+    });
+}
+
+function isValidPosition(position) {
+    return !!position &&
+           Number.isFinite(position.x) &&
+           Number.isFinite(position.y) &&
+           Number.isFinite(position.z);
+}
+
+// Check a collectItem request against the level layout and the player's last known position
+function validateCollection(room, playerId, itemType, itemId) {
+    const collectionKey = Object.hasOwn(COLLECTIBLE_TYPES, itemType) ? COLLECTIBLE_TYPES[itemType] : null;
+    if (!collectionKey || typeof itemId !== 'string') {
+        return { valid: false, reason: 'invalid-item' };
+    }
+    
+    if (room.lobbyState.gameState !== 'in-game' || !room.players[playerId]) {
+        return { valid: false, reason: 'not-in-game' };
+    }
+    
+    if (!room.levelLayout) {
+        return { valid: false, reason: 'level-not-initialized' };
+    }
+    
+    const itemPosition = room.levelLayout[collectionKey].get(itemId);
+    if (!itemPosition) {
+        return { valid: false, reason: 'unknown-item' };
+    }
+    
+    if (room.lobbyState.gameMode === 'race' && room.raceState.phase !== 'running') {
+        return { valid: false, reason: 'race-not-running' };
+    }
+    
+    if (getCollectedItems(room, playerId)[collectionKey].has(itemId)) {
+        return { valid: false, reason: 'already-collected' };
+    }
+    
+    // Layers share the same floor, so an item below is only in reach from its own layer
+    if ((room.players[playerId].layer || 0) !== itemPosition.layer) {
+        return { valid: false, reason: 'wrong-layer' };
+    }
+    
+    const playerPosition = room.players[playerId].position;
+    if (!isValidPosition(playerPosition)) {
+        return { valid: false, reason: 'unknown-position' };
+    }
+    
+    const distance = Math.sqrt(
+        Math.pow(playerPosition.x - itemPosition.x, 2) +
+        Math.pow(playerPosition.y - itemPosition.y, 2) +
+        Math.pow(playerPosition.z - itemPosition.z, 2)
+    );
+    
+    if (distance > COLLECTIBLE_PICKUP_RANGE) {
+        return { valid: false, reason: 'out-of-range' };
+    }
+    
+    return { valid: true };
+}
+
+// Items a pickup counts against: the room's shared ones, or the player's own in a race
+function getCollectedItems(room, playerId) {
+    return room.lobbyState.gameMode === 'race' ? getRacerItems(room.raceState, playerId) : room.collectibleItems;
+}
+
+// Reset a room's game back to the lobby once nobody is playing
+function resetRoomGame(room) {
+    const { lobbyState, collectibleItems, votingState } = room;
+    lobbyState.gameState = 'lobby';
+    collectibleItems.coins.clear();
+    collectibleItems.keys.clear();
+    collectibleItems.initialized = false;
+    room.levelLayout = null;
+    
+    clearRaceTimers(room.raceState);
+    room.raceState = createRaceState();
+    room.scores = {};
+    returnSpectatorsToLobby(room);
+    
+    // Cancel any active voting
+    if (votingState.active) {
+        if (votingState.timeout) {
+            clearTimeout(votingState.timeout);
+            votingState.timeout = null;
+        }
+        votingState.active = false;
+        votingState.votes = {};
+    }
+}
+
+// Send the state of a running game to a player joining or rejoining it
+function sendGameStateSnapshot(socket, room) {
+    const { players, gameSession, collectibleItems } = room;
+    const collected = getCollectedItems(room, getPlayerId(socket));
+    
+    socket.emit('gameStateSnapshot', {
+        collectibleItems: {
+            collectedCoins: Array.from(collected.coins),
+            collectedKeys: Array.from(collected.keys),
+            initialized: collectibleItems.initialized
+        },
+        currentLevel: gameSession.currentLevel,
+        playerCount: gameSession.playerCount,
+        sessionStartTime: gameSession.sessionStartTime,
+        lastStateUpdate: gameSession.lastStateUpdate,
+        voting: getVotingSnapshot(room),
+        race: getRaceSnapshot(room),
+        spectators: room.spectators,
+        scoreboard: getScoreboard(room)
+    });
+    
+    socket.emit('playersSnapshot', players);
+}
+
+// Put a socket into a room, either straight into the running game or into the lobby
+function joinRoom(socket, room, playerData = {}) {
+    const { lobbyState } = room;
+    const session = socketSessions[socket.id];
+    const playerId = session.playerId;
+    
+    socket.join(room.id);
+    session.roomId = room.id;
+    
+    socket.emit('roomJoined', {
+        roomId: room.id,
+        roomName: room.name
+    });
+    
+    // Check if game is in progress
+    if (lobbyState.gameState === 'in-game') {
+        // If game is in progress, watch it until the next level starts (players
+        // coming back to their own slot are handled by resumeSession)
+        addSpectator(room, playerId, 'late-join', assignPlayerName(room, playerId, session.profile.name));
+        sendGameStateSnapshot(socket, room);
+        
+        console.log(`Player ${playerId} is spectating the ongoing game in room ${room.id}`);
+    } else {
+        // Add player to lobby
+        const lobbyPlayer = addPlayerToLobby(room, playerId, playerData, session.profile);
+        
+        // Send lobby state to new player
+        socket.emit('lobbySnapshot', getLobbySnapshot(room));
+        
+        // Notify all other players about new lobby player
+        socket.to(room.id).emit('playerJoinedLobby', lobbyPlayer);
+        
+        console.log(`Player joined lobby of room ${room.id}: ${playerId} with color ${lobbyPlayer.color.name} (${Object.keys(lobbyState.players).length}/${lobbyState.maxPlayers})`);
+    }
+    
+    broadcastRoomList();
+}
+
+// Reattach a reconnecting client to the session behind its token and give it
+// back its lobby or game slot, with its color, ready state, position and vote.
+// Returns false (leaving the connection's own session alone) if the token is
+// unknown or its slot is gone.
+function resumeSession(socket, token) {
+    const session = typeof token === 'string' ? sessions[hashToken(token)] : null;
+    if (!session || session.socketId === socket.id) return false;
+    
+    const room = session.roomId ? rooms[session.roomId] : null;
+    if (!room || !isRoomMember(room, session.playerId)) return false;
+    
+    // The player reconnected before their old connection timed out (or the token
+    // was copied to another tab): the newest connection wins
+    const previous = session.socketId ? io.sockets.sockets.get(session.socketId) : null;
+    if (previous) {
+        delete socketSessions[previous.id];
+        previous.emit('sessionReplaced');
+        previous.disconnect(true);
+    }
+    
+    // Drop the session this connection was given on connect
+    const current = socketSessions[socket.id];
+    if (current) {
+        leaveRoom(socket);
+        delete sessions[current.tokenHash];
+    }
+    
+    clearTimeout(session.expiry);
+    session.expiry = null;
+    session.socketId = socket.id;
+    socketSessions[socket.id] = session;
+    setPlayerConnected(room, session.playerId, true);
+    socket.emit('session', { playerId: session.playerId, token });
+    
+    socket.join(room.id);
+    socket.emit('roomJoined', {
+        roomId: room.id,
+        roomName: room.name
+    });
+    
+    if (room.players[session.playerId]) {
+        sendGameStateSnapshot(socket, room);
+        socket.to(room.id).emit('playerJoined', room.players[session.playerId]);
+        resumeRace(room);
+    } else if (room.spectators[session.playerId]) {
+        sendGameStateSnapshot(socket, room);
+        socket.to(room.id).emit('spectatorJoined', room.spectators[session.playerId]);
+    } else {
+        socket.emit('lobbySnapshot', getLobbySnapshot(room));
+        socket.to(room.id).emit('playerJoinedLobby', room.lobbyState.players[session.playerId]);
+    }
+    
+    console.log(`Player ${session.playerId} reclaimed their slot in room ${room.id}`);
+    broadcastRoomList();
+    return true;
+}
+
+// Keep a disconnected player's slot for `gracePeriod` ms so they can come back with their token
+function holdSlot(session, room, gracePeriod) {
+    session.socketId = null;
+    setPlayerConnected(room, session.playerId, false);
+    
+    clearTimeout(session.expiry);
+    session.expiry = setTimeout(() => releaseSlot(session), gracePeriod);
+    session.expiry.unref();
+}
+
+// Give up on a player who did not come back in time
+function releaseSlot(session) {
+    if (sessions[session.tokenHash] !== session || session.socketId) return;
+    delete sessions[session.tokenHash];
+    
+    const room = rooms[session.roomId];
+    if (room && isRoomMember(room, session.playerId)) {
+        console.log(`Player ${session.playerId} did not reconnect to room ${room.id} in time`);
+        removePlayerFromRoom(room, session.playerId);
+    }
+}
+
+// Flag a player's lobby and game entries while their slot is held for them
+function setPlayerConnected(room, playerId, connected) {
+    [room.lobbyState.players[playerId], room.players[playerId], room.spectators[playerId]].forEach(player => {
+        if (!player) return;
+        if (connected) {
+            delete player.disconnected;
+        } else {
+            player.disconnected = true;
+        }
+    });
+}
+
+// Carry on a game after a player left it or started spectating: drop their vote,
+// finish a vote or race that was only waiting on them and reset the game once
+// nobody is playing
+function handlePlayerLeftGame(room, playerId) {
+    const { players, votingState, gameSession } = room;
+    
+    // Remove from voting if active
+    if (votingState.active && votingState.votes[playerId]) {
+        delete votingState.votes[playerId];
+        
+        // Broadcast updated vote counts
+        io.to(room.id).emit('voteUpdate', {
+            playerId: playerId,
+            vote: null,
+            voteCounts: getVoteCounts(room)
+        });
+    }
+    
+    // Check if all remaining players have voted
+    if (votingState.active && hasVotingQuorum(room)) {
+        endVoting(room);
+    }
+    
+    // The race is over if everyone still playing has finished
+    if (room.raceState.phase === 'running' && allFinished(room.raceState, Object.keys(players))) {
+        endRace(room);
+    }
+    
+    // Update player count
+    gameSession.playerCount = Object.keys(players).length;
+    
+    // Notify all other players about player leaving
+    io.to(room.id).emit('playerLeft', {
+        playerId: playerId,
+        remainingPlayers: gameSession.playerCount
+    });
+    
+    // If no players left in game, reset to lobby
+    if (gameSession.playerCount === 0) {
+        resetRoomGame(room);
+        console.log(`Game in room ${room.id} reset - no players remaining`);
+    } else {
+        broadcastScoreboard(room);
+    }
+}
+
+// Take a socket out of its current room, cleaning up lobby, game and voting state
+function leaveRoom(socket) {
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
+    
+    const session = socketSessions[socket.id];
+    socket.leave(room.id);
+    session.roomId = null;
+    
+    removePlayerFromRoom(room, session.playerId);
+}
+
+// Remove a player's lobby and game slots from a room and tell everyone else
+function removePlayerFromRoom(room, playerId) {
+    const { lobbyState, players } = room;
+    
+    // Check if player was in lobby
+    if (lobbyState.players[playerId]) {
+        removePlayerFromLobby(room, playerId);
+        
+        // Notify remaining lobby players
+        io.to(room.id).emit('playerLeftLobby', {
+            playerId: playerId,
+            remainingPlayers: Object.keys(lobbyState.players).length,
+            newHost: lobbyState.hostId
+        });
+        
+        console.log(`Player left lobby of room ${room.id}: ${playerId}, ${Object.keys(lobbyState.players).length} players remaining`);
+        
+        // If lobby is empty, reset to initial state
+        if (Object.keys(lobbyState.players).length === 0) {
+            lobbyState.gameState = 'lobby';
+            lobbyState.hostId = null;
+            if (lobbyState.countdown) {
+                clearTimeout(lobbyState.countdown);
+                lobbyState.countdown = null;
+            }
+            console.log(`Lobby of room ${room.id} reset - no players remaining`);
+        }
+    }
+    
+    // Check if player was in game
+    if (players[playerId]) {
+        // Release the player's color if they had one
+        if (players[playerId].color) {
+            releasePlayerColor(room, players[playerId].color.name);
+        }
+        
+        // Remove player from players object
+        delete players[playerId];
+        
+        console.log(`Player left game in room ${room.id}: ${playerId}, ${Object.keys(players).length} players remaining`);
+        handlePlayerLeftGame(room, playerId);
+    }
+    
+    // Check if player was spectating
+    if (room.spectators[playerId]) {
+        delete room.spectators[playerId];
+        io.to(room.id).emit('spectatorLeft', { playerId });
+        console.log(`Spectator left room ${room.id}: ${playerId}`);
+    }
+    
+    cleanupRoom(room);
+    broadcastRoomList();
+}
+
+// ============ ROOM PERSISTENCE ============
+
+const roomStore = new RoomStore(ROOMS_FILE);
+
+// Snapshot rooms and the sessions holding slots in them
+function saveRooms() {
+    const roomSessions = Object.values(sessions)
+        .filter(session => session.roomId && rooms[session.roomId])
+        .map(({ tokenHash, playerId, roomId, profile }) => ({ tokenHash, playerId, roomId, profile }));
+    
+    try {
+        roomStore.save(Object.values(rooms), roomSessions);
+    } catch (error) {
+        console.warn(`Failed to save room snapshot: ${error.message}`);
+    }
+}
+
+// Bring back the rooms from the last snapshot. Restored players keep their
+// slots for RESTORE_GRACE_PERIOD, so they can reconnect with their token.
+function restoreRooms() {
+    const snapshot = roomStore.load();
+    if (!snapshot) return;
+    
+    snapshot.rooms.forEach(data => {
+        if (!data || typeof data.id !== 'string' || typeof data.name !== 'string') return;
+        rooms[data.id] = restoreRoom(createRoomState(data.id, data.name), data);
+    });
+    
+    snapshot.sessions.forEach(({ tokenHash, playerId, roomId, profile }) => {
+        const room = rooms[roomId];
+        if (typeof tokenHash === 'string' && room && isRoomMember(room, playerId)) {
+            sessions[tokenHash] = { tokenHash, playerId, roomId, socketId: null, expiry: null, profile: { name: null, color: null, ...profile } };
+            holdSlot(sessions[tokenHash], room, RESTORE_GRACE_PERIOD);
+        }
+    });
+    
+    console.log(`Restored ${snapshot.rooms.length} rooms and ${Object.keys(sessions).length} player slots from ${roomStore.filePath} (saved ${snapshot.savedAt})`);
+}
+
+restoreRooms();
+
+// The default room is always available
+if (!rooms[DEFAULT_ROOM_ID]) {
+    rooms[DEFAULT_ROOM_ID] = createRoomState(DEFAULT_ROOM_ID, 'Main Room');
+}
+
+setInterval(saveRooms, ROOM_SNAPSHOT_INTERVAL).unref();
+
+// Write a final snapshot on shutdown; the players' connections close with the process
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        saveRooms();
+        process.exit(0);
+    });
+});
+
 // Handle socket connections
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
+    
+    // Every connection starts as a new player; playerJoin may reclaim an earlier session
+    createSession(socket);
+    
+    // Let the new client browse rooms straight away
+    socket.emit('roomList', getRoomList());
 
     // Handle player join
     socket.on('playerJoin', (playerData) => {
         console.log(`Player attempting to join: ${socket.id}`);
         
-        // Check if game is in progress
-        if (lobbyState.gameState === 'in-game') {
-            // If game is in progress, join directly (reconnection case)
-            const playerColor = assignPlayerColor();
-            playerData.color = playerColor;
-            players[socket.id] = playerData;
-            gameSession.playerCount = Object.keys(players).length;
-            
-            // Send game state to reconnecting player
-            socket.emit('gameStateSnapshot', {
-                collectibleItems: {
-                    collectedCoins: Array.from(collectibleItems.coins),
-                    collectedKeys: Array.from(collectibleItems.keys),
-                    initialized: collectibleItems.initialized
-                },
-                currentLevel: gameSession.currentLevel,
-                playerCount: gameSession.playerCount,
-                sessionStartTime: gameSession.sessionStartTime,
-                lastStateUpdate: gameSession.lastStateUpdate,
-                voting: getVotingSnapshot()
-            });
-            
-            socket.emit('playersSnapshot', players);
-            socket.broadcast.emit('playerJoined', playerData);
-            
-            console.log(`Player joined ongoing game: ${socket.id} with color ${playerColor.name}`);
-        } else {
-            // Add player to lobby
-            const lobbyPlayer = addPlayerToLobby(socket.id, playerData);
-            
-            // Send lobby state to new player
-            socket.emit('lobbySnapshot', getLobbySnapshot());
-            
-            // Notify all other players about new lobby player
-            socket.broadcast.emit('playerJoinedLobby', lobbyPlayer);
-            
-            console.log(`Player joined lobby: ${socket.id} with color ${lobbyPlayer.color.name} (${Object.keys(lobbyState.players).length}/${lobbyState.maxPlayers})`);
+        const { roomId, sessionToken, profile, ...data } = readPayload(playerData);
+        
+        // A client coming back with its token (e.g. after a server restart) gets its old slot back
+        if (resumeSession(socket, sessionToken)) {
+            setSessionProfile(socket, profile);
+            return;
+        }
+        
+        // The name and color to use in rooms; a rejected name leaves the player with their color's name
+        setSessionProfile(socket, profile);
+        
+        // Fall back to the default room if the requested one no longer exists
+        const room = rooms[roomId] || rooms[DEFAULT_ROOM_ID];
+        
+        if (getRoomForSocket(socket.id)) {
+            leaveRoom(socket);
+        }
+        
+        joinRoom(socket, room, data);
+    });
+    
+    // Handle room browsing
+    socket.on('listRooms', () => {
+        socket.emit('roomList', getRoomList());
+    });
+    
+    // Handle room creation - the creator joins the new room's lobby
+    socket.on('createRoom', (payload) => {
+        const roomData = readPayload(payload);
+        const roomName = sanitizeRoomName(roomData.name);
+        if (!roomName) {
+            socket.emit('roomError', { message: 'Please enter a valid room name' });
+            return;
+        }
+        
+        if (Object.keys(rooms).length >= MAX_ROOMS) {
+            socket.emit('roomError', { message: 'The server has reached its room limit' });
+            return;
+        }
+        
+        const room = createRoom(roomName);
+        
+        leaveRoom(socket);
+        joinRoom(socket, room, readPayload(roomData.playerData));
+    });
+    
+    // Handle switching to another room
+    socket.on('joinRoom', (payload) => {
+        const roomData = readPayload(payload);
+        const room = rooms[roomData.roomId];
+        if (!room) {
+            socket.emit('roomError', { message: 'That room no longer exists' });
+            socket.emit('roomList', getRoomList());
+            return;
+        }
+        
+        if (getRoomForSocket(socket.id) === room) {
+            return;
+        }
+        
+        if (getRoomPlayerCount(room) >= room.lobbyState.maxPlayers) {
+            socket.emit('roomError', { message: `${room.name} is full` });
+            return;
+        }
+        
+        leaveRoom(socket);
+        joinRoom(socket, room, readPayload(roomData.playerData));
+    });
+    
+    // Handle display name and color changes
+    socket.on('updateProfile', (profile = {}) => {
+        if (!setSessionProfile(socket, profile)) return;
+        
+        const room = getRoomForSocket(socket.id);
+        if (room) {
+            updatePlayerProfile(room, getPlayerId(socket), socketSessions[socket.id].profile);
+        }
+    });
+    
+    // Handle chat messages to everyone in the room
+    socket.on('chatMessage', (data) => {
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        const result = validateChatMessage(readPayload(data).text);
+        if (!result.valid) {
+            socket.emit('chatRejected', { reason: result.reason });
+            return;
         }
+        if (!allowChat(socket)) return;
+        
+        io.to(room.id).emit('chatMessage', createChatEntry(room, getPlayerId(socket), { text: result.text }));
+    });
+    
+    // Handle quick emotes (shown in the chat and as a speech bubble over the sender)
+    socket.on('emote', (data) => {
+        const room = getRoomForSocket(socket.id);
+        const emote = findEmote(readPayload(data).emoteId);
+        if (!room || !emote || !allowChat(socket)) return;
+        
+        io.to(room.id).emit('emote', createChatEntry(room, getPlayerId(socket), { emoteId: emote.id, text: emote.text }));
     });
     
     // Handle player ready/unready in lobby
     socket.on('playerReady', (ready) => {
-        if (lobbyState.gameState !== 'lobby') return;
+        const room = getRoomForSocket(socket.id);
+        if (!room || room.lobbyState.gameState !== 'lobby') return;
         
-        if (setPlayerReady(socket.id, ready)) {
+        const playerId = getPlayerId(socket);
+        if (setPlayerReady(room, playerId, ready)) {
             // Broadcast ready state change
-            socket.broadcast.emit('playerReadyChanged', {
-                playerId: socket.id,
+            socket.to(room.id).emit('playerReadyChanged', {
+                playerId: playerId,
                 ready: ready
             });
             
-            console.log(`Player ${socket.id} ${ready ? 'ready' : 'not ready'}`);
+            console.log(`Player ${playerId} ${ready ? 'ready' : 'not ready'}`);
             
             // Check if all players are ready and can start game
-            if (canStartGame()) {
-                startGameCountdown();
+            if (canStartGame(room)) {
+                startGameCountdown(room);
             }
         }
     });
     
+    // Handle the host choosing co-op or race for the next game
+    socket.on('setGameMode', (gameMode) => {
+        const room = getRoomForSocket(socket.id);
+        if (!room || !isGameMode(gameMode)) return;
+        
+        const lobbyState = room.lobbyState;
+        const playerId = getPlayerId(socket);
+        if (playerId !== lobbyState.hostId || lobbyState.gameState !== 'lobby') return;
+        
+        lobbyState.gameMode = gameMode;
+        lobbyState.lastUpdate = Date.now();
+        io.to(room.id).emit('gameModeChanged', { gameMode });
+        broadcastRoomList();
+        
+        console.log(`Host ${playerId} set room ${room.id} to ${gameMode} mode`);
+    });
+    
     // Handle host starting game manually
     socket.on('startGame', () => {
-        if (socket.id !== lobbyState.hostId) {
-            console.log(`Non-host ${socket.id} attempted to start game`);
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        const lobbyState = room.lobbyState;
+        const playerId = getPlayerId(socket);
+        if (playerId !== lobbyState.hostId) {
+            console.log(`Non-host ${playerId} attempted to start game`);
             return;
         }
         
@@ -541,109 +1699,54 @@ io.on('connection', (socket) => {
                 player.ready = true;
             });
             
-            startGameCountdown();
-            console.log(`Host ${socket.id} started game with ${playerCount} players`);
+            startGameCountdown(room);
+            console.log(`Host ${playerId} started game in room ${room.id} with ${playerCount} players`);
         }
     });
 
     // Handle player position updates
     socket.on('playerUpdate', (playerData) => {
-        if (players[socket.id]) {
-            players[socket.id] = playerData;
+        const room = getRoomForSocket(socket.id);
+        const playerId = getPlayerId(socket);
+        if (room && room.players[playerId] && playerData && typeof playerData === 'object') {
+            // The server keeps the player's identity, name, color and layer; updates only move them
+            const current = room.players[playerId];
+            playerData.id = playerId;
+            playerData.name = current.name;
+            playerData.color = current.color;
+            playerData.layer = current.layer;
+            room.players[playerId] = { ...current, ...playerData };
             
-            // Broadcast updated position to all other players
-            socket.broadcast.emit('playerUpdate', playerData);
+            // Broadcast updated position to all other players in the room
+            socket.to(room.id).emit('playerUpdate', playerData);
         }
     });
 
     // Handle player disconnect
-    socket.on('disconnect', () => {
-        console.log(`Player disconnected: ${socket.id}`);
+    socket.on('disconnect', (reason) => {
+        console.log(`Player disconnected: ${socket.id} (${reason})`);
         
-        // Check if player was in lobby
-        if (lobbyState.players[socket.id]) {
-            const removedPlayer = removePlayerFromLobby(socket.id);
-            
-            // Notify remaining lobby players
-            socket.broadcast.emit('playerLeftLobby', {
-                playerId: socket.id,
-                remainingPlayers: Object.keys(lobbyState.players).length,
-                newHost: lobbyState.hostId
+        const session = socketSessions[socket.id];
+        const room = getRoomForSocket(socket.id);
+        
+        // A dropped connection keeps its slot for a while; leaving on purpose frees it straight away
+        if (session && room && reason !== 'client namespace disconnect') {
+            delete socketSessions[socket.id];
+            holdSlot(session, room, RECONNECT_GRACE_PERIOD);
+            io.to(room.id).emit('playerDisconnected', {
+                playerId: session.playerId,
+                gracePeriod: RECONNECT_GRACE_PERIOD
             });
-            
-            console.log(`Player left lobby: ${socket.id}, ${Object.keys(lobbyState.players).length} players remaining`);
-            
-            // If lobby is empty, reset to initial state
-            if (Object.keys(lobbyState.players).length === 0) {
-                lobbyState.gameState = 'lobby';
-                lobbyState.hostId = null;
-                if (lobbyState.countdown) {
-                    clearTimeout(lobbyState.countdown);
-                    lobbyState.countdown = null;
-                }
-                console.log('Lobby reset - no players remaining');
-            }
+            console.log(`Holding the slot of ${session.playerId} in room ${room.id} for ${RECONNECT_GRACE_PERIOD}ms`);
+            return;
         }
         
-        // Check if player was in game
-        if (players[socket.id]) {
-            // Release the player's color if they had one
-            if (players[socket.id].color) {
-                releasePlayerColor(players[socket.id].color.name);
-            }
-            
-            // Remove player from players object
-            delete players[socket.id];
-            
-            // Remove from voting if active
-            if (votingState.active && votingState.votes[socket.id]) {
-                delete votingState.votes[socket.id];
-                
-                // Broadcast updated vote counts
-                io.emit('voteUpdate', {
-                    playerId: socket.id,
-                    vote: null,
-                    voteCounts: getVoteCounts()
-                });
-                
-                // Check if all remaining players have voted
-                const totalPlayers = Object.keys(players).length;
-                const totalVotes = Object.keys(votingState.votes).length;
-                
-                if (totalVotes >= totalPlayers && totalPlayers > 0) {
-                    endVoting();
-                }
-            }
-            
-            // Update player count
-            gameSession.playerCount = Object.keys(players).length;
-            
-            // Notify all other players about player leaving
-            socket.broadcast.emit('playerLeft', {
-                playerId: socket.id,
-                remainingPlayers: gameSession.playerCount
-            });
-            
-            console.log(`Player left game: ${socket.id}, ${gameSession.playerCount} players remaining`);
-            
-            // If no players left in game, reset to lobby
-            if (gameSession.playerCount === 0) {
-                lobbyState.gameState = 'lobby';
-                collectibleItems.coins.clear();
-                collectibleItems.keys.clear();
-                collectibleItems.initialized = false;
-                
-                // Cancel any active voting
-                if (votingState.active) {
-                    if (votingState.timeout) {
-                        clearTimeout(votingState.timeout);
-                    }
-                    votingState.active = false;
-                    votingState.votes = {};
-                }
-                
-                console.log('Game reset - no players remaining');
-            }
+        leaveRoom(socket);
+        
+        // The slot is gone, so the token has nothing left to reclaim
+        delete socketSessions[socket.id];
+        if (session) {
+            delete sessions[session.tokenHash];
         }
         
         // Note: We intentionally keep the game state (collectibles, level info) 
@@ -652,52 +1755,81 @@ io.on('connection', (socket) => {
 
     // Handle collectible item collection
     socket.on('collectItem', (itemData) => {
-        const { itemType, itemId } = itemData;
-        console.log(`Player ${socket.id} collected ${itemType} with ID: ${itemId}`);
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
         
-        // Check if item was already collected
-        if (collectibleItems[itemType + 's'].has(itemId)) {
-            console.log(`Item ${itemId} already collected, ignoring duplicate`);
+        // A malformed payload is rejected like any other invalid item
+        const { collectibleItems, gameSession } = room;
+        const { itemType = null, itemId = null } = readPayload(itemData);
+        const playerId = getPlayerId(socket);
+        console.log(`Player ${playerId} collected ${itemType} with ID: ${itemId}`);
+        
+        // Validate the pickup - rejected items are sent back so the client can roll them back
+        const validation = validateCollection(room, playerId, itemType, itemId);
+        if (!validation.valid) {
+            socket.emit('collectRejected', {
+                itemType,
+                itemId,
+                reason: validation.reason
+            });
+            
+            console.log(`Rejected ${itemType} ${itemId} from ${playerId}: ${validation.reason}`);
             return;
         }
         
-        // Mark item as collected
-        collectibleItems[itemType + 's'].add(itemId);
+        // Mark item as collected and count it for the scoreboard
+        getCollectedItems(room, playerId)[COLLECTIBLE_TYPES[itemType]].add(itemId);
+        const score = room.scores[playerId] || (room.scores[playerId] = { coins: 0, keys: 0 });
+        score[COLLECTIBLE_TYPES[itemType]]++;
         
         // Update session timestamp
         gameSession.lastStateUpdate = Date.now();
         
-        // Broadcast collection to all players
-        io.emit('itemCollected', {
+        // Broadcast collection to all players in the room (racers only hear about their own pickups)
+        const recipients = room.lobbyState.gameMode === 'race' ? socket : io.to(room.id);
+        recipients.emit('itemCollected', {
             itemType,
             itemId,
-            collectedBy: socket.id,
+            collectedBy: playerId,
             timestamp: gameSession.lastStateUpdate
         });
         
-        console.log(`Broadcasted ${itemType} collection: ${itemId} by ${socket.id}`);
-        console.log(`Current state: ${collectibleItems.coins.size} coins, ${collectibleItems.keys.size} keys collected`);
+        broadcastScoreboard(room);
+        
+        console.log(`Broadcasted ${itemType} collection: ${itemId} by ${playerId}`);
+        console.log(`Current state in room ${room.id}: ${collectibleItems.coins.size} coins, ${collectibleItems.keys.size} keys collected`);
     });
     
     // Handle level initialization - reset collectible items
     socket.on('initializeLevel', (levelData) => {
-        // Only allow level initialization if game is in progress
-        if (lobbyState.gameState !== 'in-game') {
-            console.log(`Player ${socket.id} attempted to initialize level but game is not in progress`);
+        const room = getRoomForSocket(socket.id);
+        if (!room || !levelData || typeof levelData !== 'object') return;
+        
+        const { lobbyState, gameSession, collectibleItems } = room;
+        const playerId = getPlayerId(socket);
+        
+        // Only allow level initialization if game is in progress (and not by spectators)
+        if (lobbyState.gameState !== 'in-game' || !room.players[playerId]) {
+            console.log(`Player ${playerId} attempted to initialize level but is not playing`);
             return;
         }
         
-        console.log(`Player ${socket.id} initialized level:`, levelData);
+        console.log(`Player ${playerId} initialized level in room ${room.id}:`, levelData);
+        
+        // Random levels are rebuilt from their seed by everyone else
+        const isRandomLevel = levelData.levelType === 'random';
+        levelData.seed = isRandomLevel ? normalizeLevelSeed(levelData.seed) : null;
         
         // Update game session level state
         gameSession.currentLevel = {
             type: levelData.levelType,
             number: levelData.levelNumber,
             name: levelData.levelName || `Level ${levelData.levelNumber}`,
-            index: levelData.levelIndex || null,
+            index: levelData.levelIndex ?? null,
+            seed: levelData.seed,
             coinCount: levelData.coinCount || 0,
             initialized: true,
-            lastInitializedBy: socket.id,
+            lastInitializedBy: playerId,
             lastInitializedAt: Date.now()
         };
         
@@ -705,97 +1837,170 @@ io.on('connection', (socket) => {
         collectibleItems.coins.clear();
         collectibleItems.keys.clear();
         collectibleItems.initialized = true;
+        room.scores = {};
+        
+        // Remember where the collectibles are so pickups can be validated: the surface as
+        // reported, the rest (underworld layers, coins and keys triggers spawn) from the level file
+        room.levelLayout = buildLevelLayout(levelData.collectibles);
+        const level = levelData.levelType === 'json' ? findJsonLevel(levelData) : null;
+        if (room.levelLayout && level) {
+            getLevelLayers(level).forEach((layer, depth) => {
+                addLayerToLevelLayout(room.levelLayout, getLayerCollectibles(layer, depth, LEVEL_FLOOR), depth);
+            });
+        }
+        
+        // Everyone starts a new level on its surface
+        Object.values(room.players).forEach(player => {
+            player.layer = 0;
+        });
         
         // Update session timestamp
         gameSession.lastStateUpdate = Date.now();
         
-        // Broadcast level initialization to all players
-        socket.broadcast.emit('levelInitialized', {
-            initializedBy: socket.id,
-            levelData,
-            gameSession: {
-                currentLevel: gameSession.currentLevel,
-                collectibleItems: {
-                    collectedCoins: Array.from(collectibleItems.coins),
-                    collectedKeys: Array.from(collectibleItems.keys),
-                    initialized: collectibleItems.initialized
+        // Broadcast level initialization to all players in the room (in a race everyone
+        // plays their own copy of the level, so the others keep their collectibles).
+        // A seeded random level goes to everyone, the sender and racers included, so
+        // whoever's level the server took last is the one the whole room builds.
+        const seeded = isRandomLevel && levelData.seed;
+        if (lobbyState.gameMode !== 'race' || seeded) {
+            (seeded ? io.to(room.id) : socket.to(room.id)).emit('levelInitialized', {
+                initializedBy: playerId,
+                levelData,
+                gameSession: {
+                    currentLevel: gameSession.currentLevel,
+                    collectibleItems: {
+                        collectedCoins: Array.from(collectibleItems.coins),
+                        collectedKeys: Array.from(collectibleItems.keys),
+                        initialized: collectibleItems.initialized
+                    }
                 }
-            }
-        });
+            });
+        }
         
-        console.log(`Game session updated: Level ${gameSession.currentLevel.number} (${gameSession.currentLevel.type}) initialized by ${socket.id}`);
+        console.log(`Game session in room ${room.id} updated: Level ${gameSession.currentLevel.number} (${gameSession.currentLevel.type}) initialized by ${playerId}`);
+    });
+    
+    // A player dropped into an underworld layer or climbed back out of one
+    socket.on('changeLayer', (layerData) => {
+        const room = getRoomForSocket(socket.id);
+        const playerId = getPlayerId(socket);
+        if (!room || room.lobbyState.gameState !== 'in-game' || !room.players[playerId]) return;
+        
+        const depth = normalizeLayerDepth(readPayload(layerData).depth);
+        if (depth === null) return;
+        
+        room.players[playerId].layer = depth;
+        
+        socket.to(room.id).emit('playerLayerChanged', { playerId, depth });
     });
     
     // Handle return to lobby
     socket.on('returnToLobby', () => {
-        console.log(`Player ${socket.id} wants to return to lobby`);
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        const { players } = room;
+        const playerId = getPlayerId(socket);
+        console.log(`Player ${playerId} wants to return to lobby of room ${room.id}`);
+        
+        // Keep the name and color the player had in the game
+        const profile = players[playerId]
+            ? { name: players[playerId].name, color: players[playerId].color?.name }
+            : socketSessions[socket.id].profile;
+        
+        // Remove from game session; a vote or race waiting on them carries on without them
+        if (players[playerId]) {
+            if (players[playerId].color) {
+                releasePlayerColor(room, players[playerId].color.name);
+            }
+            delete players[playerId];
+            handlePlayerLeftGame(room, playerId);
+        }
         
-        // Remove from game session
-        if (players[socket.id]) {
-            delete players[socket.id];
-            gameSession.playerCount = Object.keys(players).length;
+        // Spectators can head back to the lobby too
+        if (room.spectators[playerId]) {
+            delete room.spectators[playerId];
+            socket.to(room.id).emit('spectatorLeft', { playerId });
         }
         
         // Add to lobby
-        const lobbyPlayer = addPlayerToLobby(socket.id, {
+        const lobbyPlayer = addPlayerToLobby(room, playerId, {
             position: { x: 0, y: 0.55, z: 0 },
             rotation: { x: 0, y: 0, z: 0 },
             gridPosition: { x: 5, z: 5 },
             isMoving: false
-        });
+        }, profile);
         
         // Send lobby state to player
-        socket.emit('lobbySnapshot', getLobbySnapshot());
+        socket.emit('lobbySnapshot', getLobbySnapshot(room));
         
         // Notify others
-        socket.broadcast.emit('playerJoinedLobby', lobbyPlayer);
-        socket.broadcast.emit('playerLeft', {
-            playerId: socket.id,
-            remainingPlayers: gameSession.playerCount
-        });
+        socket.to(room.id).emit('playerJoinedLobby', lobbyPlayer);
         
-        // If no players left in game, reset to lobby
-        if (gameSession.playerCount === 0) {
-            lobbyState.gameState = 'lobby';
-            collectibleItems.coins.clear();
-            collectibleItems.keys.clear();
-            collectibleItems.initialized = false;
-            console.log('Game reset - all players returned to lobby');
-        }
+        broadcastRoomList();
     });
     
     // Handle level completion voting
     socket.on('levelCompleted', (levelData) => {
-        console.log(`Player ${socket.id} completed level:`, levelData);
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        const playerId = getPlayerId(socket);
+        if (!room.players[playerId]) return;
+        console.log(`Player ${playerId} completed level in room ${room.id}:`, levelData);
+        
+        // In a race reaching the goal is a timed finish; the vote follows the results
+        if (room.lobbyState.gameMode === 'race') {
+            finishRacer(socket, room, playerId);
+            return;
+        }
         
         // Only start voting if game is in progress and no voting is active
-        if (lobbyState.gameState === 'in-game' && !votingState.active) {
-            startVoting('level-completion', ['restart', 'continue'], socket.id, levelData);
+        if (room.lobbyState.gameState === 'in-game' && !room.votingState.active) {
+            startVoting(room, 'level-completion', ['restart', 'continue'], playerId, levelData);
         }
     });
     
+    // Handle a player running out of lives - they spectate until the next level
+    socket.on('spectate', () => {
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        spectateOutOfLives(room, getPlayerId(socket));
+    });
+    
     // Handle voting
     socket.on('castVote', (voteData) => {
-        const { vote } = voteData;
-        console.log(`Player ${socket.id} cast vote: ${vote}`);
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
         
-        if (castVote(socket.id, vote)) {
-            console.log(`Vote accepted from ${socket.id}: ${vote}`);
+        const { vote } = readPayload(voteData);
+        const playerId = getPlayerId(socket);
+        console.log(`Player ${playerId} cast vote: ${vote}`);
+        
+        if (castVote(room, playerId, vote)) {
+            console.log(`Vote accepted from ${playerId}: ${vote}`);
         } else {
-            console.log(`Vote rejected from ${socket.id}: ${vote}`);
+            console.log(`Vote rejected from ${playerId}: ${vote}`);
         }
     });
     
     // Handle voting snapshot request
     socket.on('getVotingSnapshot', () => {
-        socket.emit('votingSnapshot', getVotingSnapshot());
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
+        socket.emit('votingSnapshot', getVotingSnapshot(room));
     });
     
     // Handle game events (optional)
     socket.on('gameEvent', (eventData) => {
+        const room = getRoomForSocket(socket.id);
+        if (!room) return;
+        
         console.log('Game event:', eventData);
-        // Broadcast game events to all players
-        io.emit('gameUpdate', eventData);
+        // Broadcast game events to all players in the room
+        io.to(room.id).emit('gameUpdate', eventData);
     });
 });
 
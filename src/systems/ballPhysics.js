@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+
+// Ball physics
+// One fixed step of the ball's movement: coyote and jump buffer timers, input
+// forces, jumping, variable gravity, friction and velocity limits. The game
+// (updatePhysicsMovement in main.js) and the headless LevelSimulation both run
+// these, so level tests exercise the same movement code players do. Ground
+// contact stays with the caller, which owns the surfaces; findGround is the
+// shared ray cast for it.
+//
+// `ball` is the physics state: position, velocity and acceleration vectors,
+// isGrounded, canJump, isJumping, jumpRequested, jumpBufferTimer, coyoteTimer,
+// groundDistance and airTime. `config` holds the PHYSICS_CONFIG values.
+
+// Input keys that push the ball (jump is handled separately)
+const MOVE_KEYS = ['forward', 'backward', 'left', 'right'];
+
+// Coyote time, jump buffer and air time
+function updateTimers(ball, config, deltaTime) {
+    if (ball.isGrounded) {
+        ball.coyoteTimer = config.coyoteTime;
+        ball.airTime = 0;
+    } else {
+        ball.coyoteTimer = Math.max(0, ball.coyoteTimer - deltaTime);
+        ball.airTime += deltaTime;
+    }
+
+    if (ball.jumpBufferTimer > 0) {
+        ball.jumpBufferTimer = Math.max(0, ball.jumpBufferTimer - deltaTime);
+    }
+}
+
+// How much movement input is held: one per key plus the analog stick tilt
+function getInputMagnitude(input) {
+    return MOVE_KEYS.filter(key => input[key]).length + Math.hypot(input.moveX || 0, input.moveY || 0);
+}
+
+// Force from the movement keys and analog stick along the given directions
+function getInputForce(input, { cameraDirection, rightDirection }, acceleration) {
+    const force = new THREE.Vector3();
+    const moveX = input.moveX || 0;
+    const moveY = input.moveY || 0;
+
+    if (input.forward) force.add(cameraDirection.clone().multiplyScalar(acceleration));
+    if (input.backward) force.add(cameraDirection.clone().multiplyScalar(-acceleration));
+    if (input.left) force.add(rightDirection.clone().multiplyScalar(-acceleration));
+    if (input.right) force.add(rightDirection.clone().multiplyScalar(acceleration));
+
+    // Analog stick: force proportional to the tilt along the same directions
+    if (moveX !== 0 || moveY !== 0) {
+        force.add(cameraDirection.clone().multiplyScalar(moveY * acceleration));
+        force.add(rightDirection.clone().multiplyScalar(moveX * acceleration));
+    }
+
+    return force;
+}
+
+// Jump buffering and the grounded jump. Returns 'jumped', 'blocked' (already
+// moving vertically), 'notGrounded' (jump buffered in the air) or null.
+function handleJump(ball, input, config, inverted = false) {
+    let result = null;
+
+    // Register the jump once per press; releasing the key re-arms it
+    if (input.jump && !ball.jumpRequested) {
+        ball.jumpBufferTimer = config.jumpBufferTime;
+        ball.jumpRequested = true;
+    }
+    if (!input.jump) {
+        ball.jumpRequested = false;
+    }
+
+    const hasJumpBuffer = ball.jumpBufferTimer > 0;
+    const isProperlyGrounded = ball.isGrounded &&
+                               ball.canJump &&
+                               ball.groundDistance <= (config.playerRadius + config.surfaceSnapDistance);
+
+    if (hasJumpBuffer && isProperlyGrounded && !ball.isJumping) {
+        if (Math.abs(ball.velocity.y) < 0.5) {
+            // The jump is always along world Y, downwards in the inverted world
+            const direction = inverted ? -1 : 1;
+            ball.velocity.y = config.jumpForce * direction;
+            ball.isJumping = true;
+            ball.jumpBufferTimer = 0;
+            ball.coyoteTimer = 0;
+            ball.canJump = false;
+            ball.isGrounded = false;
+
+            // Rolling speed carries into a slightly higher jump
+            const horizontalSpeed = Math.sqrt(ball.velocity.x ** 2 + ball.velocity.z ** 2);
+            if (horizontalSpeed > 0.1) {
+                ball.velocity.y += horizontalSpeed * config.momentumPreservation * 0.3 * direction;
+            }
+            result = 'jumped';
+        } else {
+            ball.jumpBufferTimer = 0;
+            result = 'blocked';
+        }
+    } else if (hasJumpBuffer && !isProperlyGrounded) {
+        result = 'notGrounded';
+    }
+
+    // A grounded ball is never mid-jump; drop any leftover downward speed
+    if (ball.isGrounded && ball.isJumping) {
+        ball.isJumping = false;
+
+        const shouldClamp = inverted ? ball.velocity.y > 0.05 : ball.velocity.y < -0.05;
+        if (shouldClamp) {
+            ball.velocity.y = 0;
+        }
+    }
+
+    return result;
+}
+
+// Falling is faster than rising, and releasing jump early cuts the jump short
+function getGravityMultiplier(ball, jumpHeld, config) {
+    if (ball.velocity.y < 0) {
+        return config.fallMultiplier;
+    }
+    if (ball.velocity.y > 0 && !jumpHeld && ball.isJumping) {
+        return config.lowJumpMultiplier;
+    }
+    return 1.0;
+}
+
+// Ground friction with rolling resistance, or light air friction
+function applyFriction(ball, config) {
+    const velocity = ball.velocity;
+
+    if (!ball.isGrounded) {
+        velocity.x *= config.airFriction;
+        velocity.z *= config.airFriction;
+        return;
+    }
+
+    const horizontalSpeed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+    if (horizontalSpeed > config.precisionThreshold) {
+        const friction = config.groundFriction * 0.98;
+        velocity.x *= friction;
+        velocity.z *= friction;
+
+        const frictionForce = Math.min(config.rollingFriction * horizontalSpeed, horizontalSpeed * 0.08);
+        const direction = new THREE.Vector3(velocity.x, 0, velocity.z).normalize();
+        velocity.x -= direction.x * frictionForce;
+        velocity.z -= direction.z * frictionForce;
+
+        // Slight surface adhesion so a rolling ball doesn't float
+        if (velocity.y > -0.1 && velocity.y < 0.1) {
+            velocity.y -= 0.5;
+        }
+    } else {
+        // Gradual stop for precision
+        velocity.x *= 0.85;
+        velocity.z *= 0.85;
+    }
+}
+
+// Terminal fall speed and the horizontal speed cap
+function limitVelocity(velocity, config) {
+    if (velocity.y < -config.terminalVelocity) {
+        velocity.y = -config.terminalVelocity;
+    }
+
+    const horizontalSpeed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+    if (horizontalSpeed > config.maxVelocity) {
+        const scale = config.maxVelocity / horizontalSpeed;
+        velocity.x *= scale;
+        velocity.z *= scale;
+    }
+}
+
+// Move the ball one step after updateTimers, up to (not including) the
+// ground check. options: { deltaTime, gravity (Vector3), directions, inverted }
+// Returns the input magnitude, precision mode and the handleJump result.
+function moveBall(ball, input, config, { deltaTime, gravity, directions, inverted = false }) {
+    // Precision mode: a little more acceleration while steering on the ground
+    const magnitude = getInputMagnitude(input);
+    const precisionMode = magnitude > 0 && ball.isGrounded;
+    const force = getInputForce(input, directions, config.acceleration * (precisionMode ? 1.2 : 1.0));
+
+    const jump = handleJump(ball, input, config, inverted);
+
+    ball.acceleration.copy(gravity).multiplyScalar(getGravityMultiplier(ball, input.jump, config));
+    ball.acceleration.add(force);
+    ball.velocity.add(ball.acceleration.clone().multiplyScalar(deltaTime));
+
+    applyFriction(ball, config);
+    limitVelocity(ball.velocity, config);
+
+    ball.position.add(ball.velocity.clone().multiplyScalar(deltaTime));
+
+    return { magnitude, precisionMode, jump };
+}
+
+// Closest surface under the ball: a ring of collisionRayCount rays
+// collisionRaySpread out from the centre, then one through the centre.
+// Returns the nearest raycaster hit or null.
+function findGround(raycaster, surfaces, position, direction, config) {
+    let best = null;
+
+    for (let i = 0; i <= config.collisionRayCount; i++) {
+        const origin = position.clone();
+        if (i < config.collisionRayCount) {
+            const angle = (i / config.collisionRayCount) * Math.PI * 2;
+            origin.add(new THREE.Vector3(Math.cos(angle) * config.collisionRaySpread, 0, Math.sin(angle) * config.collisionRaySpread));
+        }
+
+        raycaster.set(origin, direction);
+        const hit = raycaster.intersectObjects(surfaces, false)[0];
+        if (hit && (!best || hit.distance < best.distance)) {
+            best = hit;
+        }
+    }
+
+    return best;
+}
+
+// Gently damp vertical speed and acceleration while resting on the ground so
+// small errors can't build up into bouncing. Does nothing mid-jump or airborne.
+function dampenGroundedVelocity(ball, inverted = false) {
+    if (!ball.isGrounded || ball.isJumping) return;
+
+    if (Math.abs(ball.velocity.y) > 0.3) {
+        ball.velocity.y *= 0.8;
+    }
+
+    if (Math.abs(ball.acceleration.y) > 0.5) {
+        ball.acceleration.y = inverted ?
+            Math.max(ball.acceleration.y * 0.9, -0.2) :
+            Math.min(ball.acceleration.y * 0.9, -0.2);
+    }
+}
+
+export {
+    MOVE_KEYS,
+    updateTimers,
+    getInputMagnitude,
+    getInputForce,
+    handleJump,
+    getGravityMultiplier,
+    applyFriction,
+    limitVelocity,
+    moveBall,
+    findGround,
+    dampenGroundedVelocity
+};
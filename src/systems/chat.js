@@ -0,0 +1,74 @@
+// Multiplayer chat
+// Players in a room can send short text messages and quick emotes (canned
+// lines with a hotkey that also show as a speech bubble above the sender's
+// ball). The client checks messages before sending them; the server checks
+// them again and limits how fast each player can send.
+
+const MAX_CHAT_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 50; // Messages kept in the chat log
+
+// At most `messages` chat messages and emotes per player in any `windowMs`
+const CHAT_RATE_LIMIT = { messages: 5, windowMs: 5000 };
+
+// Quick emotes with the input action that sends them
+const QUICK_EMOTES = [
+    { id: 'gotKey', action: 'emote1', icon: '🔑', text: 'Got the key!' },
+    { id: 'overHere', action: 'emote2', icon: '👋', text: 'Over here!' },
+    { id: 'waitUp', action: 'emote3', icon: '✋', text: 'Wait for me!' },
+    { id: 'goodGame', action: 'emote4', icon: '🎉', text: 'Good game!' }
+];
+
+// Check a chat message: { valid, text } with control characters removed and
+// whitespace collapsed, or { valid: false, reason } with a message for the player
+function validateChatMessage(text) {
+    if (typeof text !== 'string') {
+        return { valid: false, text: '', reason: 'Messages must be text' };
+    }
+
+    const cleaned = text
+        .replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (cleaned.length === 0) {
+        return { valid: false, text: cleaned, reason: 'Type a message first' };
+    }
+    if (cleaned.length > MAX_CHAT_LENGTH) {
+        return { valid: false, text: cleaned, reason: `Messages can be at most ${MAX_CHAT_LENGTH} characters` };
+    }
+
+    return { valid: true, text: cleaned };
+}
+
+// Quick emote by id, or null
+function findEmote(emoteId) {
+    return QUICK_EMOTES.find(emote => emote.id === emoteId) || null;
+}
+
+// Sliding-window limit on how often one player can send
+class ChatRateLimiter {
+    constructor({ messages, windowMs } = CHAT_RATE_LIMIT) {
+        this.messages = messages;
+        this.windowMs = windowMs;
+        this.sentAt = [];
+    }
+
+    // Whether another message may go out now; counts it if so
+    allow(now = Date.now()) {
+        this.sentAt = this.sentAt.filter(time => now - time < this.windowMs);
+        if (this.sentAt.length >= this.messages) return false;
+
+        this.sentAt.push(now);
+        return true;
+    }
+}
+
+export {
+    MAX_CHAT_LENGTH,
+    CHAT_HISTORY_LIMIT,
+    CHAT_RATE_LIMIT,
+    QUICK_EMOTES,
+    validateChatMessage,
+    findEmote,
+    ChatRateLimiter
+};
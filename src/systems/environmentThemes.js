@@ -0,0 +1,292 @@
+// Environment themes
+// A level's look: sky, fog, lights, floor tile colors and weather. Themes are
+// named presets in ENVIRONMENT_THEMES (registerEnvironmentTheme adds more). A
+// level picks one with `environment.preset` (or the old `isJungle` flag) and can
+// override any part of it in its `environment` block; whatever it leaves out
+// comes from the preset. Random levels go through RANDOM_LEVEL_THEMES in turn.
+// Colors are numbers (0x87CEEB) or "#rrggbb" strings.
+
+// Weather particles: fall speed and sideways sway in units per second, size in
+// world units, and the height band (above the floor) they live in
+const WEATHER_TYPES = {
+    rain: { color: 0xAEC8FF, size: 0.08, opacity: 0.6, fallSpeed: 14, sway: 0.5, minHeight: 0, maxHeight: 14, glow: false },
+    snow: { color: 0xFFFFFF, size: 0.14, opacity: 0.9, fallSpeed: 1.5, sway: 0.8, minHeight: 0, maxHeight: 14, glow: false },
+    fireflies: { color: 0xE8FF70, size: 0.18, opacity: 1, fallSpeed: 0, sway: 0.6, minHeight: 0.3, maxHeight: 3, glow: true }
+};
+const WEATHER_TYPE_NAMES = ['none', ...Object.keys(WEATHER_TYPES)];
+
+// Weather particles at density 1, spread over a box this far around the player
+const WEATHER_PARTICLE_COUNT = 400;
+const WEATHER_AREA = 12;
+
+// Time (ms) to blend from one level's environment to the next
+const ENVIRONMENT_BLEND_DURATION = 1500;
+
+// Fog stand-in when blending to or from a level without fog
+const FOG_OFF = { near: 1000, far: 2000 };
+
+const ENVIRONMENT_THEMES = {
+    default: {
+        name: 'Sky',
+        sky: { top: 0x87CEEB, horizon: 0x87CEEB, bottom: 0x87CEEB, stars: 0, clouds: 0 },
+        fog: null,
+        ambient: { color: 0x404040, intensity: 0.3 },
+        directional: { color: 0xffffff, intensity: 1 },
+        tiles: { light: 0xffffff, dark: 0x333333 },
+        weather: { type: 'none', density: 0 }
+    },
+    jungle: {
+        name: 'Jungle',
+        sky: { top: 0x228B22, horizon: 0x228B22, bottom: 0x228B22, stars: 0, clouds: 0 },
+        fog: { color: 0x228B22, near: 10, far: 50 },
+        ambient: { color: 0x404040, intensity: 0.4 },
+        directional: { color: 0x90EE90, intensity: 0.8 },
+        tiles: { light: 0xffffff, dark: 0x333333 },
+        weather: { type: 'none', density: 0 }
+    },
+    desert: {
+        name: 'Desert',
+        sky: { top: 0x6FA8DC, horizon: 0xF4C77B, bottom: 0xE8B96A, stars: 0, clouds: 0.15 },
+        fog: { color: 0xE8B96A, near: 20, far: 70 },
+        ambient: { color: 0x6b5a3a, intensity: 0.45 },
+        directional: { color: 0xFFE0A0, intensity: 1.1 },
+        tiles: { light: 0xF3DFA2, dark: 0xC19A5B },
+        weather: { type: 'none', density: 0 }
+    },
+    glacier: {
+        name: 'Glacier',
+        sky: { top: 0x9CC9E8, horizon: 0xCFEAF7, bottom: 0xDDF1FA, stars: 0, clouds: 0.5 },
+        fog: { color: 0xDDF1FA, near: 15, far: 60 },
+        ambient: { color: 0x708090, intensity: 0.5 },
+        directional: { color: 0xE0F4FF, intensity: 0.9 },
+        tiles: { light: 0xF4FBFF, dark: 0x8FB8D0 },
+        weather: { type: 'snow', density: 0.7 }
+    },
+    volcano: {
+        name: 'Volcano',
+        sky: { top: 0x120404, horizon: 0x5A1A0A, bottom: 0x3A0F0A, stars: 0, clouds: 0.4 },
+        fog: { color: 0x5A1A0A, near: 8, far: 45 },
+        ambient: { color: 0x602010, intensity: 0.5 },
+        directional: { color: 0xFF7A40, intensity: 0.9 },
+        tiles: { light: 0x7A6A62, dark: 0x2B2222 },
+        weather: { type: 'none', density: 0 }
+    },
+    night: {
+        name: 'Night',
+        sky: { top: 0x02040F, horizon: 0x0B1030, bottom: 0x0B1030, stars: 0.8, clouds: 0 },
+        fog: { color: 0x0B1030, near: 12, far: 55 },
+        ambient: { color: 0x303860, intensity: 0.4 },
+        directional: { color: 0x9FB4FF, intensity: 0.5 },
+        tiles: { light: 0xB8C0E0, dark: 0x2A3050 },
+        weather: { type: 'fireflies', density: 0.4 }
+    },
+    storm: {
+        name: 'Storm',
+        sky: { top: 0x2E3440, horizon: 0x5B6470, bottom: 0x4C5560, stars: 0, clouds: 0.9 },
+        fog: { color: 0x5B6470, near: 10, far: 45 },
+        ambient: { color: 0x505868, intensity: 0.5 },
+        directional: { color: 0xC8D0E0, intensity: 0.6 },
+        tiles: { light: 0xC0C4CC, dark: 0x3B4048 },
+        weather: { type: 'rain', density: 1 }
+    },
+    // Default look below the surface (see underworld.js)
+    underworld: {
+        name: 'Underworld',
+        sky: { top: 0x05020A, horizon: 0x2A0E1E, bottom: 0x12060C, stars: 0, clouds: 0 },
+        fog: { color: 0x2A0E1E, near: 6, far: 35 },
+        ambient: { color: 0x402030, intensity: 0.5 },
+        directional: { color: 0xFF6A3D, intensity: 0.6 },
+        tiles: { light: 0x5A4A55, dark: 0x1E1620 },
+        weather: { type: 'none', density: 0 }
+    }
+};
+
+// Order random levels go through, starting again after the last one
+const RANDOM_LEVEL_THEMES = ['default', 'jungle', 'desert', 'glacier', 'volcano', 'night', 'storm'];
+
+// 0xRRGGBB from a number or a "#rgb" / "#rrggbb" string, or `fallback` if it is neither
+function parseColor(value, fallback = null) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) return value;
+    if (typeof value !== 'string') return fallback;
+
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+    if (!match) return fallback;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+    return parseInt(hex, 16);
+}
+
+// Add or replace a named theme; parts it leaves out come from the default theme
+function registerEnvironmentTheme(id, theme) {
+    ENVIRONMENT_THEMES[id] = mergeEnvironment(ENVIRONMENT_THEMES.default, { name: id, ...theme });
+    return ENVIRONMENT_THEMES[id];
+}
+
+// Theme id for a random level
+function getRandomLevelTheme(levelNumber) {
+    const index = (Math.max(1, levelNumber) - 1) % RANDOM_LEVEL_THEMES.length;
+    return RANDOM_LEVEL_THEMES[index];
+}
+
+// Theme id for a level's data: the preset its environment block names, a theme
+// it names, jungle for `isJungle` levels, otherwise the default
+function resolveEnvironmentTheme(levelData) {
+    const preset = levelData && levelData.environment && levelData.environment.preset;
+    if (Object.hasOwn(ENVIRONMENT_THEMES, preset)) return preset;
+    if (levelData && Object.hasOwn(ENVIRONMENT_THEMES, levelData.theme)) return levelData.theme;
+    if (levelData && levelData.isJungle) return 'jungle';
+    return 'default';
+}
+
+// Full environment for a level: its theme with the level's environment block on top
+function resolveEnvironment(levelData) {
+    const theme = ENVIRONMENT_THEMES[resolveEnvironmentTheme(levelData)];
+    return mergeEnvironment(theme, (levelData && levelData.environment) || {});
+}
+
+// `base` with the parts `overrides` sets replaced. Unusable colors and numbers
+// keep the base value; `fog: null` turns fog off.
+function mergeEnvironment(base, overrides) {
+    const color = (value, fallback) => parseColor(value, fallback);
+    const number = (value, fallback, min = 0, max = Infinity) =>
+        typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+    const sky = { ...base.sky, ...overrides.sky };
+    const fogOverride = overrides.fog;
+    const fogBase = base.fog || { color: base.sky.horizon, near: 10, far: 50 };
+    const weather = { ...base.weather, ...overrides.weather };
+
+    return {
+        name: typeof overrides.name === 'string' ? overrides.name : base.name,
+        sky: {
+            top: color(sky.top, base.sky.top),
+            horizon: color(sky.horizon, base.sky.horizon),
+            bottom: color(sky.bottom, base.sky.bottom),
+            stars: number(sky.stars, base.sky.stars, 0, 1),
+            clouds: number(sky.clouds, base.sky.clouds, 0, 1)
+        },
+        fog: fogOverride === null ? null : fogOverride === undefined ? base.fog && { ...base.fog } : {
+            color: color(fogOverride.color, fogBase.color),
+            near: number(fogOverride.near, fogBase.near),
+            far: number(fogOverride.far, fogBase.far)
+        },
+        ambient: {
+            color: color(overrides.ambient?.color, base.ambient.color),
+            intensity: number(overrides.ambient?.intensity, base.ambient.intensity)
+        },
+        directional: {
+            color: color(overrides.directional?.color, base.directional.color),
+            intensity: number(overrides.directional?.intensity, base.directional.intensity)
+        },
+        tiles: {
+            light: color(overrides.tiles?.light, base.tiles.light),
+            dark: color(overrides.tiles?.dark, base.tiles.dark)
+        },
+        weather: {
+            type: WEATHER_TYPE_NAMES.includes(weather.type) ? weather.type : base.weather.type,
+            density: number(weather.density, base.weather.density, 0, 1)
+        }
+    };
+}
+
+// Environment part way (t from 0 to 1) from `from` to `to`. Weather of another
+// kind fades out over the first half and the new kind fades in over the second.
+function blendEnvironments(from, to, t) {
+    if (t <= 0) return from;
+    if (t >= 1) return to;
+
+    const value = (a, b) => a + (b - a) * t;
+    const fogFrom = from.fog || { color: to.fog ? to.fog.color : from.sky.horizon, ...FOG_OFF };
+    const fogTo = to.fog || { color: fogFrom.color, ...FOG_OFF };
+
+    let weather;
+    if (from.weather.type === to.weather.type) {
+        weather = { type: to.weather.type, density: value(from.weather.density, to.weather.density) };
+    } else if (t < 0.5) {
+        weather = { type: from.weather.type, density: from.weather.density * (1 - t * 2) };
+    } else {
+        weather = { type: to.weather.type, density: to.weather.density * (t * 2 - 1) };
+    }
+
+    return {
+        name: to.name,
+        sky: {
+            top: lerpColor(from.sky.top, to.sky.top, t),
+            horizon: lerpColor(from.sky.horizon, to.sky.horizon, t),
+            bottom: lerpColor(from.sky.bottom, to.sky.bottom, t),
+            stars: value(from.sky.stars, to.sky.stars),
+            clouds: value(from.sky.clouds, to.sky.clouds)
+        },
+        fog: !from.fog && !to.fog ? null : {
+            color: lerpColor(fogFrom.color, fogTo.color, t),
+            near: value(fogFrom.near, fogTo.near),
+            far: value(fogFrom.far, fogTo.far)
+        },
+        ambient: {
+            color: lerpColor(from.ambient.color, to.ambient.color, t),
+            intensity: value(from.ambient.intensity, to.ambient.intensity)
+        },
+        directional: {
+            color: lerpColor(from.directional.color, to.directional.color, t),
+            intensity: value(from.directional.intensity, to.directional.intensity)
+        },
+        tiles: {
+            light: lerpColor(from.tiles.light, to.tiles.light, t),
+            dark: lerpColor(from.tiles.dark, to.tiles.dark, t)
+        },
+        weather
+    };
+}
+
+// Move `count` weather particles (xyz triples in `positions`, relative to the
+// player) on by `seconds`. `phases` holds one random 0-1 number per particle for
+// its sway. Particles that leave the area come back in on the other side (or at
+// the top, for falling ones).
+function stepWeatherParticles(positions, phases, count, typeId, seconds, time) {
+    const type = WEATHER_TYPES[typeId];
+    if (!type) return;
+
+    for (let i = 0; i < count; i++) {
+        const index = i * 3;
+        const phase = phases[i] * Math.PI * 2;
+
+        positions[index] += Math.sin(time * 0.7 + phase) * type.sway * seconds;
+        positions[index + 1] -= type.fallSpeed * seconds;
+        positions[index + 2] += Math.cos(time * 0.5 + phase) * type.sway * seconds;
+        if (type.fallSpeed === 0) {
+            // Drifters bob up and down instead of falling
+            positions[index + 1] += Math.sin(time * 1.3 + phase * 2) * type.sway * 0.5 * seconds;
+        }
+
+        positions[index] = wrap(positions[index], -WEATHER_AREA, WEATHER_AREA);
+        positions[index + 1] = wrap(positions[index + 1], type.minHeight, type.maxHeight);
+        positions[index + 2] = wrap(positions[index + 2], -WEATHER_AREA, WEATHER_AREA);
+    }
+}
+
+function wrap(value, min, max) {
+    const span = max - min;
+    return ((value - min) % span + span) % span + min;
+}
+
+function lerpColor(a, b, t) {
+    const channel = shift => Math.round(((a >> shift) & 0xff) + (((b >> shift) & 0xff) - ((a >> shift) & 0xff)) * t);
+    return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
+
+export {
+    ENVIRONMENT_THEMES,
+    RANDOM_LEVEL_THEMES,
+    WEATHER_TYPES,
+    WEATHER_TYPE_NAMES,
+    WEATHER_PARTICLE_COUNT,
+    WEATHER_AREA,
+    ENVIRONMENT_BLEND_DURATION,
+    parseColor,
+    registerEnvironmentTheme,
+    getRandomLevelTheme,
+    resolveEnvironmentTheme,
+    resolveEnvironment,
+    mergeEnvironment,
+    blendEnvironments,
+    stepWeatherParticles
+};
@@ -0,0 +1,68 @@
+// Fixed timestep accumulator
+// Decouples simulation from rendering: real frame time is collected and the
+// simulation advances in whole steps of the same length, so identical inputs
+// give identical results at any frame rate. Whatever is left over becomes the
+// interpolation factor (alpha) between the last two simulated states.
+
+const DEFAULT_STEP = 1 / 60;
+
+// Longest frame that is simulated in full; after a stall (tab switch, breakpoint)
+// the simulation slows down instead of running hundreds of catch-up steps
+const DEFAULT_MAX_FRAME_TIME = 0.25;
+
+class FixedTimestep {
+    constructor(options = {}) {
+        this.step = options.step || DEFAULT_STEP;
+        this.maxFrameTime = options.maxFrameTime || DEFAULT_MAX_FRAME_TIME;
+        // Counts resets, so a step can tell the simulation restarted while it ran
+        this.epoch = 0;
+        this.reset();
+    }
+
+    // Start over at tick 0
+    reset() {
+        this.tick = 0;
+        this.accumulator = 0;
+        this.epoch++;
+    }
+
+    // Drop pending frame time (e.g. after a pause) without touching the clock
+    clearAccumulator() {
+        this.accumulator = 0;
+    }
+
+    // Simulated time in seconds
+    get time() {
+        return this.tick * this.step;
+    }
+
+    // How far rendering is between the previous and the current step (0..1)
+    get alpha() {
+        return this.accumulator / this.step;
+    }
+
+    // Add real frame time and run as many whole steps as it covers.
+    // stepFn(step, tick) runs once per step; returns the number of steps run.
+    // The clock moves before stepFn runs, so a reset() inside a step (loading a
+    // level) makes the next step tick 0, exactly like a reset between frames.
+    advance(frameSeconds, stepFn) {
+        if (!(frameSeconds > 0)) return 0;
+
+        this.accumulator += Math.min(frameSeconds, this.maxFrameTime);
+
+        let steps = 0;
+        // Small tolerance so 1/60s frames are not lost to float rounding
+        while (this.accumulator >= this.step - 1e-9) {
+            const tick = this.tick;
+            this.tick++;
+            this.accumulator = Math.max(0, this.accumulator - this.step);
+            stepFn(this.step, tick);
+            steps++;
+        }
+
+        return steps;
+    }
+}
+
+export { FixedTimestep, DEFAULT_STEP };
+export default FixedTimestep;
@@ -0,0 +1,109 @@
+// Game rules
+// Pure decision logic shared by the game (main.js), the headless level
+// simulation and the automated tests. Nothing here touches the scene or DOM.
+
+// Falling further than this below the fall threshold always restarts the level
+const EXTREME_FALL_MARGIN = 50;
+
+// Check if a level supports the inverted world
+export function supportsInvertedWorld(level) {
+    if (!level) return false;
+
+    // Explicit flag wins
+    if (level.hasInvertedWorld !== undefined) {
+        return level.hasInvertedWorld;
+    }
+
+    // 3D levels, underworld levels and advanced levels (6+) support it
+    if (level.use3D === true || level.hasUnderworld === true) {
+        return true;
+    }
+    if (level.number >= 6) {
+        return true;
+    }
+
+    // Basic levels (1-5) don't support it unless explicitly specified
+    return false;
+}
+
+// Decide which world transition a fall should cause
+// Returns 'toInverted', 'toNormal', 'restart', 'extremeFall' or null.
+export function getFallTransition({
+    y,
+    velocityY,
+    isGrounded,
+    invertedActive,
+    levelSupportsInvertedWorld,
+    fallThreshold,
+    velocityThreshold,
+    mirrorOffset
+}) {
+    if (!invertedActive) {
+        // Normal world: below the threshold and still falling
+        if (y < fallThreshold && velocityY < velocityThreshold && !isGrounded) {
+            return levelSupportsInvertedWorld ? 'toInverted' : 'restart';
+        }
+    } else {
+        // Inverted world: above the mirrored threshold and still falling upward
+        const invertedFallThreshold = mirrorOffset + Math.abs(fallThreshold);
+        if (y > invertedFallThreshold && velocityY > -velocityThreshold && !isGrounded) {
+            return 'toNormal';
+        }
+    }
+
+    // Backup for extreme falls in the normal world
+    if (!invertedActive && y < fallThreshold - EXTREME_FALL_MARGIN) {
+        return 'extremeFall';
+    }
+
+    return null;
+}
+
+// Levels 2-5 complete as soon as the key is picked up
+export function completesOnKeyPickup(levelNumber) {
+    return levelNumber >= 2 && levelNumber <= 5;
+}
+
+// Check what still blocks completing the level
+// Returns null when the exit is open, otherwise 'missing-key' or 'missing-coins'.
+export function getCompletionBlocker({ isSinglePlayer = true, levelNumber, hasKey, coins = 0, requiredCoins = 0 }) {
+    if (!hasKey) {
+        return 'missing-key';
+    }
+
+    // Level 1 also needs every coin in single player
+    if (isSinglePlayer && levelNumber === 1 && coins < requiredCoins) {
+        return 'missing-coins';
+    }
+
+    return null;
+}
+
+// Work out what the HUD should show for a score
+export function getHudState(score, { isSinglePlayer = true, levelName } = {}) {
+    let livesColor = '#ff4444';
+    let livesAnimation = 'none';
+    if (score.lives <= 1) {
+        livesColor = '#ff0000';
+        livesAnimation = 'glow 1s infinite';
+    } else if (score.lives <= 2) {
+        livesColor = '#ff6600';
+    }
+
+    // Single player levels with required coins show "X / required"
+    const showsRequiredCoins = isSinglePlayer && score.requiredCoins > 0;
+
+    return {
+        levelName: levelName || `Level ${score.currentLevel}`,
+        score: score.totalScore,
+        lives: score.lives,
+        livesColor,
+        livesAnimation,
+        coins: score.coins,
+        coinsTotal: showsRequiredCoins ? score.requiredCoins : score.totalCoins,
+        showsRequiredCoins,
+        hasKey: Boolean(score.hasKey),
+        keyStatus: score.hasKey ? '✔' : '✗',
+        keyColor: score.hasKey ? '#00ff00' : '#ff4444'
+    };
+}
@@ -0,0 +1,155 @@
+// Gamepad input
+// Reads a controller in the browser's "standard" layout (Gamepad API) into the
+// same actions the keyboard uses (see inputBindings.js), plus two analog
+// sticks: the left one moves the ball, the right one moves the camera.
+// gameSettings.controls.gamepadBindings maps actions to button indices.
+
+// Standard layout button indices
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    L3: 10,
+    R3: 11,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+const DEFAULT_GAMEPAD_BINDINGS = {
+    up: [GAMEPAD_BUTTONS.DPAD_UP],
+    down: [GAMEPAD_BUTTONS.DPAD_DOWN],
+    left: [GAMEPAD_BUTTONS.DPAD_LEFT],
+    right: [GAMEPAD_BUTTONS.DPAD_RIGHT],
+    jump: [GAMEPAD_BUTTONS.A],
+    cameraCycle: [GAMEPAD_BUTTONS.Y],
+    cameraMode: [GAMEPAD_BUTTONS.X],
+    cameraReset: [GAMEPAD_BUTTONS.R3],
+    pause: [GAMEPAD_BUTTONS.START],
+    levelMenu: [GAMEPAD_BUTTONS.BACK],
+    ghost: [GAMEPAD_BUTTONS.LB]
+};
+
+const DEFAULT_GAMEPAD_SETTINGS = {
+    deadzone: 0.2,
+    invertCameraY: false
+};
+
+// Stick values are rounded so recorded replays reproduce them exactly
+const AXIS_PRECISION = 100;
+
+function getDefaultGamepadBindings() {
+    return Object.fromEntries(Object.entries(DEFAULT_GAMEPAD_BINDINGS).map(([action, buttons]) => [action, [...buttons]]));
+}
+
+// Complete bindings from saved settings; unknown actions and invalid button indices are dropped
+function normalizeGamepadBindings(saved = {}) {
+    const bindings = getDefaultGamepadBindings();
+    if (!saved || typeof saved !== 'object') return bindings;
+
+    Object.entries(saved).forEach(([action, buttons]) => {
+        if (!(action in bindings) || !Array.isArray(buttons)) return;
+        bindings[action] = [...new Set(buttons.filter(button => Number.isInteger(button) && button >= 0))];
+    });
+
+    return bindings;
+}
+
+// Radial deadzone: the stick reads 0 inside it and rises smoothly from its edge
+function applyDeadzone(x = 0, y = 0, deadzone = DEFAULT_GAMEPAD_SETTINGS.deadzone) {
+    const length = Math.hypot(x, y);
+    if (!(length > deadzone)) return { x: 0, y: 0 };
+
+    const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+    const round = value => Math.round(value * scale * AXIS_PRECISION) / AXIS_PRECISION + 0; // + 0 turns -0 into 0
+    return { x: round(x), y: round(y) };
+}
+
+function isButtonPressed(gamepad, index) {
+    const button = gamepad.buttons[index];
+    return !!button && (typeof button === 'object' ? button.pressed : button === 1.0);
+}
+
+// Read one gamepad. Returns the actions held down, the actions pressed since
+// `previousHeld`, the left stick as movement (x right, y forward) and the right
+// stick as camera input (x right, y forward).
+function readGamepad(gamepad, bindings, settings = DEFAULT_GAMEPAD_SETTINGS, previousHeld = new Set()) {
+    const held = new Set();
+    Object.entries(bindings).forEach(([action, buttons]) => {
+        if (buttons.some(index => isButtonPressed(gamepad, index))) {
+            held.add(action);
+        }
+    });
+
+    const axes = gamepad.axes || [];
+    const deadzone = settings.deadzone ?? DEFAULT_GAMEPAD_SETTINGS.deadzone;
+    const move = applyDeadzone(axes[0], axes[1], deadzone);
+    const look = applyDeadzone(axes[2], axes[3], deadzone);
+
+    return {
+        held,
+        pressed: [...held].filter(action => !previousHeld.has(action)),
+        released: [...previousHeld].filter(action => !held.has(action)),
+        // Stick up is negative on the Gamepad API
+        move: { x: move.x, y: -move.y + 0 },
+        camera: { x: look.x, y: settings.invertCameraY ? look.y : -look.y + 0 }
+    };
+}
+
+// Bind a button to an action (one button per action); the button is taken away
+// from any other action it was bound to. Returns the new bindings and those actions.
+function assignGamepadButton(bindings, action, button) {
+    const next = getDefaultGamepadBindings();
+    const displaced = [];
+
+    Object.keys(next).forEach(other => {
+        const buttons = bindings[other] || [];
+        if (other !== action && buttons.includes(button)) {
+            displaced.push(other);
+        }
+        next[other] = other === action ? [button] : buttons.filter(existing => existing !== button);
+    });
+
+    return { bindings: next, displaced };
+}
+
+// Indices of all buttons currently pressed
+function getPressedButtons(gamepad) {
+    return gamepad.buttons.map((button, index) => index).filter(index => isButtonPressed(gamepad, index));
+}
+
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+// Label for a standard layout button index
+function describeGamepadButton(index) {
+    if (index === undefined || index === null) return '—';
+    return BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+// First connected gamepad that reports the standard layout (or any, if none does)
+function findGamepad(gamepads) {
+    const connected = [...(gamepads || [])].filter(gamepad => gamepad && gamepad.connected);
+    return connected.find(gamepad => gamepad.mapping === 'standard') || connected[0] || null;
+}
+
+export {
+    GAMEPAD_BUTTONS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    DEFAULT_GAMEPAD_SETTINGS,
+    getDefaultGamepadBindings,
+    normalizeGamepadBindings,
+    applyDeadzone,
+    readGamepad,
+    assignGamepadButton,
+    getPressedButtons,
+    describeGamepadButton,
+    findGamepad
+};
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+// Ghost runs
+// A ghost run is the trail of the ball during one completed attempt: position
+// and rotation sampled on the fixed simulation clock, plus split times at the
+// key pickup and the goal. The best run per level is raced as a translucent
+// ghost alongside later attempts.
+
+const GHOST_RUN_VERSION = 1;
+
+// Ticks between trail samples; positions in between are interpolated
+const GHOST_SAMPLE_INTERVAL = 4;
+
+const round = (value, precision) => Math.round(value * precision) / precision + 0; // + 0 turns -0 into 0
+
+// [tick, x, y, z, qx, qy, qz, qw], rounded to keep saved runs small
+function createSample(tick, position, quaternion) {
+    return [
+        tick,
+        round(position.x, 1000), round(position.y, 1000), round(position.z, 1000),
+        round(quaternion.x, 10000), round(quaternion.y, 10000), round(quaternion.z, 10000), round(quaternion.w, 10000)
+    ];
+}
+
+class GhostRecorder {
+    constructor(options = {}) {
+        this.sampleInterval = options.sampleInterval || GHOST_SAMPLE_INTERVAL;
+        this.run = null;
+    }
+
+    get isRecording() {
+        return this.run !== null;
+    }
+
+    // Begin a run; level identifies what the trail belongs to ({ index, name, hash })
+    start({ level, step }) {
+        this.run = { level, step, samples: [], splits: {} };
+    }
+
+    // Ball state after `tick` steps; only every sampleInterval-th tick is kept
+    record(tick, position, quaternion) {
+        if (!this.run) return;
+
+        const last = this.run.samples[this.run.samples.length - 1];
+        if (last && tick - last[0] < this.sampleInterval) return;
+
+        this.run.samples.push(createSample(tick, position, quaternion));
+    }
+
+    // Mark a split ('key', 'goal') at this tick; only the first time counts
+    split(name, tick) {
+        if (!this.run || this.run.splits[name] !== undefined) return;
+        this.run.splits[name] = tick;
+    }
+
+    // Finish at the goal and return the run (with a final sample at the goal)
+    finish(tick, position, quaternion) {
+        if (!this.run) return null;
+
+        const last = this.run.samples[this.run.samples.length - 1];
+        if (!last || last[0] < tick) {
+            this.run.samples.push(createSample(tick, position, quaternion));
+        }
+        this.split('goal', tick);
+
+        const { level, step, samples, splits } = this.run;
+        this.run = null;
+        return {
+            version: GHOST_RUN_VERSION,
+            level,
+            step,
+            ticks: tick,
+            time: tick * step,
+            splits,
+            samples,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    cancel() {
+        this.run = null;
+    }
+}
+
+// Whether a value is a usable ghost run
+function isValidGhostRun(run) {
+    if (!run || typeof run !== 'object' || run.version !== GHOST_RUN_VERSION) return false;
+    if (!run.level || typeof run.level.hash !== 'string') return false;
+    if (!(run.step > 0) || !Number.isInteger(run.ticks) || run.ticks <= 0) return false;
+    if (!run.splits || typeof run.splits !== 'object') return false;
+    if (!Array.isArray(run.samples) || run.samples.length === 0) return false;
+
+    return run.samples.every((sample, index) =>
+        Array.isArray(sample) &&
+        sample.length === 8 &&
+        sample.every(Number.isFinite) &&
+        (index === 0 || sample[0] > run.samples[index - 1][0]));
+}
+
+// Whether `run` beats `best` (a missing best is always beaten)
+function isFasterRun(run, best) {
+    return !best || run.ticks < best.ticks;
+}
+
+// Split times in seconds, compared with the best run (negative delta = ahead)
+function compareSplit(run, best, name) {
+    const tick = run.splits[name];
+    if (tick === undefined) return null;
+
+    const time = tick * run.step;
+    const bestTick = best?.splits?.[name];
+    return {
+        name,
+        time,
+        delta: bestTick === undefined ? null : time - bestTick * best.step
+    };
+}
+
+// Find the index of the last sample at or before tick
+function findSampleIndex(samples, tick) {
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (samples[middle][0] <= tick) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+// Ghost pose after `tick` steps (fractional ticks interpolate between samples).
+// Writes into position/quaternion and returns false once the run is over.
+function sampleGhostRun(run, tick, position, quaternion) {
+    const { samples } = run;
+    const index = findSampleIndex(samples, tick);
+    const from = samples[index];
+    const to = samples[Math.min(index + 1, samples.length - 1)];
+    const t = to[0] > from[0] ? Math.min(Math.max((tick - from[0]) / (to[0] - from[0]), 0), 1) : 0;
+
+    position.set(
+        from[1] + (to[1] - from[1]) * t,
+        from[2] + (to[2] - from[2]) * t,
+        from[3] + (to[3] - from[3]) * t
+    );
+
+    const rotation = [0, 0, 0, 1];
+    THREE.Quaternion.slerpFlat(rotation, 0, from, 4, to, 4, t);
+    quaternion.set(rotation[0], rotation[1], rotation[2], rotation[3]).normalize(); // Rounded samples are not exactly unit length
+
+    return tick <= run.ticks;
+}
+
+export {
+    GhostRecorder,
+    isValidGhostRun,
+    isFasterRun,
+    compareSplit,
+    sampleGhostRun,
+    GHOST_RUN_VERSION,
+    GHOST_SAMPLE_INTERVAL
+};
+export default GhostRecorder;
@@ -0,0 +1,206 @@
+// Action-based key bindings
+// Game code reacts to actions ("jump", "cameraCycle") instead of key codes.
+// gameSettings.controls.keyBindings maps every action to its keys
+// (KeyboardEvent.code values); this module resolves keys to actions, finds
+// conflicts and applies remapping.
+
+// Rebindable actions in the order the controls screen lists them
+const INPUT_ACTIONS = [
+    { action: 'up', label: 'Move forward', group: 'Movement' },
+    { action: 'down', label: 'Move backward', group: 'Movement' },
+    { action: 'left', label: 'Move left', group: 'Movement' },
+    { action: 'right', label: 'Move right', group: 'Movement' },
+    { action: 'jump', label: 'Jump', group: 'Movement' },
+    { action: 'cameraMode', label: 'Toggle camera mode', group: 'Camera' },
+    { action: 'cameraReset', label: 'Reset camera', group: 'Camera' },
+    { action: 'cameraCycle', label: 'Cycle camera presets', group: 'Camera' },
+    { action: 'cameraDefault', label: 'Default camera', group: 'Camera' },
+    { action: 'cameraFront', label: 'Front camera', group: 'Camera' },
+    { action: 'cameraTop', label: 'Top camera', group: 'Camera' },
+    { action: 'cameraSide', label: 'Side camera', group: 'Camera' },
+    { action: 'pause', label: 'Pause menu', group: 'Game' },
+    { action: 'levelMenu', label: 'Level menu', group: 'Game' },
+    { action: 'restart', label: 'Restart from level 1', group: 'Game' },
+    { action: 'levelMode', label: 'JSON / random levels', group: 'Game' },
+    { action: 'previousLevel', label: 'Previous level', group: 'Game' },
+    { action: 'nextLevel', label: 'Next level', group: 'Game' },
+    { action: 'lobby', label: 'Return to lobby', group: 'Game' },
+    { action: 'levelEditor', label: 'Level editor', group: 'Game' },
+    { action: 'ghost', label: 'Show / hide ghost', group: 'Game' },
+    { action: 'instructions', label: 'Show / hide instructions', group: 'Game' },
+    { action: 'chat', label: 'Open chat', group: 'Multiplayer' },
+    { action: 'emote1', label: 'Emote: Got the key!', group: 'Multiplayer' },
+    { action: 'emote2', label: 'Emote: Over here!', group: 'Multiplayer' },
+    { action: 'emote3', label: 'Emote: Wait for me!', group: 'Multiplayer' },
+    { action: 'emote4', label: 'Emote: Good game!', group: 'Multiplayer' },
+    { action: 'debug', label: 'Collision debug view', group: 'Debug' },
+    { action: 'jumpDebug', label: 'Jump debug', group: 'Debug' },
+    { action: 'velocityCheck', label: 'Log vertical velocity', group: 'Debug' },
+    { action: 'cheat', label: 'Cheat: get the key', group: 'Debug' }
+];
+
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump: ['Space'],
+    cameraMode: ['KeyC'],
+    cameraReset: ['KeyR'],
+    cameraCycle: ['Tab'],
+    cameraDefault: ['Digit1'],
+    cameraFront: ['Digit2'],
+    cameraTop: ['Digit3'],
+    cameraSide: ['Digit4'],
+    pause: ['KeyP'],
+    levelMenu: ['Escape'],
+    restart: ['KeyN'],
+    levelMode: ['KeyL'],
+    previousLevel: ['BracketLeft'],
+    nextLevel: ['BracketRight'],
+    lobby: ['KeyQ'],
+    levelEditor: ['KeyE'],
+    ghost: ['KeyG'],
+    instructions: ['Comma'],
+    chat: ['Enter', 'KeyT'],
+    emote1: ['Digit5'],
+    emote2: ['Digit6'],
+    emote3: ['Digit7'],
+    emote4: ['Digit8'],
+    debug: ['KeyH'],
+    jumpDebug: ['KeyJ'],
+    velocityCheck: ['KeyV'],
+    cheat: ['KeyM']
+};
+
+// Keys per action shown and captured by the controls screen
+const MAX_KEYS_PER_ACTION = 2;
+
+// Copy of the default bindings
+function getDefaultKeyBindings() {
+    return cloneBindings(DEFAULT_KEY_BINDINGS);
+}
+
+function cloneBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings).map(([action, codes]) => [action, [...codes]]));
+}
+
+// Complete bindings from saved settings: unknown actions (e.g. the old
+// "gravityShift" and "fallTest") and invalid keys are dropped, missing actions get their defaults
+function normalizeKeyBindings(saved = {}) {
+    const bindings = getDefaultKeyBindings();
+    if (!saved || typeof saved !== 'object') return bindings;
+
+    Object.entries(saved).forEach(([action, codes]) => {
+        if (!(action in bindings) || !Array.isArray(codes)) return;
+
+        bindings[action] = [...new Set(codes.filter(code => typeof code === 'string' && code.length > 0))]
+            .slice(0, MAX_KEYS_PER_ACTION);
+    });
+
+    return bindings;
+}
+
+// Map from key code to action; with conflicting bindings the first listed action wins
+function createKeyLookup(bindings) {
+    const lookup = new Map();
+    INPUT_ACTIONS.forEach(({ action }) => {
+        (bindings[action] || []).forEach(code => {
+            if (!lookup.has(code)) lookup.set(code, action);
+        });
+    });
+    return lookup;
+}
+
+// Keys bound to more than one action: [{ code, actions }]
+function findBindingConflicts(bindings) {
+    const actionsByCode = new Map();
+    INPUT_ACTIONS.forEach(({ action }) => {
+        (bindings[action] || []).forEach(code => {
+            actionsByCode.set(code, [...(actionsByCode.get(code) || []), action]);
+        });
+    });
+    return [...actionsByCode.entries()]
+        .filter(([, actions]) => actions.length > 1)
+        .map(([code, actions]) => ({ code, actions }));
+}
+
+// Bind `code` to key slot `slot` of `action`. The key is taken away from any
+// other action it was bound to; returns the new bindings and those actions.
+function assignKey(bindings, action, slot, code) {
+    const next = cloneBindings(bindings);
+    const displaced = [];
+
+    Object.entries(next).forEach(([other, codes]) => {
+        if (other !== action && codes.includes(code)) {
+            next[other] = codes.filter(existing => existing !== code);
+            displaced.push(other);
+        }
+    });
+
+    const codes = [...next[action]];
+    if (slot < codes.length) {
+        codes[slot] = code;
+    } else {
+        codes.push(code);
+    }
+    next[action] = [...new Set(codes)].slice(0, MAX_KEYS_PER_ACTION);
+
+    return { bindings: next, displaced };
+}
+
+// Remove the key in slot `slot` of `action`
+function clearKey(bindings, action, slot) {
+    const next = cloneBindings(bindings);
+    next[action] = next[action].filter((code, index) => index !== slot);
+    return next;
+}
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Escape: 'Esc',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Minus: '-',
+    Equal: '=',
+    Backquote: '`'
+};
+
+// Short label for a key code ("KeyW" -> "W", "Digit1" -> "1", "ArrowUp" -> "↑")
+function describeKey(code) {
+    if (!code) return '—';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad/.test(code)) return `Num ${code.slice(6)}`;
+    return code.replace(/(Left|Right)$/, ' $1').trim();
+}
+
+function getActionLabel(action) {
+    const entry = INPUT_ACTIONS.find(item => item.action === action);
+    return entry ? entry.label : action;
+}
+
+export {
+    INPUT_ACTIONS,
+    DEFAULT_KEY_BINDINGS,
+    MAX_KEYS_PER_ACTION,
+    getDefaultKeyBindings,
+    normalizeKeyBindings,
+    createKeyLookup,
+    findBindingConflicts,
+    assignKey,
+    clearKey,
+    describeKey,
+    getActionLabel
+};
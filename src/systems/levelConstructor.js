@@ -0,0 +1,198 @@
+// Level constructor system
+// Builds level data in the levels.json format, either in code (programmatic
+// levels) or from the level editor. 3D levels place objects by world position;
+// grid levels ({ use3D: false }) place objects and typed tiles by grid cell.
+
+// Fields owned by the constructor; anything else in loaded JSON is carried through
+const MANAGED_FIELDS = [
+    'name', 'number', 'gridSize', 'use3D', 'requireAllCoins', 'playerStart', 'tiles', 'tileTypes',
+    'objects', 'platforms', 'gravityPlanes', 'safeSpawnPoints', 'bounds'
+];
+
+class LevelConstructor {
+    constructor(name, gridSize = 20, options = {}) {
+        this.name = name;
+        this.number = options.number || null;
+        this.gridSize = gridSize;
+        this.use3D = options.use3D !== false;
+        this.requireAllCoins = options.requireAllCoins;
+        this.platforms = [];
+        this.objects = [];
+        this.gravityPlanes = [];
+        this.safeSpawnPoints = [];
+        this.tileTypes = null;
+        this.extraFields = {};
+        this.playerStart = this.use3D ? { x: 0, y: 2, z: 0 } : { x: 0, z: 0 };
+        this.bounds = {
+            minX: -50, maxX: 50,
+            minY: -30, maxY: 30,
+            minZ: -50, maxZ: 50
+        };
+    }
+
+    // Add a platform to the level
+    addPlatform(type, position, size, options = {}) {
+        const platform = {
+            type: type,
+            position: position,
+            size: size,
+            material: options.material || 'stone',
+            surfaces: options.surfaces || ['top'],
+            ...options
+        };
+        this.platforms.push(platform);
+        return this;
+    }
+
+    // Add an object to the level
+    addObject(type, position, options = {}) {
+        const object = {
+            type: type,
+            position: position,
+            ...options
+        };
+        this.objects.push(object);
+        return this;
+    }
+
+    // Add an object on a grid cell (grid levels)
+    addGridObject(type, x, z, options = {}) {
+        this.objects.push({
+            type: type,
+            x: x,
+            z: z,
+            ...options
+        });
+        return this;
+    }
+
+    // Set the tile type of a grid cell; 'normal' or null clears it (grid levels)
+    setTile(x, z, type) {
+        if (!type || type === 'normal') {
+            if (this.tileTypes && this.tileTypes[z]) {
+                this.tileTypes[z][x] = null;
+                if (this.tileTypes.every(row => !row || row.every(tile => !tile))) {
+                    this.tileTypes = null;
+                }
+            }
+            return this;
+        }
+
+        if (!this.tileTypes) {
+            this.tileTypes = [];
+        }
+        for (let row = this.tileTypes.length; row <= z; row++) {
+            this.tileTypes.push([]);
+        }
+        for (let column = this.tileTypes[z].length; column < x; column++) {
+            this.tileTypes[z].push(null);
+        }
+        this.tileTypes[z][x] = type;
+        return this;
+    }
+
+    // Get the tile type of a grid cell
+    getTile(x, z) {
+        return (this.tileTypes && this.tileTypes[z] && this.tileTypes[z][x]) || 'normal';
+    }
+
+    // Add a gravity plane
+    addGravityPlane(position, normal, strength = 1.0, radius = 10) {
+        this.gravityPlanes.push({
+            position: position,
+            normal: normal,
+            strength: strength,
+            radius: radius
+        });
+        return this;
+    }
+
+    // Add a safe spawn point
+    addSafeSpawnPoint(position, name = '') {
+        this.safeSpawnPoints.push({
+            position: position,
+            name: name,
+            id: `spawn_${this.safeSpawnPoints.length}`
+        });
+        return this;
+    }
+
+    // Set player start position
+    setPlayerStart(position) {
+        this.playerStart = position;
+        return this;
+    }
+
+    // Set level bounds
+    setBounds(bounds) {
+        this.bounds = { ...this.bounds, ...bounds };
+        return this;
+    }
+
+    // Generate the level JSON
+    toJSON() {
+        const level = { name: this.name };
+        if (this.number) {
+            level.number = this.number;
+        }
+        level.gridSize = this.gridSize;
+
+        if (!this.use3D) {
+            level.playerStart = this.playerStart;
+            // The loader ignores tileTypes when tiles is "auto"
+            if (this.tileTypes) {
+                level.tileTypes = this.tileTypes;
+            } else {
+                level.tiles = 'auto';
+            }
+            level.requireAllCoins = this.requireAllCoins || false;
+            level.objects = this.objects;
+            return { ...level, ...this.extraFields };
+        }
+
+        return {
+            ...level,
+            ...this.extraFields,
+            use3D: true,
+            ...(this.requireAllCoins !== undefined ? { requireAllCoins: this.requireAllCoins } : {}),
+            playerStart: this.playerStart,
+            platforms: this.platforms,
+            objects: this.objects,
+            gravityPlanes: this.gravityPlanes,
+            safeSpawnPoints: this.safeSpawnPoints,
+            ...(this.bounds ? { bounds: this.bounds } : {})
+        };
+    }
+
+    // Rebuild a constructor from level JSON (grid or 3D)
+    static fromJSON(level) {
+        const data = JSON.parse(JSON.stringify(level));
+        const levelConstructor = new LevelConstructor(data.name, data.gridSize || (data.use3D ? 20 : 10), {
+            number: data.number,
+            use3D: !!data.use3D,
+            requireAllCoins: data.requireAllCoins
+        });
+
+        levelConstructor.playerStart = data.playerStart || levelConstructor.playerStart;
+        levelConstructor.objects = data.objects || [];
+        levelConstructor.platforms = data.platforms || [];
+        levelConstructor.gravityPlanes = data.gravityPlanes || [];
+        levelConstructor.safeSpawnPoints = data.safeSpawnPoints || [];
+        // Levels without bounds keep relying on fall detection alone
+        levelConstructor.bounds = data.bounds ? { ...levelConstructor.bounds, ...data.bounds } : null;
+        if (Array.isArray(data.tileTypes) && data.tiles !== 'auto') {
+            levelConstructor.tileTypes = data.tileTypes;
+        }
+
+        Object.keys(data)
+            .filter(key => !MANAGED_FIELDS.includes(key))
+            .forEach(key => {
+                levelConstructor.extraFields[key] = data[key];
+            });
+
+        return levelConstructor;
+    }
+}
+
+export { LevelConstructor };
+export default LevelConstructor;
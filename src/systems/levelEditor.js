@@ -0,0 +1,377 @@
+// Level editor model
+// Holds the level being edited as a LevelConstructor and applies editor tools
+// to it with grid snapping and undo/redo. Rendering and input live in main.js;
+// this module has no DOM or Three.js dependencies so it can be tested in Node.
+
+import { LevelConstructor } from './levelConstructor.js';
+import { validateLevel } from './levelValidator.js';
+
+const EDITOR_TOOLS = {
+    grid: [
+        { id: 'playerStart', label: 'Start', icon: '🟢' },
+        { id: 'tile:broken', label: 'Broken Tile', icon: '🟫' },
+        { id: 'tile:obstacle', label: 'Obstacle Tile', icon: '⬛' },
+        { id: 'tile:goal', label: 'Goal Tile', icon: '🟩' },
+        { id: 'coin', label: 'Coin', icon: '🪙' },
+        { id: 'key', label: 'Key', icon: '🔑' },
+        { id: 'goal', label: 'Goal', icon: '🏁' },
+        { id: 'spikeTrap', label: 'Spikes', icon: '🔺' },
+        { id: 'teleporter', label: 'Teleporter Pair', icon: '🌀' },
+        { id: 'bouncingPlatform', label: 'Bounce Pad', icon: '⏫' },
+        { id: 'erase', label: 'Erase', icon: '🧽' }
+    ],
+    '3D': [
+        { id: 'playerStart', label: 'Start', icon: '🟢' },
+        { id: 'platform', label: 'Platform', icon: '▭' },
+        { id: 'coin', label: 'Coin', icon: '🪙' },
+        { id: 'key', label: 'Key', icon: '🔑' },
+        { id: 'goal', label: 'Goal', icon: '🏁' },
+        { id: 'timedSpike', label: 'Spikes', icon: '🔺' },
+        { id: 'bouncingPlatform', label: 'Bounce Pad', icon: '⏫' },
+        { id: 'pressurePlate', label: 'Pressure Plate', icon: '⏺️' },
+        { id: 'gravityPlane', label: 'Gravity Plane', icon: '🧲' },
+        { id: 'erase', label: 'Erase', icon: '🧽' }
+    ]
+};
+
+// Gravity plane normals; the plane's gravity is normal * gravity, so "down" is +Y
+const GRAVITY_DIRECTIONS = {
+    down: { x: 0, y: 1, z: 0 },
+    up: { x: 0, y: -1, z: 0 },
+    east: { x: -1, y: 0, z: 0 },
+    west: { x: 1, y: 0, z: 0 },
+    north: { x: 0, y: 0, z: 1 },
+    south: { x: 0, y: 0, z: -1 }
+};
+
+const PLATFORM_SIZES = {
+    small: { width: 2, height: 0.5, depth: 2 },
+    medium: { width: 4, height: 0.5, depth: 4 },
+    large: { width: 8, height: 0.5, depth: 8 }
+};
+
+// Only one of these may exist per level (the loader keeps the last one)
+const SINGLE_OBJECT_TYPES = ['key', 'goal'];
+
+const MAX_HISTORY = 100;
+const ERASE_RADIUS = 1.5;
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+class LevelEditor {
+    constructor(options = {}) {
+        this.tileSize = options.tileSize || 2;
+        // Board size the game lays grid cells out on (gameplay.gridSize)
+        this.boardSize = options.gridSize || 10;
+        this.snap = options.snap || 1;
+        this.platformSize = 'medium';
+        this.gravityDirection = 'up';
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingTeleporter = null;
+        this.reset(options.mode || 'grid', options.name || 'Custom Level');
+    }
+
+    get mode() {
+        return this.level.use3D ? '3D' : 'grid';
+    }
+
+    get tools() {
+        return EDITOR_TOOLS[this.mode];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Start an empty level; grid levels use the game's board size
+    reset(mode = this.mode, name = this.level ? this.level.name : 'Custom Level') {
+        const use3D = mode === '3D';
+        this.level = new LevelConstructor(name, use3D ? 20 : this.boardSize, { use3D, number: 1 });
+
+        if (use3D) {
+            this.level
+                .setPlayerStart({ x: 0, y: 0, z: 0 })
+                .addPlatform('floating', { x: 0, y: 0, z: 0 }, { ...PLATFORM_SIZES.large });
+        } else {
+            this.level.setPlayerStart({ x: 1, z: 1 });
+        }
+
+        this.pendingTeleporter = null;
+        return this;
+    }
+
+    // Replace the document with existing level JSON
+    load(levelData) {
+        this.level = LevelConstructor.fromJSON(levelData);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingTeleporter = null;
+        return this;
+    }
+
+    toLevelJSON() {
+        return JSON.parse(JSON.stringify(this.level.toJSON()));
+    }
+
+    validate(file = `${this.getFileName()}.json`) {
+        return validateLevel(this.toLevelJSON(), { file });
+    }
+
+    // File-safe version of the level name
+    getFileName() {
+        return this.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'custom-level';
+    }
+
+    setName(name) {
+        const trimmed = String(name).trim();
+        if (!trimmed || trimmed === this.level.name) return false;
+        return this.commit(() => {
+            this.level.name = trimmed;
+        });
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return false;
+        return this.commit(() => this.reset(mode));
+    }
+
+    // ============ SNAPPING ============
+
+    // World point to grid cell, or null outside the level's grid
+    worldToCell(point) {
+        const x = Math.floor(point.x / this.tileSize + this.boardSize / 2);
+        const z = Math.floor(point.z / this.tileSize + this.boardSize / 2);
+        if (x < 0 || z < 0 || x >= this.level.gridSize || z >= this.level.gridSize) {
+            return null;
+        }
+        return { x, z };
+    }
+
+    // Centre of a grid cell in world space (matches gridToWorld in main.js)
+    cellToWorld(cell) {
+        return {
+            x: (cell.x - this.boardSize / 2 + 0.5) * this.tileSize,
+            z: (cell.z - this.boardSize / 2 + 0.5) * this.tileSize
+        };
+    }
+
+    snapPosition(point) {
+        return {
+            x: roundTo(point.x, this.snap),
+            y: roundTo(point.y, this.snap),
+            z: roundTo(point.z, this.snap)
+        };
+    }
+
+    // Editor target for a world point: a cell on grid levels, a snapped position in 3D
+    getTarget(point) {
+        return this.mode === 'grid' ? this.worldToCell(point) : this.snapPosition(point);
+    }
+
+    // ============ HISTORY ============
+
+    snapshot() {
+        return JSON.stringify({ level: this.level.toJSON(), use3D: this.level.use3D });
+    }
+
+    restore(snapshot) {
+        const { level, use3D } = JSON.parse(snapshot);
+        this.level = LevelConstructor.fromJSON({ ...level, use3D });
+        this.pendingTeleporter = null;
+    }
+
+    // Run a change and record it for undo; the change returns false to cancel
+    commit(change) {
+        const before = this.snapshot();
+        const result = change();
+        if (result === false || this.snapshot() === before) {
+            return false;
+        }
+
+        this.undoStack.push(before);
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return true;
+    }
+
+    undo() {
+        if (!this.canUndo) return false;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo) return false;
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+        return true;
+    }
+
+    // ============ TOOLS ============
+
+    /**
+     * Apply a tool at a target from getTarget().
+     * @returns {string|false} 'placed', 'erased', 'pending' (first teleporter end), or false if nothing changed
+     */
+    apply(tool, target) {
+        if (!target) return false;
+
+        if (this.mode === 'grid') {
+            return this.applyGridTool(tool, target);
+        }
+        return this.apply3DTool(tool, target);
+    }
+
+    applyGridTool(tool, cell) {
+        if (tool === 'teleporter') {
+            return this.placeTeleporterEnd(cell);
+        }
+        this.pendingTeleporter = null;
+
+        if (tool === 'erase') {
+            return this.commit(() => {
+                this.removeGridObjectsAt(cell);
+                this.level.setTile(cell.x, cell.z, 'normal');
+            }) && 'erased';
+        }
+
+        if (tool === 'playerStart') {
+            return this.commit(() => {
+                this.level.setPlayerStart({ x: cell.x, z: cell.z });
+            }) && 'placed';
+        }
+
+        if (tool.startsWith('tile:')) {
+            const tileType = tool.slice('tile:'.length);
+            return this.commit(() => {
+                this.level.setTile(cell.x, cell.z, this.level.getTile(cell.x, cell.z) === tileType ? 'normal' : tileType);
+            }) && 'placed';
+        }
+
+        return this.commit(() => {
+            this.removeGridObjectsAt(cell);
+            if (SINGLE_OBJECT_TYPES.includes(tool)) {
+                this.level.objects = this.level.objects.filter(obj => obj.type !== tool);
+            }
+            this.level.addGridObject(tool, cell.x, cell.z);
+        }) && 'placed';
+    }
+
+    // First click marks one end, second click places both teleporters
+    placeTeleporterEnd(cell) {
+        const first = this.pendingTeleporter;
+        if (!first) {
+            this.pendingTeleporter = { x: cell.x, z: cell.z };
+            return 'pending';
+        }
+
+        this.pendingTeleporter = null;
+        if (first.x === cell.x && first.z === cell.z) {
+            return false;
+        }
+
+        const pairId = this.level.objects
+            .filter(obj => obj.type === 'teleporter')
+            .reduce((max, obj) => Math.max(max, Number(obj.pairId) || 0), 0) + 1;
+
+        return this.commit(() => {
+            this.removeGridObjectsAt(first);
+            this.removeGridObjectsAt(cell);
+            this.level
+                .addGridObject('teleporter', first.x, first.z, { pairId, destination: { x: cell.x, z: cell.z } })
+                .addGridObject('teleporter', cell.x, cell.z, { pairId, destination: { x: first.x, z: first.z } });
+        }) && 'placed';
+    }
+
+    // Remove everything on a cell; teleporters take their partner with them
+    removeGridObjectsAt(cell) {
+        const removed = this.level.objects.filter(obj => obj.x === cell.x && obj.z === cell.z);
+        const partnerIds = removed.filter(obj => obj.type === 'teleporter').map(obj => obj.pairId);
+
+        this.level.objects = this.level.objects.filter(obj =>
+            !removed.includes(obj) && !(obj.type === 'teleporter' && partnerIds.includes(obj.pairId))
+        );
+    }
+
+    apply3DTool(tool, position) {
+        this.pendingTeleporter = null;
+
+        switch (tool) {
+            case 'erase':
+                return this.commit(() => this.removeNearest(position)) && 'erased';
+            case 'playerStart':
+                return this.commit(() => {
+                    this.level.setPlayerStart({ ...position });
+                }) && 'placed';
+            case 'platform':
+                return this.commit(() => {
+                    const size = PLATFORM_SIZES[this.platformSize];
+                    // Place the top surface at the cursor height
+                    this.level.addPlatform('floating', { ...position, y: position.y - size.height / 2 }, { ...size });
+                }) && 'placed';
+            case 'gravityPlane':
+                return this.commit(() => {
+                    this.level.addGravityPlane({ ...position }, { ...GRAVITY_DIRECTIONS[this.gravityDirection] }, 1.0, 6);
+                }) && 'placed';
+            case 'timedSpike':
+                return this.commit(() => {
+                    this.level.addObject('timedSpike', { ...position }, {
+                        size: { width: 1, height: 0.8, depth: 1 },
+                        timing: { interval: 3000, duration: 1500, offset: 0 }
+                    });
+                }) && 'placed';
+            case 'pressurePlate':
+                return this.commit(() => {
+                    this.level.addObject('pressurePlate', { ...position }, {
+                        size: { width: 1, height: 0.1, depth: 1 },
+                        triggers: []
+                    });
+                }) && 'placed';
+            default:
+                return this.commit(() => {
+                    if (SINGLE_OBJECT_TYPES.includes(tool)) {
+                        this.level.objects = this.level.objects.filter(obj => obj.type !== tool);
+                    }
+                    this.level.addObject(tool, { ...position });
+                }) && 'placed';
+        }
+    }
+
+    // Remove the closest object, gravity plane or platform near a position
+    removeNearest(position) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+        const candidates = [
+            ...this.level.objects.map(item => ({ list: 'objects', item, distance: distance(item.position, position) })),
+            ...this.level.gravityPlanes.map(item => ({ list: 'gravityPlanes', item, distance: distance(item.position, position) })),
+            ...this.level.platforms.map(item => ({ list: 'platforms', item, distance: this.distanceToPlatform(item, position) }))
+        ].filter(candidate => candidate.distance <= ERASE_RADIUS);
+
+        if (candidates.length === 0) return false;
+
+        const nearest = candidates.reduce((best, candidate) => candidate.distance < best.distance ? candidate : best);
+        this.level[nearest.list] = this.level[nearest.list].filter(item => item !== nearest.item);
+        return true;
+    }
+
+    // Distance from a point to a platform's box (0 inside)
+    distanceToPlatform(platform, position) {
+        const { position: center, size } = platform;
+        const dx = Math.max(Math.abs(position.x - center.x) - size.width / 2, 0);
+        const dy = Math.max(Math.abs(position.y - center.y) - size.height / 2, 0);
+        const dz = Math.max(Math.abs(position.z - center.z) - size.depth / 2, 0);
+        return Math.hypot(dx, dy, dz);
+    }
+}
+
+export { LevelEditor, EDITOR_TOOLS, GRAVITY_DIRECTIONS, PLATFORM_SIZES };
+export default LevelEditor;
@@ -0,0 +1,248 @@
+// Seeded random level generator
+// Random levels come from a short seed (shown in the HUD), so a layout can be
+// shared, replayed and rebuilt by every client in a multiplayer room. Each
+// layout is checked by a reachability solver before it is used: a layout where
+// a coin, the key or the goal cannot be reached on foot is thrown away and the
+// next one from the same seed is tried. How many hazards of each kind a level
+// gets follows the difficulty curve below.
+
+const LEVEL_SEED_LENGTH = 6;
+const MAX_LEVEL_SEED_LENGTH = 12;
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up when sharing
+const MAX_GENERATION_ATTEMPTS = 50;
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Hazards per level: none before level `from`, then base + floor(level * perLevel), up to max.
+// Spikes, teleporters and bounce pads are there from the start; the rest come in one by one.
+const DIFFICULTY_CURVE = {
+    spikes: { from: 1, base: 3, perLevel: 1 / 2, max: 8 },
+    teleportPairs: { from: 1, base: 1, perLevel: 1 / 3, max: 3 },
+    bouncePads: { from: 1, base: 2, perLevel: 1 / 4, max: 5 },
+    brokenTiles: { from: 2, base: 0, perLevel: 1 / 2, max: 6 },
+    staticWalls: { from: 3, base: 1, perLevel: 1 / 3, max: 8 },
+    movingObstacles: { from: 4, base: 0, perLevel: 1 / 4, max: 3 },
+    timedSpikes: { from: 5, base: 0, perLevel: 1 / 4, max: 4 },
+    holes: { from: 6, base: 0, perLevel: 1 / 6, max: 3 }
+};
+
+// Every third level is a challenge level, with the hazards of a level this much further on
+const CHALLENGE_LEVEL_INTERVAL = 3;
+const CHALLENGE_LEVEL_BONUS = 2;
+
+// Moving obstacles slide back and forth over this many tiles past their start
+const MOVING_OBSTACLE_RANGE = { min: 2, max: 3 };
+
+// Fresh seed for a new random level
+function createLevelSeed(random = Math.random) {
+    let seed = '';
+    for (let i = 0; i < LEVEL_SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+// Seed as typed or sent by a player (upper-cased, letters and digits only), or null if it is not one
+function normalizeLevelSeed(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const seed = String(value).trim().toUpperCase();
+    return /^[A-Z0-9]+$/.test(seed) && seed.length <= MAX_LEVEL_SEED_LENGTH ? seed : null;
+}
+
+// Random number generator (0 to 1, like Math.random) that always gives the same
+// sequence for the same seed: the seed is hashed (FNV-1a) into mulberry32's state
+function createSeededRandom(seed) {
+    let state = 2166136261;
+    for (const character of String(seed)) {
+        state = Math.imul(state ^ character.charCodeAt(0), 16777619);
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Coins on a random level; two more each level up to 25
+function getRandomLevelCoinCount(levelNumber) {
+    return Math.min(15 + (levelNumber - 1) * 2, 25);
+}
+
+function isChallengeLevel(levelNumber) {
+    return levelNumber % CHALLENGE_LEVEL_INTERVAL === 0;
+}
+
+// How many of each hazard a random level gets ({ challenge, spikes, teleportPairs, ... })
+function getDifficulty(levelNumber) {
+    const challenge = isChallengeLevel(levelNumber);
+    const effectiveLevel = levelNumber + (challenge ? CHALLENGE_LEVEL_BONUS : 0);
+
+    const difficulty = { challenge };
+    Object.entries(DIFFICULTY_CURVE).forEach(([hazard, { from, base, perLevel, max }]) => {
+        difficulty[hazard] = effectiveLevel < from ? 0 : Math.min(base + Math.floor(effectiveLevel * perLevel), max);
+    });
+    return difficulty;
+}
+
+// Layout of a random level on a gridSize x gridSize floor. Every position is a
+// grid tile ({ x, z }); no two things share a tile, and nothing sits on a moving
+// obstacle's track. Returns { seed, challenge, start, goal, key, coins, spikes,
+// teleporters (pairs), bouncePads, brokenTiles, staticWalls, movingObstacles
+// ({ x, z, endX, endZ, speed }), timedSpikes ({ x, z, offset }), holes, attempts }.
+function generateLevelLayout({ seed, levelNumber = 1, coinCount = 15, gridSize = 10, start = null }) {
+    const random = createSeededRandom(seed);
+    const difficulty = getDifficulty(levelNumber);
+    const startTile = start || { x: Math.floor(gridSize / 2), z: Math.floor(gridSize / 2) };
+    const goal = { x: gridSize - 1, z: gridSize - 1 }; // Opposite corner from the start
+
+    let layout = null;
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+        const freeTiles = shuffle(getFreeTiles(gridSize, [startTile, goal]), random);
+        const take = (count) => freeTiles.splice(0, Math.min(count, freeTiles.length));
+
+        // Tracks first, while there is room for them
+        const movingObstacles = takeTracks(freeTiles, difficulty.movingObstacles, random);
+
+        layout = {
+            seed,
+            challenge: difficulty.challenge,
+            start: startTile,
+            goal,
+            movingObstacles,
+            key: take(1)[0],
+            coins: take(coinCount),
+            spikes: take(difficulty.spikes),
+            teleporters: pairUp(take(difficulty.teleportPairs * 2)),
+            bouncePads: take(difficulty.bouncePads),
+            brokenTiles: take(difficulty.brokenTiles),
+            staticWalls: take(difficulty.staticWalls),
+            timedSpikes: take(difficulty.timedSpikes).map(tile => ({ ...tile, offset: Math.floor(random() * 2000) })),
+            holes: take(difficulty.holes),
+            attempts: attempt
+        };
+
+        if (findUnreachableItems(layout, gridSize).length === 0) return layout;
+    }
+
+    // Out of luck: with nothing in the way and no teleporters every tile can be walked to
+    return { ...layout, spikes: [], teleporters: [], brokenTiles: [], staticWalls: [], holes: [] };
+}
+
+// Required items (coins, the key and the goal) that cannot be reached from the
+// start by rolling from tile to tile. Spikes, broken tiles, walls and holes cannot
+// be crossed, stepping on a teleporter lands on its partner, and bounce pads,
+// timed spikes and moving obstacles' tracks can be crossed with some timing.
+// Returns [{ type: 'coin' | 'key' | 'goal', x, z }].
+function findUnreachableItems(layout, gridSize) {
+    const tileKey = (tile) => `${tile.x},${tile.z}`;
+    const blocked = new Set([
+        ...layout.spikes,
+        ...(layout.brokenTiles || []),
+        ...(layout.staticWalls || []),
+        ...(layout.holes || [])
+    ].map(tileKey));
+    const partners = new Map();
+    layout.teleporters.forEach(([a, b]) => {
+        partners.set(tileKey(a), b);
+        partners.set(tileKey(b), a);
+    });
+
+    const reached = new Set([tileKey(layout.start)]);
+    const queue = [layout.start];
+    while (queue.length > 0) {
+        const tile = queue.shift();
+        NEIGHBOURS.forEach(([dx, dz]) => {
+            const next = { x: tile.x + dx, z: tile.z + dz };
+            if (next.x < 0 || next.z < 0 || next.x >= gridSize || next.z >= gridSize || blocked.has(tileKey(next))) return;
+
+            const landing = partners.get(tileKey(next)) || next;
+            if (!reached.has(tileKey(landing))) {
+                reached.add(tileKey(landing));
+                queue.push(landing);
+            }
+        });
+    }
+
+    const required = [
+        ...layout.coins.map(coin => ({ type: 'coin', ...coin })),
+        ...(layout.key ? [{ type: 'key', ...layout.key }] : []),
+        { type: 'goal', ...layout.goal }
+    ];
+    return required.filter(item => !reached.has(tileKey(item)));
+}
+
+function getFreeTiles(gridSize, occupied) {
+    const tiles = [];
+    for (let x = 0; x < gridSize; x++) {
+        for (let z = 0; z < gridSize; z++) {
+            if (!occupied.some(tile => tile.x === x && tile.z === z)) {
+                tiles.push({ x, z });
+            }
+        }
+    }
+    return tiles;
+}
+
+// Fisher-Yates shuffle in place
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Straight tracks for moving obstacles, taken out of the free tiles
+function takeTracks(freeTiles, count, random) {
+    const tracks = [];
+    for (let i = 0; i < freeTiles.length && tracks.length < count; i++) {
+        const [dx, dz] = NEIGHBOURS[Math.floor(random() * NEIGHBOURS.length)];
+        const length = MOVING_OBSTACLE_RANGE.min + Math.floor(random() * (MOVING_OBSTACLE_RANGE.max - MOVING_OBSTACLE_RANGE.min + 1));
+        const start = freeTiles[i];
+
+        const indexes = [];
+        for (let step = 0; step <= length; step++) {
+            const index = freeTiles.findIndex(tile => tile.x === start.x + dx * step && tile.z === start.z + dz * step);
+            if (index === -1) break;
+            indexes.push(index);
+        }
+        if (indexes.length !== length + 1) continue;
+
+        tracks.push({
+            x: start.x,
+            z: start.z,
+            endX: start.x + dx * length,
+            endZ: start.z + dz * length,
+            speed: 1 + Math.floor(random() * 2)
+        });
+        indexes.sort((a, b) => b - a).forEach(index => freeTiles.splice(index, 1));
+        i = -1; // The list changed under us; look again from the start
+    }
+    return tracks;
+}
+
+function pairUp(tiles) {
+    const pairs = [];
+    for (let i = 0; i + 1 < tiles.length; i += 2) {
+        pairs.push([tiles[i], tiles[i + 1]]);
+    }
+    return pairs;
+}
+
+export {
+    LEVEL_SEED_LENGTH,
+    MAX_LEVEL_SEED_LENGTH,
+    MAX_GENERATION_ATTEMPTS,
+    DIFFICULTY_CURVE,
+    createLevelSeed,
+    normalizeLevelSeed,
+    createSeededRandom,
+    getRandomLevelCoinCount,
+    isChallengeLevel,
+    getDifficulty,
+    generateLevelLayout,
+    findUnreachableItems
+};
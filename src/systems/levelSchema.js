@@ -0,0 +1,483 @@
+// JSON Schema (draft-07) for levels.json
+// levels.json is an array of levels. Grid levels place objects on tile
+// coordinates ({ x, z }); 3D levels ("use3D": true) use world positions and
+// platforms. Semantic checks that a schema cannot express (grid bounds,
+// teleporter pairs, key/goal presence) live in levelValidator.js. A level's
+// underworld is a level of its own (see underworld.js), with underworld exits
+// added to its object types. Level triggers (see triggers.js) target doors,
+// pressure plates and platforms by their `id`.
+
+import { WEATHER_TYPE_NAMES } from './environmentThemes.js';
+import { TRIGGER_CONDITION_TYPES, TRIGGER_MODES, TRIGGER_ACTION_VERBS, TRIGGER_ACTION_TYPES } from './triggers.js';
+
+const GRID_OBJECT_TYPES = [
+    'coin', 'key', 'goal', 'spikeTrap', 'teleporter', 'bouncingPlatform',
+    'brokenTile', 'staticWall', 'movingObstacle', 'hole', 'door', 'pressurePlate'
+];
+
+const OBJECT_3D_TYPES = [
+    'coin', 'key', 'goal', 'disappearingTile', 'pressurePlate', 'timedSpike',
+    'movingSpike', 'gravityChanger', 'bouncingPlatform', 'door'
+];
+
+const PLATFORM_TYPES = ['floating', 'angled', 'curved', 'spiral', 'moving'];
+
+// Objects that only make sense below the surface
+const UNDERWORLD_OBJECT_TYPES = ['underworldExit'];
+
+// Camera presets a level can start with (cameraSystem.presets in main.js)
+const CAMERA_PRESET_NAMES = ['default', 'front', 'top', 'side'];
+
+// normal: walkable, broken: breaks when stepped on and respawns the player,
+// obstacle: blocks movement, goal: completes the level (requires the key)
+const TILE_TYPES = ['normal', 'broken', 'obstacle', 'goal'];
+
+// Grid object definition allowing `types`
+function gridObjectSchema(types) {
+    return {
+        type: 'object',
+        required: ['type', 'x', 'z'],
+        properties: {
+            type: { enum: types },
+            x: { $ref: '#/definitions/gridCoordinate' },
+            z: { $ref: '#/definitions/gridCoordinate' },
+            // Doors and pressure plates: name for triggers to refer to
+            id: { type: 'string', minLength: 1 },
+            open: { type: 'boolean' },
+            triggers: { type: 'array', items: { $ref: '#/definitions/triggerAction' } },
+            pairId: { type: ['integer', 'string'] },
+            // Teleporters: their partner's cell; underworld exits: where they come out on the layer above
+            destination: { $ref: '#/definitions/gridDestination' },
+            height: { type: 'number', exclusiveMinimum: 0 },
+            endX: { $ref: '#/definitions/gridCoordinate' },
+            endZ: { $ref: '#/definitions/gridCoordinate' },
+            speed: { type: 'number', exclusiveMinimum: 0 }
+        },
+        allOf: [
+            {
+                if: { properties: { type: { const: 'teleporter' } } },
+                then: { required: ['pairId', 'destination'] }
+            },
+            {
+                if: { properties: { type: { const: 'movingObstacle' } } },
+                then: { required: ['endX', 'endZ'] }
+            },
+            {
+                if: { properties: { type: { const: 'door' } } },
+                then: { required: ['id'] }
+            }
+        ]
+    };
+}
+
+// 3D object definition allowing `types`
+function object3DSchema(types) {
+    return {
+        type: 'object',
+        required: ['type', 'position'],
+        properties: {
+            type: { enum: types },
+            position: { $ref: '#/definitions/vector3' },
+            size: { $ref: '#/definitions/size' },
+            // Doors and pressure plates: name for triggers to refer to
+            id: { type: 'string', minLength: 1 },
+            open: { type: 'boolean' },
+            delay: { type: 'number', minimum: 0 },
+            duration: { type: 'number', minimum: 0 },
+            triggers: { type: 'array', items: { $ref: '#/definitions/triggerAction' } },
+            timing: {
+                type: 'object',
+                properties: {
+                    interval: { type: 'number', exclusiveMinimum: 0 },
+                    duration: { type: 'number', minimum: 0 },
+                    offset: { type: 'number', minimum: 0 }
+                }
+            },
+            movement: { $ref: '#/definitions/movement' },
+            newGravity: { $ref: '#/definitions/vector3' },
+            // Underworld exits: where they come out on the layer above
+            destination: { $ref: '#/definitions/startPosition3D' }
+        },
+        allOf: [
+            { if: { properties: { type: { const: 'movingSpike' } } }, then: { required: ['movement'] } },
+            { if: { properties: { type: { const: 'gravityChanger' } } }, then: { required: ['newGravity'] } },
+            { if: { properties: { type: { const: 'door' } } }, then: { required: ['id'] } }
+        ]
+    };
+}
+
+// Level (or underworld layer) definition with the `required` properties, placing
+// grid and 3D objects with the named object definitions
+function layerSchema(required, gridObject, object3D) {
+    return {
+        type: 'object',
+        required,
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            number: { type: 'integer', minimum: 1 },
+            gridSize: { type: 'integer', minimum: 1 },
+            requireAllCoins: { type: 'boolean' },
+            use3D: { type: 'boolean' },
+            hasUnderworld: { type: 'boolean' },
+            hasInvertedWorld: { type: 'boolean' },
+            isJungle: { type: 'boolean' },
+            environment: { $ref: '#/definitions/environment' },
+            // Multiplies physics.gravity from config.json while on this level
+            gravityScale: { type: 'number', exclusiveMinimum: 0 },
+            camera: {
+                type: 'object',
+                properties: {
+                    preset: { enum: CAMERA_PRESET_NAMES }
+                }
+            },
+            // "auto" for a checkerboard, otherwise use tileTypes
+            tiles: {
+                type: ['string', 'array'],
+                if: { type: 'string' },
+                then: { const: 'auto' }
+            },
+            tileTypes: {
+                type: 'array',
+                items: {
+                    type: 'array',
+                    items: { enum: [...TILE_TYPES, null] }
+                }
+            },
+            underworld: { $ref: '#/definitions/underworld' },
+            triggers: { type: 'array', items: { $ref: '#/definitions/levelTrigger' } },
+            platforms: { type: 'array', items: { $ref: '#/definitions/platform' } },
+            gravityPlanes: { type: 'array', items: { $ref: '#/definitions/gravityPlane' } },
+            safeSpawnPoints: { type: 'array', items: { $ref: '#/definitions/safeSpawnPoint' } },
+            bounds: { $ref: '#/definitions/bounds' }
+        },
+        // Grid and 3D levels place things differently
+        if: { properties: { use3D: { const: true } }, required: ['use3D'] },
+        then: {
+            required: ['platforms'],
+            properties: {
+                playerStart: { $ref: '#/definitions/startPosition3D' },
+                objects: { type: 'array', items: { $ref: `#/definitions/${object3D}` } }
+            }
+        },
+        else: {
+            properties: {
+                playerStart: { $ref: '#/definitions/gridPosition' },
+                objects: { type: 'array', items: { $ref: `#/definitions/${gridObject}` } }
+            }
+        }
+    };
+}
+
+// Trigger conditions and actions of `type` also match `then`
+function whenType(type, then) {
+    return { if: { properties: { type: { const: type } }, required: ['type'] }, then };
+}
+
+const levelSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'levels.schema.json',
+    title: 'Levels',
+    description: 'Level list loaded from levels.json',
+    type: 'array',
+    items: { $ref: '#/definitions/level' },
+
+    definitions: {
+        gridCoordinate: { type: 'integer', minimum: 0 },
+
+        gridPosition: {
+            type: 'object',
+            required: ['x', 'z'],
+            properties: {
+                x: { $ref: '#/definitions/gridCoordinate' },
+                z: { $ref: '#/definitions/gridCoordinate' }
+            }
+        },
+
+        // Teleporter destinations accept { x, z } or { gridX, gridZ }
+        gridDestination: {
+            type: 'object',
+            properties: {
+                x: { $ref: '#/definitions/gridCoordinate' },
+                z: { $ref: '#/definitions/gridCoordinate' },
+                gridX: { $ref: '#/definitions/gridCoordinate' },
+                gridZ: { $ref: '#/definitions/gridCoordinate' }
+            },
+            anyOf: [
+                { required: ['x', 'z'] },
+                { required: ['gridX', 'gridZ'] }
+            ]
+        },
+
+        vector3: {
+            type: 'object',
+            required: ['x', 'y', 'z'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+
+        // 3D player start; y defaults to 0
+        startPosition3D: {
+            type: 'object',
+            required: ['x', 'z'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+
+        size: {
+            type: 'object',
+            required: ['width', 'height', 'depth'],
+            properties: {
+                width: { type: 'number', exclusiveMinimum: 0 },
+                height: { type: 'number', exclusiveMinimum: 0 },
+                depth: { type: 'number', exclusiveMinimum: 0 }
+            }
+        },
+
+        movement: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: ['linear', 'circular', 'oscillate'] },
+                path: { type: 'array', minItems: 2, items: { $ref: '#/definitions/vector3' } },
+                speed: { type: 'number', exclusiveMinimum: 0 },
+                loop: { type: 'boolean' },
+                center: { $ref: '#/definitions/vector3' },
+                radius: { type: 'number', exclusiveMinimum: 0 },
+                axis: { enum: ['x', 'y', 'z'] },
+                amplitude: { type: 'number', exclusiveMinimum: 0 },
+                frequency: { type: 'number', exclusiveMinimum: 0 }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'linear' } } }, then: { required: ['path'] } },
+                { if: { properties: { type: { const: 'circular' } } }, then: { required: ['center'] } },
+                { if: { properties: { type: { const: 'oscillate' } } }, then: { required: ['amplitude', 'frequency'] } }
+            ]
+        },
+
+        gridObject: gridObjectSchema(GRID_OBJECT_TYPES),
+        underworldGridObject: gridObjectSchema([...GRID_OBJECT_TYPES, ...UNDERWORLD_OBJECT_TYPES]),
+
+        // A level below a level; name, playerStart and objects are optional
+        underworld: layerSchema([], 'underworldGridObject', 'underworldObject3D'),
+
+        platform: {
+            type: 'object',
+            required: ['type', 'position', 'size'],
+            properties: {
+                type: { enum: PLATFORM_TYPES },
+                // Name for triggers to refer to (defaults to "<type>_<n>"); inactive
+                // platforms are hidden and not solid until a trigger activates them
+                id: { type: 'string', minLength: 1 },
+                active: { type: 'boolean' },
+                position: { $ref: '#/definitions/vector3' },
+                size: { $ref: '#/definitions/size' },
+                material: { type: 'string' },
+                surfaces: { type: 'array', items: { type: 'string' } },
+                rotation: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number' },
+                        y: { type: 'number' },
+                        z: { type: 'number' }
+                    }
+                },
+                curvature: { type: 'number' },
+                spiral: {
+                    type: 'object',
+                    properties: {
+                        turns: { type: 'number', exclusiveMinimum: 0 },
+                        segments: { type: 'integer', minimum: 1 },
+                        innerRadius: { type: 'number', minimum: 0 },
+                        outerRadius: { type: 'number', exclusiveMinimum: 0 }
+                    }
+                },
+                movement: { $ref: '#/definitions/movement' }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'moving' } } }, then: { required: ['movement'] } }
+            ]
+        },
+
+        // A rule that fires actions when its condition comes true (see triggers.js)
+        levelTrigger: {
+            type: 'object',
+            required: ['when', 'actions'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                when: { $ref: '#/definitions/triggerCondition' },
+                mode: { enum: TRIGGER_MODES },
+                actions: { type: 'array', minItems: 1, items: { $ref: '#/definitions/triggerAction' } }
+            }
+        },
+
+        // One of TRIGGER_CONDITION_TYPES, or all (AND) / any (OR) of a list of conditions
+        triggerCondition: {
+            type: 'object',
+            properties: {
+                type: { enum: TRIGGER_CONDITION_TYPES },
+                target: { type: 'string', minLength: 1 },
+                count: { type: 'integer', minimum: 1 },
+                after: { type: 'number', minimum: 0 },
+                // Zone corners: grid cells on grid levels, world positions on 3D ones
+                from: { $ref: '#/definitions/startPosition3D' },
+                to: { $ref: '#/definitions/startPosition3D' },
+                all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/triggerCondition' } },
+                any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/triggerCondition' } }
+            },
+            anyOf: [
+                { required: ['type'] },
+                { required: ['all'] },
+                { required: ['any'] }
+            ],
+            allOf: [
+                whenType('pressurePlate', { required: ['target'] }),
+                whenType('coins', { required: ['count'] }),
+                whenType('timer', { required: ['after'] }),
+                whenType('zone', { required: ['from', 'to'] })
+            ]
+        },
+
+        // Something a trigger or pressure plate does, after `delay` milliseconds
+        triggerAction: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: TRIGGER_ACTION_TYPES },
+                target: { type: 'string', minLength: 1 },
+                action: { type: 'string' },
+                delay: { type: 'number', minimum: 0 },
+                direction: { $ref: '#/definitions/vector3' },
+                // Spawn: a level object, checked against the level's object types by the validator
+                object: { type: 'object', required: ['type'] },
+                text: { type: 'string', minLength: 1 },
+                color: { type: 'string' },
+                duration: { type: 'number', exclusiveMinimum: 0 },
+                name: { type: 'string', minLength: 1 },
+                actions: { type: 'array', minItems: 1, items: { $ref: '#/definitions/triggerAction' } }
+            },
+            allOf: [
+                ...Object.entries(TRIGGER_ACTION_VERBS).map(([type, verbs]) => whenType(type, {
+                    required: type === 'gravity' ? [] : ['target'],
+                    properties: { action: { enum: verbs } }
+                })),
+                {
+                    if: { properties: { type: { const: 'gravity' }, action: { const: 'set' } }, required: ['type', 'action'] },
+                    then: { required: ['direction'] }
+                },
+                whenType('spawn', { required: ['object'] }),
+                whenType('message', { required: ['text'] }),
+                whenType('sound', { required: ['name'] }),
+                whenType('sequence', { required: ['actions'] })
+            ]
+        },
+
+        object3D: object3DSchema(OBJECT_3D_TYPES),
+        underworldObject3D: object3DSchema([...OBJECT_3D_TYPES, ...UNDERWORLD_OBJECT_TYPES]),
+
+        gravityPlane: {
+            type: 'object',
+            required: ['position', 'normal'],
+            properties: {
+                position: { $ref: '#/definitions/vector3' },
+                normal: { $ref: '#/definitions/vector3' },
+                strength: { type: 'number', minimum: 0 },
+                radius: { type: 'number', exclusiveMinimum: 0 }
+            }
+        },
+
+        safeSpawnPoint: {
+            type: 'object',
+            required: ['position'],
+            properties: {
+                position: { $ref: '#/definitions/vector3' },
+                name: { type: 'string' },
+                id: { type: 'string' }
+            }
+        },
+
+        // 0xRRGGBB as a number, or a "#rgb" / "#rrggbb" string
+        color: {
+            type: ['integer', 'string'],
+            if: { type: 'string' },
+            then: { pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$' },
+            else: { minimum: 0, maximum: 0xffffff }
+        },
+
+        light: {
+            type: 'object',
+            properties: {
+                color: { $ref: '#/definitions/color' },
+                intensity: { type: 'number', minimum: 0 }
+            }
+        },
+
+        // Look of a level; anything left out comes from the preset (see environmentThemes.js)
+        environment: {
+            type: 'object',
+            properties: {
+                preset: { type: 'string', minLength: 1 },
+                // Gradient from top through horizon to bottom, with optional procedural stars and clouds
+                sky: {
+                    type: 'object',
+                    properties: {
+                        top: { $ref: '#/definitions/color' },
+                        horizon: { $ref: '#/definitions/color' },
+                        bottom: { $ref: '#/definitions/color' },
+                        stars: { type: 'number', minimum: 0, maximum: 1 },
+                        clouds: { type: 'number', minimum: 0, maximum: 1 }
+                    }
+                },
+                // null turns the preset's fog off
+                fog: {
+                    type: ['object', 'null'],
+                    properties: {
+                        color: { $ref: '#/definitions/color' },
+                        near: { type: 'number', minimum: 0 },
+                        far: { type: 'number', exclusiveMinimum: 0 }
+                    }
+                },
+                ambient: { $ref: '#/definitions/light' },
+                directional: { $ref: '#/definitions/light' },
+                // Checkerboard floor colors
+                tiles: {
+                    type: 'object',
+                    properties: {
+                        light: { $ref: '#/definitions/color' },
+                        dark: { $ref: '#/definitions/color' }
+                    }
+                },
+                weather: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: {
+                        type: { enum: WEATHER_TYPE_NAMES },
+                        density: { type: 'number', minimum: 0, maximum: 1 }
+                    }
+                }
+            }
+        },
+
+        bounds: {
+            type: 'object',
+            properties: {
+                minX: { type: 'number' },
+                maxX: { type: 'number' },
+                minY: { type: 'number' },
+                maxY: { type: 'number' },
+                minZ: { type: 'number' },
+                maxZ: { type: 'number' }
+            }
+        },
+
+        level: layerSchema(['name', 'playerStart', 'objects'], 'gridObject', 'object3D')
+    }
+};
+
+export { levelSchema, GRID_OBJECT_TYPES, OBJECT_3D_TYPES, UNDERWORLD_OBJECT_TYPES, PLATFORM_TYPES, TILE_TYPES, CAMERA_PRESET_NAMES };
+export default levelSchema;
@@ -0,0 +1,707 @@
+import * as THREE from 'three';
+import { completesOnKeyPickup, getCompletionBlocker } from './gameRules.js';
+import { updateTimers, moveBall, findGround, dampenGroundedVelocity } from './ballPhysics.js';
+import { StepTimers } from './stepTimers.js';
+
+// Headless level simulation
+// Runs a level from levels.json with the game's ball physics (ballPhysics.js)
+// at a fixed timestep, driven by a scripted input timeline. Only Three.js math is used
+// (meshes + raycasting, no renderer), so it runs under Node without WebGL.
+
+// Physics fallbacks (same defaults as updatePhysicsConfig in main.js)
+const DEFAULT_PHYSICS = {
+    gravity: -12.0,
+    playerRadius: 0.5,
+    groundFriction: 0.92,
+    airFriction: 0.995,
+    acceleration: 15,
+    maxVelocity: 10,
+    jumpForce: 8.5,
+    rollingFriction: 0.008,
+    coyoteTime: 0.15,
+    jumpBufferTime: 0.1,
+    fallMultiplier: 1.8,
+    lowJumpMultiplier: 2.2,
+    terminalVelocity: 15,
+    momentumPreservation: 0.75,
+    precisionThreshold: 0.05,
+    fallThreshold: -20,
+    velocityThreshold: -5,
+    collisionRayCount: 5,
+    collisionRaySpread: 0.3,
+    groundCheckDistance: 1.0,
+    surfaceSnapDistance: 0.1,
+    collisionDistance: 0.8,
+    teleportDistance: 0.7,
+    trapDistance: 0.6
+};
+
+// Input names accepted in scripts (same as playerState.inputState)
+const INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'jump'];
+
+// Movement uses world axes, as the isometric camera does
+const WORLD_DIRECTIONS = {
+    cameraDirection: new THREE.Vector3(0, 0, -1),
+    rightDirection: new THREE.Vector3(1, 0, 0)
+};
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Read a dotted path from a config object (mirrors getConfigValue)
+function getValue(config, path, fallback) {
+    let value = config;
+    for (const key of path.split('.')) {
+        if (value === null || typeof value !== 'object' || !(key in value)) {
+            return fallback;
+        }
+        value = value[key];
+    }
+    return typeof value === 'number' && isFinite(value) ? value : fallback;
+}
+
+// Build the physics settings the game would use for a config.json object
+function createPhysicsConfig(config = {}) {
+    const physics = {};
+    Object.keys(DEFAULT_PHYSICS).forEach(key => {
+        physics[key] = getValue(config, `physics.${key}`, DEFAULT_PHYSICS[key]);
+    });
+    return physics;
+}
+
+// Turn an input script into timed segments
+// Accepts either an array of segments or { inputs: [...] }. Each segment is
+// { duration: seconds, forward, backward, left, right, jump } and holds those
+// keys for its duration; omitted keys are released.
+function normalizeInputScript(script) {
+    const segments = Array.isArray(script) ? script : (script && script.inputs) || [];
+    let startTime = 0;
+
+    return segments.map((segment, index) => {
+        const duration = Number(segment.duration);
+        if (!isFinite(duration) || duration < 0) {
+            throw new Error(`Input segment ${index} has an invalid duration: ${segment.duration}`);
+        }
+
+        const input = {};
+        INPUT_KEYS.forEach(key => {
+            input[key] = Boolean(segment[key]);
+        });
+
+        const normalized = { startTime, endTime: startTime + duration, input };
+        startTime += duration;
+        return normalized;
+    });
+}
+
+class LevelSimulation {
+    constructor(level, options = {}) {
+        if (!level || typeof level !== 'object') {
+            throw new Error('LevelSimulation requires a level object');
+        }
+
+        this.level = level;
+        this.levelIndex = options.levelIndex !== undefined ? options.levelIndex : null;
+        this.config = options.config || {};
+        this.physics = createPhysicsConfig(this.config);
+        this.tileSize = getValue(this.config, 'gameplay.tileSize', 2);
+        this.gridSize = getValue(this.config, 'gameplay.gridSize', 10);
+        this.maxLives = getValue(this.config, 'gameplay.maxLives', 3);
+        this.bounceHeight = getValue(this.config, 'gameplay.bounceHeight', 4);
+        this.timeStep = options.timeStep || 1 / 60;
+        this.raycaster = new THREE.Raycaster();
+        this.gravity = new THREE.Vector3(0, this.physics.gravity, 0);
+
+        this.reset();
+    }
+
+    // Rebuild the level and put the player back at the start
+    reset() {
+        this.frame = 0;
+        this.time = 0;
+        this.events = [];
+        this.warnings = [];
+        this.surfaces = [];
+        this.movingPlatforms = [];
+        this.coins = [];
+        this.key = null;
+        this.goal = null;
+        this.spikeTraps = [];
+        this.holes = [];
+        this.teleporters = [];
+        this.bouncePads = [];
+        this.tileTypes = null;
+        this.brokenTiles = new Set();
+        this.timers = new StepTimers(() => this.time * 1000);
+        this.outcome = null;
+
+        this.score = {
+            coins: 0,
+            requiredCoins: 0,
+            hasKey: false,
+            levelComplete: false,
+            lives: this.maxLives,
+            deaths: 0,
+            completionTime: null
+        };
+
+        this.player = {
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            acceleration: new THREE.Vector3(),
+            isGrounded: false,
+            canJump: false,
+            isJumping: false,
+            jumpRequested: false,
+            jumpBufferTimer: 0,
+            coyoteTimer: 0,
+            groundDistance: Infinity,
+            airTime: 0
+        };
+        this.input = {};
+        INPUT_KEYS.forEach(key => {
+            this.input[key] = false;
+        });
+        this.activeTeleporter = null;
+        this.activeBouncePad = null;
+
+        this.loadLevel();
+    }
+
+    // Convert grid coordinates to world position (mirrors gridToWorld in main.js)
+    gridToWorld(gridX, gridZ) {
+        return new THREE.Vector3(
+            (gridX - this.gridSize / 2 + 0.5) * this.tileSize,
+            0.55,
+            (gridZ - this.gridSize / 2 + 0.5) * this.tileSize
+        );
+    }
+
+    // Create level geometry and objects from the level definition
+    loadLevel() {
+        const level = this.level;
+
+        // Ground plane (same as initializePhysics)
+        const ground = new THREE.Mesh(new THREE.PlaneGeometry(100, 100));
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.y = -0.1;
+        this.addSurface(ground);
+
+        if (level.requireAllCoins && Array.isArray(level.objects)) {
+            this.score.requiredCoins = level.objects.filter(obj => obj.type === 'coin').length;
+        }
+
+        if (level.use3D) {
+            (level.platforms || []).forEach(platform => this.createPlatform(platform));
+            (level.objects || []).forEach(obj => this.create3DObject(obj));
+
+            const start = level.playerStart || { x: 5, y: 0, z: 5 };
+            this.startPosition = new THREE.Vector3(start.x, (start.y || 0) + 1, start.z);
+        } else {
+            this.loadTileTypes(level);
+            (level.objects || []).forEach(obj => this.createGridObject(obj));
+
+            const start = level.playerStart || { x: 0, z: 0 };
+            this.startPosition = this.gridToWorld(start.x, start.z);
+        }
+
+        if (Array.isArray(level.triggers) && level.triggers.length > 0) {
+            this.warnings.push('Level triggers are not simulated');
+        }
+
+        this.placePlayer(this.startPosition);
+    }
+
+    // Keep the tileTypes grid of a grid level (mirrors loadTilesFromTypes).
+    // Broken and goal tiles act in checkTypedTiles; the floor itself stays
+    // the ground plane, as in the game.
+    loadTileTypes(level) {
+        if (level.tiles === 'auto' || !Array.isArray(level.tileTypes) || level.tileTypes.length === 0) {
+            return;
+        }
+        this.tileTypes = level.tileTypes;
+    }
+
+    // Tile type under a grid cell (mirrors getTileType)
+    getTileType(gridX, gridZ) {
+        const row = this.tileTypes && this.tileTypes[gridZ];
+        return (Array.isArray(row) && row[gridX]) || 'normal';
+    }
+
+    addSurface(mesh) {
+        mesh.updateMatrixWorld(true);
+        this.surfaces.push(mesh);
+        return mesh;
+    }
+
+    // Create a 3D platform (mirrors create3DPlatform)
+    createPlatform(config) {
+        if (!config.position || !config.size) {
+            this.warnings.push(`Platform without position/size skipped (type: ${config.type})`);
+            return;
+        }
+
+        if (!['floating', 'angled', 'moving'].includes(config.type)) {
+            this.warnings.push(`Platform type "${config.type}" is simulated as a floating box`);
+        }
+
+        const geometry = new THREE.BoxGeometry(config.size.width, config.size.height, config.size.depth);
+        const platform = new THREE.Mesh(geometry);
+        platform.position.set(config.position.x, config.position.y, config.position.z);
+
+        if (config.type === 'angled' && config.rotation) {
+            platform.rotation.set(
+                THREE.MathUtils.degToRad(config.rotation.x || 0),
+                THREE.MathUtils.degToRad(config.rotation.y || 0),
+                THREE.MathUtils.degToRad(config.rotation.z || 0)
+            );
+        }
+
+        if (config.type === 'moving' && config.movement) {
+            platform.userData = {
+                movement: config.movement,
+                pathIndex: 0,
+                pathProgress: 0,
+                isMoving: true
+            };
+            this.movingPlatforms.push(platform);
+        }
+
+        this.addSurface(platform);
+    }
+
+    // Create an object from a 3D level (mirrors create3DLevelObject)
+    create3DObject(obj) {
+        const position = obj.position || { x: obj.x || 0, y: obj.y || 0, z: obj.z || 0 };
+        const worldPosition = new THREE.Vector3(position.x, position.y, position.z);
+
+        switch (obj.type) {
+            case 'coin':
+                this.coins.push({ id: `coin_${this.coins.length}`, position: worldPosition, is3D: true });
+                break;
+            case 'key':
+                this.key = { id: `key_${position.x}_${position.y}_${position.z}`, position: worldPosition };
+                break;
+            case 'goal':
+                this.goal = { position: worldPosition };
+                break;
+            case 'bouncingPlatform':
+                this.bouncePads.push({ position: worldPosition.add(new THREE.Vector3(0, 0.4, 0)) });
+                break;
+            case 'timedSpike':
+            case 'movingSpike':
+                this.spikeTraps.push({ position: worldPosition });
+                if (obj.type === 'movingSpike') {
+                    this.warnings.push('movingSpike is simulated as a static spike');
+                } else {
+                    this.warnings.push('timedSpike is simulated as always extended');
+                }
+                break;
+            default:
+                this.warnings.push(`3D object type "${obj.type}" is not simulated`);
+        }
+    }
+
+    // Create an object from a grid level (mirrors the loadJsonLevel object switch)
+    createGridObject(obj) {
+        const position = this.gridToWorld(obj.x, obj.z);
+
+        switch (obj.type) {
+            case 'coin':
+                this.coins.push({ id: `coin_${obj.x}_${obj.z}`, position: position.setY(1.2) });
+                break;
+            case 'key':
+                this.key = { id: `key_${obj.x}_${obj.z}`, position: position.setY(1.5) };
+                break;
+            case 'goal':
+                this.goal = { position: position.setY(0.15) };
+                break;
+            case 'spikeTrap':
+                this.spikeTraps.push({ position: position.setY(0.05) });
+                break;
+            case 'hole':
+                this.holes.push({ position: position.setY(0) });
+                break;
+            case 'bouncingPlatform':
+                this.bouncePads.push({ position: position.setY(0.4) });
+                break;
+            case 'teleporter':
+                if (!obj.destination) {
+                    this.warnings.push(`Teleporter at (${obj.x}, ${obj.z}) has no destination`);
+                    break;
+                }
+                this.teleporters.push({
+                    position,
+                    destination: this.gridToWorld(
+                        obj.destination.x !== undefined ? obj.destination.x : obj.destination.gridX,
+                        obj.destination.z !== undefined ? obj.destination.z : obj.destination.gridZ
+                    )
+                });
+                break;
+            default:
+                this.warnings.push(`Object type "${obj.type}" is not simulated`);
+        }
+    }
+
+    // Put the player at a position with physics state cleared
+    placePlayer(position) {
+        const player = this.player;
+        player.position.copy(position);
+        player.velocity.set(0, 0, 0);
+        player.acceleration.set(0, 0, 0);
+        player.isGrounded = false;
+        player.canJump = false;
+        player.isJumping = false;
+        player.airTime = 0;
+    }
+
+    recordEvent(type, details = {}) {
+        this.events.push({
+            type,
+            frame: this.frame,
+            time: Number(this.time.toFixed(4)),
+            position: this.player.position.toArray().map(value => Number(value.toFixed(3))),
+            ...details
+        });
+    }
+
+    // Advance the simulation by one fixed step using the given input state
+    step(input = {}) {
+        if (this.outcome) return;
+
+        INPUT_KEYS.forEach(key => {
+            this.input[key] = Boolean(input[key]);
+        });
+
+        this.timers.update();
+        this.updateMovingPlatforms();
+        this.updatePhysics();
+        this.checkCollectibles();
+        this.checkTypedTiles();
+        this.checkHazards();
+
+        this.frame++;
+        this.time = this.frame * this.timeStep;
+    }
+
+    // Move platforms along their path (mirrors updateMovingPlatforms, using sim time)
+    updateMovingPlatforms() {
+        this.movingPlatforms.forEach(platform => {
+            const data = platform.userData;
+            if (!data.isMoving) return;
+
+            const movement = data.movement;
+            const speed = movement.speed || 1;
+
+            if (movement.type === 'linear') {
+                const path = movement.path || [];
+                if (path.length < 2) return;
+
+                const current = path[data.pathIndex];
+                const next = path[(data.pathIndex + 1) % path.length];
+                const distance = Math.sqrt(
+                    (next.x - current.x) ** 2 + (next.y - current.y) ** 2 + (next.z - current.z) ** 2
+                );
+                if (distance === 0) return;
+
+                data.pathProgress += (speed * this.timeStep) / distance;
+                if (data.pathProgress >= 1) {
+                    data.pathProgress = 0;
+                    data.pathIndex = (data.pathIndex + 1) % path.length;
+                    if (!movement.loop && data.pathIndex === 0) {
+                        data.isMoving = false;
+                        return;
+                    }
+                }
+
+                const t = data.pathProgress;
+                platform.position.set(
+                    current.x + (next.x - current.x) * t,
+                    current.y + (next.y - current.y) * t,
+                    current.z + (next.z - current.z) * t
+                );
+            } else if (movement.type === 'circular') {
+                const center = movement.center;
+                const radius = movement.radius || 3;
+                const angle = this.time * speed;
+                const axis = movement.axis || 'y';
+
+                if (axis === 'y') {
+                    platform.position.set(center.x + Math.cos(angle) * radius, center.y, center.z + Math.sin(angle) * radius);
+                } else if (axis === 'x') {
+                    platform.position.set(center.x, center.y + Math.cos(angle) * radius, center.z + Math.sin(angle) * radius);
+                } else {
+                    platform.position.set(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius, center.z);
+                }
+            }
+
+            platform.updateMatrixWorld(true);
+        });
+    }
+
+    // One physics step: the game's ballPhysics step in isometric mode, then
+    // the ground check
+    updatePhysics() {
+        const player = this.player;
+
+        updateTimers(player, this.physics, this.timeStep);
+        const { jump } = moveBall(player, this.input, this.physics, {
+            deltaTime: this.timeStep,
+            gravity: this.gravity,
+            directions: WORLD_DIRECTIONS
+        });
+        if (jump === 'jumped') {
+            this.recordEvent('jump');
+        }
+
+        this.checkGround();
+        dampenGroundedVelocity(player);
+    }
+
+    // Ground check against the level surfaces (mirrors checkGroundCollision)
+    // Landing snaps the ball onto the surface instead of easing it there, so
+    // results stay stable across long runs.
+    checkGround() {
+        const config = this.physics;
+        const player = this.player;
+        const best = findGround(this.raycaster, this.surfaces, player.position, DOWN, config);
+
+        const rayDistance = config.playerRadius + config.groundCheckDistance;
+        if (!best || best.distance > rayDistance) {
+            player.isGrounded = false;
+            player.canJump = false;
+            player.groundDistance = best ? best.distance : Infinity;
+            return;
+        }
+
+        const groundY = best.point.y + config.playerRadius;
+        const tolerance = config.surfaceSnapDistance * 2;
+
+        if (player.position.y <= groundY + tolerance && player.velocity.y <= 0) {
+            player.position.y = groundY;
+            player.velocity.y = 0;
+            player.isGrounded = true;
+            player.canJump = true;
+            player.isJumping = false;
+            player.groundDistance = config.playerRadius;
+        } else {
+            player.isGrounded = false;
+            player.canJump = false;
+            player.groundDistance = best.distance;
+        }
+    }
+
+    // Coins, key and goal (mirrors checkCoinCollection / checkKeyAndGoalCollection)
+    checkCollectibles() {
+        const position = this.player.position;
+        const collisionDistance = this.physics.collisionDistance;
+        const coinDistance = collisionDistance * 1.5;
+
+        for (let i = this.coins.length - 1; i >= 0; i--) {
+            const coin = this.coins[i];
+            const horizontalDistance = Math.sqrt(
+                (position.x - coin.position.x) ** 2 + (position.z - coin.position.z) ** 2
+            );
+
+            if (position.distanceTo(coin.position) < coinDistance || horizontalDistance < coinDistance * 0.6) {
+                this.coins.splice(i, 1);
+                this.score.coins++;
+                this.recordEvent('coinCollected', { id: coin.id });
+            }
+        }
+
+        if (this.key && !this.score.hasKey && position.distanceTo(this.key.position) < collisionDistance) {
+            this.score.hasKey = true;
+            this.recordEvent('keyCollected', { id: this.key.id });
+            this.key = null;
+
+            if (completesOnKeyPickup(this.level.number)) {
+                this.completeLevel();
+                return;
+            }
+        }
+
+        if (this.goal && position.distanceTo(this.goal.position) < collisionDistance) {
+            this.completeLevel();
+        }
+    }
+
+    // Apply the single player completion rules (mirrors completeLevel)
+    completeLevel() {
+        if (this.score.levelComplete) return;
+
+        const blocker = getCompletionBlocker({
+            levelNumber: this.level.number,
+            hasKey: this.score.hasKey,
+            coins: this.score.coins,
+            requiredCoins: this.score.requiredCoins
+        });
+
+        if (blocker) {
+            if (!this.goalLockedReported) {
+                this.recordEvent('goalLocked', { reason: blocker });
+                this.goalLockedReported = true;
+            }
+            return;
+        }
+
+        this.score.levelComplete = true;
+        this.score.completionTime = Number(this.time.toFixed(4));
+        this.recordEvent('goalReached');
+        this.outcome = 'completed';
+    }
+
+    // Broken and goal tiles (mirrors checkTypedTileCollision). A broken tile
+    // crumbles the first time it is rolled onto and costs a life a second
+    // later. Obstacle tiles don't stop the ball in the game, so they don't here.
+    checkTypedTiles() {
+        if (!this.tileTypes || this.outcome) return;
+
+        const position = this.player.position;
+        const gridX = Math.round(position.x / this.tileSize + this.gridSize / 2 - 0.5);
+        const gridZ = Math.round(position.z / this.tileSize + this.gridSize / 2 - 0.5);
+        const tileKey = `${gridX},${gridZ}`;
+
+        switch (this.getTileType(gridX, gridZ)) {
+            case 'broken':
+                if (!this.brokenTiles.has(tileKey)) {
+                    this.brokenTiles.add(tileKey);
+                    this.recordEvent('tileBroken', { tile: [gridX, gridZ] });
+                    this.timers.after(1000, () => this.killPlayer('brokenTile'));
+                }
+                break;
+            case 'goal':
+                this.completeLevel();
+                break;
+        }
+    }
+
+    // Spikes, holes, teleporters, bounce pads and falling off the level
+    checkHazards() {
+        if (this.outcome) return;
+
+        const player = this.player;
+        const position = player.position;
+        const config = this.physics;
+
+        if (this.spikeTraps.some(trap => position.distanceTo(trap.position) < config.trapDistance)) {
+            this.killPlayer('spikeTrap');
+            return;
+        }
+
+        if (this.holes.some(hole => position.distanceTo(hole.position) < config.collisionDistance)) {
+            if (this.level.hasUnderworld) {
+                // The underworld is a separate scene, so the run stops here
+                this.recordEvent('enteredUnderworld');
+                this.outcome = 'underworld';
+            } else {
+                this.killPlayer('hole');
+            }
+            return;
+        }
+
+        // Teleporters fire once per visit; the player has to step off before reuse
+        const teleporter = this.teleporters.find(tile => position.distanceTo(tile.position) < config.teleportDistance);
+        if (teleporter && teleporter !== this.activeTeleporter) {
+            const target = this.teleporters.find(tile => tile.position.distanceTo(teleporter.destination) < 0.01);
+            this.recordEvent('teleported');
+            this.placePlayer(teleporter.destination);
+            this.activeTeleporter = target || null;
+        } else if (!teleporter) {
+            this.activeTeleporter = null;
+        }
+
+        // Bounce pads launch the ball to roughly gameplay.bounceHeight
+        const pad = this.bouncePads.find(bouncePad =>
+            Math.abs(position.x - bouncePad.position.x) < 0.8 &&
+            Math.abs(position.z - bouncePad.position.z) < 0.8 &&
+            Math.abs(position.y - bouncePad.position.y) < 1.0
+        );
+        if (pad && pad !== this.activeBouncePad && player.velocity.y <= 0) {
+            player.velocity.y = Math.sqrt(2 * Math.abs(config.gravity) * this.bounceHeight);
+            player.isGrounded = false;
+            player.canJump = false;
+            player.isJumping = true;
+            this.recordEvent('bounced');
+        }
+        this.activeBouncePad = pad || null;
+
+        if (position.y < config.fallThreshold && player.velocity.y < config.velocityThreshold) {
+            this.killPlayer('fell');
+        }
+    }
+
+    // Lose a life and respawn at the start, or end the run when out of lives
+    killPlayer(cause) {
+        this.score.lives--;
+        this.score.deaths++;
+        this.recordEvent('death', { cause, livesRemaining: this.score.lives });
+
+        if (this.score.lives <= 0) {
+            this.outcome = 'gameOver';
+            return;
+        }
+
+        this.placePlayer(this.startPosition);
+    }
+
+    // Run a whole input script; stops early when the level ends
+    run(inputScript = [], options = {}) {
+        const segments = normalizeInputScript(inputScript);
+        const scriptDuration = segments.length > 0 ? segments[segments.length - 1].endTime : 0;
+        const duration = options.duration !== undefined ? options.duration : scriptDuration;
+        const totalFrames = Math.round(duration / this.timeStep);
+        const idle = {};
+        let segmentIndex = 0;
+
+        for (let i = 0; i < totalFrames && !this.outcome; i++) {
+            const time = this.frame * this.timeStep;
+            while (segmentIndex < segments.length && time >= segments[segmentIndex].endTime) {
+                segmentIndex++;
+            }
+
+            const segment = segments[segmentIndex];
+            this.step(segment && time >= segment.startTime ? segment.input : idle);
+        }
+
+        return this.getReport();
+    }
+
+    // Summary of the run so far
+    getReport() {
+        return {
+            level: {
+                index: this.levelIndex,
+                number: this.level.number,
+                name: this.level.name,
+                use3D: Boolean(this.level.use3D)
+            },
+            outcome: this.outcome || 'timeout',
+            frames: this.frame,
+            time: Number(this.time.toFixed(4)),
+            timeStep: this.timeStep,
+            completed: this.score.levelComplete,
+            completionTime: this.score.completionTime,
+            coinsCollected: this.score.coins,
+            coinsRemaining: this.coins.length,
+            requiredCoins: this.score.requiredCoins,
+            hasKey: this.score.hasKey,
+            deaths: this.score.deaths,
+            livesRemaining: this.score.lives,
+            finalPosition: this.player.position.toArray().map(value => Number(value.toFixed(3))),
+            events: this.events,
+            warnings: this.warnings
+        };
+    }
+}
+
+// Convenience wrapper: simulate one level from a levels.json array
+export function simulateLevel(levels, levelIndex, inputScript, options = {}) {
+    if (!Array.isArray(levels) || !levels[levelIndex]) {
+        throw new Error(`Level index ${levelIndex} does not exist`);
+    }
+
+    const simulation = new LevelSimulation(levels[levelIndex], { ...options, levelIndex });
+    return simulation.run(inputScript, options);
+}
+
+export { LevelSimulation, createPhysicsConfig, normalizeInputScript, INPUT_KEYS };
+export default LevelSimulation;
@@ -0,0 +1,266 @@
+// Modular level storage for the game server
+// Each level lives in <directory>/<name>.json. Every write is also recorded in
+// <directory>/.history/<name>/<version>.json so earlier versions can be listed
+// and restored; deleting a level keeps its history. Changes to one level run
+// one after another, so concurrent saves each get their own version.
+
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { validateLevel, formatIssue } from './levelValidator.js';
+
+const MAX_LEVEL_NAME_LENGTH = 64;
+const HISTORY_DIRECTORY = '.history';
+
+// Error with the HTTP status the server should answer with
+class LevelStoreError extends Error {
+    constructor(status, message, details = []) {
+        super(message);
+        this.name = 'LevelStoreError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Turn a user-supplied level name into a safe file name ("My Level!" -> "my-level")
+function sanitizeLevelName(name) {
+    if (typeof name !== 'string') return null;
+
+    const cleaned = name
+        .replace(/\.json$/i, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, MAX_LEVEL_NAME_LENGTH)
+        .replace(/-+$/, '');
+
+    return cleaned.length > 0 ? cleaned : null;
+}
+
+class LevelStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.historyDirectory = path.join(directory, HISTORY_DIRECTORY);
+        // Last queued change per level name: { levelName: promise }
+        this.queues = new Map();
+    }
+
+    // Run operation once every earlier change to the same level has finished
+    enqueue(levelName, operation) {
+        const result = (this.queues.get(levelName) || Promise.resolve()).then(operation);
+        const done = result.catch(() => {});
+        this.queues.set(levelName, done);
+        done.then(() => {
+            if (this.queues.get(levelName) === done) {
+                this.queues.delete(levelName);
+            }
+        });
+        return result;
+    }
+
+    // Validate the name and return it in its stored form
+    resolveName(name) {
+        const levelName = sanitizeLevelName(name);
+        if (!levelName) {
+            throw new LevelStoreError(400, 'Level name must contain letters or numbers');
+        }
+        return levelName;
+    }
+
+    levelPath(levelName) {
+        return path.join(this.directory, `${levelName}.json`);
+    }
+
+    versionDirectory(levelName) {
+        return path.join(this.historyDirectory, levelName);
+    }
+
+    // Summaries of all stored levels, sorted by name
+    async list() {
+        const files = await readDirectory(this.directory);
+        const levels = [];
+
+        for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+            const name = file.slice(0, -'.json'.length);
+            if (sanitizeLevelName(name) !== name) continue;
+
+            try {
+                const level = await this.get(name);
+                levels.push({
+                    name,
+                    title: level.data.name,
+                    use3D: !!level.data.use3D,
+                    version: level.version,
+                    updatedAt: level.updatedAt
+                });
+            } catch (error) {
+                console.warn(`Skipping unreadable level file ${file}: ${error.message}`);
+            }
+        }
+
+        return levels;
+    }
+
+    // Current version of a level
+    async get(name) {
+        const levelName = this.resolveName(name);
+        const contents = await readFileIfExists(this.levelPath(levelName));
+        if (contents === null) {
+            throw new LevelStoreError(404, `Level "${levelName}" not found`);
+        }
+
+        const versions = await this.getVersionNumbers(levelName);
+        const stats = await fs.stat(this.levelPath(levelName));
+        return {
+            name: levelName,
+            version: versions.length > 0 ? versions[versions.length - 1] : 0,
+            updatedAt: stats.mtime.toISOString(),
+            data: JSON.parse(contents)
+        };
+    }
+
+    // Add a new level; fails if the name is taken
+    async create(name, data) {
+        const levelName = this.resolveName(name);
+        return this.enqueue(levelName, async () => {
+            if (await this.exists(levelName)) {
+                throw new LevelStoreError(409, `Level "${levelName}" already exists`);
+            }
+            return this.write(levelName, data, 'create');
+        });
+    }
+
+    // Replace a level, creating it if needed
+    async save(name, data) {
+        const levelName = this.resolveName(name);
+        return this.enqueue(levelName, async () => {
+            const existed = await this.exists(levelName);
+            const saved = await this.write(levelName, data, existed ? 'update' : 'create');
+            return { ...saved, created: !existed };
+        });
+    }
+
+    async delete(name) {
+        const levelName = this.resolveName(name);
+        return this.enqueue(levelName, async () => {
+            if (!(await this.exists(levelName))) {
+                throw new LevelStoreError(404, `Level "${levelName}" not found`);
+            }
+
+            await fs.unlink(this.levelPath(levelName));
+            console.log(`Level deleted: ${levelName} (history kept)`);
+            return { name: levelName };
+        });
+    }
+
+    // Version history, oldest first
+    async listVersions(name) {
+        const levelName = this.resolveName(name);
+        const versions = [];
+
+        for (const version of await this.getVersionNumbers(levelName)) {
+            const entry = await this.readVersion(levelName, version);
+            versions.push({ version, action: entry.action, savedAt: entry.savedAt });
+        }
+
+        if (versions.length === 0 && !(await this.exists(levelName))) {
+            throw new LevelStoreError(404, `Level "${levelName}" not found`);
+        }
+        return versions;
+    }
+
+    async getVersion(name, version) {
+        const levelName = this.resolveName(name);
+        const number = Number(version);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new LevelStoreError(400, 'Version must be a positive integer');
+        }
+
+        const entry = await this.readVersion(levelName, number);
+        if (!entry) {
+            throw new LevelStoreError(404, `Level "${levelName}" has no version ${number}`);
+        }
+        return { name: levelName, ...entry };
+    }
+
+    // Make an earlier version current again (recorded as a new version)
+    async restore(name, version) {
+        const levelName = this.resolveName(name);
+        return this.enqueue(levelName, async () => {
+            const entry = await this.getVersion(levelName, version);
+            return this.write(entry.name, entry.data, `restore ${entry.version}`);
+        });
+    }
+
+    async exists(levelName) {
+        return (await readFileIfExists(this.levelPath(levelName))) !== null;
+    }
+
+    async getVersionNumbers(levelName) {
+        const files = await readDirectory(this.versionDirectory(levelName));
+        return files
+            .map(file => Number(file.replace(/\.json$/, '')))
+            .filter(version => Number.isInteger(version) && version > 0)
+            .sort((a, b) => a - b);
+    }
+
+    async readVersion(levelName, version) {
+        const contents = await readFileIfExists(path.join(this.versionDirectory(levelName), `${version}.json`));
+        return contents === null ? null : JSON.parse(contents);
+    }
+
+    // Validate, then write the level and its history entry (only from a queued change)
+    async write(levelName, data, action) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new LevelStoreError(400, 'Level data must be a JSON object');
+        }
+
+        const report = validateLevel(data, { file: `${levelName}.json` });
+        if (!report.valid) {
+            throw new LevelStoreError(422, 'Level failed validation', report.errors.map(formatIssue));
+        }
+
+        const versions = await this.getVersionNumbers(levelName);
+        const version = versions.length > 0 ? versions[versions.length - 1] + 1 : 1;
+        const savedAt = new Date().toISOString();
+
+        await fs.mkdir(this.versionDirectory(levelName), { recursive: true });
+        await writeFileAtomic(
+            path.join(this.versionDirectory(levelName), `${version}.json`),
+            JSON.stringify({ version, action, savedAt, data }, null, 2)
+        );
+        await writeFileAtomic(this.levelPath(levelName), JSON.stringify(data, null, 2));
+
+        console.log(`Level saved: ${levelName} v${version} (${action})`);
+        return { name: levelName, version, savedAt, warnings: report.warnings.map(formatIssue) };
+    }
+}
+
+async function readDirectory(directory) {
+    try {
+        return await fs.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function readFileIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Write through a temporary file so readers never see a partial level; every
+// write gets its own temporary file, so two writes never rename the same one
+async function writeFileAtomic(filePath, contents) {
+    const temporaryPath = `${filePath}.${randomUUID()}.tmp`;
+    await fs.writeFile(temporaryPath, contents);
+    await fs.rename(temporaryPath, filePath);
+}
+
+export { LevelStore, LevelStoreError, sanitizeLevelName };
+export default LevelStore;
@@ -0,0 +1,504 @@
+// Level validator
+// Checks level data against levelSchema.js, then applies the gameplay rules a
+// schema cannot express. Shared by the browser loader and scripts/validate-levels.js,
+// so it must stay free of DOM and Node-only APIs.
+
+import { levelSchema, PLATFORM_TYPES } from './levelSchema.js';
+import { ENVIRONMENT_THEMES } from './environmentThemes.js';
+import { MAX_UNDERWORLD_DEPTH } from './underworld.js';
+
+// Grid levels without a gridSize use the default board from config.json
+const DEFAULT_GRID_SIZE = 10;
+
+// ============ SCHEMA CHECKS ============
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function resolveRef(ref) {
+    const name = ref.replace('#/definitions/', '');
+    const schema = levelSchema.definitions[name];
+    if (!schema) {
+        throw new Error(`Unknown schema reference ${ref}`);
+    }
+    return schema;
+}
+
+function formatValue(value) {
+    return JSON.stringify(value);
+}
+
+// Run the schema and return its errors without recording them
+function collectSchemaErrors(value, schema, path) {
+    const errors = [];
+    checkSchema(value, schema, path, errors);
+    return errors;
+}
+
+// Minimal draft-07 interpreter covering the keywords used by levelSchema
+function checkSchema(value, schema, path, errors) {
+    if (schema.$ref) {
+        checkSchema(value, resolveRef(schema.$ref), path, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `must be ${types.join(' or ')} (got ${formatValue(value)})` });
+            return;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push({ path, message: `must be ${formatValue(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const allowed = schema.enum.map(formatValue).join(', ');
+        errors.push({ path, message: `must be one of ${allowed} (got ${formatValue(value)})` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum} (got ${value})` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum} (got ${value})` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum} (got ${value})` });
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+    }
+
+    if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match ${schema.pattern} (got ${formatValue(value)})` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkSchema(item, schema.items, `${path}/${index}`, errors));
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path, message: `missing required property "${key}"` });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) {
+                checkSchema(value[key], propertySchema, `${path}/${key}`, errors);
+            }
+        });
+    }
+
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => collectSchemaErrors(value, branch, path));
+        if (branches.every(branchErrors => branchErrors.length > 0)) {
+            if (branches.every(branchErrors => branchErrors.length === 1 && branchErrors[0].path === path)) {
+                errors.push({ path, message: branches.map(branchErrors => branchErrors[0].message).join(' or ') });
+            } else {
+                errors.push(...branches.reduce((best, branchErrors) => branchErrors.length < best.length ? branchErrors : best));
+            }
+        }
+    }
+
+    (schema.allOf || []).forEach(subschema => checkSchema(value, subschema, path, errors));
+
+    if (schema.if) {
+        const conditionHolds = collectSchemaErrors(value, schema.if, path).length === 0;
+        const branch = conditionHolds ? schema.then : schema.else;
+        if (branch) {
+            checkSchema(value, branch, path, errors);
+        }
+    }
+}
+
+// ============ GAMEPLAY RULES ============
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function describeCell(x, z) {
+    return `(${x}, ${z})`;
+}
+
+function getDestination(teleporter) {
+    const destination = teleporter.destination || {};
+    return {
+        x: destination.x !== undefined ? destination.x : destination.gridX,
+        z: destination.z !== undefined ? destination.z : destination.gridZ
+    };
+}
+
+// Grid checks for a level, or for an underworld layer at `base` (e.g. "/underworld")
+// with the level's grid size and `label` in front of what it reports
+function checkGridLevel(level, report, { base = '', gridSize = null, label = '' } = {}) {
+    gridSize = gridSize ?? (Number.isInteger(level.gridSize) ? level.gridSize : DEFAULT_GRID_SIZE);
+    const objects = Array.isArray(level.objects) ? level.objects : [];
+
+    // Negative and fractional cells are already reported by the schema
+    const checkCell = (x, z, path, name) => {
+        if (!Number.isInteger(x) || !Number.isInteger(z) || x < 0 || z < 0) return;
+        if (x >= gridSize || z >= gridSize) {
+            report.error(path, `${label}${name} ${describeCell(x, z)} is outside the ${gridSize}x${gridSize} grid`);
+        }
+    };
+
+    if (level.playerStart) {
+        checkCell(level.playerStart.x, level.playerStart.z, `${base}/playerStart`, base ? 'start' : 'player start');
+    }
+
+    const coinCells = new Map();
+    objects.forEach((obj, index) => {
+        if (!obj) return;
+        const path = `${base}/objects/${index}`;
+        checkCell(obj.x, obj.z, path, obj.type);
+
+        if ((obj.type === 'teleporter' || obj.type === 'underworldExit') && obj.destination) {
+            // An exit comes out on the layer above, which shares the grid
+            const destination = getDestination(obj);
+            checkCell(destination.x, destination.z, `${path}/destination`, `${obj.type === 'teleporter' ? 'teleporter' : 'exit'} destination`);
+        }
+
+        if (obj.type === 'movingObstacle') {
+            checkCell(obj.endX, obj.endZ, path, 'moving obstacle end point');
+        }
+
+        // Grid coin IDs are derived from the cell, so two coins in one cell collide
+        if (obj.type === 'coin') {
+            const cell = `${obj.x},${obj.z}`;
+            if (coinCells.has(cell)) {
+                report.error(path, `${label}coin at ${describeCell(obj.x, obj.z)} overlaps ${base}/objects/${coinCells.get(cell)}`);
+            } else {
+                coinCells.set(cell, index);
+            }
+        }
+    });
+
+    checkTeleporterPairs(objects, report, base);
+
+    if (Array.isArray(level.tileTypes) && level.tiles !== 'auto') {
+        if (level.tileTypes.length > gridSize) {
+            report.error(`${base}/tileTypes`, `has ${level.tileTypes.length} rows but the grid is ${gridSize}x${gridSize}`);
+        }
+        level.tileTypes.forEach((row, z) => {
+            if (Array.isArray(row) && row.length > gridSize) {
+                report.error(`${base}/tileTypes/${z}`, `has ${row.length} columns but the grid is ${gridSize}x${gridSize}`);
+            }
+        });
+    }
+}
+
+// Underworld layers are checked like levels on the surface's grid. They are only
+// played when the surface has hasUnderworld, and only down to MAX_UNDERWORLD_DEPTH.
+function checkUnderworlds(level, report) {
+    if (level.underworld && !level.hasUnderworld) {
+        report.warning('/underworld', 'is never reached because hasUnderworld is not set');
+    }
+
+    const gridSize = Number.isInteger(level.gridSize) ? level.gridSize : DEFAULT_GRID_SIZE;
+    let layer = level.underworld;
+    let base = '/underworld';
+    for (let depth = 1; matchesType(layer, 'object'); depth++) {
+        if (depth > MAX_UNDERWORLD_DEPTH) {
+            report.warning(base, `is more than ${MAX_UNDERWORLD_DEPTH} layers down and is ignored`);
+            return;
+        }
+
+        if (!layer.use3D) {
+            checkGridLevel(layer, report, { base, gridSize, label: depth === 1 ? 'underworld ' : `underworld ${depth} ` });
+        }
+        checkTriggers(layer, report, { base, objectDefinition: layer.use3D ? 'underworldObject3D' : 'underworldGridObject' });
+        layer = layer.underworld;
+        base += '/underworld';
+    }
+}
+
+// Mirrors linkTeleporterPairs(): the destination cell must hold a teleporter with the same pairId
+function checkTeleporterPairs(objects, report, base = '') {
+    const teleporters = objects
+        .map((obj, index) => ({ obj, index }))
+        .filter(({ obj }) => obj && obj.type === 'teleporter');
+
+    teleporters.forEach(({ obj, index }) => {
+        if (!obj.destination) return;
+
+        const destination = getDestination(obj);
+        const partner = teleporters.find(({ obj: other, index: otherIndex }) =>
+            otherIndex !== index &&
+            other.x === destination.x &&
+            other.z === destination.z &&
+            other.pairId === obj.pairId
+        );
+
+        if (!partner) {
+            report.error(
+                `${base}/objects/${index}`,
+                `teleporter at ${describeCell(obj.x, obj.z)} has no partner with pairId ${formatValue(obj.pairId)} at ${describeCell(destination.x, destination.z)}`
+            );
+        }
+    });
+}
+
+function check3DLevel(level, report) {
+    const bounds = level.bounds;
+    if (!bounds) return;
+
+    const axes = ['X', 'Y', 'Z'];
+    axes.forEach(axis => {
+        const min = bounds[`min${axis}`];
+        const max = bounds[`max${axis}`];
+        if (isNumber(min) && isNumber(max) && min >= max) {
+            report.error('/bounds', `min${axis} (${min}) must be less than max${axis} (${max})`);
+        }
+    });
+
+    const checkInside = (position, path, label) => {
+        if (!position) return;
+        axes.forEach(axis => {
+            const value = position[axis.toLowerCase()];
+            const min = bounds[`min${axis}`];
+            const max = bounds[`max${axis}`];
+            if (!isNumber(value)) return;
+            if ((isNumber(min) && value < min) || (isNumber(max) && value > max)) {
+                report.error(path, `${label} ${axis.toLowerCase()}=${value} is outside the level bounds`);
+            }
+        });
+    };
+
+    checkInside(level.playerStart, '/playerStart', 'player start');
+    (Array.isArray(level.objects) ? level.objects : []).forEach((obj, index) => {
+        if (obj) checkInside(obj.position, `/objects/${index}/position`, obj.type);
+    });
+    (Array.isArray(level.safeSpawnPoints) ? level.safeSpawnPoints : []).forEach((spawn, index) => {
+        if (spawn) checkInside(spawn.position, `/safeSpawnPoints/${index}/position`, 'spawn point');
+    });
+}
+
+// Ids triggers can refer to, named the way the game names them
+function getTriggerTargets(level) {
+    const objects = Array.isArray(level.objects) ? level.objects.filter(Boolean) : [];
+    const platforms = Array.isArray(level.platforms) ? level.platforms.filter(Boolean) : [];
+    const ids = (items, type, fallback) => items
+        .filter(item => item.type === type)
+        .map((item, index) => item.id || (fallback && `${fallback}_${index}`));
+
+    return {
+        door: new Set(ids(objects, 'door')),
+        pressurePlate: new Set(ids(objects, 'pressurePlate', 'pressure')),
+        platform: new Set(PLATFORM_TYPES.flatMap(type => ids(platforms, type, type))),
+        movingPlatform: new Set(ids(platforms, 'moving', 'moving'))
+    };
+}
+
+// Trigger and pressure plate targets must exist, and spawned objects must be
+// objects of the level's kind (`objectDefinition` in the schema)
+function checkTriggers(level, report, { base = '', objectDefinition = 'gridObject' } = {}) {
+    const targets = getTriggerTargets(level);
+    const describe = { door: 'door', pressurePlate: 'pressure plate', platform: 'platform', movingPlatform: 'moving platform' };
+
+    const checkTarget = (item, kind, path) => {
+        if (typeof item.target === 'string' && !targets[kind].has(item.target)) {
+            report.error(`${path}/target`, `no ${describe[kind]} with id ${formatValue(item.target)}`);
+        }
+    };
+
+    const checkCondition = (condition, path) => {
+        if (!matchesType(condition, 'object')) return;
+        ['all', 'any'].forEach(key => {
+            if (Array.isArray(condition[key])) {
+                condition[key].forEach((part, index) => checkCondition(part, `${path}/${key}/${index}`));
+            }
+        });
+        if (condition.type === 'pressurePlate') checkTarget(condition, 'pressurePlate', path);
+    };
+
+    const checkActions = (actions, path) => {
+        if (!Array.isArray(actions)) return;
+        actions.forEach((action, index) => {
+            if (!matchesType(action, 'object')) return;
+            const actionPath = `${path}/${index}`;
+            if (Object.hasOwn(describe, action.type) && action.type !== 'pressurePlate') {
+                checkTarget(action, action.type, actionPath);
+            }
+            if (action.type === 'spawn' && matchesType(action.object, 'object')) {
+                collectSchemaErrors(action.object, levelSchema.definitions[objectDefinition], `${actionPath}/object`)
+                    .forEach(({ path: errorPath, message }) => report.error(errorPath, message));
+            }
+            if (action.type === 'sequence') {
+                checkActions(action.actions, `${actionPath}/actions`);
+            }
+        });
+    };
+
+    (Array.isArray(level.triggers) ? level.triggers : []).forEach((trigger, index) => {
+        if (!matchesType(trigger, 'object')) return;
+        checkCondition(trigger.when, `${base}/triggers/${index}/when`);
+        checkActions(trigger.actions, `${base}/triggers/${index}/actions`);
+    });
+    (Array.isArray(level.objects) ? level.objects : []).forEach((obj, index) => {
+        if (obj && obj.type === 'pressurePlate') {
+            checkActions(obj.triggers, `${base}/objects/${index}/triggers`);
+        }
+    });
+}
+
+function checkEnvironment(level, report) {
+    const environment = level.environment;
+    if (!matchesType(environment, 'object')) return;
+
+    if (typeof environment.preset === 'string' && environment.preset && !Object.hasOwn(ENVIRONMENT_THEMES, environment.preset)) {
+        const presets = Object.keys(ENVIRONMENT_THEMES).map(formatValue).join(', ');
+        report.error('/environment/preset', `unknown preset ${formatValue(environment.preset)}; use one of ${presets}`);
+    }
+
+    const fog = environment.fog;
+    if (fog && isNumber(fog.near) && isNumber(fog.far) && fog.near >= fog.far) {
+        report.error('/environment/fog', `near (${fog.near}) must be less than far (${fog.far})`);
+    }
+}
+
+function checkObjectives(level, report) {
+    const objects = Array.isArray(level.objects) ? level.objects : [];
+    const count = type => objects.filter(obj => obj && obj.type === type).length;
+    const keys = count('key');
+    const goals = count('goal');
+
+    if (goals === 0) {
+        report.error('/objects', keys > 0 ? 'has a key but no goal' : 'has no goal');
+    } else if (keys === 0) {
+        report.error('/objects', 'has a goal but no key, so the exit can never unlock');
+    }
+
+    if (keys > 1) {
+        report.warning('/objects', `has ${keys} keys; only the last one is placed`);
+    }
+    if (goals > 1) {
+        report.warning('/objects', `has ${goals} goals; only the last one is placed`);
+    }
+    if (level.requireAllCoins && count('coin') === 0) {
+        report.warning('/requireAllCoins', 'is set but the level has no coins');
+    }
+}
+
+// ============ PUBLIC API ============
+
+function createReport(file) {
+    return { file, valid: true, errors: [], warnings: [] };
+}
+
+function createLevelReporter(report, level, levelIndex) {
+    const levelName = level && typeof level.name === 'string' ? level.name : null;
+    const issue = (path, message) => ({ file: report.file, levelIndex, levelName, path, message });
+
+    return {
+        error(path, message) {
+            report.errors.push(issue(path, message));
+            report.valid = false;
+        },
+        warning(path, message) {
+            report.warnings.push(issue(path, message));
+        }
+    };
+}
+
+function checkLevel(level, levelIndex, report) {
+    const reporter = createLevelReporter(report, level, levelIndex);
+
+    const schemaErrors = collectSchemaErrors(level, levelSchema.definitions.level, '');
+    schemaErrors.forEach(({ path, message }) => reporter.error(path, message));
+
+    if (!matchesType(level, 'object')) return;
+
+    if (level.use3D) {
+        check3DLevel(level, reporter);
+    } else {
+        checkGridLevel(level, reporter);
+    }
+    checkTriggers(level, reporter, { objectDefinition: level.use3D ? 'object3D' : 'gridObject' });
+    checkUnderworlds(level, reporter);
+    checkEnvironment(level, reporter);
+    checkObjectives(level, reporter);
+}
+
+/**
+ * Validate a single level object (e.g. a modular levels/<name>.json file).
+ * @returns {{ file, valid, errors, warnings }} issues carry a JSON pointer path into the level
+ */
+function validateLevel(level, { file = 'level.json', levelIndex = null } = {}) {
+    const report = createReport(file);
+    checkLevel(level, levelIndex, report);
+    return report;
+}
+
+/**
+ * Validate a list of levels as stored in levels.json.
+ * @returns {{ file, valid, errors, warnings }} issues carry the level index and a JSON pointer path into that level
+ */
+function validateLevels(levels, { file = 'levels.json' } = {}) {
+    const report = createReport(file);
+
+    if (!Array.isArray(levels)) {
+        report.errors.push({ file, levelIndex: null, levelName: null, path: '', message: 'must be an array of levels' });
+        report.valid = false;
+        return report;
+    }
+
+    const numbers = new Map();
+    levels.forEach((level, index) => {
+        checkLevel(level, index, report);
+
+        if (level && Number.isInteger(level.number)) {
+            if (numbers.has(level.number)) {
+                createLevelReporter(report, level, index).warning(
+                    '/number',
+                    `level number ${level.number} is also used by level ${numbers.get(level.number)}`
+                );
+            } else {
+                numbers.set(level.number, index);
+            }
+        }
+    });
+
+    return report;
+}
+
+// "levels.json level 3 "Level 4 - Holes in Floor" /objects/2/x: must be >= 0 (got -1)"
+function formatIssue(issue) {
+    let location = issue.file;
+    if (issue.levelIndex !== null && issue.levelIndex !== undefined) {
+        location += ` level ${issue.levelIndex}`;
+    }
+    if (issue.levelName) {
+        location += ` "${issue.levelName}"`;
+    }
+    return `${location} ${issue.path || '/'}: ${issue.message}`;
+}
+
+export { validateLevel, validateLevels, formatIssue, DEFAULT_GRID_SIZE };
+export default validateLevels;
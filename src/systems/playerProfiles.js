@@ -0,0 +1,117 @@
+// Multiplayer player profiles
+// Players pick a display name and optionally a preferred ball color. The client
+// checks a name before sending it and the server checks it again, cleans it up
+// and keeps it unique within the room (a second "Sam" becomes "Sam 2").
+
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 16;
+
+// Color palette for players (the server hands these out, one per player in a room)
+const PLAYER_COLORS = [
+    { name: 'Red', hex: 0xff4444, css: '#ff4444' },
+    { name: 'Blue', hex: 0x4444ff, css: '#4444ff' },
+    { name: 'Green', hex: 0x44ff44, css: '#44ff44' },
+    { name: 'Yellow', hex: 0xffff44, css: '#ffff44' },
+    { name: 'Purple', hex: 0xff44ff, css: '#ff44ff' },
+    { name: 'Orange', hex: 0xff8844, css: '#ff8844' },
+    { name: 'Cyan', hex: 0x44ffff, css: '#44ffff' },
+    { name: 'Pink', hex: 0xff8888, css: '#ff8888' },
+    { name: 'Lime', hex: 0x88ff88, css: '#88ff88' },
+    { name: 'Teal', hex: 0x44ff88, css: '#44ff88' },
+    { name: 'Indigo', hex: 0x8844ff, css: '#8844ff' },
+    { name: 'Coral', hex: 0xff4488, css: '#ff4488' }
+];
+
+// Words a name may not contain anywhere, and shorter ones that are only blocked
+// as a whole word so names like "Classic" or "Dickens" still work
+const BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'nazi', 'penis', 'vagina', 'wank'];
+const BLOCKED_WHOLE_WORDS = ['ass', 'arse', 'dick', 'cock', 'fag', 'tit', 'tits', 'cum', 'sex', 'porn', 'piss', 'twat', 'hitler'];
+
+// Look-alike characters people use to get around the filter
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+// Trim a user-supplied name, collapse its whitespace and drop anything but
+// letters, numbers, spaces and _ . ' -
+function sanitizeDisplayName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+        .replace(/[^\p{L}\p{N} _.'-]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Letters of a name with look-alikes undone ("A55" -> "ass"), and with repeats
+// squashed if `squash` is set ("Fuuu_ck" -> "fuck")
+function normalizeForFilter(text, squash = false) {
+    const letters = [...text.toLowerCase()]
+        .map(char => LOOKALIKES[char] ?? char)
+        .join('')
+        .replace(/[^a-z]/g, '');
+    return squash ? letters.replace(/(.)\1+/g, '$1') : letters;
+}
+
+// Whether a name contains a blocked word, spelled out or disguised
+function containsProfanity(name) {
+    if (typeof name !== 'string') return false;
+
+    const squashed = normalizeForFilter(name, true);
+    if (BLOCKED_WORDS.some(word => squashed.includes(normalizeForFilter(word, true)))) return true;
+
+    const words = name.split(/[\s_.'-]+/).map(word => normalizeForFilter(word));
+    return BLOCKED_WHOLE_WORDS.some(word => words.includes(word));
+}
+
+// Check a display name: { valid, name } with the cleaned-up name, or
+// { valid: false, reason } with a message for the player
+function validateDisplayName(name) {
+    const cleaned = sanitizeDisplayName(name);
+
+    if (cleaned.length < MIN_NAME_LENGTH) {
+        return { valid: false, name: cleaned, reason: `Names need at least ${MIN_NAME_LENGTH} letters or numbers` };
+    }
+    if (cleaned.length > MAX_NAME_LENGTH) {
+        return { valid: false, name: cleaned, reason: `Names can be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    // Check the raw name too: sanitizing strips some look-alikes ("$h!t")
+    if (containsProfanity(name) || containsProfanity(cleaned)) {
+        return { valid: false, name: cleaned, reason: 'Please choose a different name' };
+    }
+
+    return { valid: true, name: cleaned };
+}
+
+// `name`, numbered if someone in the room already uses it (names compare case-insensitively)
+function makeUniqueName(name, takenNames = []) {
+    const taken = new Set([...takenNames].filter(Boolean).map(taken => taken.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+
+    for (let number = 2; ; number++) {
+        const suffix = ` ${number}`;
+        const candidate = name.substring(0, MAX_NAME_LENGTH - suffix.length).trim() + suffix;
+        if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+}
+
+// Palette entry for a color name, or null
+function findPlayerColor(colorName) {
+    if (typeof colorName !== 'string') return null;
+    return PLAYER_COLORS.find(color => color.name.toLowerCase() === colorName.toLowerCase()) || null;
+}
+
+// Name shown for a player: their display name, falling back to their color
+function getDisplayName(player, fallback = 'Someone') {
+    if (!player) return fallback;
+    return player.name || (player.color ? player.color.name : fallback);
+}
+
+export {
+    MIN_NAME_LENGTH,
+    MAX_NAME_LENGTH,
+    PLAYER_COLORS,
+    sanitizeDisplayName,
+    containsProfanity,
+    validateDisplayName,
+    makeUniqueName,
+    findPlayerColor,
+    getDisplayName
+};
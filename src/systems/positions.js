@@ -0,0 +1,37 @@
+// Position checks
+// Positions come from level files, the network and the physics step. A NaN or
+// missing coordinate would spread to everything that follows the player, so
+// bad values are replaced with a fallback and a warning is logged.
+
+// A finite number, or the fallback
+function validateNumber(value, fallback = 0, name = 'value') {
+    if (typeof value === 'number' && !isNaN(value) && isFinite(value)) {
+        return value;
+    }
+    console.warn(`Invalid ${name}:`, value, 'using fallback:', fallback);
+    return fallback;
+}
+
+// An { x, y, z } object with every coordinate valid. Bad coordinates take the
+// fallback's value; anything that isn't an object becomes a copy of the fallback.
+function validatePosition(position, fallback = { x: 0, y: 2, z: 0 }, name = 'position') {
+    if (!position || typeof position !== 'object') {
+        console.warn(`❌ Invalid ${name}:`, position, 'using fallback:', fallback);
+        return { ...fallback };
+    }
+
+    const validatedPos = {
+        x: validateNumber(position.x, fallback.x, `${name}.x`),
+        y: validateNumber(position.y, fallback.y, `${name}.y`),
+        z: validateNumber(position.z, fallback.z, `${name}.z`)
+    };
+
+    // Log if any values were corrected
+    if (validatedPos.x !== position.x || validatedPos.y !== position.y || validatedPos.z !== position.z) {
+        console.warn(`🔧 Position ${name} corrected from`, position, 'to', validatedPos);
+    }
+
+    return validatedPos;
+}
+
+export { validateNumber, validatePosition };
@@ -0,0 +1,104 @@
+// Race mode
+// The host picks co-op or race in the lobby. In a race every player has their
+// own copy of the level's collectibles; the server counts down, starts the
+// clock for everyone at once and times each player's finish. Once everybody is
+// in (or the others ran out of time after the winner) the results are ranked
+// and the room votes on what to play next.
+
+const GAME_MODES = ['coop', 'race'];
+const RACE_COUNTDOWN = 3000; // ms from the countdown to the start
+const RACE_FINISH_WINDOW = 30000; // ms the others have to finish after the winner
+
+function isGameMode(mode) {
+    return GAME_MODES.includes(mode);
+}
+
+// Fresh race progress. phase: 'waiting' (no race yet), 'countdown', 'running' or 'finished'.
+// collected: { playerId: { coins: Set, keys: Set } }, finishes: { playerId: { time, place, name, color } }
+function createRaceState() {
+    return {
+        phase: 'waiting',
+        startTime: null,
+        collected: {},
+        finishes: {},
+        countdown: null,     // Timer that starts the race
+        finishTimeout: null  // Timer that ends the race after the winner finished
+    };
+}
+
+// A player's own collected coins and keys in the race
+function getRacerItems(race, playerId) {
+    if (!race.collected[playerId]) {
+        race.collected[playerId] = { coins: new Set(), keys: new Set() };
+    }
+    return race.collected[playerId];
+}
+
+// Time a player's finish (ms since the start) and give them the next place.
+// Returns the finish, or null if the race is not running or they already finished.
+function recordFinish(race, playerId, now, details = {}) {
+    if (race.phase !== 'running' || race.finishes[playerId]) return null;
+
+    const finish = {
+        ...details,
+        time: now - race.startTime,
+        place: Object.keys(race.finishes).length + 1
+    };
+    race.finishes[playerId] = finish;
+    return finish;
+}
+
+// Whether every one of the players has finished
+function allFinished(race, playerIds) {
+    return playerIds.length > 0 && playerIds.every(playerId => race.finishes[playerId]);
+}
+
+// Results board: finishers fastest first, then players still in the room who did
+// not finish. players is { playerId: { name, color } } (the room's game players).
+function rankRaceResults(race, players) {
+    const finishers = Object.entries(race.finishes)
+        .map(([playerId, finish]) => ({
+            playerId,
+            name: finish.name ?? null,
+            color: finish.color ?? null,
+            time: finish.time,
+            place: finish.place,
+            finished: true
+        }))
+        .sort((a, b) => a.time - b.time || a.place - b.place);
+
+    const others = Object.entries(players)
+        .filter(([playerId]) => !race.finishes[playerId])
+        .map(([playerId, player]) => ({
+            playerId,
+            name: player.name ?? null,
+            color: player.color ?? null,
+            time: null,
+            place: null,
+            finished: false
+        }));
+
+    return [...finishers, ...others];
+}
+
+// "1st", "2nd", "3rd", "4th", ... "11th", "12th", "13th", "21st"
+function formatPlace(place) {
+    const lastTwo = place % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${place}th`;
+
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th';
+    return `${place}${suffix}`;
+}
+
+export {
+    GAME_MODES,
+    RACE_COUNTDOWN,
+    RACE_FINISH_WINDOW,
+    isGameMode,
+    createRaceState,
+    getRacerItems,
+    recordFinish,
+    allFinished,
+    rankRaceResults,
+    formatPlace
+};
@@ -0,0 +1,133 @@
+// Remote player smoothing
+// Other players' balls are drawn a little in the past: each position update
+// carries the sender's clock and velocity and goes into a small jitter buffer,
+// and the ball is placed between the two updates around (now - delay). When
+// updates stop coming (lag spike, dropped connection) the ball keeps moving
+// along its last velocity for a short while instead of freezing. The roll is
+// worked out from how far the ball moved, since rotations are not worth sending.
+
+const REMOTE_INTERPOLATION = {
+    delay: 100,            // ms the remote view runs behind (two 50 ms updates of slack)
+    bufferSize: 20,        // Updates kept per player
+    maxExtrapolation: 250, // ms to keep moving after the last update before holding still
+    snapDistance: 5        // Updates further apart than this are a respawn, not movement
+};
+
+// Jitter buffer of one remote player's updates ({ timestamp, position, velocity })
+class SnapshotBuffer {
+    constructor({ delay, bufferSize, maxExtrapolation, snapDistance } = REMOTE_INTERPOLATION) {
+        this.delay = delay;
+        this.bufferSize = bufferSize;
+        this.maxExtrapolation = maxExtrapolation;
+        this.snapDistance = snapDistance;
+        this.snapshots = [];
+        this.clockOffset = null; // Sender clock to ours, including the fastest delivery seen
+    }
+
+    // Add an update received at `receivedAt` (our clock). Updates without a timestamp
+    // are taken as sent on arrival; ones older than the newest are dropped.
+    push(snapshot, receivedAt = Date.now()) {
+        const timestamp = Number.isFinite(snapshot.timestamp) ? snapshot.timestamp : receivedAt - (this.clockOffset ?? 0);
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && timestamp <= newest.timestamp) return false;
+
+        this.snapshots.push({
+            timestamp,
+            receivedAt,
+            position: { ...snapshot.position },
+            velocity: snapshot.velocity ? { ...snapshot.velocity } : { x: 0, y: 0, z: 0 }
+        });
+        if (this.snapshots.length > this.bufferSize) {
+            this.snapshots.shift();
+        }
+
+        // The quickest delivery in the buffer is the best guess at the clock difference;
+        // later arrivals are network jitter, which the delay absorbs
+        this.clockOffset = Math.min(...this.snapshots.map(entry => entry.receivedAt - entry.timestamp));
+        return true;
+    }
+
+    // Where the player was `delay` ms ago on our clock: { position, velocity, extrapolated },
+    // or null before the first update
+    sample(now = Date.now()) {
+        const { snapshots } = this;
+        if (snapshots.length === 0) return null;
+
+        const renderTime = now - this.delay - this.clockOffset;
+        const oldest = snapshots[0];
+        const newest = snapshots[snapshots.length - 1];
+
+        if (renderTime <= oldest.timestamp) {
+            return { position: { ...oldest.position }, velocity: { ...oldest.velocity }, extrapolated: false };
+        }
+
+        if (renderTime >= newest.timestamp) {
+            const seconds = Math.min(renderTime - newest.timestamp, this.maxExtrapolation) / 1000;
+            return {
+                position: {
+                    x: newest.position.x + newest.velocity.x * seconds,
+                    y: newest.position.y + newest.velocity.y * seconds,
+                    z: newest.position.z + newest.velocity.z * seconds
+                },
+                velocity: { ...newest.velocity },
+                extrapolated: true
+            };
+        }
+
+        let index = snapshots.length - 2;
+        while (snapshots[index].timestamp > renderTime) index--;
+        const from = snapshots[index];
+        const to = snapshots[index + 1];
+
+        // A respawn jumps straight to the new spot
+        if (distance(from.position, to.position) > this.snapDistance) {
+            return { position: { ...to.position }, velocity: { ...to.velocity }, extrapolated: false };
+        }
+
+        const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+        return {
+            position: lerpVector(from.position, to.position, t),
+            velocity: lerpVector(from.velocity, to.velocity, t),
+            extrapolated: false
+        };
+    }
+
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+}
+
+// Roll of a ball of `radius` that moved from `previous` to `position` without
+// slipping: { axis, angle } to rotate it by in world space, or null if it did not
+// move sideways (falling straight down does not roll)
+function rollFromMotion(previous, position, radius) {
+    const dx = position.x - previous.x;
+    const dz = position.z - previous.z;
+    const moved = Math.hypot(dx, dz);
+    if (moved < 1e-6) return null;
+
+    // Up crossed with the direction of travel
+    return {
+        axis: { x: dz / moved, y: 0, z: -dx / moved },
+        angle: moved / radius
+    };
+}
+
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+function lerpVector(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+export {
+    REMOTE_INTERPOLATION,
+    SnapshotBuffer,
+    rollFromMotion
+};
@@ -0,0 +1,268 @@
+// Replay recording and playback
+// A replay holds the input of one level attempt, tick by tick, on the fixed
+// simulation clock (see fixedTimestep.js). Only changes are stored: input bit
+// masks, analog stick values, the camera-relative movement directions and
+// camera events. Feeding the same input back from tick 0 of the same level and
+// config reproduces the run exactly.
+
+const REPLAY_FORMAT = '3dgametest-replay';
+const REPLAY_VERSION = 1;
+
+// Input state fields and their bits in a recorded input mask
+const INPUT_BITS = {
+    forward: 1,
+    backward: 2,
+    left: 4,
+    right: 8,
+    jump: 16
+};
+
+// Pack an input state ({ forward, jump, ... }) into a bit mask
+function encodeInput(input = {}) {
+    return Object.entries(INPUT_BITS).reduce((mask, [key, bit]) => (input[key] ? mask | bit : mask), 0);
+}
+
+// Unpack a bit mask into an input state
+function decodeInput(mask) {
+    const input = {};
+    Object.entries(INPUT_BITS).forEach(([key, bit]) => {
+        input[key] = (mask & bit) !== 0;
+    });
+    return input;
+}
+
+// JSON with sorted object keys, so equal values always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Short FNV-1a hash of any JSON value (config, level data)
+function hashValue(value) {
+    const text = stableStringify(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Find the last [tick, ...] entry at or before tick (entries sorted by tick)
+function findEntryAt(entries, tick) {
+    let low = 0;
+    let high = entries.length - 1;
+    let found = null;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle][0] <= tick) {
+            found = entries[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return found;
+}
+
+function sameValues(a, b) {
+    return a !== null && b !== null && a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+class ReplayRecorder {
+    constructor() {
+        this.recording = null;
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    // Begin a new recording; metadata describes the level, config and starting camera
+    start({ level, configHash, step, camera = {} }) {
+        this.recording = {
+            level,
+            configHash,
+            step,
+            camera: { mode: camera.mode || null, preset: camera.preset || null },
+            ticks: 0,
+            inputs: [],
+            analog: [],
+            directions: [],
+            events: []
+        };
+    }
+
+    // Input state used by the step at this tick
+    recordInput(tick, input) {
+        if (!this.recording) return;
+
+        const mask = encodeInput(input);
+        const last = this.recording.inputs[this.recording.inputs.length - 1];
+        if (!last || last[1] !== mask) {
+            this.recording.inputs.push([tick, mask]);
+        }
+
+        // Analog movement (gamepad stick), [tick, moveX, moveY]; absent means centered
+        const axes = [input.moveX || 0, input.moveY || 0];
+        const lastAxes = this.recording.analog[this.recording.analog.length - 1];
+        if (lastAxes ? !sameValues(lastAxes.slice(1), axes) : (axes[0] !== 0 || axes[1] !== 0)) {
+            this.recording.analog.push([tick, ...axes]);
+        }
+        this.recording.ticks = Math.max(this.recording.ticks, tick + 1);
+    }
+
+    // Movement directions ([forward x, y, z, right x, y, z]) used at this tick
+    recordDirections(tick, directions) {
+        if (!this.recording) return;
+
+        const last = this.recording.directions[this.recording.directions.length - 1];
+        if (!last || !sameValues(last.slice(1), directions)) {
+            this.recording.directions.push([tick, ...directions]);
+        }
+    }
+
+    // Something that happened at this tick, e.g. a camera preset change
+    recordEvent(tick, type, value) {
+        if (!this.recording) return;
+        this.recording.events.push([tick, type, value]);
+    }
+
+    // The replay recorded so far, without stopping
+    snapshot(result = {}) {
+        if (!this.recording) return null;
+
+        const { level, configHash, step, camera, ticks, inputs, analog, directions, events } = this.recording;
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            level,
+            configHash,
+            step,
+            camera,
+            ticks,
+            inputs: inputs.map(entry => [...entry]),
+            analog: analog.map(entry => [...entry]),
+            directions: directions.map(entry => [...entry]),
+            events: events.map(entry => [...entry]),
+            result
+        };
+    }
+
+    // Finish the recording and return the replay
+    stop(result = {}) {
+        const replay = this.snapshot(result);
+        this.recording = null;
+        return replay;
+    }
+}
+
+// Problems that make a value unusable as a replay (empty when valid)
+function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object' || Array.isArray(replay)) {
+        return ['replay must be a JSON object'];
+    }
+    if (replay.format !== REPLAY_FORMAT) {
+        return [`not a replay file (format must be "${REPLAY_FORMAT}")`];
+    }
+
+    const errors = [];
+    if (replay.version !== REPLAY_VERSION) {
+        errors.push(`unsupported replay version ${replay.version}`);
+    }
+    if (!replay.level || !Number.isInteger(replay.level.index) || replay.level.index < 0) {
+        errors.push('level.index must be a level index');
+    }
+    if (!(replay.step > 0)) {
+        errors.push('step must be a positive number');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+        errors.push('ticks must be a non-negative integer');
+    }
+
+    const checkEntries = (name, length) => {
+        const entries = replay[name];
+        if (!Array.isArray(entries)) {
+            errors.push(`${name} must be an array`);
+            return;
+        }
+        entries.forEach((entry, index) => {
+            if (!Array.isArray(entry) || entry.length !== length || !Number.isInteger(entry[0])) {
+                errors.push(`${name}[${index}] must be [tick, ...] with ${length} values`);
+            } else if (index > 0 && entry[0] < entries[index - 1][0]) {
+                errors.push(`${name}[${index}] is out of order`);
+            }
+        });
+    };
+    checkEntries('inputs', 2);
+    if (replay.analog !== undefined) {
+        checkEntries('analog', 3);
+    }
+    checkEntries('directions', 7);
+    checkEntries('events', 3);
+
+    return errors;
+}
+
+class ReplayPlayer {
+    constructor(replay) {
+        const errors = validateReplay(replay);
+        if (errors.length > 0) {
+            throw new Error(`Invalid replay: ${errors.join('; ')}`);
+        }
+        this.replay = replay;
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    get duration() {
+        return this.replay.ticks * this.replay.step;
+    }
+
+    // Input state for the step at this tick
+    inputAt(tick) {
+        const entry = findEntryAt(this.replay.inputs, tick);
+        const axes = findEntryAt(this.replay.analog || [], tick);
+        return {
+            ...decodeInput(entry ? entry[1] : 0),
+            moveX: axes ? axes[1] : 0,
+            moveY: axes ? axes[2] : 0
+        };
+    }
+
+    // Movement directions for the step at this tick, or null if none were recorded yet
+    directionsAt(tick) {
+        const entry = findEntryAt(this.replay.directions, tick);
+        return entry ? entry.slice(1) : null;
+    }
+
+    // Events recorded at exactly this tick
+    eventsAt(tick) {
+        return this.replay.events
+            .filter(entry => entry[0] === tick)
+            .map(([, type, value]) => ({ type, value }));
+    }
+}
+
+export {
+    ReplayRecorder,
+    ReplayPlayer,
+    validateReplay,
+    encodeInput,
+    decodeInput,
+    hashValue,
+    INPUT_BITS,
+    REPLAY_FORMAT,
+    REPLAY_VERSION
+};
+export default ReplayRecorder;
@@ -0,0 +1,145 @@
+// Room persistence for the game server
+// Rooms (lobby membership, game session, collectibles and level layout) and
+// the player sessions that own their slots are snapshotted to a JSON file, so
+// a restarted server can restore games in progress and reconnecting clients
+// can reclaim their slot with their session token. Sessions are saved with a
+// hash of their token, never the token itself.
+// Timers (start countdowns, votes) are not saved: a room that was counting down
+// goes back to the lobby and an open vote is dropped. Neither is race progress
+// (the server starts a restored race over once its players are back) or the
+// scoreboard.
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import path from 'path';
+import { isGameMode } from './raceMode.js';
+
+const ROOM_SNAPSHOT_VERSION = 1;
+
+// Plain JSON form of a room (Sets and Maps become arrays)
+function serializeRoom(room) {
+    const { lobbyState, gameSession, collectibleItems, levelLayout } = room;
+
+    return {
+        id: room.id,
+        name: room.name,
+        createdAt: room.createdAt,
+        players: room.players,
+        spectators: room.spectators,
+        usedColors: [...room.usedColors],
+        collectibleItems: {
+            coins: [...collectibleItems.coins],
+            keys: [...collectibleItems.keys],
+            initialized: collectibleItems.initialized
+        },
+        levelLayout: levelLayout
+            ? Object.fromEntries(Object.entries(levelLayout).map(([collectionKey, items]) => [collectionKey, [...items.entries()]]))
+            : null,
+        lobby: {
+            players: lobbyState.players,
+            gameState: lobbyState.gameState,
+            gameMode: lobbyState.gameMode,
+            hostId: lobbyState.hostId,
+            lastUpdate: lobbyState.lastUpdate
+        },
+        gameSession: {
+            currentLevel: gameSession.currentLevel,
+            playerCount: gameSession.playerCount,
+            sessionStartTime: gameSession.sessionStartTime,
+            lastStateUpdate: gameSession.lastStateUpdate
+        }
+    };
+}
+
+// Fill a freshly created room (see createRoomState in server.js) from its snapshot
+function restoreRoom(room, data) {
+    const { lobbyState, gameSession, collectibleItems } = room;
+
+    room.createdAt = data.createdAt ?? room.createdAt;
+    room.players = data.players || {};
+    room.spectators = data.spectators || {};
+    room.usedColors = new Set(data.usedColors || []);
+
+    (data.collectibleItems?.coins || []).forEach(id => collectibleItems.coins.add(id));
+    (data.collectibleItems?.keys || []).forEach(id => collectibleItems.keys.add(id));
+    collectibleItems.initialized = !!data.collectibleItems?.initialized;
+
+    room.levelLayout = data.levelLayout
+        ? Object.fromEntries(Object.entries(data.levelLayout).map(([collectionKey, items]) => [collectionKey, new Map(items)]))
+        : null;
+
+    const lobby = data.lobby || {};
+    lobbyState.players = lobby.players || {};
+    lobbyState.hostId = lobby.hostId ?? null;
+    lobbyState.lastUpdate = lobby.lastUpdate ?? lobbyState.lastUpdate;
+    lobbyState.gameState = lobby.gameState === 'in-game' ? 'in-game' : 'lobby';
+    lobbyState.gameMode = isGameMode(lobby.gameMode) ? lobby.gameMode : 'coop';
+
+    // The start countdown did not survive the restart; everyone readies up again
+    if (lobby.gameState === 'starting') {
+        Object.values(lobbyState.players).forEach(player => {
+            player.ready = false;
+        });
+    }
+
+    Object.assign(gameSession, data.gameSession || {}, { collectibleItems });
+    return room;
+}
+
+// Whether a player holds a slot in the room's lobby or game, or is spectating it
+function isRoomMember(room, playerId) {
+    return !!(room.lobbyState.players[playerId] || room.players[playerId] || room.spectators[playerId]);
+}
+
+class RoomStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.lastSaved = null;
+    }
+
+    // Saved snapshot ({ version, savedAt, rooms, sessions }), or null if there is none
+    // or it cannot be read (a corrupt file is reported and ignored)
+    load() {
+        let contents;
+        try {
+            contents = readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        try {
+            const snapshot = JSON.parse(contents);
+            if (snapshot?.version !== ROOM_SNAPSHOT_VERSION || !Array.isArray(snapshot.rooms) || !Array.isArray(snapshot.sessions)) {
+                console.warn(`Ignoring room snapshot ${this.filePath}: unsupported format`);
+                return null;
+            }
+            this.lastSaved = JSON.stringify({ rooms: snapshot.rooms, sessions: snapshot.sessions });
+            return snapshot;
+        } catch (error) {
+            console.warn(`Ignoring unreadable room snapshot ${this.filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Write rooms and sessions if they changed since the last save; returns whether
+    // the file was written. Synchronous so it also works from exit handlers.
+    save(rooms, sessions) {
+        const state = { rooms: rooms.map(serializeRoom), sessions };
+        const serialized = JSON.stringify(state);
+        if (serialized === this.lastSaved) return false;
+
+        const snapshot = { version: ROOM_SNAPSHOT_VERSION, savedAt: new Date().toISOString(), ...state };
+
+        // Write through a temporary file so a crash mid-write never leaves a partial snapshot
+        const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+        mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileSync(temporaryPath, JSON.stringify(snapshot));
+        renameSync(temporaryPath, this.filePath);
+
+        this.lastSaved = serialized;
+        return true;
+    }
+}
+
+export { RoomStore, ROOM_SNAPSHOT_VERSION, serializeRoom, restoreRoom, isRoomMember };
+export default RoomStore;
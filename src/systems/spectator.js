@@ -0,0 +1,73 @@
+// Spectator mode
+// Players who join a room while its game is running, and players who run out
+// of lives, watch instead of playing until the next level starts. They follow
+// one player at a time or fly a free camera, see a scoreboard of everyone
+// playing, and do not count toward votes.
+
+const SPECTATE_REASONS = ['late-join', 'out-of-lives'];
+
+// Free-fly camera tuning
+const FREE_CAMERA = {
+    moveSpeed: 10,   // Units per second
+    climbSpeed: 6,
+    turnSpeed: 1.8,  // Radians per second
+    pitch: -0.45,    // Looks down at the level a little
+    minHeight: 1,
+    maxHeight: 60
+};
+
+// Player to follow after `currentId` (step -1 goes back); the first player if
+// `currentId` is not playing anymore, null if nobody is
+function nextSpectateTarget(playerIds, currentId, step = 1) {
+    if (playerIds.length === 0) return null;
+
+    const index = playerIds.indexOf(currentId);
+    if (index === -1) return playerIds[0];
+    return playerIds[((index + step) % playerIds.length + playerIds.length) % playerIds.length];
+}
+
+// Free camera ({ x, y, z, yaw }) moved by input ({ forward, turn, climb }, each
+// -1 to 1) over `seconds`. It flies where it looks, so going forward also goes
+// down towards the level. Yaw 0 looks down -z; positive turns left.
+function moveFreeCamera(camera, input, seconds, tuning = FREE_CAMERA) {
+    const yaw = camera.yaw + input.turn * tuning.turnSpeed * seconds;
+    const distance = input.forward * tuning.moveSpeed * seconds;
+    const horizontal = Math.cos(tuning.pitch) * distance;
+    const y = camera.y + Math.sin(tuning.pitch) * distance + input.climb * tuning.climbSpeed * seconds;
+
+    return {
+        x: camera.x - Math.sin(yaw) * horizontal,
+        y: Math.min(tuning.maxHeight, Math.max(tuning.minHeight, y)),
+        z: camera.z - Math.cos(yaw) * horizontal,
+        yaw
+    };
+}
+
+// Scoreboard rows for the players in a game: race finishers by place first,
+// then the most coins and keys. scores is { playerId: { coins, keys } } and
+// finishes is a race's { playerId: { place } }.
+function buildScoreboard(players, scores = {}, finishes = {}) {
+    return Object.values(players)
+        .map(player => {
+            const score = scores[player.id] || {};
+            const finish = finishes[player.id];
+            return {
+                playerId: player.id,
+                name: player.name ?? null,
+                color: player.color ?? null,
+                coins: score.coins || 0,
+                keys: score.keys || 0,
+                place: finish ? finish.place : null,
+                disconnected: !!player.disconnected
+            };
+        })
+        .sort((a, b) => (a.place ?? Infinity) - (b.place ?? Infinity) || b.coins - a.coins || b.keys - a.keys);
+}
+
+export {
+    SPECTATE_REASONS,
+    FREE_CAMERA,
+    nextSpectateTarget,
+    moveFreeCamera,
+    buildScoreboard
+};
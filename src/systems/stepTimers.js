@@ -0,0 +1,71 @@
+// Step timers
+// Delays and short animations that are part of the game (a bounce, a tile
+// that disappears, gravity that switches back) run on the simulation clock
+// instead of setTimeout/requestAnimationFrame. They advance once per fixed
+// step, so they finish on the same tick at any frame rate, in a replay and
+// while seeking through one.
+
+class StepTimers {
+    // clock() returns the current simulated time in milliseconds
+    constructor(clock) {
+        this.clock = clock;
+        this.pending = new Set();
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    // Run callback() once `delay` ms of simulated time have passed
+    after(delay, callback) {
+        const timer = { due: this.clock() + delay, callback };
+        this.pending.add(timer);
+        return timer;
+    }
+
+    // Call onStep(progress) every step for `duration` ms (progress 0..1),
+    // then onDone() on the step it completes
+    animate(duration, onStep, onDone = () => {}) {
+        const start = this.clock();
+        const timer = { start, duration, due: start + duration, onStep, onDone };
+        this.pending.add(timer);
+        return timer;
+    }
+
+    cancel(timer) {
+        this.pending.delete(timer);
+    }
+
+    // Drop everything, e.g. when a level is loaded and the clock starts over
+    clear() {
+        this.pending.clear();
+    }
+
+    // Advance all timers to the current time; call once per step.
+    // Timers started during this call first run on the next step.
+    update() {
+        const now = this.clock();
+
+        for (const timer of [...this.pending]) {
+            // Cancelled (or cleared) by a timer that ran before it
+            if (!this.pending.has(timer)) continue;
+
+            if (timer.onStep) {
+                const progress = timer.duration > 0 ? Math.min((now - timer.start) / timer.duration, 1) : 1;
+                if (progress < 1) {
+                    timer.onStep(progress);
+                    continue;
+                }
+                this.pending.delete(timer);
+                timer.onStep(1);
+                timer.onDone();
+            } else if (now >= timer.due) {
+                this.pending.delete(timer);
+                timer.callback();
+            }
+        }
+    }
+}
+
+export { StepTimers };
+export default StepTimers;
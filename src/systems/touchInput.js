@@ -0,0 +1,67 @@
+// Touch input
+// On-screen controls for phones and tablets: a virtual joystick that moves the
+// ball through the same analog input as a gamepad stick, and swipes on the
+// rest of the screen that move the camera like the right stick.
+// Positions are client pixels; joystick values use y up (forward).
+
+import { applyDeadzone } from './gamepadInput.js';
+
+const DEFAULT_TOUCH_SETTINGS = {
+    joystickRadius: 60,     // Pixels from the joystick centre to full tilt
+    deadzone: 0.15,
+    swipeSensitivity: 0.05  // Camera steps per pixel swiped
+};
+
+// Whether the browser has a touch screen worth showing the controls for
+function isTouchDevice(win = globalThis) {
+    if (!win) return false;
+
+    const navigator = win.navigator || {};
+    if ('ontouchstart' in win || navigator.maxTouchPoints > 0) return true;
+    return typeof win.matchMedia === 'function' && win.matchMedia('(pointer: coarse)').matches;
+}
+
+// Joystick reading for a touch at `point` on a joystick centred on `origin`.
+// Returns the deadzoned tilt ({ x, y }, -1..1, y forward) and the knob offset
+// in pixels, clamped to the joystick's edge.
+function readJoystick(origin, point, settings = DEFAULT_TOUCH_SETTINGS) {
+    const radius = settings.joystickRadius || DEFAULT_TOUCH_SETTINGS.joystickRadius;
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const distance = Math.hypot(dx, dy);
+    const clamp = distance > radius ? radius / distance : 1;
+
+    // Screen y grows downwards; pushing the knob up moves forward
+    const tilt = applyDeadzone(dx * clamp / radius, -dy * clamp / radius, settings.deadzone ?? DEFAULT_TOUCH_SETTINGS.deadzone);
+
+    return {
+        x: tilt.x,
+        y: tilt.y,
+        knob: { x: dx * clamp, y: dy * clamp }
+    };
+}
+
+// Camera movement for a swipe of (dx, dy) pixels: { x, y } in manual camera
+// steps, x right and y forward. Dragging moves the view with the finger, so
+// swiping left swings the camera right.
+function swipeToCamera(dx, dy, settings = DEFAULT_TOUCH_SETTINGS) {
+    const sensitivity = settings.swipeSensitivity ?? DEFAULT_TOUCH_SETTINGS.swipeSensitivity;
+    return {
+        x: -dx * sensitivity + 0,
+        y: dy * sensitivity + 0
+    };
+}
+
+// The touch with `identifier` in a TouchList (or array), if it is still there
+function findTouch(touches, identifier) {
+    if (identifier === null || identifier === undefined) return null;
+    return [...(touches || [])].find(touch => touch.identifier === identifier) || null;
+}
+
+export {
+    DEFAULT_TOUCH_SETTINGS,
+    isTouchDevice,
+    readJoystick,
+    swipeToCamera,
+    findTouch
+};
@@ -0,0 +1,221 @@
+// Level triggers
+// A level's `triggers` are rules: when their condition comes true they fire a
+// list of actions. Conditions watch pressure plates, the coins and key the player
+// has, the time since the level started and zones the player is in, and combine
+// with `all` (AND) and `any` (OR). Actions run after their `delay`, or one after
+// another inside a `sequence`. This module decides what runs when; the game
+// carries the actions out (see executeTriggerAction in main.js).
+
+const TRIGGER_CONDITION_TYPES = ['pressurePlate', 'coins', 'key', 'timer', 'zone'];
+
+// once: fires the first time; repeat: every time the condition comes true;
+// toggle: switches on and off each time it comes true; hold: on while it is true
+const TRIGGER_MODES = ['once', 'repeat', 'toggle', 'hold'];
+
+// What each kind of action can do to its target; the first is the default
+const TRIGGER_ACTION_VERBS = {
+    door: ['open', 'close', 'toggle'],
+    platform: ['activate', 'deactivate', 'toggle'],
+    movingPlatform: ['start', 'stop', 'toggle'],
+    gravity: ['flip', 'set', 'reset']
+};
+
+const TRIGGER_ACTION_TYPES = [...Object.keys(TRIGGER_ACTION_VERBS), 'spawn', 'message', 'sound', 'sequence'];
+
+// Verbs that undo each other, used when toggle and hold triggers switch off
+const OPPOSITE_VERBS = {
+    open: 'close',
+    close: 'open',
+    activate: 'deactivate',
+    deactivate: 'activate',
+    start: 'stop',
+    stop: 'start',
+    toggle: 'toggle',
+    flip: 'flip',
+    set: 'reset'
+};
+
+// Whether `condition` holds for `state`: { time (ms since the level started), coins,
+// hasKey, pressedPlates (Set of plate ids), position ({ x, z } cell on grid levels,
+// { x, y, z } on 3D ones) }
+function evaluateCondition(condition, state) {
+    if (!condition) return false;
+    if (Array.isArray(condition.all)) return condition.all.every(part => evaluateCondition(part, state));
+    if (Array.isArray(condition.any)) return condition.any.some(part => evaluateCondition(part, state));
+
+    switch (condition.type) {
+        case 'pressurePlate':
+            return state.pressedPlates.has(condition.target);
+        case 'coins':
+            return state.coins >= condition.count;
+        case 'key':
+            return state.hasKey;
+        case 'timer':
+            return state.time >= condition.after;
+        case 'zone':
+            return isInZone(state.position, condition.from, condition.to);
+        default:
+            return false;
+    }
+}
+
+// Zones are boxes between two corners; without a y on the corners any height counts
+function isInZone(position, from, to) {
+    if (!position || !from || !to) return false;
+    return ['x', 'y', 'z'].every(axis => {
+        if (from[axis] === undefined || to[axis] === undefined) return axis === 'y';
+        const value = position[axis];
+        return value >= Math.min(from[axis], to[axis]) && value <= Math.max(from[axis], to[axis]);
+    });
+}
+
+// The verb an action does, filling in the default for its type
+function getActionVerb(action) {
+    const verbs = TRIGGER_ACTION_VERBS[action.type];
+    return verbs ? (verbs.includes(action.action) ? action.action : verbs[0]) : null;
+}
+
+// The action that undoes `action`, or null if it cannot be undone (messages, sounds, spawns)
+function oppositeAction(action) {
+    if (action.type === 'sequence') {
+        const actions = (action.actions || []).map(oppositeAction).filter(Boolean);
+        return actions.length > 0 ? { ...action, actions } : null;
+    }
+
+    const verb = OPPOSITE_VERBS[getActionVerb(action)];
+    return verb ? { ...action, action: verb } : null;
+}
+
+// When each action in `actions` runs if they fire at `time`: [{ at, action }].
+// Actions side by side each wait their own delay; the ones in a sequence each
+// wait theirs after the one before.
+function scheduleActions(actions, time) {
+    const scheduled = [];
+    actions.forEach(action => {
+        const at = time + (action.delay || 0);
+        if (action.type === 'sequence') {
+            scheduleSequence(action.actions || [], at, scheduled);
+        } else {
+            scheduled.push({ at, action });
+        }
+    });
+    return scheduled;
+}
+
+function scheduleSequence(actions, time, scheduled) {
+    let at = time;
+    actions.forEach(action => {
+        at += action.delay || 0;
+        if (action.type === 'sequence') {
+            at = scheduleSequence(action.actions || [], at, scheduled);
+        } else {
+            scheduled.push({ at, action });
+        }
+    });
+    return at;
+}
+
+// Objects the spawn actions of a level's triggers (and its objects' own `triggers`,
+// like pressure plates') can create, in the order they are listed
+function getSpawnedObjects(level) {
+    const objects = [];
+    const visit = (actions) => (Array.isArray(actions) ? actions : []).forEach(action => {
+        if (action && action.type === 'spawn' && action.object) {
+            objects.push(action.object);
+        } else if (action && action.type === 'sequence') {
+            visit(action.actions);
+        }
+    });
+
+    (Array.isArray(level.triggers) ? level.triggers : []).forEach(trigger => visit(trigger && trigger.actions));
+    (Array.isArray(level.objects) ? level.objects : []).forEach(object => visit(object && object.triggers));
+    return objects;
+}
+
+// The triggers of one level (or underworld layer) and the actions waiting on their delay
+class TriggerSystem {
+    constructor(triggers = []) {
+        this.triggers = triggers.map((trigger, index) => ({
+            id: trigger.id || `trigger_${index}`,
+            when: trigger.when,
+            mode: TRIGGER_MODES.includes(trigger.mode) ? trigger.mode : 'once',
+            actions: Array.isArray(trigger.actions) ? trigger.actions : [],
+            met: false,  // The condition held at the last update
+            on: false,   // Toggle and hold triggers: switched on
+            fired: 0
+        }));
+        this.pending = []; // { at, action, trigger } sorted by at
+    }
+
+    // Check the conditions against `state` (see evaluateCondition) and return the
+    // actions due by state.time, in the order they were due
+    update(state) {
+        this.triggers.forEach(trigger => {
+            const met = evaluateCondition(trigger.when, state);
+            if (met === trigger.met) return;
+            trigger.met = met;
+
+            const actions = this.getFiredActions(trigger, met);
+            if (actions) {
+                this.schedule(trigger, actions, state.time);
+            }
+        });
+
+        const due = [];
+        while (this.pending.length > 0 && this.pending[0].at <= state.time) {
+            due.push(this.pending.shift().action);
+        }
+        return due;
+    }
+
+    // Actions a trigger fires when its condition changes to `met`, or null
+    getFiredActions(trigger, met) {
+        switch (trigger.mode) {
+            case 'once':
+                return met && trigger.fired === 0 ? trigger.actions : null;
+            case 'repeat':
+                return met ? trigger.actions : null;
+            case 'toggle':
+                if (!met) return null;
+                trigger.on = !trigger.on;
+                return trigger.on ? trigger.actions : trigger.actions.map(oppositeAction).filter(Boolean);
+            case 'hold':
+                trigger.on = met;
+                return met ? trigger.actions : trigger.actions.map(oppositeAction).filter(Boolean);
+            default:
+                return null;
+        }
+    }
+
+    schedule(trigger, actions, time) {
+        trigger.fired++;
+
+        // A trigger switching off (or back on) calls off what it still had waiting
+        if (trigger.mode === 'toggle' || trigger.mode === 'hold') {
+            this.pending = this.pending.filter(entry => entry.trigger !== trigger);
+        }
+
+        scheduleActions(actions, time).forEach(({ at, action }) => {
+            const index = this.pending.findIndex(entry => entry.at > at);
+            const entry = { at, action, trigger };
+            if (index === -1) {
+                this.pending.push(entry);
+            } else {
+                this.pending.splice(index, 0, entry);
+            }
+        });
+    }
+}
+
+export {
+    TRIGGER_CONDITION_TYPES,
+    TRIGGER_MODES,
+    TRIGGER_ACTION_VERBS,
+    TRIGGER_ACTION_TYPES,
+    evaluateCondition,
+    getActionVerb,
+    oppositeAction,
+    scheduleActions,
+    getSpawnedObjects,
+    TriggerSystem
+};
@@ -0,0 +1,147 @@
+// Underworld layers
+// A level can have an underworld: a sub-level below it that players drop into
+// through a hole and leave through an underworld exit. A layer is a level of its
+// own (grid or 3D, any object and tile type, its own environment, gravity and
+// camera) and may have an underworld of its own, down to MAX_UNDERWORLD_DEPTH.
+// Only one layer is built at a time; the game swaps layers in and out on the
+// same floor as players go down and back up.
+
+import { getSpawnedObjects } from './triggers.js';
+
+const MAX_UNDERWORLD_DEPTH = 4;
+
+// Underworlds without an environment preset of their own get this one
+const UNDERWORLD_ENVIRONMENT_PRESET = 'underworld';
+
+// How high coins and keys float over a grid level's tiles
+const GRID_ITEM_HEIGHT = { coin: 1.2, key: 1.5 };
+
+// Layers of a level from the surface down: [level, its underworld, that one's underworld, ...].
+// The surface leads down when it has `hasUnderworld` and an `underworld`; a layer
+// below it leads down when it has an `underworld`. Layers take the level's grid
+// size and start (when they leave them out), and the underworld environment preset.
+function getLevelLayers(level) {
+    const layers = [level];
+    let parent = level;
+    let below = level.hasUnderworld ? level.underworld : null;
+
+    while (isObject(below) && layers.length <= MAX_UNDERWORLD_DEPTH) {
+        const depth = layers.length;
+        const environment = isObject(below.environment) ? below.environment : {};
+        const layer = {
+            ...below,
+            name: typeof below.name === 'string' ? below.name : `${level.name} - Underworld${depth > 1 ? ` ${depth}` : ''}`,
+            number: level.number,
+            gridSize: below.gridSize ?? parent.gridSize,
+            playerStart: below.playerStart || parent.playerStart,
+            objects: Array.isArray(below.objects) ? below.objects : [],
+            environment: { ...environment, preset: environment.preset || UNDERWORLD_ENVIRONMENT_PRESET }
+        };
+
+        layers.push(layer);
+        parent = layer;
+        below = layer.underworld;
+    }
+
+    return layers;
+}
+
+// Whether holes in the layer at `depth` lead further down
+function hasLayerBelow(layers, depth) {
+    return depth + 1 < layers.length;
+}
+
+// Id of a coin or key in a layer: surface items keep their id, ones further down
+// get the layer in front, so a coin below never shares an id with one above it
+function getLayerItemId(depth, id) {
+    return depth === 0 ? id : `underworld${depth}_${id}`;
+}
+
+// Id of a coin or key a level trigger spawns: named after the spot it appears on, so
+// a spawn action always makes the same item however often it fires
+function getSpawnedItemId(object, use3D) {
+    const { x = 0, y = 0, z = 0 } = object.position || object;
+    return use3D ? `spawned_${object.type}_${x}_${y}_${z}` : `spawned_${object.type}_${object.x}_${object.z}`;
+}
+
+// Coins and keys of the layer at `depth` with the ids and world positions the game
+// gives them, those its triggers can spawn included: { coins: [{ id, x, y, z }], keys: [...] }.
+// `floor` is the game's { tileSize, gridSize }, which places grid cells in the world.
+function getLayerCollectibles(layer, depth, floor) {
+    const collectibles = { coins: [], keys: [] };
+    const isCollectible = (object) => !!object && (object.type === 'coin' || object.type === 'key');
+    const add = (object, item) => {
+        item.id = getLayerItemId(depth, item.id);
+        (object.type === 'coin' ? collectibles.coins : collectibles.keys).push(item);
+    };
+
+    (Array.isArray(layer.objects) ? layer.objects : []).filter(isCollectible).forEach(object => {
+        add(object, layer.use3D ? get3DItem(object, collectibles.coins.length) : getGridItem(object, floor));
+    });
+
+    getSpawnedObjects(layer).filter(isCollectible).forEach(object => {
+        const item = layer.use3D ? get3DItem(object, 0) : getGridItem(object, floor);
+        add(object, { ...item, id: getSpawnedItemId(object, layer.use3D) });
+    });
+
+    return collectibles;
+}
+
+// A grid coin or key sits over the middle of its cell; its id names the cell
+function getGridItem(object, { tileSize, gridSize }) {
+    return {
+        id: `${object.type}_${object.x}_${object.z}`,
+        x: (object.x - gridSize / 2 + 0.5) * tileSize,
+        y: GRID_ITEM_HEIGHT[object.type],
+        z: (object.z - gridSize / 2 + 0.5) * tileSize
+    };
+}
+
+// 3D coins are numbered in the order they are built; a 3D key's id names its position
+function get3DItem(object, coinIndex) {
+    const { x = 0, y = 0, z = 0 } = object.position || object;
+    return { id: object.type === 'coin' ? `coin_${coinIndex}` : `key_${x}_${y}_${z}`, x, y, z };
+}
+
+// Depth a player is on: a whole number from 0 (the surface) to MAX_UNDERWORLD_DEPTH, or null
+function normalizeLayerDepth(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_UNDERWORLD_DEPTH ? value : null;
+}
+
+// Where an exit in the layer at `depth` puts the player on the layer above: the exit's
+// `destination` ({ x, z } on a grid layer, { x, y, z } on a 3D one), otherwise that layer's start
+function getExitDestination(layers, depth, exit) {
+    const above = layers[Math.max(0, depth - 1)];
+    const destination = exit && isObject(exit.destination) ? exit.destination : above.playerStart;
+    return { ...destination };
+}
+
+// How many other players are above, on and below the layer at `depth`
+// (players is { id: { layer } }; players without a layer are on the surface)
+function countPlayersByLayer(players, depth) {
+    const counts = { above: 0, here: 0, below: 0 };
+    Object.values(players).forEach(player => {
+        const layer = player.layer ?? 0;
+        if (layer < depth) counts.above++;
+        else if (layer > depth) counts.below++;
+        else counts.here++;
+    });
+    return counts;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export {
+    MAX_UNDERWORLD_DEPTH,
+    UNDERWORLD_ENVIRONMENT_PRESET,
+    getLevelLayers,
+    hasLayerBelow,
+    getLayerItemId,
+    getSpawnedItemId,
+    getLayerCollectibles,
+    normalizeLayerDepth,
+    getExitDestination,
+    countPlayersByLayer
+};
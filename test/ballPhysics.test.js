@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createPhysicsConfig } from '../src/systems/levelSimulation.js';
+import { handleJump, dampenGroundedVelocity } from '../src/systems/ballPhysics.js';
+
+const config = createPhysicsConfig();
+
+// A ball resting on the ground, with any fields overridden
+function createBall(overrides = {}) {
+    return {
+        position: new THREE.Vector3(0, 0.5, 0),
+        velocity: new THREE.Vector3(),
+        acceleration: new THREE.Vector3(),
+        isGrounded: true,
+        canJump: true,
+        isJumping: false,
+        jumpRequested: false,
+        jumpBufferTimer: 0,
+        coyoteTimer: 0,
+        groundDistance: config.playerRadius,
+        airTime: 0,
+        ...overrides
+    };
+}
+
+test('a grounded ball jumps once per press', () => {
+    const ball = createBall();
+
+    assert.equal(handleJump(ball, { jump: true }, config), 'jumped');
+    assert.equal(ball.velocity.y, config.jumpForce);
+    assert.equal(ball.isJumping, true);
+    assert.equal(ball.isGrounded, false);
+
+    // Still holding the key after landing doesn't jump again
+    Object.assign(ball, createBall({ jumpRequested: true }));
+    assert.equal(handleJump(ball, { jump: true }, config), null);
+    assert.equal(ball.velocity.y, 0);
+});
+
+test('jumping is blocked in the air and while already moving vertically', () => {
+    const airborne = createBall({ isGrounded: false, canJump: false, groundDistance: Infinity });
+    assert.equal(handleJump(airborne, { jump: true }, config), 'notGrounded');
+    assert.equal(airborne.velocity.y, 0);
+
+    // Too far above the surface to count as standing on it
+    const hovering = createBall({ groundDistance: config.playerRadius + 0.5 });
+    assert.equal(handleJump(hovering, { jump: true }, config), 'notGrounded');
+
+    const moving = createBall({ velocity: new THREE.Vector3(0, 1, 0) });
+    assert.equal(handleJump(moving, { jump: true }, config), 'blocked');
+    assert.equal(moving.velocity.y, 1);
+    assert.equal(moving.jumpBufferTimer, 0);
+});
+
+test('rolling speed adds to the jump and the inverted world jumps down', () => {
+    const rolling = createBall({ velocity: new THREE.Vector3(4, 0, 0) });
+    handleJump(rolling, { jump: true }, config);
+    assert.ok(rolling.velocity.y > config.jumpForce);
+
+    const inverted = createBall();
+    handleJump(inverted, { jump: true }, config, true);
+    assert.equal(inverted.velocity.y, -config.jumpForce);
+});
+
+test('landing ends the jump and drops leftover downward speed', () => {
+    const ball = createBall({ isJumping: true, velocity: new THREE.Vector3(0, -1, 0) });
+
+    handleJump(ball, {}, config);
+
+    assert.equal(ball.isJumping, false);
+    assert.equal(ball.velocity.y, 0);
+});
+
+test('vertical speed on the ground is damped away without bouncing', () => {
+    const ball = createBall({ velocity: new THREE.Vector3(0, 2, 0), acceleration: new THREE.Vector3(0, 3, 0) });
+
+    dampenGroundedVelocity(ball);
+    assert.ok(Math.abs(ball.velocity.y - 1.6) < 1e-9);
+    assert.equal(ball.acceleration.y, -0.2);
+
+    const speeds = [];
+    for (let i = 0; i < 10; i++) {
+        dampenGroundedVelocity(ball);
+        speeds.push(ball.velocity.y);
+    }
+    assert.ok(speeds.every((speed, i) => speed >= 0 && (i === 0 || speed <= speeds[i - 1])), 'damping should settle, not flip direction');
+    assert.ok(ball.velocity.y <= 0.3);
+
+    // Small speeds are left alone
+    const resting = createBall({ velocity: new THREE.Vector3(0, 0.2, 0) });
+    dampenGroundedVelocity(resting);
+    assert.equal(resting.velocity.y, 0.2);
+});
+
+test('a jumping or airborne ball is not damped', () => {
+    const jumping = createBall({ isJumping: true, velocity: new THREE.Vector3(0, 8, 0) });
+    const airborne = createBall({ isGrounded: false, velocity: new THREE.Vector3(0, -5, 0) });
+
+    dampenGroundedVelocity(jumping);
+    dampenGroundedVelocity(airborne);
+
+    assert.equal(jumping.velocity.y, 8);
+    assert.equal(airborne.velocity.y, -5);
+});
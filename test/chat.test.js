@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_CHAT_LENGTH,
+    QUICK_EMOTES,
+    validateChatMessage,
+    findEmote,
+    ChatRateLimiter
+} from '../src/systems/chat.js';
+import { DEFAULT_KEY_BINDINGS } from '../src/systems/inputBindings.js';
+
+test('messages are cleaned up and limited in length', () => {
+    assert.deepEqual(validateChatMessage('  hi\n\tthere  '), { valid: true, text: 'hi there' });
+    assert.equal(validateChatMessage('x'.repeat(MAX_CHAT_LENGTH)).valid, true);
+    assert.equal(validateChatMessage('x'.repeat(MAX_CHAT_LENGTH + 1)).valid, false);
+    assert.equal(validateChatMessage('   ').valid, false);
+    assert.equal(validateChatMessage({ text: 'hi' }).valid, false);
+    assert.ok(validateChatMessage('').reason);
+});
+
+test('every quick emote has a key binding', () => {
+    QUICK_EMOTES.forEach(emote => {
+        assert.ok(DEFAULT_KEY_BINDINGS[emote.action]?.length, emote.action);
+        assert.equal(findEmote(emote.id), emote);
+    });
+    assert.equal(findEmote('unknown'), null);
+});
+
+test('the rate limiter allows bursts up to its limit within the window', () => {
+    const limiter = new ChatRateLimiter({ messages: 2, windowMs: 1000 });
+    assert.equal(limiter.allow(0), true);
+    assert.equal(limiter.allow(100), true);
+    assert.equal(limiter.allow(500), false);
+    assert.equal(limiter.allow(999), false);
+    assert.equal(limiter.allow(1000), true, 'the first message left the window');
+    assert.equal(limiter.allow(1050), false);
+    assert.equal(limiter.allow(1100), true);
+});
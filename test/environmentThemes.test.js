@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ENVIRONMENT_THEMES,
+    RANDOM_LEVEL_THEMES,
+    WEATHER_AREA,
+    parseColor,
+    registerEnvironmentTheme,
+    getRandomLevelTheme,
+    resolveEnvironmentTheme,
+    resolveEnvironment,
+    blendEnvironments,
+    stepWeatherParticles
+} from '../src/systems/environmentThemes.js';
+
+test('random levels go through every theme in turn', () => {
+    const themes = RANDOM_LEVEL_THEMES.map((_, index) => getRandomLevelTheme(index + 1));
+    assert.deepEqual(themes, RANDOM_LEVEL_THEMES);
+    assert.equal(getRandomLevelTheme(RANDOM_LEVEL_THEMES.length + 1), RANDOM_LEVEL_THEMES[0]);
+    assert.ok(RANDOM_LEVEL_THEMES.every(themeId => ENVIRONMENT_THEMES[themeId]));
+    assert.ok(RANDOM_LEVEL_THEMES.length > 2, 'more than the default and jungle themes');
+});
+
+test('levels get the preset they name, jungle for isJungle, otherwise the default', () => {
+    assert.equal(resolveEnvironmentTheme({ environment: { preset: 'storm' }, isJungle: true }), 'storm');
+    assert.equal(resolveEnvironmentTheme({ theme: 'volcano' }), 'volcano');
+    assert.equal(resolveEnvironmentTheme({ isJungle: true }), 'jungle');
+    assert.equal(resolveEnvironmentTheme({ environment: { preset: 'toString' } }), 'default');
+    assert.equal(resolveEnvironmentTheme({}), 'default');
+    assert.equal(resolveEnvironmentTheme(undefined), 'default');
+});
+
+test('an environment block overrides parts of its preset', () => {
+    assert.equal(parseColor('#0f0'), 0x00ff00);
+    assert.equal(parseColor('#228B22'), 0x228B22);
+    assert.equal(parseColor('green', 7), 7);
+
+    const environment = resolveEnvironment({
+        environment: {
+            preset: 'night',
+            sky: { top: '#000000', clouds: 0.5 },
+            fog: null,
+            tiles: { light: 'not a color' },
+            weather: { type: 'rain' }
+        }
+    });
+    const night = ENVIRONMENT_THEMES.night;
+    assert.deepEqual(environment.sky, { ...night.sky, top: 0, clouds: 0.5 });
+    assert.equal(environment.fog, null);
+    assert.deepEqual(environment.tiles, night.tiles, 'bad colors keep the preset');
+    assert.deepEqual(environment.weather, { type: 'rain', density: night.weather.density });
+    assert.deepEqual(environment.ambient, night.ambient);
+
+    // Fog on a preset without any starts from its horizon color
+    assert.deepEqual(resolveEnvironment({ environment: { fog: { far: 80 } } }).fog, { color: 0x87CEEB, near: 10, far: 80 });
+
+    const custom = registerEnvironmentTheme('test-swamp', { sky: { top: 0x113311, horizon: 0x224422, bottom: 0x224422 } });
+    assert.equal(resolveEnvironment({ environment: { preset: 'test-swamp' } }).sky.top, 0x113311);
+    assert.deepEqual(custom.tiles, ENVIRONMENT_THEMES.default.tiles);
+    delete ENVIRONMENT_THEMES['test-swamp'];
+});
+
+test('environments blend smoothly, fading one kind of weather out before the next', () => {
+    const from = resolveEnvironment({});
+    const to = resolveEnvironment({ environment: { preset: 'storm' } });
+
+    assert.equal(blendEnvironments(from, to, 0), from);
+    assert.equal(blendEnvironments(from, to, 1), to);
+
+    const half = blendEnvironments(from, to, 0.5);
+    assert.equal(half.ambient.intensity, (from.ambient.intensity + to.ambient.intensity) / 2);
+    assert.equal(half.tiles.dark, 0x373a3e, 'colors blend per channel');
+    assert.ok(half.fog.far > to.fog.far, 'fog rolls in from far away');
+
+    assert.deepEqual(blendEnvironments(to, from, 0.25).weather, { type: 'rain', density: 0.5 });
+    assert.deepEqual(blendEnvironments(to, from, 0.75).weather, { type: 'none', density: 0 });
+    assert.equal(blendEnvironments(from, resolveEnvironment({ theme: 'desert' }), 0.5).fog.near, (1000 + 20) / 2);
+    assert.equal(blendEnvironments(from, from, 0.5).fog, null);
+});
+
+test('weather particles fall and wrap around their area', () => {
+    const positions = new Float32Array([0, 0.5, 0, WEATHER_AREA - 0.01, 10, 0]);
+    const phases = new Float32Array([0, 0.25]);
+
+    stepWeatherParticles(positions, phases, 2, 'snow', 0.5, 0);
+    assert.ok(positions[1] > 13, 'snow below the floor starts again at the top');
+    assert.ok(Math.abs(positions[4] - 9.25) < 1e-5);
+    assert.ok(positions[3] < 0, 'past the edge comes back in on the other side');
+
+    const fireflies = new Float32Array([0, 2, 0]);
+    for (let i = 0; i < 100; i++) stepWeatherParticles(fireflies, [0.5], 1, 'fireflies', 0.1, i * 0.1);
+    assert.ok(fireflies[1] >= 0.3 && fireflies[1] <= 3, 'fireflies stay near the ground');
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { FixedTimestep } from '../src/systems/fixedTimestep.js';
+import { LevelSimulation } from '../src/systems/levelSimulation.js';
+
+const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+
+// Feed `seconds` of real time in frames of `frameSeconds` and collect the ticks that ran
+function runFrames(timestep, frameSeconds, seconds, onStep = () => {}) {
+    const ticks = [];
+    for (let elapsed = 0; elapsed < seconds - 1e-9; elapsed += frameSeconds) {
+        timestep.advance(frameSeconds, (step, tick) => {
+            ticks.push(tick);
+            onStep(tick);
+        });
+    }
+    return ticks;
+}
+
+test('frame time is turned into whole steps with the remainder as alpha', () => {
+    const timestep = new FixedTimestep({ step: 0.1 });
+
+    assert.equal(timestep.advance(0.25, () => {}), 2);
+    assert.equal(timestep.tick, 2);
+    assert.ok(Math.abs(timestep.alpha - 0.5) < 1e-9);
+    assert.equal(timestep.advance(0.05, () => {}), 1);
+    assert.ok(Math.abs(timestep.time - 0.3) < 1e-9);
+
+    // Nothing happens for empty or invalid frames
+    assert.equal(timestep.advance(0, () => {}), 0);
+    assert.equal(timestep.advance(NaN, () => {}), 0);
+});
+
+test('the same real time runs the same number of steps at any frame rate', () => {
+    const rates = [30, 60, 75, 144, 240];
+    const stepCounts = rates.map(rate => runFrames(new FixedTimestep(), 1 / rate, 2).length);
+
+    stepCounts.forEach(count => assert.ok(Math.abs(count - 120) <= 1, `expected ~120 steps, got ${count}`));
+});
+
+test('long stalls are capped instead of simulated in full', () => {
+    const timestep = new FixedTimestep({ step: 1 / 60, maxFrameTime: 0.25 });
+
+    assert.equal(timestep.advance(5, () => {}), 15);
+    timestep.advance(0.01, () => {});
+    timestep.clearAccumulator();
+    assert.equal(timestep.alpha, 0);
+    assert.equal(timestep.tick, 15);
+});
+
+test('identical inputs give identical trajectories at different frame rates', () => {
+    const level = {
+        name: 'Runway',
+        number: 6,
+        use3D: true,
+        playerStart: { x: 0, y: 0, z: 0 },
+        platforms: [{ type: 'floating', position: { x: 10, y: 0, z: 0 }, size: { width: 24, height: 0.5, depth: 4 } }],
+        objects: []
+    };
+
+    // Inputs are a function of the tick, as recorded input would be
+    const inputForTick = tick => ({ right: tick >= 30 && tick < 150, jump: tick >= 90 && tick < 95 });
+
+    const trajectories = [30, 60, 144].map(rate => {
+        const simulation = new LevelSimulation(level, { config });
+        const positions = [];
+        runFrames(new FixedTimestep(), 1 / rate, 3, tick => {
+            simulation.step(inputForTick(tick));
+            positions.push(simulation.player.position.toArray());
+        });
+        return positions.slice(0, 170);
+    });
+
+    assert.equal(trajectories[0].length, 170);
+    assert.deepEqual(trajectories[1], trajectories[0]);
+    assert.deepEqual(trajectories[2], trajectories[0]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    supportsInvertedWorld,
+    getFallTransition,
+    completesOnKeyPickup,
+    getCompletionBlocker,
+    getHudState
+} from '../src/systems/gameRules.js';
+
+// Inverted world settings from config.json (fallThreshold -20, velocityThreshold -5, offset -30)
+const WORLD = { fallThreshold: -20, velocityThreshold: -5, mirrorOffset: -30 };
+
+test('inverted world support follows the level flags', () => {
+    assert.equal(supportsInvertedWorld(null), false);
+    assert.equal(supportsInvertedWorld({ number: 1 }), false);
+    assert.equal(supportsInvertedWorld({ number: 2, use3D: true }), true);
+    assert.equal(supportsInvertedWorld({ number: 4, hasUnderworld: true }), true);
+    assert.equal(supportsInvertedWorld({ number: 6 }), true);
+    assert.equal(supportsInvertedWorld({ number: 6, hasInvertedWorld: false }), false);
+    assert.equal(supportsInvertedWorld({ number: 1, hasInvertedWorld: true }), true);
+});
+
+test('falling below the threshold transitions or restarts depending on the level', () => {
+    const falling = { ...WORLD, y: -21, velocityY: -10, isGrounded: false, invertedActive: false };
+
+    assert.equal(getFallTransition({ ...falling, levelSupportsInvertedWorld: true }), 'toInverted');
+    assert.equal(getFallTransition({ ...falling, levelSupportsInvertedWorld: false }), 'restart');
+});
+
+test('no transition while grounded, slow or above the threshold', () => {
+    const base = { ...WORLD, invertedActive: false, levelSupportsInvertedWorld: true };
+
+    assert.equal(getFallTransition({ ...base, y: -21, velocityY: -10, isGrounded: true }), null);
+    assert.equal(getFallTransition({ ...base, y: -21, velocityY: -1, isGrounded: false }), null);
+    assert.equal(getFallTransition({ ...base, y: -5, velocityY: -10, isGrounded: false }), null);
+});
+
+test('falling upward out of the inverted world returns to the normal world', () => {
+    const base = { ...WORLD, invertedActive: true, levelSupportsInvertedWorld: true, isGrounded: false };
+
+    // Mirrored threshold is -30 + 20 = -10
+    assert.equal(getFallTransition({ ...base, y: -9, velocityY: 10 }), 'toNormal');
+    assert.equal(getFallTransition({ ...base, y: -11, velocityY: 10 }), null);
+    assert.equal(getFallTransition({ ...base, y: -9, velocityY: 10, isGrounded: true }), null);
+});
+
+test('extreme falls always restart the level', () => {
+    const transition = getFallTransition({
+        ...WORLD,
+        y: -75,
+        velocityY: 0,
+        isGrounded: false,
+        invertedActive: false,
+        levelSupportsInvertedWorld: true
+    });
+
+    assert.equal(transition, 'extremeFall');
+});
+
+test('levels 2-5 complete on key pickup', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map(completesOnKeyPickup), [false, true, true, true, true, false, false]);
+});
+
+test('the exit stays locked without the key', () => {
+    assert.equal(getCompletionBlocker({ levelNumber: 3, hasKey: false }), 'missing-key');
+    assert.equal(getCompletionBlocker({ isSinglePlayer: false, levelNumber: 1, hasKey: false }), 'missing-key');
+    assert.equal(getCompletionBlocker({ levelNumber: 6, hasKey: true, coins: 0, requiredCoins: 4 }), null);
+});
+
+test('level 1 needs every coin in single player only', () => {
+    const score = { levelNumber: 1, hasKey: true, coins: 3, requiredCoins: 5 };
+
+    assert.equal(getCompletionBlocker(score), 'missing-coins');
+    assert.equal(getCompletionBlocker({ ...score, coins: 5 }), null);
+    assert.equal(getCompletionBlocker({ ...score, isSinglePlayer: false }), null);
+});
+
+test('HUD shows key state and required coins', () => {
+    const score = { currentLevel: 1, totalScore: 1200, lives: 3, coins: 2, requiredCoins: 5, totalCoins: 7, hasKey: false };
+
+    const locked = getHudState(score, { levelName: 'Level 1 - Coin and Key Intro' });
+    assert.equal(locked.levelName, 'Level 1 - Coin and Key Intro');
+    assert.equal(locked.keyStatus, '✗');
+    assert.equal(locked.keyColor, '#ff4444');
+    assert.equal(locked.showsRequiredCoins, true);
+    assert.equal(locked.coinsTotal, 5);
+
+    const unlocked = getHudState({ ...score, hasKey: true });
+    assert.equal(unlocked.levelName, 'Level 1');
+    assert.equal(unlocked.keyStatus, '✔');
+    assert.equal(unlocked.keyColor, '#00ff00');
+    assert.equal(unlocked.hasKey, true);
+});
+
+test('HUD shows total coins in multiplayer', () => {
+    const score = { currentLevel: 1, totalScore: 0, lives: 3, coins: 1, requiredCoins: 5, totalCoins: 7, hasKey: false };
+    const hud = getHudState(score, { isSinglePlayer: false });
+
+    assert.equal(hud.showsRequiredCoins, false);
+    assert.equal(hud.coinsTotal, 7);
+});
+
+test('HUD warns about low lives', () => {
+    const score = { currentLevel: 1, totalScore: 0, coins: 0, requiredCoins: 0, totalCoins: 0, hasKey: false };
+
+    assert.deepEqual(
+        [3, 2, 1].map(lives => getHudState({ ...score, lives }).livesColor),
+        ['#ff4444', '#ff6600', '#ff0000']
+    );
+    assert.equal(getHudState({ ...score, lives: 1 }).livesAnimation, 'glow 1s infinite');
+    assert.equal(getHudState({ ...score, lives: 3 }).livesAnimation, 'none');
+});
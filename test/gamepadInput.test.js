@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GAMEPAD_BUTTONS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    getDefaultGamepadBindings,
+    normalizeGamepadBindings,
+    applyDeadzone,
+    readGamepad,
+    assignGamepadButton,
+    getPressedButtons,
+    describeGamepadButton,
+    findGamepad
+} from '../src/systems/gamepadInput.js';
+import { DEFAULT_KEY_BINDINGS } from '../src/systems/inputBindings.js';
+
+// Minimal stand-in for a Gamepad API object
+function createGamepad({ pressed = [], axes = [0, 0, 0, 0], index = 0, mapping = 'standard' } = {}) {
+    return {
+        index,
+        mapping,
+        connected: true,
+        axes,
+        buttons: Array.from({ length: 17 }, (_, button) => ({ pressed: pressed.includes(button), value: pressed.includes(button) ? 1 : 0 }))
+    };
+}
+
+test('controller actions are a subset of the keyboard actions', () => {
+    Object.keys(DEFAULT_GAMEPAD_BINDINGS).forEach(action => assert.ok(action in DEFAULT_KEY_BINDINGS, action));
+    assert.deepEqual(DEFAULT_GAMEPAD_BINDINGS.jump, [GAMEPAD_BUTTONS.A]);
+    assert.deepEqual(DEFAULT_GAMEPAD_BINDINGS.cameraCycle, [GAMEPAD_BUTTONS.Y]);
+});
+
+test('sticks ignore the deadzone and are rescaled and rounded outside it', () => {
+    assert.deepEqual(applyDeadzone(0.1, -0.1, 0.2), { x: 0, y: 0 });
+    assert.deepEqual(applyDeadzone(1, 0, 0.2), { x: 1, y: 0 });
+    assert.deepEqual(applyDeadzone(0, -0.6, 0.2), { x: 0, y: -0.5 });
+    assert.deepEqual(applyDeadzone(0.123456, 0.9, 0.2), { x: 0.12, y: 0.88 });
+    assert.deepEqual(applyDeadzone(undefined, undefined), { x: 0, y: 0 });
+});
+
+test('buttons resolve to actions with press and release edges', () => {
+    const bindings = getDefaultGamepadBindings();
+    const first = readGamepad(createGamepad({ pressed: [GAMEPAD_BUTTONS.A, GAMEPAD_BUTTONS.Y] }), bindings);
+    assert.deepEqual([...first.held].sort(), ['cameraCycle', 'jump']);
+    assert.deepEqual(first.pressed.sort(), ['cameraCycle', 'jump']);
+
+    const second = readGamepad(createGamepad({ pressed: [GAMEPAD_BUTTONS.A] }), bindings, undefined, first.held);
+    assert.deepEqual(second.pressed, []);
+    assert.deepEqual(second.released, ['cameraCycle']);
+});
+
+test('the left stick moves forward when pushed up and the right stick drives the camera', () => {
+    const bindings = getDefaultGamepadBindings();
+    const state = readGamepad(createGamepad({ axes: [0, -1, 0, 1] }), bindings, { deadzone: 0.2, invertCameraY: false });
+
+    assert.deepEqual(state.move, { x: 0, y: 1 });
+    assert.deepEqual(state.camera, { x: 0, y: -1 });
+    assert.deepEqual(readGamepad(createGamepad({ axes: [0, 0, 0, 1] }), bindings, { deadzone: 0.2, invertCameraY: true }).camera, { x: 0, y: 1 });
+});
+
+test('buttons can be rebound and saved bindings are cleaned up', () => {
+    const { bindings, displaced } = assignGamepadButton(getDefaultGamepadBindings(), 'jump', GAMEPAD_BUTTONS.Y);
+    assert.deepEqual(bindings.jump, [GAMEPAD_BUTTONS.Y]);
+    assert.deepEqual(bindings.cameraCycle, []);
+    assert.deepEqual(displaced, ['cameraCycle']);
+
+    const saved = normalizeGamepadBindings({ jump: [1, 1, -1, 'A'], dance: [2] });
+    assert.deepEqual(saved.jump, [1]);
+    assert.equal('dance' in saved, false);
+    assert.deepEqual(saved.pause, DEFAULT_GAMEPAD_BINDINGS.pause);
+});
+
+test('pads are found and described', () => {
+    const other = createGamepad({ index: 0, mapping: '' });
+    const standard = createGamepad({ index: 1 });
+
+    assert.equal(findGamepad([null, other, standard]), standard);
+    assert.equal(findGamepad([other]), other);
+    assert.equal(findGamepad([]), null);
+    assert.deepEqual(getPressedButtons(createGamepad({ pressed: [0, 12] })), [0, 12]);
+    assert.equal(describeGamepadButton(GAMEPAD_BUTTONS.START), 'Start');
+    assert.equal(describeGamepadButton(20), 'Button 20');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+    GhostRecorder,
+    isValidGhostRun,
+    isFasterRun,
+    compareSplit,
+    sampleGhostRun
+} from '../src/systems/ghostRun.js';
+
+const level = { index: 2, name: 'Ghost Town', number: 3, hash: '0badf00d' };
+
+// Ball rolling along +X at 3 units/s, turning a quarter around Z per second
+function recordRun(ticks, { keyTick = null, sampleInterval } = {}) {
+    const recorder = new GhostRecorder({ sampleInterval });
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const axis = new THREE.Vector3(0, 0, 1);
+
+    recorder.start({ level, step: 1 / 60 });
+    for (let tick = 0; tick <= ticks; tick++) {
+        position.set(tick * 0.05, 0.5, 0);
+        quaternion.setFromAxisAngle(axis, -tick * Math.PI / 120);
+        if (tick === ticks) {
+            return recorder.finish(tick, position, quaternion);
+        }
+        recorder.record(tick, position, quaternion);
+        if (tick === keyTick) {
+            recorder.split('key', tick);
+        }
+    }
+    return null;
+}
+
+test('runs keep every few ticks plus the finish and the split ticks', () => {
+    const run = recordRun(90, { keyTick: 45 });
+
+    assert.equal(run.ticks, 90);
+    assert.ok(Math.abs(run.time - 1.5) < 1e-9);
+    assert.deepEqual(run.level, level);
+    assert.deepEqual(run.splits, { key: 45, goal: 90 });
+    assert.deepEqual(run.samples.map(sample => sample[0]).slice(0, 3), [0, 4, 8]);
+    assert.equal(run.samples[run.samples.length - 1][0], 90);
+    assert.deepEqual(run.samples[1].slice(1, 4), [0.2, 0.5, 0]);
+    assert.equal(isValidGhostRun(JSON.parse(JSON.stringify(run))), true);
+});
+
+test('splits are compared against the best run', () => {
+    const best = recordRun(120, { keyTick: 60 });
+    const run = recordRun(90, { keyTick: 75 });
+
+    assert.equal(isFasterRun(run, best), true);
+    assert.equal(isFasterRun(best, run), false);
+    assert.equal(isFasterRun(run, null), true);
+
+    const key = compareSplit(run, best, 'key');
+    assert.ok(Math.abs(key.time - 1.25) < 1e-9);
+    assert.ok(Math.abs(key.delta - 0.25) < 1e-9);
+    assert.ok(Math.abs(compareSplit(run, best, 'goal').delta + 0.5) < 1e-9);
+    assert.equal(compareSplit(run, null, 'goal').delta, null);
+    assert.equal(compareSplit(recordRun(30), best, 'key'), null);
+});
+
+test('the ghost is interpolated between samples and ends with the run', () => {
+    const run = recordRun(90, { sampleInterval: 10 });
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+
+    assert.equal(sampleGhostRun(run, 15, position, quaternion), true);
+    assert.ok(Math.abs(position.x - 0.75) < 1e-9);
+    const expected = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -15 * Math.PI / 120);
+    assert.ok(quaternion.angleTo(expected) < 1e-3);
+
+    // Fractional ticks line up with the interpolated live ball
+    sampleGhostRun(run, 42.5, position, quaternion);
+    assert.ok(Math.abs(position.x - 2.125) < 1e-9);
+
+    assert.equal(sampleGhostRun(run, 91, position, quaternion), false);
+    assert.ok(Math.abs(position.x - 4.5) < 1e-9);
+});
+
+test('malformed ghost runs are rejected', () => {
+    const run = recordRun(30);
+
+    assert.equal(isValidGhostRun(null), false);
+    assert.equal(isValidGhostRun({ ...run, version: 2 }), false);
+    assert.equal(isValidGhostRun({ ...run, samples: [] }), false);
+    assert.equal(isValidGhostRun({ ...run, samples: [run.samples[1], run.samples[0]] }), false);
+    assert.equal(isValidGhostRun({ ...run, samples: [[0, 1, 2, 3]] }), false);
+});
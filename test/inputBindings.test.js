@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    INPUT_ACTIONS,
+    DEFAULT_KEY_BINDINGS,
+    getDefaultKeyBindings,
+    normalizeKeyBindings,
+    createKeyLookup,
+    findBindingConflicts,
+    assignKey,
+    clearKey,
+    describeKey
+} from '../src/systems/inputBindings.js';
+
+test('every action has defaults and the defaults do not conflict', () => {
+    assert.deepEqual(INPUT_ACTIONS.map(entry => entry.action).sort(), Object.keys(DEFAULT_KEY_BINDINGS).sort());
+    assert.deepEqual(findBindingConflicts(DEFAULT_KEY_BINDINGS), []);
+
+    const lookup = createKeyLookup(DEFAULT_KEY_BINDINGS);
+    assert.equal(lookup.get('KeyW'), 'up');
+    assert.equal(lookup.get('ArrowUp'), 'up');
+    assert.equal(lookup.get('Space'), 'jump');
+    assert.equal(lookup.get('Tab'), 'cameraCycle');
+    assert.equal(lookup.get('KeyZ'), undefined);
+});
+
+test('saved bindings are completed with defaults and cleaned up', () => {
+    const bindings = normalizeKeyBindings({
+        up: ['KeyI', 'KeyI', 'ArrowUp', 'KeyW'],
+        jump: [42, 'KeyK'],
+        gravityShift: ['Space'],
+        unknown: ['KeyU']
+    });
+
+    assert.deepEqual(bindings.up, ['KeyI', 'ArrowUp']);
+    assert.deepEqual(bindings.jump, ['KeyK']);
+    assert.deepEqual(bindings.down, DEFAULT_KEY_BINDINGS.down);
+    assert.equal('gravityShift' in bindings, false);
+    assert.equal('unknown' in bindings, false);
+    assert.deepEqual(normalizeKeyBindings(null), getDefaultKeyBindings());
+});
+
+test('assigning a key moves it away from the action that had it', () => {
+    const defaults = getDefaultKeyBindings();
+    const { bindings, displaced } = assignKey(defaults, 'jump', 1, 'KeyC');
+
+    assert.deepEqual(bindings.jump, ['Space', 'KeyC']);
+    assert.deepEqual(bindings.cameraMode, []);
+    assert.deepEqual(displaced, ['cameraMode']);
+    assert.deepEqual(findBindingConflicts(bindings), []);
+    assert.deepEqual(defaults.cameraMode, ['KeyC'], 'the original bindings are left untouched');
+
+    // Replacing a slot and re-binding the same key are both clean
+    assert.deepEqual(assignKey(defaults, 'up', 0, 'KeyI').bindings.up, ['KeyI', 'KeyW']);
+    assert.deepEqual(assignKey(defaults, 'up', 1, 'ArrowUp').bindings.up, ['ArrowUp']);
+    assert.deepEqual(clearKey(defaults, 'up', 0).up, ['KeyW']);
+});
+
+test('conflicting bindings are reported and resolved in list order', () => {
+    const bindings = { ...getDefaultKeyBindings(), debug: ['KeyH', 'Space'] };
+
+    assert.deepEqual(findBindingConflicts(bindings), [{ code: 'Space', actions: ['jump', 'debug'] }]);
+    assert.equal(createKeyLookup(bindings).get('Space'), 'jump');
+});
+
+test('key codes get short labels', () => {
+    assert.equal(describeKey('KeyW'), 'W');
+    assert.equal(describeKey('Digit3'), '3');
+    assert.equal(describeKey('ArrowLeft'), '←');
+    assert.equal(describeKey('BracketLeft'), '[');
+    assert.equal(describeKey('ShiftLeft'), 'Shift Left');
+    assert.equal(describeKey('Numpad8'), 'Num 8');
+    assert.equal(describeKey(undefined), '—');
+});
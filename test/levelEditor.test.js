@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { LevelEditor } from '../src/systems/levelEditor.js';
+import { LevelConstructor } from '../src/systems/levelConstructor.js';
+
+const levels = JSON.parse(readFileSync(new URL('../levels.json', import.meta.url), 'utf8'));
+
+function objectsOfType(editor, type) {
+    return editor.toLevelJSON().objects.filter(obj => obj.type === type);
+}
+
+test('world points snap to grid cells like gridToWorld', () => {
+    const editor = new LevelEditor({ gridSize: 10, tileSize: 2 });
+
+    assert.deepEqual(editor.worldToCell({ x: -9.5, y: 0, z: -9.5 }), { x: 0, z: 0 });
+    assert.deepEqual(editor.worldToCell({ x: 0.4, y: 0, z: 3.9 }), { x: 5, z: 6 });
+    assert.equal(editor.worldToCell({ x: 10.5, y: 0, z: 0 }), null);
+    assert.deepEqual(editor.cellToWorld({ x: 5, z: 6 }), { x: 1, z: 3 });
+});
+
+test('grid tools export a valid levels.json entry', () => {
+    const editor = new LevelEditor({ name: 'Editor Test' });
+    editor.apply('coin', { x: 3, z: 3 });
+    editor.apply('key', { x: 5, z: 5 });
+    editor.apply('goal', { x: 8, z: 8 });
+    editor.apply('tile:broken', { x: 2, z: 4 });
+
+    const level = editor.toLevelJSON();
+    assert.equal(level.name, 'Editor Test');
+    assert.equal(level.use3D, undefined);
+    assert.equal(level.tiles, undefined);
+    assert.equal(level.tileTypes[4][2], 'broken');
+    assert.deepEqual(level.objects.map(obj => obj.type), ['coin', 'key', 'goal']);
+    assert.deepEqual(editor.validate().errors, []);
+});
+
+test('placing a key or goal replaces the previous one', () => {
+    const editor = new LevelEditor();
+    editor.apply('key', { x: 2, z: 2 });
+    editor.apply('coin', { x: 4, z: 4 });
+    editor.apply('key', { x: 4, z: 4 });
+
+    assert.deepEqual(objectsOfType(editor, 'key'), [{ type: 'key', x: 4, z: 4 }]);
+    assert.deepEqual(objectsOfType(editor, 'coin'), []);
+});
+
+test('teleporters are placed and erased in linked pairs', () => {
+    const editor = new LevelEditor();
+
+    assert.equal(editor.apply('teleporter', { x: 1, z: 5 }), 'pending');
+    assert.equal(editor.apply('teleporter', { x: 8, z: 5 }), 'placed');
+    assert.deepEqual(objectsOfType(editor, 'teleporter'), [
+        { type: 'teleporter', x: 1, z: 5, pairId: 1, destination: { x: 8, z: 5 } },
+        { type: 'teleporter', x: 8, z: 5, pairId: 1, destination: { x: 1, z: 5 } }
+    ]);
+
+    editor.apply('erase', { x: 8, z: 5 });
+    assert.deepEqual(objectsOfType(editor, 'teleporter'), []);
+});
+
+test('undo and redo step through edits', () => {
+    const editor = new LevelEditor();
+    editor.apply('coin', { x: 1, z: 2 });
+    editor.apply('coin', { x: 2, z: 2 });
+
+    assert.equal(editor.undo(), true);
+    assert.equal(objectsOfType(editor, 'coin').length, 1);
+    assert.equal(editor.redo(), true);
+    assert.equal(objectsOfType(editor, 'coin').length, 2);
+
+    // A new edit clears the redo history
+    editor.undo();
+    editor.apply('spikeTrap', { x: 6, z: 6 });
+    assert.equal(editor.canRedo, false);
+
+    // Edits that change nothing are not recorded
+    const depth = editor.undoStack.length;
+    editor.apply('spikeTrap', { x: 6, z: 6 });
+    assert.equal(editor.undoStack.length, depth);
+});
+
+test('3D tools snap positions and place platforms, plates and gravity planes', () => {
+    const editor = new LevelEditor({ mode: '3D', snap: 0.5 });
+    editor.gravityDirection = 'up';
+
+    editor.apply('platform', editor.getTarget({ x: 6.2, y: 3, z: -0.1 }));
+    editor.apply('pressurePlate', editor.getTarget({ x: 6.1, y: 3.1, z: 0 }));
+    editor.apply('gravityPlane', editor.getTarget({ x: 0, y: 8, z: 0 }));
+    editor.apply('key', { x: 6, y: 3.5, z: 0 });
+    editor.apply('goal', { x: 0, y: 0.5, z: 0 });
+
+    const level = editor.toLevelJSON();
+    assert.equal(level.use3D, true);
+    assert.deepEqual(level.platforms[1].position, { x: 6, y: 2.75, z: 0 });
+    assert.deepEqual(level.objects[0], {
+        type: 'pressurePlate',
+        position: { x: 6, y: 3, z: 0 },
+        size: { width: 1, height: 0.1, depth: 1 },
+        triggers: []
+    });
+    assert.deepEqual(level.gravityPlanes[0].normal, { x: 0, y: -1, z: 0 });
+    assert.deepEqual(editor.validate().errors, []);
+
+    // Erasing picks the nearest item
+    editor.apply('erase', { x: 6, y: 3, z: 0 });
+    assert.deepEqual(editor.toLevelJSON().objects.map(obj => obj.type), ['key', 'goal']);
+});
+
+test('switching mode starts a new level and can be undone', () => {
+    const editor = new LevelEditor();
+    editor.apply('coin', { x: 1, z: 2 });
+    editor.setMode('3D');
+
+    assert.equal(editor.mode, '3D');
+    assert.equal(editor.toLevelJSON().platforms.length, 1);
+
+    editor.undo();
+    assert.equal(editor.mode, 'grid');
+    assert.equal(objectsOfType(editor, 'coin').length, 1);
+});
+
+test('existing levels load into the editor without losing fields', () => {
+    levels.forEach(level => {
+        const editor = new LevelEditor().load(level);
+        const exported = editor.toLevelJSON();
+
+        Object.keys(level).forEach(key => assert.deepEqual(exported[key], level[key], `${level.name}: ${key}`));
+    });
+});
+
+test('LevelConstructor keeps building programmatic 3D levels', () => {
+    const level = new LevelConstructor('Tower', 30)
+        .setPlayerStart({ x: 0, y: 2, z: 0 })
+        .addPlatform('floating', { x: 0, y: 0, z: 0 }, { width: 8, height: 0.5, depth: 8 })
+        .addObject('key', { x: 0, y: 1, z: 0 })
+        .toJSON();
+
+    assert.deepEqual(Object.keys(level), [
+        'name', 'gridSize', 'use3D', 'playerStart', 'platforms', 'objects', 'gravityPlanes', 'safeSpawnPoints', 'bounds'
+    ]);
+    assert.equal(level.platforms[0].material, 'stone');
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_LEVEL_SEED_LENGTH,
+    MAX_GENERATION_ATTEMPTS,
+    createLevelSeed,
+    normalizeLevelSeed,
+    createSeededRandom,
+    DIFFICULTY_CURVE,
+    isChallengeLevel,
+    getDifficulty,
+    generateLevelLayout,
+    findUnreachableItems
+} from '../src/systems/levelGenerator.js';
+
+const tileKey = (tile) => `${tile.x},${tile.z}`;
+
+function emptyLayout(overrides = {}) {
+    return {
+        start: { x: 0, z: 0 },
+        goal: { x: 4, z: 4 },
+        key: { x: 2, z: 2 },
+        coins: [],
+        spikes: [],
+        teleporters: [],
+        bouncePads: [],
+        brokenTiles: [],
+        staticWalls: [],
+        holes: [],
+        movingObstacles: [],
+        timedSpikes: [],
+        ...overrides
+    };
+}
+
+// Tiles a moving obstacle slides over
+function trackTiles(track) {
+    const length = Math.abs(track.endX - track.x) + Math.abs(track.endZ - track.z);
+    const dx = Math.sign(track.endX - track.x);
+    const dz = Math.sign(track.endZ - track.z);
+    return Array.from({ length: length + 1 }, (_, step) => ({ x: track.x + dx * step, z: track.z + dz * step }));
+}
+
+test('seeds are short, shareable and checked', () => {
+    const seed = createLevelSeed();
+    assert.match(seed, /^[A-Z2-9]{6}$/);
+    assert.equal(normalizeLevelSeed(seed), seed);
+    assert.equal(normalizeLevelSeed('  ab12 '), 'AB12');
+    assert.equal(normalizeLevelSeed(42), '42');
+    assert.equal(normalizeLevelSeed('a b'), null);
+    assert.equal(normalizeLevelSeed('X'.repeat(MAX_LEVEL_SEED_LENGTH + 1)), null);
+    assert.equal(normalizeLevelSeed(''), null);
+    assert.equal(normalizeLevelSeed(null), null);
+});
+
+test('the same seed always gives the same numbers', () => {
+    const first = createSeededRandom('ABC123');
+    const second = createSeededRandom('ABC123');
+    const other = createSeededRandom('ABC124');
+
+    const sequence = Array.from({ length: 5 }, first);
+    assert.deepEqual(Array.from({ length: 5 }, second), sequence);
+    assert.notDeepEqual(Array.from({ length: 5 }, other), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+});
+
+test('a seed rebuilds the same layout, with nothing sharing a tile', () => {
+    const options = { seed: 'SHARE1', levelNumber: 6, coinCount: 25, gridSize: 10, start: { x: 5, z: 5 } };
+    const layout = generateLevelLayout(options);
+    assert.deepEqual(generateLevelLayout(options), layout);
+    assert.notDeepEqual(generateLevelLayout({ ...options, seed: 'SHARE2' }).coins, layout.coins);
+
+    const difficulty = getDifficulty(6);
+    assert.equal(layout.challenge, true);
+    assert.equal(layout.coins.length, 25);
+    assert.equal(layout.spikes.length, difficulty.spikes);
+    assert.equal(layout.teleporters.length, difficulty.teleportPairs);
+    assert.equal(layout.bouncePads.length, difficulty.bouncePads);
+    assert.equal(layout.brokenTiles.length, difficulty.brokenTiles);
+    assert.equal(layout.staticWalls.length, difficulty.staticWalls);
+    assert.equal(layout.movingObstacles.length, difficulty.movingObstacles);
+    assert.equal(layout.timedSpikes.length, difficulty.timedSpikes);
+    assert.equal(layout.holes.length, difficulty.holes);
+
+    const tiles = [
+        layout.start, layout.goal, layout.key,
+        ...layout.coins, ...layout.spikes, ...layout.teleporters.flat(), ...layout.bouncePads,
+        ...layout.brokenTiles, ...layout.staticWalls, ...layout.timedSpikes, ...layout.holes,
+        ...layout.movingObstacles.flatMap(trackTiles)
+    ].map(({ x, z }) => ({ x, z }));
+    assert.equal(new Set(tiles.map(tileKey)).size, tiles.length);
+    assert.ok(tiles.every(tile => tile.x >= 0 && tile.x < 10 && tile.z >= 0 && tile.z < 10));
+});
+
+test('hazards come in one kind at a time and grow with the level', () => {
+    const first = getDifficulty(1);
+    assert.deepEqual(
+        [first.spikes, first.teleportPairs, first.bouncePads, first.brokenTiles, first.staticWalls, first.movingObstacles, first.timedSpikes, first.holes],
+        [3, 1, 2, 0, 0, 0, 0, 0]
+    );
+
+    // Each kind shows up at its level (level 3 is a challenge level, so go one past)
+    Object.entries(DIFFICULTY_CURVE).forEach(([hazard, { from }]) => {
+        const level = isChallengeLevel(from) ? from + 1 : from;
+        assert.ok(getDifficulty(level)[hazard] >= 1, `${hazard} by level ${level}`);
+    });
+
+    // Nothing ever gets easier, apart from the level after a challenge level, and the caps hold
+    for (let level = 2; level <= 60; level++) {
+        if (isChallengeLevel(level - 1)) continue;
+        Object.keys(DIFFICULTY_CURVE).forEach(hazard => {
+            assert.ok(getDifficulty(level)[hazard] >= getDifficulty(level - 1)[hazard], `${hazard} at level ${level}`);
+        });
+    }
+    Object.entries(DIFFICULTY_CURVE).forEach(([hazard, { max }]) => assert.equal(getDifficulty(100)[hazard], max));
+});
+
+test('challenge levels play like a level further on', () => {
+    assert.deepEqual([1, 2, 3, 6, 9].map(isChallengeLevel), [false, false, true, true, true]);
+    const challenge = getDifficulty(6);
+    assert.equal(challenge.challenge, true);
+    assert.deepEqual({ ...challenge, challenge: false }, getDifficulty(8));
+});
+
+test('the solver finds items walled in by spikes unless a teleporter leads in', () => {
+    // Spikes cut the goal corner off
+    const spikes = [{ x: 2, z: 4 }, { x: 2, z: 3 }, { x: 3, z: 2 }, { x: 4, z: 2 }];
+    assert.deepEqual(findUnreachableItems(emptyLayout({ spikes }), 5), [{ type: 'goal', x: 4, z: 4 }]);
+
+    // A teleporter inside the wall gets you there
+    const linked = emptyLayout({ spikes, teleporters: [[{ x: 1, z: 0 }, { x: 3, z: 3 }]] });
+    assert.deepEqual(findUnreachableItems(linked, 5), []);
+
+    // Nothing can be picked up from a spike tile
+    const spiked = emptyLayout({ coins: [{ x: 1, z: 1 }], spikes: [{ x: 1, z: 1 }] });
+    assert.deepEqual(findUnreachableItems(spiked, 5), [{ type: 'coin', x: 1, z: 1 }]);
+
+    // Walls, broken tiles and holes block the way just like spikes; timed spikes can be timed
+    const mixed = emptyLayout({ staticWalls: [spikes[0]], brokenTiles: [spikes[1]], holes: [spikes[2]], spikes: [spikes[3]] });
+    assert.deepEqual(findUnreachableItems(mixed, 5).map(item => item.type), ['goal']);
+    const timed = emptyLayout({ staticWalls: [spikes[0]], brokenTiles: [spikes[1]], holes: [spikes[2]], timedSpikes: [{ ...spikes[3], offset: 0 }] });
+    assert.deepEqual(findUnreachableItems(timed, 5), []);
+});
+
+test('the solver reports hand-built layouts that cannot be finished', () => {
+    // A coin boxed in by walls and holes
+    const boxed = emptyLayout({
+        coins: [{ x: 1, z: 3 }, { x: 3, z: 0 }],
+        staticWalls: [{ x: 0, z: 3 }, { x: 2, z: 3 }],
+        holes: [{ x: 1, z: 2 }, { x: 1, z: 4 }]
+    });
+    assert.deepEqual(findUnreachableItems(boxed, 5), [{ type: 'coin', x: 1, z: 3 }]);
+
+    // A start hemmed in by spikes and a broken tile reaches nothing
+    const trapped = emptyLayout({ coins: [{ x: 3, z: 0 }], spikes: [{ x: 1, z: 0 }], brokenTiles: [{ x: 0, z: 1 }] });
+    assert.deepEqual(findUnreachableItems(trapped, 5), [
+        { type: 'coin', x: 3, z: 0 },
+        { type: 'key', x: 2, z: 2 },
+        { type: 'goal', x: 4, z: 4 }
+    ]);
+
+    // A teleporter that lands outside the walled-off corner doesn't help
+    const spikes = [{ x: 2, z: 4 }, { x: 2, z: 3 }, { x: 3, z: 2 }, { x: 4, z: 2 }];
+    const outside = emptyLayout({ spikes, teleporters: [[{ x: 1, z: 0 }, { x: 0, z: 4 }]] });
+    assert.deepEqual(findUnreachableItems(outside, 5), [{ type: 'goal', x: 4, z: 4 }]);
+});
+
+// The generator gives up after MAX_GENERATION_ATTEMPTS and drops the hazards, which
+// would always pass the solver, so the layouts checked must come from an earlier attempt
+function assertSolvedWithHazards(layout, gridSize, label) {
+    assert.ok(layout.attempts < MAX_GENERATION_ATTEMPTS, `${label} fell back to a layout without hazards`);
+    assert.ok(layout.spikes.length > 0 && layout.teleporters.length > 0 && layout.brokenTiles.length > 0, `${label} lost its hazards`);
+    assert.deepEqual(findUnreachableItems(layout, gridSize), [], label);
+}
+
+test('every generated layout can be solved, even on crowded levels', () => {
+    for (let i = 0; i < 200; i++) {
+        const layout = generateLevelLayout({ seed: `S${i}`, levelNumber: 20, coinCount: 25, gridSize: 8 });
+        assertSolvedWithHazards(layout, 8, `seed S${i}`);
+    }
+});
+
+test('every generated layout on the default 10x10 floor can be solved', () => {
+    for (let i = 0; i < 200; i++) {
+        const layout = generateLevelLayout({ seed: `T${i}`, levelNumber: 20, coinCount: 25, gridSize: 10 });
+        assertSolvedWithHazards(layout, 10, `seed T${i}`);
+    }
+});
@@ -0,0 +1,249 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { LevelSimulation, simulateLevel, normalizeInputScript } from '../src/systems/levelSimulation.js';
+
+const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+const levels = JSON.parse(readFileSync(new URL('../levels.json', import.meta.url), 'utf8'));
+
+// A long 3D runway along +X with the top surface at y = 0.25
+function createRunwayLevel(objects = [], overrides = {}) {
+    return {
+        name: 'Runway',
+        number: 6,
+        use3D: true,
+        playerStart: { x: 0, y: 0, z: 0 },
+        platforms: [
+            { type: 'floating', position: { x: 10, y: 0, z: 0 }, size: { width: 24, height: 0.5, depth: 4 } }
+        ],
+        objects,
+        ...overrides
+    };
+}
+
+// A 10x10 tileTypes grid of normal tiles with the given { 'x,z': type } cells
+function createTileTypes(cells) {
+    return Array.from({ length: 10 }, (_, z) =>
+        Array.from({ length: 10 }, (_, x) => cells[`${x},${z}`] || 'normal')
+    );
+}
+
+function countEvents(report, type) {
+    return report.events.filter(event => event.type === type).length;
+}
+
+test('the ball settles on the ground and stays still', () => {
+    const simulation = new LevelSimulation(createRunwayLevel(), { config });
+    simulation.run([{ duration: 1 }]);
+
+    const restingY = simulation.player.position.y;
+    assert.ok(Math.abs(restingY - 0.75) < 0.001, `expected to rest on the runway, got y=${restingY}`);
+    assert.equal(simulation.player.isGrounded, true);
+
+    const heights = [];
+    for (let i = 0; i < 120; i++) {
+        simulation.step({});
+        heights.push(simulation.player.position.y);
+    }
+
+    assert.ok(Math.max(...heights) - Math.min(...heights) < 1e-6, 'resting ball should not oscillate');
+    assert.ok(simulation.player.velocity.length() < 1e-6, 'resting ball should not drift');
+});
+
+test('rolling follows world axes and stays under the velocity cap', () => {
+    const simulation = new LevelSimulation(createRunwayLevel(), { config });
+    simulation.run([{ duration: 0.5 }, { duration: 1.5, right: true }]);
+
+    const { position, velocity } = simulation.player;
+    assert.ok(position.x > 2, `expected to roll along +X, got x=${position.x}`);
+    assert.ok(Math.abs(position.z) < 1e-6, 'rolling right should not move along Z');
+    assert.ok(velocity.x > 0 && velocity.x <= simulation.physics.maxVelocity);
+});
+
+test('friction brings the ball to a stop once input is released', () => {
+    const simulation = new LevelSimulation(createRunwayLevel(), { config });
+    simulation.run([{ duration: 0.5 }, { duration: 1, right: true }, { duration: 2 }]);
+
+    assert.ok(Math.abs(simulation.player.velocity.x) < 0.01, `expected to stop, got vx=${simulation.player.velocity.x}`);
+});
+
+test('jumping only works from the ground', () => {
+    const simulation = new LevelSimulation(createRunwayLevel(), { config });
+    let peak = 0;
+
+    // Press jump, release mid-air and press again before landing
+    const script = normalizeInputScript([
+        { duration: 0.5 },
+        { duration: 0.2, jump: true },
+        { duration: 0.1 },
+        { duration: 0.2, jump: true },
+        { duration: 1 }
+    ]);
+    script.forEach(segment => {
+        const frames = Math.round((segment.endTime - segment.startTime) / simulation.timeStep);
+        for (let i = 0; i < frames; i++) {
+            simulation.step(segment.input);
+            peak = Math.max(peak, simulation.player.position.y);
+        }
+    });
+
+    assert.equal(countEvents(simulation.getReport(), 'jump'), 1);
+    assert.ok(peak > 1.5, `expected a real jump, peak y=${peak}`);
+    assert.equal(simulation.player.isGrounded, true);
+});
+
+test('the goal stays locked until the key is collected', () => {
+    const level = createRunwayLevel([
+        { type: 'goal', position: { x: 4, y: 0.75, z: 0 } },
+        { type: 'key', position: { x: 8, y: 0.75, z: 0 } }
+    ]);
+    const report = simulateLevel([level], 0, [{ duration: 4, right: true }], { config });
+
+    const locked = report.events.find(event => event.type === 'goalLocked');
+    assert.ok(locked, 'expected the locked goal to be reported');
+    assert.equal(locked.reason, 'missing-key');
+    assert.equal(report.hasKey, true);
+    assert.equal(report.completed, false);
+});
+
+test('collecting the key then reaching the goal completes the level', () => {
+    const level = createRunwayLevel([
+        { type: 'key', position: { x: 4, y: 0.75, z: 0 } },
+        { type: 'goal', position: { x: 8, y: 0.75, z: 0 } }
+    ]);
+    const report = simulateLevel([level], 0, [{ duration: 6, right: true }], { config });
+
+    assert.equal(report.outcome, 'completed');
+    assert.equal(report.completed, true);
+    assert.deepEqual(report.events.map(event => event.type).filter(type => type !== 'jump'), ['keyCollected', 'goalReached']);
+    assert.ok(report.completionTime > 0 && report.completionTime < 6);
+});
+
+test('level 1 needs every coin before the exit opens', () => {
+    const level = createRunwayLevel([
+        { type: 'key', position: { x: 4, y: 0.75, z: 0 } },
+        { type: 'goal', position: { x: 8, y: 0.75, z: 0 } },
+        { type: 'coin', position: { x: 4, y: 1, z: 10 } }
+    ], { number: 1, requireAllCoins: true });
+    const report = simulateLevel([level], 0, [{ duration: 4, right: true }], { config });
+
+    assert.equal(report.requiredCoins, 1);
+    assert.equal(report.completed, false);
+    assert.equal(report.events.find(event => event.type === 'goalLocked').reason, 'missing-coins');
+});
+
+test('levels 2-5 complete on key pickup', () => {
+    const level = createRunwayLevel([{ type: 'key', position: { x: 4, y: 0.75, z: 0 } }], { number: 3 });
+    const report = simulateLevel([level], 0, [{ duration: 4, right: true }], { config });
+
+    assert.equal(report.completed, true);
+    assert.equal(countEvents(report, 'goalReached'), 1);
+});
+
+test('coins are collected once', () => {
+    const level = createRunwayLevel([
+        { type: 'coin', position: { x: 3, y: 1, z: 0 } },
+        { type: 'coin', position: { x: 6, y: 1, z: 0 } }
+    ]);
+    const report = simulateLevel([level], 0, [{ duration: 4, right: true }, { duration: 4, left: true }], { config });
+
+    assert.equal(report.coinsCollected, 2);
+    assert.equal(report.coinsRemaining, 0);
+    assert.equal(countEvents(report, 'coinCollected'), 2);
+});
+
+test('spike traps cost a life and respawn the player at the start', () => {
+    const level = {
+        name: 'Spike Row',
+        number: 3,
+        playerStart: { x: 1, z: 1 },
+        objects: [{ type: 'spikeTrap', x: 3, z: 1 }]
+    };
+    const simulation = new LevelSimulation(level, { config });
+    const report = simulation.run([{ duration: 3, right: true }]);
+
+    const death = report.events.find(event => event.type === 'death');
+    assert.ok(death, 'expected to hit the spike trap');
+    assert.equal(death.cause, 'spikeTrap');
+    assert.ok(report.livesRemaining < config.gameplay.maxLives);
+});
+
+test('a broken tile crumbles once and costs a life a second later', () => {
+    const level = {
+        name: 'Broken Row',
+        number: 6,
+        playerStart: { x: 1, z: 1 },
+        tileTypes: createTileTypes({ '3,1': 'broken' }),
+        objects: []
+    };
+    // Rolls over the tile, respawns at the start and rolls over it again
+    const report = simulateLevel([level], 0, [{ duration: 4, right: true }], { config });
+
+    const broken = report.events.filter(event => event.type === 'tileBroken');
+    const deaths = report.events.filter(event => event.type === 'death');
+    assert.equal(broken.length, 1);
+    assert.deepEqual(broken[0].tile, [3, 1]);
+    assert.equal(deaths.length, 1);
+    assert.equal(deaths[0].cause, 'brokenTile');
+    assert.ok(Math.abs(deaths[0].time - broken[0].time - 1) < 0.02, `expected the fall a second later, got ${deaths[0].time - broken[0].time}`);
+    assert.deepEqual(report.warnings, []);
+});
+
+test('a goal tile completes the level once the key is held', () => {
+    const level = {
+        name: 'Goal Tile',
+        number: 6,
+        playerStart: { x: 1, z: 1 },
+        tileTypes: createTileTypes({ '3,1': 'goal' }),
+        objects: [{ type: 'key', x: 1, z: 1 }]
+    };
+    const rolled = simulateLevel([level], 0, [{ duration: 3, right: true }], { config });
+    // The key floats above the start tile, so jump for it first
+    const jumped = simulateLevel([level], 0, [
+        { duration: 0.5 },
+        { duration: 0.3, jump: true },
+        { duration: 1 },
+        { duration: 3, right: true }
+    ], { config });
+
+    assert.equal(rolled.completed, false);
+    assert.equal(rolled.events.find(event => event.type === 'goalLocked').reason, 'missing-key');
+    assert.equal(jumped.outcome, 'completed');
+    assert.deepEqual(jumped.events.map(event => event.type), ['jump', 'keyCollected', 'goalReached']);
+});
+
+test('rolling off a platform counts as a fall', () => {
+    // Far outside the 100x100 ground plane so nothing catches the ball
+    const level = createRunwayLevel([], {
+        playerStart: { x: 60, y: 0, z: 0 },
+        platforms: [
+            { type: 'floating', position: { x: 60, y: 0, z: 0 }, size: { width: 8, height: 0.5, depth: 4 } }
+        ]
+    });
+    const report = simulateLevel([level], 0, [{ duration: 6, right: true }], { config });
+
+    assert.ok(report.deaths >= 1);
+    assert.equal(report.events.find(event => event.type === 'death').cause, 'fell');
+});
+
+test('every level in levels.json loads in the simulation', () => {
+    levels.forEach((level, index) => {
+        const report = simulateLevel(levels, index, [{ duration: 0.5 }], { config });
+
+        assert.equal(report.level.index, index);
+        assert.ok(report.coinsRemaining + report.coinsCollected > 0, `${level.name} should have coins`);
+        assert.ok(level.objects.some(obj => obj.type === 'key'), `${level.name} should have a key`);
+        assert.ok(report.finalPosition.every(Number.isFinite), `${level.name} produced an invalid position`);
+    });
+});
+
+test('input scripts reject invalid durations', () => {
+    assert.throws(() => normalizeInputScript([{ duration: -1 }]), /invalid duration/);
+    assert.deepEqual(normalizeInputScript([{ duration: 1, right: true }])[0].input, {
+        forward: false,
+        backward: false,
+        left: false,
+        right: true,
+        jump: false
+    });
+});
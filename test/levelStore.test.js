@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { LevelStore, sanitizeLevelName } from '../src/systems/levelStore.js';
+
+let directory = null;
+let store = null;
+
+function createLevel(name = 'Stored Level', objects = []) {
+    return {
+        name,
+        playerStart: { x: 1, z: 1 },
+        tiles: 'auto',
+        objects: [{ type: 'key', x: 5, z: 5 }, { type: 'goal', x: 8, z: 8 }, ...objects]
+    };
+}
+
+// Resolve with the error a promise rejects with
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected the promise to reject');
+}
+
+beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'level-store-'));
+    store = new LevelStore(directory);
+});
+
+afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+test('level names are reduced to safe file names', () => {
+    assert.equal(sanitizeLevelName('My Level!'), 'my-level');
+    assert.equal(sanitizeLevelName('tower.json'), 'tower');
+    assert.equal(sanitizeLevelName('../../etc/passwd'), 'etc-passwd');
+    assert.equal(sanitizeLevelName('..'), null);
+    assert.equal(sanitizeLevelName(42), null);
+    assert.equal(sanitizeLevelName('x'.repeat(100)).length, 64);
+});
+
+test('levels are created, listed, read and deleted', async () => {
+    const created = await store.create('First Level', createLevel('First'));
+    assert.deepEqual((({ name, version }) => ({ name, version }))(created), { name: 'first-level', version: 1 });
+
+    const duplicate = await rejection(store.create('first-level', createLevel()));
+    assert.equal(duplicate.status, 409);
+
+    const listed = await store.list();
+    assert.deepEqual(listed.map(level => [level.name, level.title, level.version]), [['first-level', 'First', 1]]);
+    assert.deepEqual((await store.get('first-level')).data, createLevel('First'));
+
+    await store.delete('first-level');
+    assert.equal((await rejection(store.get('first-level'))).status, 404);
+    assert.deepEqual(await store.list(), []);
+});
+
+test('writes are validated against the level schema', async () => {
+    const invalid = await rejection(store.save('broken', createLevel('Broken', [{ type: 'coin', x: 12, z: 2 }])));
+
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.details, ['broken.json "Broken" /objects/2: coin (12, 2) is outside the 10x10 grid']);
+    assert.equal((await rejection(store.save('broken', [createLevel()]))).status, 400);
+    assert.equal((await rejection(store.save('!!!', createLevel()))).status, 400);
+    assert.equal(existsSync(path.join(directory, 'broken.json')), false);
+});
+
+test('every save is kept in the version history and can be restored', async () => {
+    assert.equal((await store.save('tower', createLevel('Tower v1'))).created, true);
+    assert.equal((await store.save('tower', createLevel('Tower v2'))).created, false);
+
+    const versions = await store.listVersions('tower');
+    assert.deepEqual(versions.map(entry => [entry.version, entry.action]), [[1, 'create'], [2, 'update']]);
+    assert.equal((await store.getVersion('tower', 1)).data.name, 'Tower v1');
+
+    const restored = await store.restore('tower', 1);
+    assert.equal(restored.version, 3);
+    assert.equal((await store.get('tower')).data.name, 'Tower v1');
+    assert.equal((await store.getVersion('tower', 3)).action, 'restore 1');
+
+    // Deleting keeps the history so the level can be brought back
+    await store.delete('tower');
+    assert.equal((await store.listVersions('tower')).length, 3);
+    await store.restore('tower', 2);
+    assert.equal((await store.get('tower')).version, 4);
+
+    assert.equal((await rejection(store.getVersion('tower', 9))).status, 404);
+    assert.equal((await rejection(store.getVersion('tower', 'latest'))).status, 400);
+    assert.deepEqual(readdirSync(path.join(directory, '.history', 'tower')).sort(), ['1.json', '2.json', '3.json', '4.json']);
+});
+
+test('saves made at the same time each get their own version', async () => {
+    const saves = await Promise.all([1, 2, 3].map(number => store.save('relay', createLevel(`Relay v${number}`))));
+    assert.deepEqual(saves.map(saved => [saved.version, saved.created]), [[1, true], [2, false], [3, false]]);
+    assert.deepEqual((await store.listVersions('relay')).map(entry => entry.action), ['create', 'update', 'update']);
+    assert.equal((await store.get('relay')).data.name, 'Relay v3');
+
+    // Only one of two creates at the same time gets the name
+    const creates = await Promise.allSettled([store.create('duel', createLevel('Duel A')), store.create('duel', createLevel('Duel B'))]);
+    assert.equal(creates[0].status, 'fulfilled');
+    assert.equal(creates[1].reason.status, 409);
+    assert.equal((await store.get('duel')).data.name, 'Duel A');
+
+    assert.deepEqual(readdirSync(directory).filter(file => file.endsWith('.tmp')), []);
+});
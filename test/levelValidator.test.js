@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { validateLevel, validateLevels, formatIssue } from '../src/systems/levelValidator.js';
+
+const levels = JSON.parse(readFileSync(new URL('../levels.json', import.meta.url), 'utf8'));
+
+function createGridLevel(objects = [], overrides = {}) {
+    return {
+        name: 'Grid Test',
+        number: 1,
+        gridSize: 10,
+        playerStart: { x: 1, z: 1 },
+        tiles: 'auto',
+        objects: [
+            { type: 'key', x: 5, z: 5 },
+            { type: 'goal', x: 8, z: 8 },
+            ...objects
+        ],
+        ...overrides
+    };
+}
+
+function messages(report) {
+    return report.errors.map(issue => `${issue.path}: ${issue.message}`);
+}
+
+test('the shipped levels.json is valid', () => {
+    const report = validateLevels(levels);
+
+    assert.deepEqual(report.errors.map(formatIssue), []);
+    assert.equal(report.valid, true);
+});
+
+test('issues carry the file, level index and JSON path', () => {
+    const report = validateLevels([
+        createGridLevel(),
+        createGridLevel([{ type: 'coin', x: -1, z: 2 }], { name: 'Broken' })
+    ], { file: 'custom.json' });
+
+    assert.equal(report.valid, false);
+    assert.equal(report.errors.length, 1);
+    assert.deepEqual(
+        (({ file, levelIndex, levelName, path }) => ({ file, levelIndex, levelName, path }))(report.errors[0]),
+        { file: 'custom.json', levelIndex: 1, levelName: 'Broken', path: '/objects/2/x' }
+    );
+    assert.equal(formatIssue(report.errors[0]), 'custom.json level 1 "Broken" /objects/2/x: must be >= 0 (got -1)');
+});
+
+test('grid coordinates must fit the level grid', () => {
+    const report = validateLevel(createGridLevel([
+        { type: 'coin', x: 10, z: 2 },
+        { type: 'movingObstacle', x: 2, z: 2, endX: 2, endZ: 12 }
+    ], {
+        playerStart: { x: 0, z: 11 },
+        underworld: { playerStart: { x: 3, z: 3 }, objects: [{ type: 'underworldExit', x: 15, z: 1 }] }
+    }));
+
+    assert.deepEqual(messages(report), [
+        '/playerStart: player start (0, 11) is outside the 10x10 grid',
+        '/objects/2: coin (10, 2) is outside the 10x10 grid',
+        '/objects/3: moving obstacle end point (2, 12) is outside the 10x10 grid',
+        '/underworld/objects/0: underworld underworldExit (15, 1) is outside the 10x10 grid'
+    ]);
+});
+
+test('teleporters need a partner with the same pairId at their destination', () => {
+    const paired = validateLevel(createGridLevel([
+        { type: 'teleporter', x: 2, z: 2, pairId: 1, destination: { x: 7, z: 2 } },
+        { type: 'teleporter', x: 7, z: 2, pairId: 1, destination: { gridX: 2, gridZ: 2 } }
+    ]));
+    assert.equal(paired.valid, true);
+
+    const unpaired = validateLevel(createGridLevel([
+        { type: 'teleporter', x: 2, z: 2, pairId: 1, destination: { x: 7, z: 2 } },
+        { type: 'teleporter', x: 7, z: 2, pairId: 2, destination: { x: 2, z: 2 } },
+        { type: 'teleporter', x: 4, z: 4, pairId: 3 }
+    ]));
+    assert.deepEqual(messages(unpaired), [
+        '/objects/4: missing required property "destination"',
+        '/objects/2: teleporter at (2, 2) has no partner with pairId 1 at (7, 2)',
+        '/objects/3: teleporter at (7, 2) has no partner with pairId 2 at (2, 2)'
+    ]);
+});
+
+test('levels need a goal and a key', () => {
+    const noGoal = validateLevel({ name: 'No Goal', playerStart: { x: 1, z: 1 }, objects: [{ type: 'key', x: 2, z: 2 }] });
+    const nothing = validateLevel({ name: 'Empty', playerStart: { x: 1, z: 1 }, objects: [] });
+    const noKey = validateLevel({ name: 'No Key', playerStart: { x: 1, z: 1 }, objects: [{ type: 'goal', x: 2, z: 2 }] });
+
+    assert.deepEqual(messages(noGoal), ['/objects: has a key but no goal']);
+    assert.deepEqual(messages(nothing), ['/objects: has no goal']);
+    assert.deepEqual(messages(noKey), ['/objects: has a goal but no key, so the exit can never unlock']);
+});
+
+test('unknown object types and missing fields are schema errors', () => {
+    const report = validateLevel(createGridLevel([{ type: 'lava', x: 1, z: 2 }, { type: 'coin', x: 3 }], { tiles: 'random' }));
+
+    assert.deepEqual(messages(report), [
+        '/tiles: must be "auto"',
+        '/objects/2/type: must be one of "coin", "key", "goal", "spikeTrap", "teleporter", "bouncingPlatform", "brokenTile", "staticWall", "movingObstacle", "hole", "door", "pressurePlate" (got "lava")',
+        '/objects/3: missing required property "z"'
+    ]);
+});
+
+test('environment blocks are checked for colors, presets, fog and weather', () => {
+    const valid = validateLevel(createGridLevel([], {
+        environment: {
+            preset: 'night',
+            sky: { top: '#001', horizon: 0x0B1030, clouds: 0.2 },
+            fog: null,
+            tiles: { light: '#B8C0E0', dark: '#2a3050' },
+            weather: { type: 'snow', density: 0.5 }
+        }
+    }));
+    assert.deepEqual(messages(valid), []);
+
+    const report = validateLevel(createGridLevel([], {
+        environment: {
+            preset: 'moon',
+            sky: { top: 'blue', bottom: 0x1000000, stars: 2 },
+            fog: { near: 40, far: 20 },
+            weather: { type: 'hail' }
+        }
+    }));
+    assert.deepEqual(messages(report), [
+        '/environment/sky/top: must match ^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$ (got "blue")',
+        '/environment/sky/bottom: must be <= 16777215 (got 16777216)',
+        '/environment/sky/stars: must be <= 1 (got 2)',
+        '/environment/weather/type: must be one of "none", "rain", "snow", "fireflies" (got "hail")',
+        '/environment/preset: unknown preset "moon"; use one of "default", "jungle", "desert", "glacier", "volcano", "night", "storm", "underworld"',
+        '/environment/fog: near (40) must be less than far (20)'
+    ]);
+});
+
+test('underworld layers are checked like levels, all the way down', () => {
+    const deep = { objects: [{ type: 'coin', x: 2, z: 2 }, { type: 'coin', x: 2, z: 2 }] };
+    const report = validateLevel(createGridLevel([{ type: 'hole', x: 3, z: 3 }], {
+        hasUnderworld: true,
+        underworld: {
+            playerStart: { x: 3, z: 3 },
+            gravityScale: 0,
+            camera: { preset: 'overhead' },
+            environment: { preset: 'night' },
+            objects: [
+                { type: 'spikeTrap', x: 4, z: 4 },
+                { type: 'underworldExit', x: 6, z: 6, destination: { x: 12, z: 1 } },
+                { type: 'hole', x: 7, z: 7 }
+            ],
+            underworld: deep
+        }
+    }));
+
+    assert.deepEqual(messages(report), [
+        '/underworld/gravityScale: must be > 0 (got 0)',
+        '/underworld/camera/preset: must be one of "default", "front", "top", "side" (got "overhead")',
+        '/underworld/objects/1/destination: underworld exit destination (12, 1) is outside the 10x10 grid',
+        '/underworld/underworld/objects/1: underworld 2 coin at (2, 2) overlaps /underworld/underworld/objects/0'
+    ]);
+    assert.deepEqual(report.warnings, []);
+
+    let tooDeep = { objects: [] };
+    for (let i = 0; i < 5; i++) {
+        tooDeep = { objects: [{ type: 'hole', x: 1, z: 1 }], underworld: tooDeep };
+    }
+    const warnings = validateLevel(createGridLevel([], { underworld: tooDeep })).warnings;
+    assert.deepEqual(warnings.map(issue => `${issue.path}: ${issue.message}`), [
+        '/underworld: is never reached because hasUnderworld is not set',
+        '/underworld/underworld/underworld/underworld/underworld: is more than 4 layers down and is ignored'
+    ]);
+});
+
+test('triggers are checked for their conditions, actions and targets', () => {
+    const plate = { type: 'pressurePlate', id: 'plate', x: 2, z: 2, triggers: [{ type: 'door', target: 'gate' }] };
+    const door = { type: 'door', id: 'gate', x: 4, z: 4 };
+    const valid = validateLevel(createGridLevel([plate, door], {
+        triggers: [{
+            when: { all: [{ type: 'pressurePlate', target: 'plate' }, { any: [{ type: 'coins', count: 3 }, { type: 'timer', after: 5000 }] }] },
+            mode: 'toggle',
+            actions: [
+                { type: 'sequence', actions: [{ type: 'door', target: 'gate', action: 'close' }, { type: 'message', text: 'Too slow!', delay: 500 }] },
+                { type: 'gravity', action: 'flip' }
+            ]
+        }]
+    }));
+    assert.deepEqual(messages(valid), []);
+
+    const report = validateLevel(createGridLevel([{ ...plate, triggers: [{ type: 'door', target: 'gat' }] }, door], {
+        triggers: [
+            { when: { type: 'pressurePlate', target: 'plat' }, mode: 'sometimes', actions: [{ type: 'door', target: 'gate', action: 'slam' }] },
+            { when: { type: 'zone', from: { x: 0, z: 0 } }, actions: [{ type: 'gravity', action: 'set' }] },
+            { when: { type: 'key' }, actions: [{ type: 'sequence', actions: [{ type: 'spawn', object: { type: 'coin', x: 1 } }, { type: 'platform', target: 'bridge' }] }] }
+        ]
+    }));
+    assert.deepEqual(messages(report), [
+        '/triggers/0/mode: must be one of "once", "repeat", "toggle", "hold" (got "sometimes")',
+        '/triggers/0/actions/0/action: must be one of "open", "close", "toggle" (got "slam")',
+        '/triggers/1/when: missing required property "to"',
+        '/triggers/1/actions/0: missing required property "direction"',
+        '/triggers/0/when/target: no pressure plate with id "plat"',
+        '/triggers/2/actions/0/actions/0/object: missing required property "z"',
+        '/triggers/2/actions/0/actions/1/target: no platform with id "bridge"',
+        '/objects/2/triggers/0/target: no door with id "gat"'
+    ]);
+});
+
+test('3D levels are checked for platforms, movement and bounds', () => {
+    const level = {
+        name: '3D Test',
+        use3D: true,
+        playerStart: { x: 0, y: 0, z: 0 },
+        platforms: [
+            { type: 'floating', position: { x: 0, y: 0, z: 0 }, size: { width: 4, height: 0.5, depth: 4 } },
+            { type: 'moving', position: { x: 4, y: 2, z: 0 }, size: { width: 2, height: 0.5, depth: 2 }, movement: { type: 'bobbing' } },
+            { type: 'moving', position: { x: 8, y: 2, z: 0 }, size: { width: 2, height: 0.5, depth: 2 }, movement: { type: 'linear', path: [] } },
+            { type: 'moving', position: { x: 0, y: 4, z: 0 }, size: { width: 2, height: 0.5, depth: 2 }, movement: { type: 'oscillate', axis: 'y', amplitude: 3 } },
+            { type: 'moving', position: { x: 0, y: 6, z: 0 }, size: { width: 2, height: 0.5, depth: 2 }, movement: { type: 'oscillate', axis: 'y', amplitude: 3, frequency: 0.5 } }
+        ],
+        objects: [
+            { type: 'key', position: { x: 2, y: 1, z: 0 } },
+            { type: 'goal', position: { x: 40, y: 1, z: 0 } }
+        ],
+        bounds: { minX: -10, maxX: 10, minY: -20, maxY: 20, minZ: -10, maxZ: 10 }
+    };
+
+    assert.deepEqual(messages(validateLevel(level)), [
+        '/platforms/1/movement/type: must be one of "linear", "circular", "oscillate" (got "bobbing")',
+        '/platforms/2/movement/path: must have at least 2 items',
+        '/platforms/3/movement: missing required property "frequency"',
+        '/objects/1/position: goal x=40 is outside the level bounds'
+    ]);
+});
+
+test('duplicate coins and level numbers are reported', () => {
+    const report = validateLevels([
+        createGridLevel([{ type: 'coin', x: 3, z: 3 }, { type: 'coin', x: 3, z: 3 }]),
+        createGridLevel([], { name: 'Second' })
+    ]);
+
+    assert.deepEqual(messages(report), ['/objects/3: coin at (3, 3) overlaps /objects/2']);
+    assert.deepEqual(report.warnings.map(issue => `${issue.levelIndex} ${issue.path}: ${issue.message}`), [
+        '1 /number: level number 1 is also used by level 0'
+    ]);
+});
+
+test('non-array level files are rejected', () => {
+    const report = validateLevels({ name: 'Single' });
+
+    assert.equal(report.valid, false);
+    assert.equal(report.errors[0].message, 'must be an array of levels');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_NAME_LENGTH,
+    PLAYER_COLORS,
+    sanitizeDisplayName,
+    containsProfanity,
+    validateDisplayName,
+    makeUniqueName,
+    findPlayerColor,
+    getDisplayName
+} from '../src/systems/playerProfiles.js';
+
+test('names are trimmed, spaced and stripped of odd characters', () => {
+    assert.equal(sanitizeDisplayName('  Ada   Love<b>lace</b>  '), 'Ada Loveblaceb');
+    assert.equal(sanitizeDisplayName("O'Neil_99.x-y"), "O'Neil_99.x-y");
+    assert.equal(sanitizeDisplayName('Zoë 🚀'), 'Zoë');
+    assert.equal(sanitizeDisplayName(42), '');
+});
+
+test('names must have a sensible length', () => {
+    assert.deepEqual(validateDisplayName(' Sam '), { valid: true, name: 'Sam' });
+    assert.equal(validateDisplayName('a').valid, false);
+    assert.equal(validateDisplayName('🚀🚀🚀').valid, false);
+    assert.equal(validateDisplayName('x'.repeat(MAX_NAME_LENGTH)).valid, true);
+    assert.equal(validateDisplayName('x'.repeat(MAX_NAME_LENGTH + 1)).valid, false);
+    assert.ok(validateDisplayName('').reason);
+});
+
+test('profanity is caught even when disguised', () => {
+    ['shit', 'Sh1t Happens', '$h!t', 'FUUUCK', 'big_ass', 'A55'].forEach(name => {
+        assert.equal(containsProfanity(name), true, name);
+        assert.equal(validateDisplayName(name).valid, false, name);
+    });
+
+    // Short words are only blocked on their own
+    ['Classic', 'Dickens', 'Assassin', 'Pass Master', 'As Planned'].forEach(name => {
+        assert.equal(containsProfanity(name), false, name);
+    });
+});
+
+test('taken names are numbered within the length limit', () => {
+    assert.equal(makeUniqueName('Sam', ['Alex']), 'Sam');
+    assert.equal(makeUniqueName('Sam', ['sam', null]), 'Sam 2');
+    assert.equal(makeUniqueName('Sam', ['Sam', 'Sam 2']), 'Sam 3');
+
+    const longName = 'x'.repeat(MAX_NAME_LENGTH);
+    const unique = makeUniqueName(longName, [longName]);
+    assert.equal(unique.length, MAX_NAME_LENGTH);
+    assert.ok(unique.endsWith(' 2'));
+});
+
+test('colors are found by name and players fall back to their color', () => {
+    assert.equal(findPlayerColor('teal'), PLAYER_COLORS.find(color => color.name === 'Teal'));
+    assert.equal(findPlayerColor('Mauve'), null);
+    assert.equal(findPlayerColor(undefined), null);
+
+    const red = findPlayerColor('Red');
+    assert.equal(getDisplayName({ name: 'Sam', color: red }), 'Sam');
+    assert.equal(getDisplayName({ name: null, color: red }), 'Red');
+    assert.equal(getDisplayName(null), 'Someone');
+    assert.equal(getDisplayName(undefined, 'A player'), 'A player');
+});
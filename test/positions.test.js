@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNumber, validatePosition } from '../src/systems/positions.js';
+
+test('valid positions pass through unchanged and quietly', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(validatePosition({ x: 1, y: 2, z: 3 }), { x: 1, y: 2, z: 3 });
+    assert.equal(validateNumber(-4.5), -4.5);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('bad coordinates take the fallback value and are reported', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(validatePosition({ x: NaN, y: 2, z: Infinity }, { x: 5, y: 6, z: 7 }), { x: 5, y: 2, z: 7 });
+    assert.deepEqual(validatePosition({ y: '2' }), { x: 0, y: 2, z: 0 });
+    assert.equal(validateNumber(undefined, 3), 3);
+    assert.ok(warn.mock.callCount() > 0);
+});
+
+test('missing positions become a copy of the fallback', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const fallback = { x: 1, y: 2, z: 3 };
+
+    [undefined, null, 7, 'here'].forEach(position => {
+        const result = validatePosition(position, fallback);
+        assert.deepEqual(result, fallback);
+        assert.notEqual(result, fallback);
+    });
+    assert.deepEqual(validatePosition(null), { x: 0, y: 2, z: 0 });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isGameMode,
+    createRaceState,
+    getRacerItems,
+    recordFinish,
+    allFinished,
+    rankRaceResults,
+    formatPlace
+} from '../src/systems/raceMode.js';
+
+function runningRace(startTime = 1000) {
+    const race = createRaceState();
+    race.phase = 'running';
+    race.startTime = startTime;
+    return race;
+}
+
+test('only co-op and race are game modes', () => {
+    assert.equal(isGameMode('coop'), true);
+    assert.equal(isGameMode('race'), true);
+    assert.equal(isGameMode('versus'), false);
+    assert.equal(isGameMode(undefined), false);
+});
+
+test('each racer collects into their own sets', () => {
+    const race = runningRace();
+    getRacerItems(race, 'p_1').coins.add('coin_1_1');
+
+    assert.equal(getRacerItems(race, 'p_1').coins.has('coin_1_1'), true);
+    assert.equal(getRacerItems(race, 'p_2').coins.has('coin_1_1'), false);
+});
+
+test('finishes are timed from the start and placed in order', () => {
+    const race = createRaceState();
+    assert.equal(recordFinish(race, 'p_1', 5000), null, 'no finishes before the start');
+
+    race.phase = 'running';
+    race.startTime = 1000;
+    assert.deepEqual(recordFinish(race, 'p_2', 4500, { name: 'Sam' }), { name: 'Sam', time: 3500, place: 1 });
+    assert.equal(recordFinish(race, 'p_2', 6000), null, 'a player finishes once');
+    assert.deepEqual(recordFinish(race, 'p_1', 7000), { time: 6000, place: 2 });
+
+    assert.equal(allFinished(race, ['p_1', 'p_2']), true);
+    assert.equal(allFinished(race, ['p_1', 'p_2', 'p_3']), false);
+    assert.equal(allFinished(race, []), false);
+});
+
+test('results list finishers fastest first, then everyone who did not finish', () => {
+    const race = runningRace(0);
+    const red = { name: 'Red', css: '#ff4444' };
+    recordFinish(race, 'p_2', 9000, { name: 'Ana', color: red });
+    recordFinish(race, 'p_1', 12000, { name: 'Bo', color: null });
+
+    const results = rankRaceResults(race, {
+        p_1: { name: 'Bo' },
+        p_2: { name: 'Ana', color: red },
+        p_3: { name: 'Cy' }
+    });
+    assert.deepEqual(results.map(result => [result.playerId, result.place, result.time, result.finished]), [
+        ['p_2', 1, 9000, true],
+        ['p_1', 2, 12000, true],
+        ['p_3', null, null, false]
+    ]);
+    assert.equal(results[0].color, red);
+});
+
+test('places get their English suffix', () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(formatPlace),
+        ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '111th']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotBuffer, rollFromMotion } from '../src/systems/remoteInterpolation.js';
+
+const still = { x: 0, y: 0, z: 0 };
+
+// Updates every 50 ms on the sender's clock, moving 1 unit along x each time
+function update(index, extra = {}) {
+    return { timestamp: 5000 + index * 50, position: { x: index, y: 0.55, z: 0 }, velocity: { x: 20, y: 0, z: 0 }, ...extra };
+}
+
+test('players are drawn between the two updates around the interpolation delay', () => {
+    const buffer = new SnapshotBuffer({ delay: 100, bufferSize: 20, maxExtrapolation: 250, snapDistance: 5 });
+    // Sender clock is 1000 ms behind ours; the second update arrives late
+    buffer.push(update(0), 6030);
+    buffer.push(update(1), 6110);
+    buffer.push(update(2), 6130);
+
+    assert.equal(buffer.clockOffset, 1030, 'the quickest delivery sets the clock offset');
+
+    const sample = buffer.sample(6030 + 125);
+    assert.equal(sample.extrapolated, false);
+    assert.equal(sample.position.x, 0.5, 'halfway between the first two updates');
+    assert.equal(buffer.sample(6000).position.x, 0, 'before the buffer, the oldest update');
+});
+
+test('players keep moving on their velocity for a while when updates stop', () => {
+    const buffer = new SnapshotBuffer({ delay: 100, bufferSize: 20, maxExtrapolation: 250, snapDistance: 5 });
+    buffer.push(update(0), 5000);
+    buffer.push(update(1), 5050);
+
+    const late = buffer.sample(5050 + 100 + 100);
+    assert.equal(late.extrapolated, true);
+    assert.ok(Math.abs(late.position.x - 3) < 1e-9, '100 ms at 20 units a second');
+
+    const gone = buffer.sample(5050 + 100 + 5000);
+    assert.ok(Math.abs(gone.position.x - 6) < 1e-9, 'extrapolation stops after its limit');
+});
+
+test('old, repeated and teleporting updates', () => {
+    const buffer = new SnapshotBuffer({ delay: 0, bufferSize: 3, maxExtrapolation: 0, snapDistance: 5 });
+    assert.equal(buffer.sample(0), null);
+
+    assert.equal(buffer.push(update(1), 5050), true);
+    assert.equal(buffer.push(update(0), 5060), false, 'out of order');
+    assert.equal(buffer.push(update(1), 5070), false, 'repeated');
+
+    buffer.push(update(2, { position: { x: 40, y: 0.55, z: 0 } }), 5100);
+    assert.equal(buffer.sample(5075).position.x, 40, 'a respawn is not interpolated across');
+
+    buffer.push(update(3), 5150);
+    buffer.push(update(4), 5200);
+    assert.equal(buffer.snapshots.length, 3);
+
+    // Updates from older clients carry no timestamp or velocity
+    buffer.push({ position: { x: 5, y: 0.55, z: 0 } }, 5260);
+    assert.deepEqual(buffer.sample(5300).position, { x: 5, y: 0.55, z: 0 });
+});
+
+test('balls roll about the axis across their direction of travel', () => {
+    const roll = rollFromMotion(still, { x: 1, y: 0, z: 0 }, 0.5);
+    assert.deepEqual(roll.axis, { x: 0, y: 0, z: -1 });
+    assert.equal(roll.angle, 2);
+
+    const climbing = rollFromMotion(still, { x: 0, y: 3, z: -0.5 }, 0.5);
+    assert.equal(climbing.axis.x, -1);
+    assert.equal(climbing.angle, 1, 'only sideways movement rolls');
+
+    assert.equal(rollFromMotion(still, { x: 0, y: -2, z: 0 }, 0.5), null);
+});
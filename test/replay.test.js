@@ -0,0 +1,248 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+    ReplayRecorder,
+    ReplayPlayer,
+    validateReplay,
+    encodeInput,
+    decodeInput,
+    hashValue,
+    REPLAY_FORMAT
+} from '../src/systems/replay.js';
+import { FixedTimestep } from '../src/systems/fixedTimestep.js';
+import { LevelSimulation } from '../src/systems/levelSimulation.js';
+import { StepTimers } from '../src/systems/stepTimers.js';
+
+const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+
+function startRecorder() {
+    const recorder = new ReplayRecorder();
+    recorder.start({
+        level: { index: 0, name: 'Test', number: 1, hash: 'abc' },
+        configHash: hashValue(config),
+        step: 1 / 60,
+        camera: { mode: 'chase', preset: 'default' }
+    });
+    return recorder;
+}
+
+test('input states are packed into bit masks and back', () => {
+    const input = { forward: true, backward: false, left: false, right: true, jump: true };
+
+    assert.equal(encodeInput(input), 1 | 8 | 16);
+    assert.deepEqual(decodeInput(encodeInput(input)), input);
+    assert.equal(encodeInput({}), 0);
+});
+
+test('hashes ignore key order and notice changes', () => {
+    assert.equal(hashValue({ a: 1, b: [1, 2] }), hashValue({ b: [1, 2], a: 1 }));
+    assert.notEqual(hashValue({ a: 1 }), hashValue({ a: 2 }));
+    assert.match(hashValue(config), /^[0-9a-f]{8}$/);
+});
+
+test('only input changes are recorded and played back per tick', () => {
+    const recorder = startRecorder();
+    for (let tick = 0; tick < 100; tick++) {
+        recorder.recordInput(tick, { right: tick >= 10, jump: tick >= 40 && tick < 45 });
+        recorder.recordDirections(tick, tick < 50 ? [0, 0, -1, 1, 0, 0] : [1, 0, 0, 0, 0, 1]);
+    }
+    recorder.recordEvent(20, 'cameraPreset', 'top');
+
+    const replay = recorder.stop({ completed: false });
+    assert.equal(recorder.isRecording, false);
+    assert.equal(replay.format, REPLAY_FORMAT);
+    assert.equal(replay.ticks, 100);
+    assert.deepEqual(replay.inputs, [[0, 0], [10, 8], [40, 24], [45, 8]]);
+    assert.deepEqual(replay.directions, [[0, 0, 0, -1, 1, 0, 0], [50, 1, 0, 0, 0, 0, 1]]);
+
+    const player = new ReplayPlayer(replay);
+    assert.equal(player.length, 100);
+    assert.ok(Math.abs(player.duration - 100 / 60) < 1e-9);
+    assert.equal(player.inputAt(9).right, false);
+    assert.equal(player.inputAt(10).right, true);
+    assert.equal(player.inputAt(42).jump, true);
+    assert.equal(player.inputAt(99).jump, false);
+    assert.deepEqual(player.directionsAt(75), [1, 0, 0, 0, 0, 1]);
+    assert.deepEqual(player.eventsAt(20), [{ type: 'cameraPreset', value: 'top' }]);
+    assert.deepEqual(player.eventsAt(21), []);
+});
+
+test('analog stick values are recorded when they change', () => {
+    const recorder = startRecorder();
+    const sticks = [[0, 0], [0, 0], [0.5, 1], [0.5, 1], [0, 0]];
+    sticks.forEach(([moveX, moveY], tick) => recorder.recordInput(tick, { moveX, moveY }));
+
+    const replay = recorder.stop();
+    assert.deepEqual(replay.analog, [[2, 0.5, 1], [4, 0, 0]]);
+
+    const player = new ReplayPlayer(replay);
+    assert.deepEqual([player.inputAt(1).moveX, player.inputAt(1).moveY], [0, 0]);
+    assert.deepEqual([player.inputAt(3).moveX, player.inputAt(3).moveY], [0.5, 1]);
+
+    // Replays from before analog input still load
+    const { analog, ...keyboardOnly } = replay;
+    assert.equal(new ReplayPlayer(keyboardOnly).inputAt(3).moveX, 0);
+    assert.deepEqual(validateReplay({ ...replay, analog: [[1, 0.5]] }), ['analog[0] must be [tick, ...] with 3 values']);
+});
+
+test('invalid replay files are rejected with readable errors', () => {
+    const replay = startRecorder().stop();
+
+    assert.deepEqual(validateReplay(replay), []);
+    assert.deepEqual(validateReplay([]), ['replay must be a JSON object']);
+    assert.deepEqual(validateReplay({ format: 'levels' }), [`not a replay file (format must be "${REPLAY_FORMAT}")`]);
+    assert.deepEqual(
+        validateReplay({ ...replay, ticks: -1, inputs: [[5, 1], [2, 0], [3]] }),
+        ['ticks must be a non-negative integer', 'inputs[1] is out of order', 'inputs[2] must be [tick, ...] with 2 values']
+    );
+    assert.throws(() => new ReplayPlayer({ ...replay, level: null }), /Invalid replay: level.index/);
+});
+
+test('a recorded run plays back identically after a JSON round trip', () => {
+    const level = {
+        name: 'Runway',
+        number: 6,
+        use3D: true,
+        playerStart: { x: 0, y: 0, z: 0 },
+        platforms: [{ type: 'floating', position: { x: 10, y: 0, z: 0 }, size: { width: 24, height: 0.5, depth: 4 } }],
+        objects: []
+    };
+
+    // Record at an uneven frame rate with input changing on arbitrary ticks
+    const recorder = startRecorder();
+    const recorded = new LevelSimulation(level, { config });
+    const recordedPositions = [];
+    const timestep = new FixedTimestep();
+    for (let frame = 0; frame < 200; frame++) {
+        timestep.advance(frame % 3 === 0 ? 1 / 30 : 1 / 144, (step, tick) => {
+            const input = { right: tick >= 20 && tick < 140, jump: tick >= 70 && tick < 74, forward: tick % 50 > 40 };
+            recorder.recordInput(tick, input);
+            recorded.step(input);
+            recordedPositions.push(recorded.player.position.toArray());
+        });
+    }
+
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(recorder.stop({ completed: false }))));
+    const replayed = new LevelSimulation(level, { config });
+    const replayedPositions = [];
+    for (let tick = 0; tick < player.length; tick++) {
+        replayed.step(player.inputAt(tick));
+        replayedPositions.push(replayed.player.position.toArray());
+    }
+
+    assert.equal(replayedPositions.length, recordedPositions.length);
+    assert.deepEqual(replayedPositions, recordedPositions);
+});
+
+// The game loop in miniature: each fixed step runs the step timers, then the level.
+// As in the game, a bounce squashes the pad for a second and a fall holds the ball
+// for 1.5 s before it can move again. seek() reloads the level and runs the steps
+// up to the target without frames, as seekReplay does.
+function createRun(level, inputAt, length) {
+    const timestep = new FixedTimestep();
+    const timers = new StepTimers(() => timestep.time * 1000);
+    const run = {};
+
+    const load = () => {
+        timestep.reset();
+        timers.clear();
+        run.simulation = new LevelSimulation(level, { config });
+        run.padSquash = 0;
+        run.restarting = false;
+    };
+
+    const step = (stepSeconds, tick) => {
+        // The recording is over
+        if (tick >= length) return;
+
+        timers.update();
+        const simulation = run.simulation;
+        const eventCount = simulation.events.length;
+        const input = inputAt(tick);
+        simulation.step(run.restarting ? {} : input);
+
+        simulation.events.slice(eventCount).forEach(event => {
+            if (event.type === 'bounced') {
+                timers.animate(1000, progress => { run.padSquash = 0.2 * (1 - progress); });
+            } else if (event.type === 'death') {
+                run.restarting = true;
+                timers.after(1500, () => { run.restarting = false; });
+            }
+        });
+    };
+
+    // Feed frames of the given lengths (repeating) until the run reaches `tick`
+    run.playTo = (tick, frames) => {
+        for (let frame = 0; timestep.tick < tick; frame++) {
+            timestep.advance(frames[frame % frames.length], step);
+        }
+    };
+    run.seek = (tick) => {
+        load();
+        while (timestep.tick < tick) {
+            timestep.advance(timestep.step, step);
+        }
+    };
+    run.state = () => ({
+        frame: run.simulation.frame,
+        position: run.simulation.player.position.toArray(),
+        velocity: run.simulation.player.velocity.toArray(),
+        score: run.simulation.score,
+        events: run.simulation.events,
+        padSquash: run.padSquash,
+        restarting: run.restarting
+    });
+
+    load();
+    return run;
+}
+
+test('seeking through a replay with a bounce and a fall ends where plain playback does', () => {
+    // Far outside the ground plane, so rolling off the end is a fall
+    const level = {
+        name: 'Springboard',
+        number: 6,
+        use3D: true,
+        playerStart: { x: 52, y: 0, z: 0 },
+        platforms: [{ type: 'floating', position: { x: 60, y: 0, z: 0 }, size: { width: 20, height: 0.5, depth: 4 } }],
+        objects: [{ type: 'bouncingPlatform', position: { x: 56, y: 0, z: 0 } }]
+    };
+    const length = 560;
+
+    // Roll over the pad and off the end, then keep pushing right while the fall holds the ball
+    const recorder = startRecorder();
+    const recording = createRun(level, tick => {
+        const input = { right: (tick >= 20 && tick < 300) || tick >= 420, jump: tick >= 240 && tick < 244 };
+        recorder.recordInput(tick, input);
+        return input;
+    }, length);
+    recording.playTo(length, [1 / 30, 1 / 144, 1 / 144]);
+    const recorded = recording.state();
+
+    assert.ok(recorded.events.some(event => event.type === 'bounced'), 'expected the ball to bounce');
+    assert.ok(recorded.events.some(event => event.type === 'death' && event.cause === 'fell'), 'expected the ball to fall');
+
+    const replay = JSON.parse(JSON.stringify(recorder.stop({ completed: false })));
+    const playback = () => {
+        const player = new ReplayPlayer(replay);
+        return createRun(level, tick => player.inputAt(tick), player.length);
+    };
+
+    const straight = playback();
+    straight.playTo(length, [1 / 60, 1 / 75, 1 / 20]);
+
+    // Back to before the bounce while the pad is still squashed, then forward past
+    // the fall while the ball is held
+    const seeking = playback();
+    seeking.playTo(150, [1 / 144]);
+    assert.ok(seeking.state().padSquash > 0);
+    seeking.seek(60);
+    seeking.playTo(400, [1 / 45, 1 / 90]);
+    assert.ok(seeking.state().restarting);
+    seeking.seek(480);
+    seeking.playTo(length, [1 / 30]);
+
+    assert.deepEqual(straight.state(), recorded);
+    assert.deepEqual(seeking.state(), recorded);
+});
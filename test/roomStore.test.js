@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    RoomStore,
+    ROOM_SNAPSHOT_VERSION,
+    serializeRoom,
+    restoreRoom,
+    isRoomMember
+} from '../src/systems/roomStore.js';
+
+const DATA_DIR = mkdtempSync(path.join(tmpdir(), 'room-store-'));
+
+after(() => {
+    rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// The parts of server.js's createRoomState that get saved
+function createRoom(id = 'room', name = 'Room') {
+    const collectibleItems = { coins: new Set(), keys: new Set(), initialized: false };
+    return {
+        id,
+        name,
+        createdAt: 1,
+        players: {},
+        spectators: {},
+        usedColors: new Set(),
+        collectibleItems,
+        levelLayout: null,
+        lobbyState: { players: {}, gameState: 'lobby', gameMode: 'coop', hostId: null, countdown: null, maxPlayers: 8, lastUpdate: 1 },
+        votingState: { active: false, votes: {}, timeout: null },
+        gameSession: { currentLevel: { number: 1 }, collectibleItems, playerCount: 0, sessionStartTime: 1, lastStateUpdate: 1 }
+    };
+}
+
+function createGame() {
+    const room = createRoom('arena', 'Arena');
+    const red = { name: 'Red', hex: 0xff4444, css: '#ff4444' };
+    room.players.p_1 = { id: 'p_1', color: red, position: { x: 1, y: 0.55, z: 2 } };
+    room.usedColors.add('Red');
+    room.spectators.p_2 = { id: 'p_2', name: 'Late', reason: 'late-join', joinedAt: 2 };
+    room.collectibleItems.coins.add('coin_1_1');
+    room.collectibleItems.initialized = true;
+    room.levelLayout = { coins: new Map([['coin_1_1', { x: 0, y: 1.2, z: 0 }]]), keys: new Map() };
+    room.lobbyState.gameState = 'in-game';
+    room.lobbyState.gameMode = 'race';
+    room.lobbyState.countdown = 42; // Stands in for a timer handle
+    room.gameSession.currentLevel = { number: 3, name: 'Level 3', initialized: true };
+    room.gameSession.playerCount = 1;
+    return room;
+}
+
+test('a room round-trips through its JSON snapshot', () => {
+    const original = createGame();
+    const data = JSON.parse(JSON.stringify(serializeRoom(original)));
+
+    assert.equal('countdown' in data.lobby, false, 'timers are not saved');
+    assert.deepEqual(data.levelLayout.coins, [['coin_1_1', { x: 0, y: 1.2, z: 0 }]]);
+
+    const room = restoreRoom(createRoom('arena', 'Arena'), data);
+    assert.deepEqual(room.players, original.players);
+    assert.deepEqual(room.spectators, original.spectators);
+    assert.deepEqual([...room.usedColors], ['Red']);
+    assert.deepEqual([...room.collectibleItems.coins], ['coin_1_1']);
+    assert.equal(room.collectibleItems.initialized, true);
+    assert.deepEqual(room.levelLayout.coins.get('coin_1_1'), { x: 0, y: 1.2, z: 0 });
+    assert.equal(room.lobbyState.gameState, 'in-game');
+    assert.equal(room.lobbyState.gameMode, 'race');
+    assert.equal(room.gameSession.currentLevel.number, 3);
+    assert.equal(room.gameSession.collectibleItems, room.collectibleItems, 'the session shares the collectible state');
+    assert.equal(isRoomMember(room, 'p_1'), true);
+    assert.equal(isRoomMember(room, 'p_2'), true, 'spectators keep their place');
+    assert.equal(isRoomMember(room, 'p_3'), false);
+});
+
+test('a room that was counting down goes back to the lobby', () => {
+    const original = createRoom();
+    original.lobbyState.players.p_1 = { id: 'p_1', ready: true };
+    original.lobbyState.gameState = 'starting';
+
+    const room = restoreRoom(createRoom(), serializeRoom(original));
+    assert.equal(room.lobbyState.gameState, 'lobby');
+    assert.equal(room.lobbyState.players.p_1.ready, false);
+});
+
+test('snapshots are written only when something changed and read back', () => {
+    const filePath = path.join(DATA_DIR, 'nested', 'rooms.json');
+    const store = new RoomStore(filePath);
+    const sessions = [{ tokenHash: 'abc', playerId: 'p_1', roomId: 'arena' }];
+
+    assert.equal(store.load(), null);
+    assert.equal(store.save([createGame()], sessions), true);
+    assert.equal(store.save([createGame()], sessions), false);
+
+    const snapshot = new RoomStore(filePath).load();
+    assert.equal(snapshot.version, ROOM_SNAPSHOT_VERSION);
+    assert.deepEqual(snapshot.sessions, sessions);
+    assert.equal(snapshot.rooms[0].id, 'arena');
+
+    const game = createGame();
+    game.collectibleItems.coins.add('coin_2_2');
+    assert.equal(store.save([game], sessions), true);
+    assert.deepEqual(JSON.parse(readFileSync(filePath, 'utf8')).rooms[0].collectibleItems.coins, ['coin_1_1', 'coin_2_2']);
+});
+
+test('unreadable or foreign snapshots are ignored', () => {
+    const filePath = path.join(DATA_DIR, 'broken.json');
+
+    writeFileSync(filePath, '{ not json');
+    assert.equal(new RoomStore(filePath).load(), null);
+
+    writeFileSync(filePath, JSON.stringify({ version: 99, rooms: [], sessions: [] }));
+    assert.equal(new RoomStore(filePath).load(), null);
+});
@@ -0,0 +1,874 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { mkdtempSync, mkdirSync, rmSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { io } from 'socket.io-client';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+const PORT = 3900 + Math.floor(Math.random() * 500);
+const SERVER_URL = `http://localhost:${PORT}`;
+const EVENT_TIMEOUT = 10000;
+const DATA_DIR = mkdtempSync(path.join(tmpdir(), 'server-data-'));
+const LEVELS_DIR = path.join(DATA_DIR, 'levels');
+const LEVELS_FILE = path.join(DATA_DIR, 'levels.json');
+
+// The levels the server looks items below the surface up in; on the default
+// 10x10 floor of 2-unit tiles, cell (x, z) is centered at ((x - 4.5) * 2, (z - 4.5) * 2)
+const TEST_LEVELS = [
+    {
+        name: 'Caves',
+        number: 6,
+        playerStart: { x: 1, z: 1 },
+        objects: [{ type: 'coin', x: 5, z: 5 }, { type: 'hole', x: 2, z: 2 }, { type: 'key', x: 7, z: 7 }, { type: 'goal', x: 9, z: 9 }],
+        triggers: [{ when: { type: 'coins', count: 1 }, actions: [{ type: 'spawn', object: { type: 'coin', x: 4, z: 5 } }] }],
+        hasUnderworld: true,
+        underworld: {
+            objects: [
+                { type: 'coin', x: 5, z: 5 },
+                { type: 'underworldExit', x: 0, z: 0 },
+                { type: 'pressurePlate', x: 3, z: 3, triggers: [{ type: 'sequence', actions: [{ type: 'spawn', object: { type: 'key', x: 5, z: 4 } }] }] }
+            ]
+        }
+    }
+];
+writeFileSync(LEVELS_FILE, JSON.stringify(TEST_LEVELS));
+
+let serverProcess = null;
+const clients = [];
+
+// Start server.js on a port and wait until it is listening
+async function startServer(port, roomsFile) {
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, PORT: String(port), LEVELS_DIR, LEVELS_FILE, ROOMS_FILE: roomsFile },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start in time')), EVENT_TIMEOUT);
+        child.stdout.on('data', data => {
+            if (data.toString().includes('server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited early with code ${code}`));
+        });
+    });
+
+    return child;
+}
+
+// Stop a server the way a deployment would (SIGTERM) and wait for it to exit
+function stopServer(child) {
+    return new Promise(resolve => {
+        if (child.exitCode !== null) {
+            resolve();
+            return;
+        }
+        child.once('exit', resolve);
+        child.kill();
+    });
+}
+
+before(async () => {
+    serverProcess = await startServer(PORT, path.join(DATA_DIR, 'rooms.json'));
+});
+
+after(async () => {
+    clients.forEach(client => client.disconnect());
+    if (serverProcess) {
+        await stopServer(serverProcess);
+    }
+    rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// Connect a client; client.session holds the player ID and token the server assigns
+function connectClient(url = SERVER_URL) {
+    const client = io(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    client.session = null;
+    client.on('session', session => {
+        client.session = session;
+    });
+    clients.push(client);
+    return client;
+}
+
+// Resolve with the next matching event payload
+function waitFor(client, event, predicate = () => true) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            client.off(event, handler);
+            reject(new Error(`Timed out waiting for "${event}"`));
+        }, EVENT_TIMEOUT);
+
+        function handler(payload) {
+            if (!predicate(payload)) return;
+            clearTimeout(timer);
+            client.off(event, handler);
+            resolve(payload);
+        }
+
+        client.on(event, handler);
+    });
+}
+
+// Resolve true if the event does not arrive within the window
+function expectNoEvent(client, event, windowMs = 500) {
+    return new Promise(resolve => {
+        const handler = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            client.off(event, handler);
+            resolve(true);
+        }, windowMs);
+        client.once(event, handler);
+    });
+}
+
+// Create a room with a host and a second player, both in the lobby
+async function createLobby(name) {
+    const host = connectClient();
+    await waitFor(host, 'connect');
+    const hostSnapshot = waitFor(host, 'lobbySnapshot');
+    host.emit('createRoom', { name });
+    const lobby = await hostSnapshot;
+
+    const guest = connectClient();
+    await waitFor(guest, 'connect');
+    const guestJoined = waitFor(host, 'playerJoinedLobby');
+    const guestSnapshot = waitFor(guest, 'lobbySnapshot');
+    guest.emit('joinRoom', { roomId: lobby.roomId });
+
+    return { host, guest, lobby, guestLobby: await guestSnapshot, guestPlayer: await guestJoined };
+}
+
+// Create a room and start its game
+async function startRoomGame(name) {
+    const room = await createLobby(name);
+    const started = Promise.all([waitFor(room.host, 'gameStarted'), waitFor(room.guest, 'gameStarted')]);
+    room.host.emit('startGame');
+    await started;
+    return room;
+}
+
+test('new connections get a session and the room list with the default room', async () => {
+    const client = connectClient();
+    const [session, rooms] = await Promise.all([waitFor(client, 'session'), waitFor(client, 'roomList')]);
+
+    assert.match(session.playerId, /^p_[0-9a-f]{12}$/);
+    assert.match(session.token, /^[0-9a-f]{48}$/);
+    assert.notEqual(session.playerId, client.id);
+    assert.ok(rooms.some(room => room.id === 'main'));
+    client.disconnect();
+});
+
+test('lobby tracks players, host and ready state', async () => {
+    const { host, guest, lobby, guestLobby, guestPlayer } = await createLobby('Lobby Test');
+
+    assert.equal(lobby.roomName, 'Lobby Test');
+    assert.equal(lobby.hostId, host.session.playerId);
+    assert.equal(lobby.gameState, 'lobby');
+    assert.equal(guestLobby.playerCount, 2);
+    assert.equal(guestPlayer.id, guest.session.playerId);
+    assert.notEqual(guestLobby.players[host.session.playerId].color.hex, guestLobby.players[guest.session.playerId].color.hex);
+
+    const readyChanged = waitFor(host, 'playerReadyChanged');
+    guest.emit('playerReady', true);
+    assert.deepEqual(await readyChanged, { playerId: guest.session.playerId, ready: true });
+
+    // Only the host may start the game
+    const noCountdown = expectNoEvent(host, 'gameStartCountdown');
+    guest.emit('startGame');
+    assert.equal(await noCountdown, true);
+
+    const countdown = waitFor(guest, 'gameStartCountdown');
+    host.emit('startGame');
+    assert.equal((await countdown).playerCount, 2);
+
+    const started = await waitFor(guest, 'gameStarted');
+    assert.deepEqual(Object.keys(started.players).sort(), [host.session.playerId, guest.session.playerId].sort());
+});
+
+test('null and malformed room payloads are answered instead of crashing the server', async () => {
+    const client = connectClient();
+    await waitFor(client, 'connect');
+
+    // A join without details lands in the default room
+    const joined = waitFor(client, 'lobbySnapshot');
+    client.emit('playerJoin', null);
+    assert.equal((await joined).roomId, 'main');
+
+    const noName = waitFor(client, 'roomError');
+    client.emit('createRoom', null);
+    assert.match((await noName).message, /valid room name/);
+
+    for (const payload of [null, 'main', { roomId: '__proto__' }]) {
+        const missing = waitFor(client, 'roomError');
+        client.emit('joinRoom', payload);
+        assert.match((await missing).message, /no longer exists/);
+    }
+
+    client.emit('castVote', null);
+    client.emit('initializeLevel', null);
+
+    const roomList = waitFor(client, 'roomList');
+    client.emit('listRooms');
+    assert.ok((await roomList).some(room => room.id === 'main'));
+    assert.equal(serverProcess.exitCode, null);
+});
+
+test('display names are validated, unique in the room and kept into the game', async () => {
+    const host = connectClient();
+    await waitFor(host, 'connect');
+    const hostSnapshot = waitFor(host, 'lobbySnapshot');
+    host.emit('updateProfile', { name: '  Sam  ', color: 'Teal' });
+    host.emit('createRoom', { name: 'Profile Test' });
+    const lobby = await hostSnapshot;
+    assert.equal(lobby.players[host.session.playerId].name, 'Sam');
+    assert.equal(lobby.players[host.session.playerId].color.name, 'Teal');
+
+    const guest = connectClient();
+    await waitFor(guest, 'connect');
+    const rejected = waitFor(guest, 'profileRejected');
+    guest.emit('updateProfile', { name: 'sh1t' });
+    assert.ok((await rejected).reason);
+
+    // Same name and color as the host: the guest is numbered and gets another color
+    const guestJoined = waitFor(host, 'playerJoinedLobby');
+    guest.emit('updateProfile', { name: 'sam', color: 'teal' });
+    guest.emit('joinRoom', { roomId: lobby.roomId });
+    const guestPlayer = await guestJoined;
+    assert.equal(guestPlayer.name, 'sam 2');
+    assert.notEqual(guestPlayer.color.name, 'Teal');
+
+    const renamed = waitFor(host, 'playerProfileChanged');
+    guest.emit('updateProfile', { name: 'Alex', color: 'Coral' });
+    assert.deepEqual(await renamed, {
+        playerId: guest.session.playerId,
+        name: 'Alex',
+        color: { name: 'Coral', hex: 0xff4488, css: '#ff4488' }
+    });
+
+    const started = waitFor(guest, 'gameStarted');
+    host.emit('startGame');
+    const { players } = await started;
+    assert.equal(players[host.session.playerId].name, 'Sam');
+    assert.equal(players[guest.session.playerId].name, 'Alex');
+});
+
+test('chat messages and emotes reach the room and are limited', async () => {
+    const { host, guest } = await createLobby('Chat Test');
+
+    const received = waitFor(host, 'chatMessage');
+    guest.emit('chatMessage', { text: '  hello\n  there  ' });
+    const message = await received;
+    assert.equal(message.playerId, guest.session.playerId);
+    assert.equal(message.text, 'hello there');
+    assert.ok(message.name);
+
+    const tooLong = waitFor(guest, 'chatRejected');
+    guest.emit('chatMessage', { text: 'x'.repeat(201) });
+    assert.ok((await tooLong).reason);
+
+    const emote = waitFor(host, 'emote');
+    guest.emit('emote', { emoteId: 'gotKey' });
+    assert.equal((await emote).text, 'Got the key!');
+
+    const noEmote = expectNoEvent(host, 'emote');
+    guest.emit('emote', { emoteId: 'unknown' });
+    guest.emit('emote', null);
+    assert.equal(await noEmote, true);
+
+    // Payloads that are not objects are rejected, and the room carries on
+    const notText = waitFor(guest, 'chatRejected');
+    guest.emit('chatMessage', null);
+    assert.match((await notText).reason, /text/);
+
+    // Five messages per five seconds; the guest has sent two
+    const limited = waitFor(guest, 'chatRejected');
+    for (let count = 0; count < 4; count++) {
+        guest.emit('chatMessage', { text: `spam ${count}` });
+    }
+    assert.match((await limited).reason, /too quickly/);
+});
+
+test('collectibles are validated against the level layout', async () => {
+    const { host, guest } = await startRoomGame('Collectible Test');
+
+    host.emit('initializeLevel', {
+        levelType: 'json',
+        levelNumber: 1,
+        collectibles: {
+            coins: [
+                { id: 'coin_1_1', x: 0, y: 1.2, z: 0 },
+                { id: 'coin_8_8', x: 7, y: 1.2, z: 7 }
+            ],
+            keys: [{ id: 'key_2_2', x: 0, y: 1.5, z: 1 }]
+        }
+    });
+    await waitFor(guest, 'levelInitialized');
+
+    // Start position is (0, 0.55, 0), next to the first coin and the key
+    const collected = waitFor(guest, 'itemCollected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+    assert.deepEqual(
+        (({ itemType, itemId, collectedBy }) => ({ itemType, itemId, collectedBy }))(await collected),
+        { itemType: 'coin', itemId: 'coin_1_1', collectedBy: host.session.playerId }
+    );
+
+    const rejections = [
+        [{ itemType: 'coin', itemId: 'coin_1_1' }, 'already-collected'],
+        [{ itemType: 'coin', itemId: 'coin_8_8' }, 'out-of-range'],
+        [{ itemType: 'coin', itemId: 'coin_99_99' }, 'unknown-item'],
+        [{ itemType: 'gem', itemId: 'gem_1' }, 'invalid-item'],
+        [{ itemType: 'constructor', itemId: 'coin_8_8' }, 'invalid-item'],
+        // Malformed payloads are answered too, and the server stays up for the pickup below
+        [null, 'invalid-item'],
+        ['coin_8_8', 'invalid-item']
+    ];
+    for (const [item, reason] of rejections) {
+        const rejected = waitFor(guest, 'collectRejected');
+        guest.emit('collectItem', item);
+        assert.equal((await rejected).reason, reason);
+    }
+
+    const keyCollected = waitFor(host, 'itemCollected', data => data.itemType === 'key');
+    guest.emit('collectItem', { itemType: 'key', itemId: 'key_2_2' });
+    assert.equal((await keyCollected).collectedBy, guest.session.playerId);
+});
+
+test('underworld collectibles are only picked up from their own layer', async () => {
+    const { host, guest } = await startRoomGame('Underworld Test');
+
+    host.emit('initializeLevel', {
+        levelType: 'json',
+        levelIndex: 0,
+        levelNumber: 6,
+        levelName: 'Caves',
+        collectibles: { coins: [{ id: 'coin_5_5', x: 1, y: 1.2, z: 1 }], keys: [] }
+    });
+    await waitFor(guest, 'levelInitialized');
+    host.emit('playerUpdate', { position: { x: 1, y: 0.55, z: 1 } });
+    guest.emit('playerUpdate', { position: { x: 1, y: 0.55, z: 1 } });
+
+    // Malformed layer changes are ignored without taking the server down
+    const ignored = expectNoEvent(host, 'playerLayerChanged');
+    guest.emit('changeLayer', null);
+    guest.emit('changeLayer', 'deep');
+    assert.equal(await ignored, true);
+
+    // The host drops into the underworld; what it says is down there is ignored
+    const layerChanged = waitFor(guest, 'playerLayerChanged');
+    host.emit('changeLayer', {
+        depth: 1,
+        collectibles: { coins: [{ id: 'underworld1_coin_0_0', x: 1, y: 1.2, z: 1 }, { id: 'coin_5_5', x: 9, y: 9, z: 9 }], keys: [] }
+    });
+    assert.deepEqual(await layerChanged, { playerId: host.session.playerId, depth: 1 });
+
+    const invented = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'underworld1_coin_0_0' });
+    assert.equal((await invented).reason, 'unknown-item');
+
+    // Layers share the floor: the coin above is in range but out of reach
+    const wrongLayer = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'coin_5_5' });
+    assert.equal((await wrongLayer).reason, 'wrong-layer');
+
+    const guestRejected = waitFor(guest, 'collectRejected');
+    guest.emit('collectItem', { itemType: 'coin', itemId: 'underworld1_coin_5_5' });
+    assert.equal((await guestRejected).reason, 'wrong-layer');
+
+    // Position updates cannot move a player between layers
+    host.emit('playerUpdate', { position: { x: 1, y: 0.55, z: 1 }, layer: 0 });
+    const collected = waitFor(guest, 'itemCollected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'underworld1_coin_5_5' });
+    assert.equal((await collected).itemId, 'underworld1_coin_5_5');
+
+    const guestCollected = waitFor(host, 'itemCollected', data => data.itemId === 'coin_5_5');
+    guest.emit('collectItem', { itemType: 'coin', itemId: 'coin_5_5' });
+    assert.equal((await guestCollected).collectedBy, guest.session.playerId, 'the surface coin kept its position');
+});
+
+test('items below the surface of levels the server does not have are not accepted', async () => {
+    const { host, guest } = await startRoomGame('Unknown Level Test');
+
+    host.emit('initializeLevel', {
+        levelType: 'json',
+        levelIndex: 0,
+        levelNumber: 6,
+        levelName: 'Edited Caves',
+        collectibles: { coins: [], keys: [] }
+    });
+    await waitFor(guest, 'levelInitialized');
+    host.emit('playerUpdate', { position: { x: 1, y: 0.55, z: 1 } });
+    host.emit('changeLayer', { depth: 1 });
+
+    const rejected = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'underworld1_coin_5_5' });
+    assert.equal((await rejected).reason, 'unknown-item');
+});
+
+test('only coins and keys the level\'s triggers spawn can be picked up', async () => {
+    const { host, guest } = await startRoomGame('Spawn Test');
+
+    host.emit('initializeLevel', {
+        levelType: 'json',
+        levelIndex: 0,
+        levelNumber: 6,
+        levelName: 'Caves',
+        collectibles: { coins: [{ id: 'coin_5_5', x: 1, y: 1.2, z: 1 }], keys: [] }
+    });
+    await waitFor(guest, 'levelInitialized');
+    host.emit('playerUpdate', { position: { x: 1, y: 0.55, z: 1 } });
+
+    // Coins and keys a client makes up are not part of the level, wherever it says they are
+    host.emit('spawnCollectibles', { collectibles: { coins: [{ id: 'coin_1_1_spawned1', x: 1, y: 1.2, z: 1 }], keys: [{ id: 'key_spawned', x: 1, y: 1.5, z: 1 }] } });
+    const invented = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'key', itemId: 'key_spawned' });
+    assert.equal((await invented).reason, 'unknown-item');
+
+    const collected = waitFor(guest, 'itemCollected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'spawned_coin_4_5' });
+    assert.equal((await collected).itemId, 'spawned_coin_4_5');
+
+    // Spawns in an underworld layer belong to that layer
+    host.emit('changeLayer', { depth: 1 });
+    const keyCollected = waitFor(guest, 'itemCollected');
+    host.emit('collectItem', { itemType: 'key', itemId: 'underworld1_spawned_key_5_4' });
+    assert.equal((await keyCollected).itemId, 'underworld1_spawned_key_5_4');
+});
+
+test('pickups are rejected before the level is initialized', async () => {
+    const { host } = await startRoomGame('Uninitialized Test');
+
+    const rejected = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+    assert.equal((await rejected).reason, 'level-not-initialized');
+});
+
+test('seeded random levels reach the whole room, their starter included', async () => {
+    const { host, guest, lobby } = await startRoomGame('Seed Test');
+
+    const received = Promise.all([waitFor(host, 'levelInitialized'), waitFor(guest, 'levelInitialized')]);
+    host.emit('initializeLevel', {
+        levelType: 'random',
+        levelNumber: 2,
+        seed: ' ab12cd ',
+        coinCount: 17,
+        collectibles: { coins: [], keys: [] }
+    });
+    for (const { initializedBy, levelData, gameSession } of await received) {
+        assert.equal(initializedBy, host.session.playerId);
+        assert.equal(levelData.seed, 'AB12CD');
+        assert.equal(gameSession.currentLevel.seed, 'AB12CD');
+    }
+
+    // Late joiners get the seed to build the level from
+    const late = connectClient();
+    await waitFor(late, 'connect');
+    const snapshot = waitFor(late, 'gameStateSnapshot');
+    late.emit('joinRoom', { roomId: lobby.roomId });
+    const { currentLevel } = await snapshot;
+    assert.deepEqual([currentLevel.type, currentLevel.number, currentLevel.seed, currentLevel.coinCount], ['random', 2, 'AB12CD', 17]);
+
+    // Anything else is not a seed
+    const rejected = waitFor(guest, 'levelInitialized');
+    host.emit('initializeLevel', { levelType: 'random', levelNumber: 2, seed: 'no seed!', collectibles: { coins: [], keys: [] } });
+    assert.equal((await rejected).levelData.seed, null);
+});
+
+test('level completion starts a vote that ends once everyone voted', async () => {
+    const { host, guest } = await startRoomGame('Voting Test');
+
+    const votingStarted = waitFor(guest, 'votingStarted');
+    host.emit('levelCompleted', { levelNumber: 1 });
+    const voting = await votingStarted;
+    assert.equal(voting.completedBy, host.session.playerId);
+    assert.deepEqual(voting.options, ['restart', 'continue']);
+
+    const snapshot = waitFor(guest, 'votingSnapshot');
+    guest.emit('getVotingSnapshot');
+    assert.equal((await snapshot).active, true);
+
+    // Invalid options are ignored
+    const noUpdate = expectNoEvent(host, 'voteUpdate');
+    guest.emit('castVote', { vote: 'skip' });
+    assert.equal(await noUpdate, true);
+
+    const firstUpdate = waitFor(guest, 'voteUpdate');
+    host.emit('castVote', { vote: 'restart' });
+    assert.deepEqual((await firstUpdate).voteCounts, { restart: 1, continue: 0 });
+
+    const ended = waitFor(host, 'votingEnded');
+    guest.emit('castVote', { vote: 'restart' });
+    const result = await ended;
+    assert.equal(result.decision, 'restart');
+    assert.equal(result.totalVotes, 2);
+
+    await waitFor(guest, 'levelRestarted');
+});
+
+test('a vote only waiting on a player who returns to the lobby ends without them', async () => {
+    const { host, guest } = await startRoomGame('Lobby Return Test');
+
+    const votingStarted = waitFor(guest, 'votingStarted');
+    host.emit('levelCompleted', { levelNumber: 1 });
+    await votingStarted;
+
+    const firstUpdate = waitFor(host, 'voteUpdate');
+    host.emit('castVote', { vote: 'continue' });
+    await firstUpdate;
+
+    // waitFor gives up long before the vote would time out on its own
+    const ended = waitFor(host, 'votingEnded');
+    const lobby = waitFor(guest, 'lobbySnapshot');
+    guest.emit('returnToLobby');
+    await lobby;
+    const result = await ended;
+    assert.equal(result.decision, 'continue');
+    assert.equal(result.totalVotes, 1);
+});
+
+test('race mode gives each racer their own collectibles and ranks server-timed finishes', async () => {
+    const { host, guest } = await createLobby('Race Test');
+
+    // Only the host picks the mode
+    const noChange = expectNoEvent(host, 'gameModeChanged');
+    guest.emit('setGameMode', 'race');
+    assert.equal(await noChange, true);
+
+    const modeChanged = waitFor(guest, 'gameModeChanged');
+    host.emit('setGameMode', 'race');
+    assert.equal((await modeChanged).gameMode, 'race');
+
+    const started = waitFor(guest, 'gameStarted');
+    const countdown = waitFor(guest, 'raceCountdown');
+    const raceStarted = Promise.all([waitFor(host, 'raceStarted'), waitFor(guest, 'raceStarted')]);
+    host.emit('startGame');
+    assert.equal((await started).gameMode, 'race');
+    assert.ok((await countdown).delay > 0);
+
+    host.emit('initializeLevel', {
+        levelType: 'json',
+        levelNumber: 1,
+        collectibles: {
+            coins: [{ id: 'coin_1_1', x: 0, y: 1.2, z: 0 }],
+            keys: [{ id: 'key_2_2', x: 0, y: 1.5, z: 1 }]
+        }
+    });
+
+    const early = waitFor(host, 'collectRejected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+    assert.equal((await early).reason, 'race-not-running');
+
+    await raceStarted;
+
+    // Both racers pick up the same coin, and only the collector hears about it
+    const notShared = expectNoEvent(guest, 'itemCollected');
+    const hostCoin = waitFor(host, 'itemCollected');
+    host.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+    await hostCoin;
+    assert.equal(await notShared, true);
+
+    const guestCoin = waitFor(guest, 'itemCollected');
+    guest.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+    assert.equal((await guestCoin).collectedBy, guest.session.playerId);
+
+    // The goal needs the racer's own key
+    const noKey = waitFor(guest, 'raceFinishRejected');
+    guest.emit('levelCompleted', { levelNumber: 1 });
+    assert.equal((await noKey).reason, 'no-key');
+
+    const hostKey = waitFor(host, 'itemCollected');
+    host.emit('collectItem', { itemType: 'key', itemId: 'key_2_2' });
+    await hostKey;
+    const firstFinish = waitFor(guest, 'raceFinish');
+    host.emit('levelCompleted', { levelNumber: 1 });
+    const winner = await firstFinish;
+    assert.equal(winner.playerId, host.session.playerId);
+    assert.equal(winner.place, 1);
+    assert.ok(winner.time >= 0 && winner.finishWindow > 0);
+
+    const guestKey = waitFor(guest, 'itemCollected');
+    guest.emit('collectItem', { itemType: 'key', itemId: 'key_2_2' });
+    await guestKey;
+    const results = waitFor(host, 'votingStarted');
+    guest.emit('levelCompleted', { levelNumber: 1 });
+    const voting = await results;
+    assert.equal(voting.type, 'race-results');
+    assert.equal(voting.completedBy, host.session.playerId);
+    assert.deepEqual(voting.levelInfo.results.map(result => [result.playerId, result.place]), [
+        [host.session.playerId, 1],
+        [guest.session.playerId, 2]
+    ]);
+    assert.ok(voting.levelInfo.results[1].time >= winner.time);
+});
+
+test('late joiners and players out of lives spectate without counting toward votes', async () => {
+    const { host, guest, lobby } = await startRoomGame('Spectator Test');
+
+    const late = connectClient();
+    await waitFor(late, 'connect');
+    const announced = waitFor(host, 'spectatorJoined');
+    const snapshot = waitFor(late, 'gameStateSnapshot');
+    late.emit('joinRoom', { roomId: lobby.roomId });
+    const state = await snapshot;
+    assert.equal(state.spectators[late.session.playerId].reason, 'late-join');
+    assert.deepEqual(state.scoreboard.map(row => row.playerId).sort(), [host.session.playerId, guest.session.playerId].sort());
+    assert.equal((await announced).id, late.session.playerId);
+
+    // Spectators can't vote, and the vote ends once both players have voted
+    const votingStarted = waitFor(late, 'votingStarted');
+    host.emit('levelCompleted', { levelNumber: 1 });
+    await votingStarted;
+
+    const ignored = expectNoEvent(host, 'voteUpdate');
+    late.emit('castVote', { vote: 'restart' });
+    assert.equal(await ignored, true);
+
+    const ended = waitFor(late, 'votingEnded');
+    const promoted = waitFor(host, 'spectatorJoinedGame');
+    host.emit('castVote', { vote: 'continue' });
+    guest.emit('castVote', { vote: 'continue' });
+    assert.equal((await ended).totalVotes, 2);
+
+    // The spectator plays from the next level on
+    const joined = await promoted;
+    assert.equal(joined.id, late.session.playerId);
+    assert.ok(joined.color);
+
+    // A player out of lives watches the rest of the level
+    const outOfLives = waitFor(host, 'spectatorJoined');
+    const left = waitFor(host, 'playerLeft');
+    guest.emit('spectate');
+    assert.equal((await outOfLives).reason, 'out-of-lives');
+    assert.equal((await left).playerId, guest.session.playerId);
+});
+
+// Drop a client's connection the way a network failure would (not a deliberate disconnect)
+function dropConnection(client) {
+    client.io.engine.close();
+}
+
+// Connect a new client that comes back with an earlier client's session token
+async function reconnectWithToken(session, roomId, events) {
+    const client = connectClient();
+    const resumed = waitFor(client, 'session', data => data.playerId === session.playerId);
+    const received = events.map(event => waitFor(client, event));
+    await waitFor(client, 'connect');
+    client.emit('playerJoin', { roomId, sessionToken: session.token });
+    await resumed;
+    return { client, events: await Promise.all(received) };
+}
+
+test('dropped lobby players keep their color and ready state when they come back', async () => {
+    const { host, guest, lobby, guestPlayer } = await createLobby('Lobby Reconnect Test');
+    const guestSession = guest.session;
+
+    const readyChanged = waitFor(host, 'playerReadyChanged');
+    guest.emit('playerReady', true);
+    await readyChanged;
+
+    const disconnected = waitFor(host, 'playerDisconnected');
+    dropConnection(guest);
+    assert.equal((await disconnected).playerId, guestSession.playerId);
+
+    const rejoined = waitFor(host, 'playerJoinedLobby');
+    const { events: [snapshot] } = await reconnectWithToken(guestSession, lobby.roomId, ['lobbySnapshot']);
+    const restored = snapshot.players[guestSession.playerId];
+    assert.equal(restored.ready, true);
+    assert.deepEqual(restored.color, guestPlayer.color);
+    assert.equal(restored.disconnected, undefined);
+    assert.equal(snapshot.playerCount, 2);
+    assert.equal((await rejoined).id, guestSession.playerId);
+});
+
+test('dropped players keep their color, position and vote in a running game', async () => {
+    const { host, guest, lobby } = await startRoomGame('Game Reconnect Test');
+    const guestSession = guest.session;
+
+    const moved = waitFor(host, 'playerUpdate');
+    guest.emit('playerUpdate', { position: { x: 3, y: 0.55, z: -2 }, rotation: { x: 0, y: 0, z: 0 } });
+    const { color } = await moved;
+
+    const votingStarted = waitFor(guest, 'votingStarted');
+    host.emit('levelCompleted', { levelNumber: 1 });
+    await votingStarted;
+    const voted = waitFor(host, 'voteUpdate');
+    guest.emit('castVote', { vote: 'restart' });
+    await voted;
+
+    const disconnected = waitFor(host, 'playerDisconnected');
+    dropConnection(guest);
+    await disconnected;
+
+    const rejoined = waitFor(host, 'playerJoined');
+    const { events: [state, players] } = await reconnectWithToken(guestSession, lobby.roomId, ['gameStateSnapshot', 'playersSnapshot']);
+    assert.deepEqual(state.voting.votes, { [guestSession.playerId]: 'restart' });
+    assert.deepEqual(players[guestSession.playerId].position, { x: 3, y: 0.55, z: -2 });
+    assert.deepEqual(players[guestSession.playerId].color, color);
+    assert.deepEqual((await rejoined).color, color);
+});
+
+test('empty rooms are removed when the last player leaves', async () => {
+    const { host, guest, lobby } = await createLobby('Cleanup Test');
+    const observer = connectClient();
+    await waitFor(observer, 'roomList');
+
+    const roomGone = waitFor(observer, 'roomList', rooms => !rooms.some(room => room.id === lobby.roomId));
+    host.disconnect();
+    guest.disconnect();
+
+    assert.ok(await roomGone);
+    observer.disconnect();
+});
+
+test('rooms survive a server restart and players reclaim their slots with their token', async () => {
+    const port = PORT + 1000;
+    const url = `http://localhost:${port}`;
+    const roomsFile = path.join(DATA_DIR, 'restart-rooms.json');
+    let restartServer = await startServer(port, roomsFile);
+
+    try {
+        // Start a game and collect a coin
+        const host = connectClient(url);
+        await waitFor(host, 'connect');
+        const hostLobby = waitFor(host, 'lobbySnapshot');
+        host.emit('createRoom', { name: 'Restart Test' });
+        const { roomId } = await hostLobby;
+
+        const guest = connectClient(url);
+        await waitFor(guest, 'connect');
+        const guestLobby = waitFor(guest, 'lobbySnapshot');
+        guest.emit('joinRoom', { roomId });
+        await guestLobby;
+
+        const started = waitFor(guest, 'gameStarted');
+        host.emit('startGame');
+        const { players } = await started;
+
+        host.emit('initializeLevel', {
+            levelType: 'json',
+            levelNumber: 2,
+            collectibles: { coins: [{ id: 'coin_1_1', x: 0, y: 1.2, z: 0 }, { id: 'coin_5_5', x: 4, y: 1.2, z: 4 }], keys: [] }
+        });
+        await waitFor(guest, 'levelInitialized');
+        const collected = waitFor(guest, 'itemCollected');
+        host.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+        await collected;
+
+        const hostSession = host.session;
+        await stopServer(restartServer);
+        restartServer = await startServer(port, roomsFile);
+
+        // The host comes back with its token and gets its game slot and the collected coin back
+        const returning = connectClient(url);
+        const resumed = waitFor(returning, 'session', session => session.playerId === hostSession.playerId);
+        const snapshot = waitFor(returning, 'gameStateSnapshot');
+        const playersSnapshot = waitFor(returning, 'playersSnapshot');
+        await waitFor(returning, 'connect');
+        returning.emit('playerJoin', { roomId, sessionToken: hostSession.token });
+
+        assert.equal((await resumed).token, hostSession.token);
+        const state = await snapshot;
+        assert.deepEqual(state.collectibleItems.collectedCoins, ['coin_1_1']);
+        assert.equal(state.currentLevel.number, 2);
+        assert.deepEqual(Object.keys(await playersSnapshot).sort(), Object.keys(players).sort());
+
+        // The restored level layout still validates pickups
+        const rejected = waitFor(returning, 'collectRejected');
+        returning.emit('collectItem', { itemType: 'coin', itemId: 'coin_1_1' });
+        assert.equal((await rejected).reason, 'already-collected');
+
+        // The newest connection with a token wins; the old one is told and dropped
+        const newest = connectClient(url);
+        await waitFor(newest, 'connect');
+        const replaced = waitFor(returning, 'sessionReplaced');
+        const newestJoined = waitFor(newest, 'roomJoined');
+        newest.emit('playerJoin', { roomId, sessionToken: hostSession.token });
+        await Promise.all([replaced, newestJoined]);
+        assert.equal(newest.session.playerId, hostSession.playerId);
+    } finally {
+        await stopServer(restartServer);
+    }
+});
+
+test('room snapshots are never served and hold no session tokens', async () => {
+    assert.equal((await fetch(`${SERVER_URL}/data/rooms.json`)).status, 404);
+
+    // A snapshot saved inside the published folder is not served either
+    const publicDataDir = path.join(path.dirname(SERVER_PATH), 'data');
+    mkdirSync(publicDataDir, { recursive: true });
+    const snapshotDir = mkdtempSync(path.join(publicDataDir, 'server-test-'));
+    const roomsFile = path.join(snapshotDir, 'rooms.json');
+    const port = PORT + 2000;
+    const url = `http://localhost:${port}`;
+    const snapshotServer = await startServer(port, roomsFile);
+
+    try {
+        const player = connectClient(url);
+        await waitFor(player, 'connect');
+        const lobby = waitFor(player, 'lobbySnapshot');
+        player.emit('createRoom', { name: 'Snapshot Test' });
+        await lobby;
+
+        for (let wait = 0; wait < 50 && !existsSync(roomsFile); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        const contents = readFileSync(roomsFile, 'utf8');
+        assert.ok(contents.includes(player.session.playerId));
+        assert.ok(!contents.includes(player.session.token), 'only a hash of the token is saved');
+
+        const snapshotPath = path.relative(path.dirname(SERVER_PATH), roomsFile).split(path.sep).join('/');
+        for (const requestPath of [snapshotPath, snapshotPath.replace('data', '%64ata'), snapshotPath.replace('data', 'DATA')]) {
+            assert.equal((await fetch(`${url}/${requestPath}`)).status, 404, requestPath);
+        }
+        assert.equal((await fetch(`${url}/index.html`)).status, 200);
+    } finally {
+        await stopServer(snapshotServer);
+        rmSync(snapshotDir, { recursive: true, force: true });
+    }
+});
+
+test('the level API stores, versions and deletes modular levels', async () => {
+    const level = {
+        name: 'API Level',
+        playerStart: { x: 1, z: 1 },
+        tiles: 'auto',
+        objects: [{ type: 'key', x: 5, z: 5 }, { type: 'goal', x: 8, z: 8 }]
+    };
+    const request = (route, options = {}) => fetch(`${SERVER_URL}/api/levels${route}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    const created = await request('/API%20Level', { method: 'PUT', body: JSON.stringify(level) });
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).name, 'api-level');
+
+    const updated = await request('/api-level', { method: 'PUT', body: JSON.stringify({ ...level, requireAllCoins: true }) });
+    assert.equal((await updated.json()).version, 2);
+
+    const invalid = await request('/api-level', { method: 'PUT', body: JSON.stringify({ ...level, objects: [] }) });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual((await invalid.json()).details, ['api-level.json "API Level" /objects: has no goal']);
+
+    assert.equal((await request('/api-level', { method: 'POST', body: JSON.stringify(level) })).status, 409);
+    assert.equal((await request('/api-level', { method: 'PUT', body: '{ not json' })).status, 400);
+
+    const stored = await (await request('/api-level')).json();
+    assert.equal(stored.version, 2);
+    assert.equal(stored.data.requireAllCoins, true);
+    assert.deepEqual((await (await request('')).json()).map(entry => entry.name), ['api-level']);
+    assert.equal((await (await request('/api-level/versions')).json()).length, 2);
+
+    assert.equal((await request('/api-level', { method: 'DELETE' })).status, 200);
+    assert.equal((await request('/api-level')).status, 404);
+});
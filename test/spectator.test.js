@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FREE_CAMERA, nextSpectateTarget, moveFreeCamera, buildScoreboard } from '../src/systems/spectator.js';
+
+test('the follow camera cycles through the players both ways', () => {
+    const players = ['p_1', 'p_2', 'p_3'];
+    assert.equal(nextSpectateTarget(players, 'p_1'), 'p_2');
+    assert.equal(nextSpectateTarget(players, 'p_3'), 'p_1');
+    assert.equal(nextSpectateTarget(players, 'p_1', -1), 'p_3');
+    assert.equal(nextSpectateTarget(players, 'gone'), 'p_1', 'a player who left is skipped');
+    assert.equal(nextSpectateTarget([], 'p_1'), null);
+});
+
+test('the free camera flies where it looks and stays within its height limits', () => {
+    const start = { x: 0, y: 10, z: 0, yaw: 0 };
+
+    const forward = moveFreeCamera(start, { forward: 1, turn: 0, climb: 0 }, 1);
+    assert.ok(forward.z < 0, 'yaw 0 flies towards -z');
+    assert.ok(forward.y < start.y, 'looking down, forward also descends');
+    assert.ok(Math.abs(forward.x) < 1e-9);
+
+    const turned = moveFreeCamera(start, { forward: 0, turn: 1, climb: 0 }, 0.5);
+    assert.equal(turned.yaw, FREE_CAMERA.turnSpeed * 0.5);
+    assert.deepEqual([turned.x, turned.y, turned.z], [0, 10, 0]);
+
+    assert.equal(moveFreeCamera(start, { forward: 0, turn: 0, climb: 1 }, 100).y, FREE_CAMERA.maxHeight);
+    assert.equal(moveFreeCamera(start, { forward: 1, turn: 0, climb: 0 }, 100).y, FREE_CAMERA.minHeight);
+});
+
+test('the scoreboard ranks race places first, then coins and keys', () => {
+    const players = {
+        p_1: { id: 'p_1', name: 'Ana' },
+        p_2: { id: 'p_2', name: 'Bo', disconnected: true },
+        p_3: { id: 'p_3', name: 'Cy' },
+        p_4: { id: 'p_4', name: 'Di' }
+    };
+    const scores = { p_1: { coins: 2, keys: 0 }, p_2: { coins: 5, keys: 1 }, p_3: { coins: 5, keys: 0 } };
+
+    const coop = buildScoreboard(players, scores);
+    assert.deepEqual(coop.map(row => [row.playerId, row.coins, row.keys]), [
+        ['p_2', 5, 1],
+        ['p_3', 5, 0],
+        ['p_1', 2, 0],
+        ['p_4', 0, 0]
+    ]);
+    assert.equal(coop[0].disconnected, true);
+
+    const race = buildScoreboard(players, scores, { p_4: { place: 1 }, p_1: { place: 2 } });
+    assert.deepEqual(race.map(row => [row.playerId, row.place]), [
+        ['p_4', 1],
+        ['p_1', 2],
+        ['p_2', null],
+        ['p_3', null]
+    ]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixedTimestep } from '../src/systems/fixedTimestep.js';
+import { StepTimers } from '../src/systems/stepTimers.js';
+
+// Timers on a 10 ms step clock, advanced by `frames` of real time
+function createClock() {
+    const timestep = new FixedTimestep({ step: 0.01 });
+    const timers = new StepTimers(() => timestep.time * 1000);
+    const run = (frames) => frames.forEach(frame => timestep.advance(frame, () => timers.update()));
+    return { timestep, timers, run };
+}
+
+test('a delay fires on the step it is due, whatever the frame rate', () => {
+    const firedAt = [0.01, 0.033, 0.1].map(frame => {
+        const { timestep, timers, run } = createClock();
+        let tick = null;
+        timers.after(50, () => { tick = timestep.tick; });
+        run(new Array(10).fill(frame));
+        return tick;
+    });
+
+    assert.deepEqual(firedAt, [5, 5, 5]);
+});
+
+test('an animation reports progress every step and finishes once', () => {
+    const { timers, run } = createClock();
+    const progress = [];
+    let done = 0;
+
+    timers.animate(40, value => progress.push(Number(value.toFixed(2))), () => done++);
+    run(new Array(6).fill(0.01));
+
+    assert.deepEqual(progress, [0.25, 0.5, 0.75, 1]);
+    assert.equal(done, 1);
+    assert.equal(timers.size, 0);
+});
+
+test('cancelled and cleared timers never run', () => {
+    const { timers, run } = createClock();
+    const fired = [];
+
+    const cancelled = timers.after(10, () => fired.push('cancelled'));
+    timers.cancel(cancelled);
+    // A timer that clears the rest (a level load) stops the ones after it
+    timers.after(20, () => {
+        fired.push('clear');
+        timers.clear();
+    });
+    timers.after(20, () => fired.push('after clear'));
+    run(new Array(5).fill(0.01));
+
+    assert.deepEqual(fired, ['clear']);
+    assert.equal(timers.size, 0);
+});
+
+test('timers started by a timer first run on the next step', () => {
+    const { timestep, timers, run } = createClock();
+    const ticks = [];
+
+    timers.after(10, () => {
+        ticks.push(timestep.tick);
+        timers.after(0, () => ticks.push(timestep.tick));
+    });
+    run(new Array(3).fill(0.01));
+
+    assert.deepEqual(ticks, [1, 2]);
+});
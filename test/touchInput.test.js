@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TOUCH_SETTINGS,
+    isTouchDevice,
+    readJoystick,
+    swipeToCamera,
+    findTouch
+} from '../src/systems/touchInput.js';
+
+const origin = { x: 100, y: 400 };
+const settings = { joystickRadius: 50, deadzone: 0.2, swipeSensitivity: 0.1 };
+
+test('touch screens are detected from touch events, touch points or a coarse pointer', () => {
+    const matchMedia = matches => () => ({ matches });
+
+    assert.equal(isTouchDevice({ ontouchstart: null, navigator: {} }), true);
+    assert.equal(isTouchDevice({ navigator: { maxTouchPoints: 5 } }), true);
+    assert.equal(isTouchDevice({ navigator: { maxTouchPoints: 0 }, matchMedia: matchMedia(true) }), true);
+    assert.equal(isTouchDevice({ navigator: { maxTouchPoints: 0 }, matchMedia: matchMedia(false) }), false);
+    assert.equal(isTouchDevice(null), false);
+});
+
+test('pushing the knob up moves forward and the tilt is clamped at the edge', () => {
+    assert.deepEqual(readJoystick(origin, { x: 100, y: 350 }, settings), { x: 0, y: 1, knob: { x: 0, y: -50 } });
+    assert.deepEqual(readJoystick(origin, { x: 300, y: 400 }, settings), { x: 1, y: 0, knob: { x: 50, y: 0 } });
+    assert.deepEqual(readJoystick(origin, { x: 100, y: 430 }, settings), { x: 0, y: -0.5, knob: { x: 0, y: 30 } });
+});
+
+test('small offsets stay inside the deadzone', () => {
+    const joystick = readJoystick(origin, { x: 105, y: 395 }, settings);
+    assert.deepEqual([joystick.x, joystick.y], [0, 0]);
+    assert.deepEqual(joystick.knob, { x: 5, y: -5 });
+    assert.deepEqual(readJoystick(origin, origin), { x: 0, y: 0, knob: { x: 0, y: 0 } });
+});
+
+test('swipes move the camera against the finger horizontally', () => {
+    assert.deepEqual(swipeToCamera(-20, 0, settings), { x: 2, y: 0 });
+    assert.deepEqual(swipeToCamera(10, -30, settings), { x: -1, y: -3 });
+    assert.deepEqual(swipeToCamera(0, 0), { x: 0, y: 0 });
+    assert.equal(swipeToCamera(100, 0).x, -100 * DEFAULT_TOUCH_SETTINGS.swipeSensitivity);
+});
+
+test('touches are found by identifier', () => {
+    const touches = [{ identifier: 3 }, { identifier: 7 }];
+    assert.equal(findTouch(touches, 7), touches[1]);
+    assert.equal(findTouch(touches, 1), null);
+    assert.equal(findTouch(touches, null), null);
+    assert.equal(findTouch(undefined, 3), null);
+});
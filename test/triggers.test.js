@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateCondition, getActionVerb, oppositeAction, scheduleActions, getSpawnedObjects, TriggerSystem } from '../src/systems/triggers.js';
+
+function state(overrides = {}) {
+    return { time: 0, coins: 0, hasKey: false, pressedPlates: new Set(), position: { x: 0, z: 0 }, ...overrides };
+}
+
+const message = (text, delay) => ({ type: 'message', text, ...(delay !== undefined && { delay }) });
+
+test('conditions watch plates, coins, the key, the clock and zones', () => {
+    assert.equal(evaluateCondition({ type: 'pressurePlate', target: 'a' }, state({ pressedPlates: new Set(['a']) })), true);
+    assert.equal(evaluateCondition({ type: 'pressurePlate', target: 'b' }, state({ pressedPlates: new Set(['a']) })), false);
+    assert.equal(evaluateCondition({ type: 'coins', count: 3 }, state({ coins: 3 })), true);
+    assert.equal(evaluateCondition({ type: 'key' }, state()), false);
+    assert.equal(evaluateCondition({ type: 'timer', after: 5000 }, state({ time: 4999 })), false);
+
+    const zone = { type: 'zone', from: { x: 4, z: 2 }, to: { x: 2, z: 4 } };
+    assert.equal(evaluateCondition(zone, state({ position: { x: 3, z: 4 } })), true, 'corners in any order');
+    assert.equal(evaluateCondition(zone, state({ position: { x: 3, y: 50, z: 4 } })), true, 'any height without a y');
+    assert.equal(evaluateCondition({ ...zone, from: { x: 4, y: 0, z: 2 }, to: { x: 2, y: 2, z: 4 } }, state({ position: { x: 3, y: 50, z: 4 } })), false);
+});
+
+test('conditions combine with all and any', () => {
+    const when = {
+        all: [
+            { type: 'pressurePlate', target: 'a' },
+            { any: [{ type: 'coins', count: 5 }, { type: 'key' }] }
+        ]
+    };
+    const pressed = new Set(['a']);
+    assert.equal(evaluateCondition(when, state({ pressedPlates: pressed })), false);
+    assert.equal(evaluateCondition(when, state({ pressedPlates: pressed, hasKey: true })), true);
+    assert.equal(evaluateCondition(when, state({ coins: 5, hasKey: true })), false);
+});
+
+test('actions undo each other where they can', () => {
+    assert.equal(getActionVerb({ type: 'door', target: 'd' }), 'open', 'default verb');
+    assert.deepEqual(oppositeAction({ type: 'door', target: 'd', action: 'open' }), { type: 'door', target: 'd', action: 'close' });
+    assert.deepEqual(oppositeAction({ type: 'gravity', action: 'set', direction: { x: 1, y: 0, z: 0 } }).action, 'reset');
+    assert.equal(oppositeAction(message('hi')), null);
+    assert.deepEqual(
+        oppositeAction({ type: 'sequence', actions: [message('hi'), { type: 'platform', target: 'p', delay: 500 }] }),
+        { type: 'sequence', actions: [{ type: 'platform', target: 'p', delay: 500, action: 'deactivate' }] }
+    );
+});
+
+test('delays count from the trigger, and from the previous action inside a sequence', () => {
+    const scheduled = scheduleActions([
+        message('a', 300),
+        { type: 'sequence', delay: 100, actions: [message('b', 200), message('c'), { type: 'sequence', actions: [message('d', 50)] }, message('e', 10)] }
+    ], 1000);
+    assert.deepEqual(scheduled.map(({ at, action }) => [action.text, at]), [
+        ['a', 1300],
+        ['b', 1300],
+        ['c', 1300],
+        ['d', 1350],
+        ['e', 1360]
+    ]);
+});
+
+test('spawned objects are found in triggers, sequences and pressure plates', () => {
+    const coin = { type: 'coin', x: 1, z: 1 };
+    const wall = { type: 'staticWall', x: 2, z: 2 };
+    const key = { type: 'key', x: 3, z: 3 };
+    const level = {
+        triggers: [
+            { when: { type: 'key' }, actions: [message('hi'), { type: 'spawn', object: coin }] },
+            { when: { type: 'timer', after: 1000 }, actions: [{ type: 'sequence', actions: [{ type: 'sequence', actions: [{ type: 'spawn', object: wall }] }] }] }
+        ],
+        objects: [{ type: 'pressurePlate', x: 0, z: 0, triggers: [{ type: 'spawn', object: key }] }, coin]
+    };
+    assert.deepEqual(getSpawnedObjects(level), [coin, wall, key]);
+    assert.deepEqual(getSpawnedObjects({}), []);
+});
+
+test('once triggers fire a single time, repeat ones every time', () => {
+    const triggers = new TriggerSystem([
+        { when: { type: 'pressurePlate', target: 'a' }, actions: [message('once')] },
+        { when: { type: 'pressurePlate', target: 'a' }, mode: 'repeat', actions: [message('again')] }
+    ]);
+    const press = (pressed, time) => triggers.update(state({ time, pressedPlates: new Set(pressed ? ['a'] : []) })).map(action => action.text);
+
+    assert.deepEqual(press(true, 0), ['once', 'again']);
+    assert.deepEqual(press(true, 16), [], 'staying on the plate does not fire again');
+    assert.deepEqual(press(false, 32), []);
+    assert.deepEqual(press(true, 48), ['again']);
+});
+
+test('delayed actions wait for their time', () => {
+    const triggers = new TriggerSystem([
+        { when: { type: 'timer', after: 1000 }, actions: [message('late', 500), message('now')] }
+    ]);
+    assert.deepEqual(triggers.update(state({ time: 999 })), []);
+    assert.deepEqual(triggers.update(state({ time: 1000 })).map(action => action.text), ['now']);
+    assert.deepEqual(triggers.update(state({ time: 1499 })), []);
+    assert.deepEqual(triggers.update(state({ time: 1600 })).map(action => action.text), ['late']);
+});
+
+test('toggle triggers switch on and off, hold triggers follow their condition', () => {
+    const open = { type: 'door', target: 'gate', action: 'open' };
+    const toggle = new TriggerSystem([{ when: { type: 'pressurePlate', target: 'a' }, mode: 'toggle', actions: [open, message('click')] }]);
+    const press = (system, pressed, time) => system.update(state({ time, pressedPlates: new Set(pressed ? ['a'] : []) }))
+        .map(action => action.action || action.text);
+
+    assert.deepEqual(press(toggle, true, 0), ['open', 'click']);
+    assert.deepEqual(press(toggle, false, 16), []);
+    assert.deepEqual(press(toggle, true, 32), ['close'], 'messages are not undone');
+
+    const hold = new TriggerSystem([{ when: { type: 'pressurePlate', target: 'a' }, mode: 'hold', actions: [{ ...open, delay: 1000 }] }]);
+    assert.deepEqual(press(hold, true, 0), []);
+    assert.deepEqual(press(hold, false, 500), [], 'stepping off calls off the waiting open');
+    assert.deepEqual(press(hold, false, 2000), ['close'], 'undoing waits the same delay');
+});
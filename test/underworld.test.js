@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_UNDERWORLD_DEPTH,
+    getLevelLayers,
+    hasLayerBelow,
+    getLayerItemId,
+    getSpawnedItemId,
+    getLayerCollectibles,
+    normalizeLayerDepth,
+    getExitDestination,
+    countPlayersByLayer
+} from '../src/systems/underworld.js';
+
+const level = {
+    name: 'Caves',
+    number: 4,
+    playerStart: { x: 1, z: 1 },
+    objects: [{ type: 'hole', x: 2, z: 2 }],
+    hasUnderworld: true,
+    underworld: {
+        playerStart: { x: 5, z: 5 },
+        gravityScale: 0.5,
+        objects: [{ type: 'hole', x: 3, z: 3 }],
+        underworld: {
+            name: 'The Deep',
+            environment: { preset: 'volcano' }
+        }
+    }
+};
+
+test('levels are split into layers from the surface down', () => {
+    const layers = getLevelLayers(level);
+    assert.equal(layers.length, 3);
+    assert.equal(layers[0], level);
+
+    assert.equal(layers[1].name, 'Caves - Underworld');
+    assert.equal(layers[1].number, 4);
+    assert.equal(layers[1].gravityScale, 0.5);
+    assert.equal(layers[1].environment.preset, 'underworld', 'underworlds are dark by default');
+
+    assert.equal(layers[2].name, 'The Deep');
+    assert.deepEqual(layers[2].playerStart, { x: 5, z: 5 }, 'a layer without a start uses the one above');
+    assert.deepEqual(layers[2].objects, []);
+    assert.equal(layers[2].environment.preset, 'volcano');
+
+    assert.equal(hasLayerBelow(layers, 1), true);
+    assert.equal(hasLayerBelow(layers, 2), false);
+});
+
+test('underworlds are only reached with hasUnderworld and only so deep', () => {
+    assert.equal(getLevelLayers({ ...level, hasUnderworld: false }).length, 1);
+
+    let deepest = { playerStart: { x: 0, z: 0 } };
+    for (let i = 0; i < MAX_UNDERWORLD_DEPTH + 2; i++) {
+        deepest = { underworld: deepest };
+    }
+    assert.equal(getLevelLayers({ name: 'Pit', hasUnderworld: true, ...deepest }).length, MAX_UNDERWORLD_DEPTH + 1);
+});
+
+test('items below the surface get ids of their own', () => {
+    assert.equal(getLayerItemId(0, 'coin_3_3'), 'coin_3_3');
+    assert.equal(getLayerItemId(2, 'coin_3_3'), 'underworld2_coin_3_3');
+});
+
+test('coins and keys of a layer are placed the way the game builds them', () => {
+    const floor = { tileSize: 2, gridSize: 10 };
+    const grid = { objects: [{ type: 'coin', x: 0, z: 9 }, { type: 'hole', x: 2, z: 2 }, { type: 'key', x: 5, z: 5 }] };
+    assert.deepEqual(getLayerCollectibles(grid, 1, floor), {
+        coins: [{ id: 'underworld1_coin_0_9', x: -9, y: 1.2, z: 9 }],
+        keys: [{ id: 'underworld1_key_5_5', x: 1, y: 1.5, z: 1 }]
+    });
+
+    const world = {
+        use3D: true,
+        objects: [
+            { type: 'coin', position: { x: 4, y: 2, z: -1 } },
+            { type: 'key', position: { x: 0, y: 3, z: 0 } },
+            { type: 'coin', position: { x: 6, y: 2, z: -1 } }
+        ]
+    };
+    assert.deepEqual(getLayerCollectibles(world, 0, floor), {
+        coins: [{ id: 'coin_0', x: 4, y: 2, z: -1 }, { id: 'coin_1', x: 6, y: 2, z: -1 }],
+        keys: [{ id: 'key_0_3_0', x: 0, y: 3, z: 0 }]
+    });
+});
+
+test('coins and keys triggers spawn are part of their layer, one per spot', () => {
+    const floor = { tileSize: 2, gridSize: 10 };
+    const spawn = (object) => ({ type: 'spawn', object });
+    const grid = {
+        objects: [{ type: 'pressurePlate', x: 1, z: 1, triggers: [spawn({ type: 'coin', x: 4, z: 5 })] }],
+        triggers: [{ when: { type: 'key' }, actions: [spawn({ type: 'key', x: 0, z: 0 }), spawn({ type: 'spikeTrap', x: 2, z: 2 })] }]
+    };
+    assert.deepEqual(getLayerCollectibles(grid, 2, floor), {
+        coins: [{ id: 'underworld2_spawned_coin_4_5', x: -1, y: 1.2, z: 1 }],
+        keys: [{ id: 'underworld2_spawned_key_0_0', x: -9, y: 1.5, z: -9 }]
+    });
+
+    const world = {
+        use3D: true,
+        objects: [{ type: 'coin', position: { x: 1, y: 1, z: 1 } }],
+        triggers: [{ when: { type: 'key' }, actions: [spawn({ type: 'coin', position: { x: 4, y: 2, z: -1 } })] }]
+    };
+    assert.deepEqual(getLayerCollectibles(world, 0, floor).coins, [
+        { id: 'coin_0', x: 1, y: 1, z: 1 },
+        { id: 'spawned_coin_4_2_-1', x: 4, y: 2, z: -1 }
+    ]);
+    assert.equal(getSpawnedItemId({ type: 'coin', x: 4, z: 5 }, false), 'spawned_coin_4_5');
+});
+
+test('layer depths sent by players are checked', () => {
+    assert.equal(normalizeLayerDepth(0), 0);
+    assert.equal(normalizeLayerDepth(MAX_UNDERWORLD_DEPTH), MAX_UNDERWORLD_DEPTH);
+    [-1, 1.5, MAX_UNDERWORLD_DEPTH + 1, '1', null].forEach(value => {
+        assert.equal(normalizeLayerDepth(value), null, `${value}`);
+    });
+});
+
+test('exits lead to their destination or the start of the layer above', () => {
+    const layers = getLevelLayers(level);
+    assert.deepEqual(getExitDestination(layers, 1, { type: 'underworldExit', x: 0, z: 0, destination: { x: 7, z: 2 } }), { x: 7, z: 2 });
+    assert.deepEqual(getExitDestination(layers, 1, { type: 'underworldExit', x: 0, z: 0 }), { x: 1, z: 1 });
+    assert.deepEqual(getExitDestination(layers, 2, null), { x: 5, z: 5 });
+});
+
+test('players are counted above, on and below a layer', () => {
+    const players = { a: { layer: 0 }, b: {}, c: { layer: 1 }, d: { layer: 2 }, e: { layer: 3 } };
+    assert.deepEqual(countPlayersByLayer(players, 1), { above: 2, here: 1, below: 2 });
+    assert.deepEqual(countPlayersByLayer({}, 0), { above: 0, here: 0, below: 0 });
+});